@@ -0,0 +1,130 @@
+// Sends instrument results to the analyzer interface, for testing without a real analyzer.
+//
+//   node analyzer-simulator.js --port 5100 L0000042 GLU=5.4 HB=9.1:g/dL
+//   node analyzer-simulator.js --protocol hl7 --port 5101 L0000042 WBC=11.2
+//   node analyzer-simulator.js --out data/analyzers/xl200 L0000042 GLU=5.4
+//
+// Results are CODE=VALUE or CODE=VALUE:UNIT; without any, a small sample set is sent.
+// ASTM is sent with E1381 framing (ENQ, checksummed frames, EOT); HL7 over MLLP.
+// --out writes an unframed message file for a folder-watching instrument instead.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const analyzer = require('./analyzer');
+
+const SAMPLE_RESULTS = ['GLU=5.4:mmol/L', 'HB=13.2:g/dL', 'WBC=7.8:10*3/uL'];
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : process.argv[i + 1];
+}
+
+// Local time as YYYYMMDDHHMMSS
+function timestamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2).filter((arg, i, all) => !arg.startsWith('--') && !(all[i - 1] || '').startsWith('--'));
+    const [accession, ...pairs] = args;
+    if (!accession) {
+        console.error('Usage: node analyzer-simulator.js [--protocol astm|hl7] [--host HOST] --port PORT | --out FOLDER ACCESSION [CODE=VALUE[:UNIT] ...]');
+        process.exit(1);
+    }
+    const results = (pairs.length ? pairs : SAMPLE_RESULTS).map(pair => {
+        const [code, rest = ''] = pair.split('=');
+        const [value, unit = ''] = rest.split(':');
+        return { code, value, unit };
+    });
+    return { accession, results };
+}
+
+function astmRecords(accession, results) {
+    const now = timestamp();
+    return [
+        `H|\\^&|||SIMULATOR^1.0|||||||P|1|${now}`,
+        'P|1',
+        `O|1|${accession}||${results.map(r => `^^^${r.code}`).join('\\')}|R||${now}`,
+        ...results.map((r, i) => `R|${i + 1}|^^^${r.code}|${r.value}|${r.unit}||N||F||||${now}`),
+        'L|1|N'
+    ];
+}
+
+function hl7Segments(accession, results) {
+    const now = timestamp();
+    return [
+        `MSH|^~\\&|SIMULATOR|LAB|MEDFLOW|LAB|${now}||ORU^R01|SIM${now}|P|2.3`,
+        'PID|1',
+        `OBR|1||${accession}|||${now}`,
+        ...results.map((r, i) => `OBX|${i + 1}|NM|${r.code}||${r.value}|${r.unit}||N|||F|||${now}`)
+    ];
+}
+
+// ASTM: wait for an ACK after ENQ and after every frame, then finish with EOT
+function sendAstm(socket, records) {
+    const frames = analyzer.astmFrames(records);
+    let next = 0;
+    socket.on('data', data => {
+        for (const byte of data) {
+            if (byte === analyzer.NAK) {
+                console.error(`Frame ${next} rejected, sending it again`);
+                next = Math.max(next - 1, 0);
+            } else if (byte !== analyzer.ACK) {
+                continue;
+            }
+            if (next < frames.length) {
+                socket.write(frames[next++]);
+            } else {
+                socket.end(Buffer.from([analyzer.EOT]));
+                console.log(`Sent ${records.length} ASTM records`);
+            }
+        }
+    });
+    socket.write(Buffer.from([analyzer.ENQ]));
+}
+
+function sendHl7(socket, segments) {
+    socket.on('data', data => {
+        console.log(`ACK: ${data.toString('utf8').replace(/[\x0b\x1c]/g, '').trim().replace(/\r/g, '\n     ')}`);
+        socket.end();
+    });
+    socket.write(`\x0b${segments.join('\r')}\r\x1c\r`);
+}
+
+function main() {
+    const protocol = option('protocol', 'astm');
+    const { accession, results } = parseArgs();
+    const lines = protocol === 'hl7' ? hl7Segments(accession, results) : astmRecords(accession, results);
+
+    const out = option('out');
+    if (out) {
+        fs.mkdirSync(out, { recursive: true });
+        const file = path.join(out, `${accession}-${Date.now()}.${protocol === 'hl7' ? 'hl7' : 'astm'}`);
+        fs.writeFileSync(file, `${lines.join('\r')}\r`);
+        console.log(`Wrote ${file}`);
+        return;
+    }
+
+    const port = Number(option('port'));
+    if (!port) {
+        console.error('Give --port for the instrument listener, or --out for a watched folder');
+        process.exit(1);
+    }
+    const socket = net.connect(port, option('host', 'localhost'), () => {
+        if (protocol === 'hl7') sendHl7(socket, lines);
+        else sendAstm(socket, lines);
+    });
+    socket.setTimeout(10000, () => {
+        console.error('Timed out waiting for the analyzer interface');
+        socket.destroy();
+        process.exitCode = 1;
+    });
+    socket.on('error', err => {
+        console.error(`Could not send: ${err.message}`);
+        process.exitCode = 1;
+    });
+}
+
+main();
@@ -0,0 +1,397 @@
+// Lab analyzer interface: ASTM E1394 / HL7 ORU parsing and the TCP and folder transports
+// that feed instrument results into the app. Parsed messages look like
+// { protocol, sender, specimens: [{ accessionNumber, results: [{ code, name, value, unit, referenceRange, flag, status, resultAt }] }] }
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const PROTOCOLS = ['astm', 'hl7'];
+const CONNECTIONS = ['tcp', 'folder'];
+
+// ASTM E1381 low-level control characters
+const ENQ = 0x05;
+const ACK = 0x06;
+const NAK = 0x15;
+const EOT = 0x04;
+const STX = 0x02;
+const ETX = 0x03;
+const ETB = 0x17;
+const LF = 0x0A;
+
+// HL7 minimal lower layer protocol framing
+const VT = 0x0B;
+const FS = 0x1C;
+const CR = 0x0D;
+
+// Largest message a connection may buffer before it is dropped
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// How often watched folders are checked for new files
+const FOLDER_POLL_MS = 5000;
+
+function text(value, max = 100) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, max);
+}
+
+// ASTM and HL7 timestamps: YYYYMMDDHHMMSS, any trailing part optional
+function parseTimestamp(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec(value || '');
+    if (!m) return undefined;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Instrument flags: N means normal and is dropped, anything else is kept as sent
+function normalizeFlag(flag) {
+    const value = text(flag, 10).toUpperCase();
+    return value === 'N' ? '' : value;
+}
+
+/**
+ * Parse ASTM E1394 records (H, P, O, R, L ...). Records are separated by CR;
+ * the delimiters are taken from the header record.
+ */
+function parseAstm(raw) {
+    const records = String(raw).split(/\r\n|\r|\n/).filter(Boolean);
+    const header = records.find(r => r.startsWith('H'));
+    if (!header) throw new Error('ASTM message has no header record');
+
+    const fieldSep = header.charAt(1);
+    const componentSep = header.charAt(3) || '^';
+    const headerFields = header.split(fieldSep);
+    if (!fieldSep || headerFields.length < 5) throw new Error('ASTM header record is incomplete');
+    const message = {
+        protocol: 'astm',
+        sender: text(headerFields[4].split(componentSep)[0]),
+        specimens: []
+    };
+
+    let specimen = null;
+    records.forEach(record => {
+        const fields = record.split(fieldSep);
+        const type = fields[0];
+        if (type === 'O') {
+            // Specimen ID is the first component of field 3, falling back to the instrument's own id
+            const accessionNumber = text((fields[2] || '').split(componentSep)[0] || (fields[3] || '').split(componentSep)[0], 50);
+            specimen = { accessionNumber, results: [] };
+            message.specimens.push(specimen);
+        } else if (type === 'R' && specimen) {
+            // Universal test id ^^^CODE^name
+            const testId = (fields[2] || '').split(componentSep);
+            specimen.results.push({
+                code: text(testId[3] || testId[0], 30),
+                name: text(testId[4], 100),
+                value: text((fields[3] || '').split(componentSep)[0], 200),
+                unit: text(fields[4], 30),
+                referenceRange: text((fields[5] || '').split(componentSep).filter(Boolean).join(' - '), 100),
+                flag: normalizeFlag(fields[6]),
+                status: text(fields[8], 5),
+                resultAt: parseTimestamp(fields[12])
+            });
+        }
+    });
+    return message;
+}
+
+/**
+ * Parse an HL7 v2 ORU^R01 message. The accession number comes from OBR-3 (filler order number),
+ * then OBR-2 (placer order number).
+ */
+function parseHl7(raw) {
+    const segments = String(raw).split(/\r\n|\r|\n/).filter(Boolean);
+    const msh = segments.find(s => s.startsWith('MSH'));
+    if (!msh) throw new Error('HL7 message has no MSH segment');
+
+    const fieldSep = msh.charAt(3);
+    const componentSep = msh.charAt(4) || '^';
+    const mshFields = msh.split(fieldSep);
+    const message = {
+        protocol: 'hl7',
+        // MSH-1 is the separator itself, so MSH-n sits at index n - 1
+        sender: text((mshFields[2] || '').split(componentSep)[0]),
+        controlId: text(mshFields[9], 50),
+        specimens: []
+    };
+
+    let specimen = null;
+    segments.forEach(segment => {
+        const fields = segment.split(fieldSep);
+        const type = fields[0];
+        if (type === 'OBR') {
+            const accessionNumber = text((fields[3] || '').split(componentSep)[0] || (fields[2] || '').split(componentSep)[0], 50);
+            specimen = { accessionNumber, results: [] };
+            message.specimens.push(specimen);
+        } else if (type === 'OBX' && specimen) {
+            const observation = (fields[3] || '').split(componentSep);
+            specimen.results.push({
+                code: text(observation[0], 30),
+                name: text(observation[1], 100),
+                value: text((fields[5] || '').split(componentSep)[0], 200),
+                unit: text((fields[6] || '').split(componentSep)[0], 30),
+                referenceRange: text(fields[7], 100),
+                flag: normalizeFlag(fields[8]),
+                status: text(fields[11], 5),
+                resultAt: parseTimestamp(fields[14])
+            });
+        }
+    });
+    return message;
+}
+
+const PARSERS = {
+    astm: parseAstm,
+    hl7: parseHl7
+};
+
+/**
+ * Parse a message with the instrument's protocol driver.
+ */
+function parseMessage(protocol, raw) {
+    const parser = PARSERS[protocol];
+    if (!parser) throw new Error(`Unknown analyzer protocol "${protocol}"`);
+    return parser(raw);
+}
+
+// ASTM E1381 frame checksum: sum of the bytes from the frame number through ETX/ETB, modulo 256
+function astmChecksum(frame) {
+    let sum = 0;
+    for (const byte of frame) sum = (sum + byte) % 256;
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Split a message into E1381 frames: STX FN text ETX|ETB C1 C2 CR LF.
+ * Each record ends its own frame; long records continue over ETB frames of at most 240 characters.
+ */
+function astmFrames(records) {
+    const frames = [];
+    let number = 1;
+    records.forEach(record => {
+        const body = `${record}\r`;
+        for (let i = 0; i < body.length; i += 240) {
+            const last = i + 240 >= body.length;
+            const content = Buffer.concat([
+                Buffer.from(`${number % 8}${body.slice(i, i + 240)}`, 'latin1'),
+                Buffer.from([last ? ETX : ETB])
+            ]);
+            frames.push(Buffer.concat([
+                Buffer.from([STX]),
+                content,
+                Buffer.from(`${astmChecksum(content)}\r\n`, 'latin1')
+            ]));
+            number++;
+        }
+    });
+    return frames;
+}
+
+// Receiving side of an ASTM E1381 link: acknowledges frames and collects records until EOT
+function astmReceiver(socket, onMessage, onError) {
+    let buffer = Buffer.alloc(0);
+    let body = '';
+
+    return chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length) {
+            const byte = buffer[0];
+            if (byte === ENQ) {
+                body = '';
+                buffer = buffer.subarray(1);
+                socket.write(Buffer.from([ACK]));
+            } else if (byte === EOT) {
+                buffer = buffer.subarray(1);
+                if (body) Promise.resolve(onMessage(body)).catch(onError);
+                body = '';
+            } else if (byte === STX) {
+                const end = buffer.indexOf(LF);
+                if (end === -1) break; // wait for the rest of the frame
+                const frame = buffer.subarray(1, end + 1);
+                buffer = buffer.subarray(end + 1);
+
+                const terminator = frame.findIndex(b => b === ETX || b === ETB);
+                const valid = terminator > 0 &&
+                    frame.subarray(terminator + 1, terminator + 3).toString('latin1') === astmChecksum(frame.subarray(0, terminator + 1));
+                if (valid) body += frame.subarray(1, terminator).toString('latin1');
+                socket.write(Buffer.from([valid ? ACK : NAK]));
+            } else {
+                buffer = buffer.subarray(1); // stray bytes between frames
+            }
+        }
+        if (body.length + buffer.length > MAX_MESSAGE_BYTES) socket.destroy();
+    };
+}
+
+// HL7 acknowledgement for a received message (AA accepted, AE error)
+function hl7Ack(message, code = 'AA', error = '') {
+    const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return [
+        `MSH|^~\\&|MEDFLOW|LAB|${message ? message.sender : ''}||${now}||ACK^R01|${now}|P|2.3`,
+        `MSA|${code}|${message ? message.controlId : ''}${error ? `|${error.replace(/[|^~\\&\r\n]/g, ' ')}` : ''}`
+    ].join('\r');
+}
+
+// Receiving side of an HL7 MLLP link: VT message FS CR, answered with an ACK
+function hl7Receiver(socket, onMessage) {
+    let buffer = Buffer.alloc(0);
+
+    return chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let end;
+        while ((end = buffer.indexOf(FS)) !== -1) {
+            const start = buffer.indexOf(VT);
+            const raw = buffer.subarray(start === -1 || start > end ? 0 : start + 1, end).toString('utf8');
+            buffer = buffer.subarray(buffer[end + 1] === CR ? end + 2 : end + 1);
+            Promise.resolve(onMessage(raw))
+                .then(message => socket.write(`\x0b${hl7Ack(message)}\x1c\r`))
+                .catch(err => socket.write(`\x0b${hl7Ack(null, 'AE', err.message)}\x1c\r`));
+        }
+        if (buffer.length > MAX_MESSAGE_BYTES) socket.destroy();
+    };
+}
+
+/**
+ * Listen for an instrument on a TCP port. `onMessage(raw)` receives each complete message
+ * and may return a promise; for HL7 it should resolve to the parsed message for the ACK.
+ * Listens on this machine only unless another `host` is given. Returns the net.Server.
+ */
+function listen({ port, host = '127.0.0.1', protocol }, onMessage, onError = () => {}) {
+    const server = net.createServer(socket => {
+        const receive = protocol === 'hl7' ? hl7Receiver(socket, onMessage) : astmReceiver(socket, onMessage, onError);
+        socket.on('data', receive);
+        socket.on('error', onError);
+    });
+    server.on('error', onError);
+    server.listen(port, host);
+    return server;
+}
+
+/**
+ * Poll a folder for result files. Each file is handed to `onMessage(raw)`, then moved to
+ * processed/ (or failed/ when handling throws). Returns a function that stops watching.
+ */
+function watchFolder(folder, onMessage, onError = () => {}) {
+    let busy = false;
+
+    const move = (file, sub) => {
+        fs.mkdirSync(path.join(folder, sub), { recursive: true });
+        fs.renameSync(path.join(folder, file), path.join(folder, sub, `${Date.now()}-${file}`));
+    };
+
+    const poll = async () => {
+        if (busy) return;
+        busy = true;
+        try {
+            fs.mkdirSync(folder, { recursive: true });
+            // Files touched in the last couple of seconds may still be being written
+            const files = fs.readdirSync(folder, { withFileTypes: true })
+                .filter(f => f.isFile() && fs.statSync(path.join(folder, f.name)).mtimeMs < Date.now() - 2000)
+                .map(f => f.name);
+            for (const file of files) {
+                try {
+                    await onMessage(fs.readFileSync(path.join(folder, file), 'utf8'));
+                    move(file, 'processed');
+                } catch (err) {
+                    onError(err);
+                    move(file, 'failed');
+                }
+            }
+        } catch (err) {
+            onError(err);
+        } finally {
+            busy = false;
+        }
+    };
+
+    const timer = setInterval(poll, FOLDER_POLL_MS);
+    poll();
+    return () => clearInterval(timer);
+}
+
+/**
+ * Validate and clean an instrument definition from the lab settings screen.
+ * The code map is "CODE = Parameter name" per line or an array of { code, parameterName };
+ * folders are relative to the drop folder the server watches.
+ * Returns { instrument, errors }.
+ */
+function normalizeInstrument(body) {
+    const errors = [];
+    const codeMap = Array.isArray(body.codeMap)
+        ? body.codeMap
+        : text(body.codeMap, 10000).split('\n').map(line => {
+            const [code, ...name] = line.split('=');
+            return { code, parameterName: name.join('=') };
+        });
+
+    const instrument = {
+        name: text(body.name),
+        code: text(body.code, 30),
+        protocol: text(body.protocol, 10).toLowerCase() || 'astm',
+        connection: text(body.connection, 10).toLowerCase() || 'tcp',
+        port: body.port === undefined || body.port === null || body.port === '' ? undefined : Number(body.port),
+        folder: text(body.folder, 300) || undefined,
+        codeMap: codeMap
+            .map(m => ({ code: text(m.code, 30), parameterName: text(m.parameterName) }))
+            .filter(m => m.code || m.parameterName)
+    };
+
+    if (!instrument.name) errors.push('Name is required');
+    if (!instrument.code) errors.push('Instrument code is required');
+    if (!PROTOCOLS.includes(instrument.protocol)) errors.push(`Unknown protocol "${instrument.protocol}"`);
+    if (!CONNECTIONS.includes(instrument.connection)) errors.push(`Unknown connection "${instrument.connection}"`);
+    if (instrument.connection === 'tcp') {
+        if (!Number.isInteger(instrument.port) || instrument.port < 1024 || instrument.port > 65535) {
+            errors.push('Port must be a number from 1024 to 65535');
+        }
+        instrument.folder = undefined;
+    } else {
+        // Folders live under the server's analyzer drop folder, never elsewhere on the disk
+        const outside = !instrument.folder || path.isAbsolute(instrument.folder) ||
+            instrument.folder.split(/[\\/]/).includes('..');
+        if (outside) errors.push('Folder must be a relative path inside the analyzer drop folder');
+        instrument.port = undefined;
+    }
+    instrument.codeMap.forEach((m, i) => {
+        if (!m.code || !m.parameterName) errors.push(`Code map line ${i + 1}: use "CODE = Parameter name"`);
+    });
+
+    return { instrument, errors };
+}
+
+/**
+ * Match an instrument's results to the rows of a test's result form: the instrument's code map
+ * first, then the catalog parameter code, then the parameter name.
+ */
+function mapResults(results, form, codeMap = []) {
+    const same = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+    return results.map(r => {
+        const mapped = codeMap.find(m => same(m.code, r.code));
+        const row = form.find(f => mapped && same(f.parameterName, mapped.parameterName)) ||
+            form.find(f => same(f.code, r.code)) ||
+            form.find(f => same(f.parameterName, r.code) || same(f.parameterName, r.name));
+        return {
+            ...r,
+            section: row ? row.section : undefined,
+            parameterName: row ? row.parameterName : undefined,
+            matched: Boolean(row)
+        };
+    });
+}
+
+module.exports = {
+    PROTOCOLS,
+    CONNECTIONS,
+    ENQ,
+    ACK,
+    NAK,
+    EOT,
+    parseAstm,
+    parseHl7,
+    parseMessage,
+    astmFrames,
+    listen,
+    watchFolder,
+    normalizeInstrument,
+    mapResults
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { AuditLog, Hospital } = require('./database');
+
+// Bookkeeping fields that never belong in a diff
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'updatedAt', 'lastUpdated', 'password'];
+
+// How many times to retry when a concurrent write takes the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * JSON with sorted keys so the same entry always hashes the same way
+ */
+function canonicalJson(value) {
+    if (value === undefined) return 'null';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Hash of an entry's content plus the previous entry's hash
+ */
+function computeHash(entry) {
+    const content = {
+        hospitalId: String(entry.hospitalId),
+        seq: entry.seq,
+        at: new Date(entry.at).toISOString(),
+        actorId: entry.actorId || null,
+        actorName: entry.actorName || null,
+        role: entry.role || null,
+        action: entry.action,
+        entityType: entry.entityType || null,
+        entityId: entry.entityId || null,
+        changes: (entry.changes || []).map(c => ({ field: c.field, before: c.before, after: c.after })),
+        ip: entry.ip || null,
+        prevHash: entry.prevHash || null
+    };
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Field-level differences between two plain objects (or mongoose documents)
+ */
+function diff(before, after) {
+    const a = before && typeof before.toObject === 'function' ? before.toObject() : (before || {});
+    const b = after && typeof after.toObject === 'function' ? after.toObject() : (after || {});
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        const oldValue = a[field] === undefined ? null : JSON.parse(canonicalJson(a[field]));
+        const newValue = b[field] === undefined ? null : JSON.parse(canonicalJson(b[field]));
+        if (canonicalJson(oldValue) !== canonicalJson(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Actor details from an Express or Socket.IO session
+ */
+function actorFromSession(session) {
+    if (!session) return {};
+    return {
+        actorId: session.userId ? String(session.userId) : null,
+        actorName: session.username,
+        role: session.role
+    };
+}
+
+/**
+ * Append an entry to a hospital's audit chain.
+ * Failures are logged rather than thrown so auditing never blocks clinical work.
+ *
+ * @param {Object} entry - { hospitalId, session, action, entityType, entityId, before, after, changes, ip }
+ */
+async function record(entry) {
+    const { hospitalId, session, action, entityType, entityId, ip } = entry;
+    const changes = entry.changes || diff(entry.before, entry.after);
+
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+        try {
+            const last = await AuditLog.findOne({ hospitalId }).sort({ seq: -1 }).select('seq hash');
+            const log = {
+                hospitalId,
+                seq: last ? last.seq + 1 : 1,
+                at: new Date(),
+                ...actorFromSession(session),
+                action,
+                entityType,
+                entityId: entityId ? String(entityId) : null,
+                changes,
+                ip,
+                prevHash: last ? last.hash : null
+            };
+            log.hash = computeHash(log);
+            const created = await AuditLog.create(log);
+            await Hospital.updateOne(
+                { _id: hospitalId, $or: [{ auditHeadSeq: { $lt: log.seq } }, { auditHeadSeq: null }] },
+                { auditHeadSeq: log.seq, auditHeadHash: log.hash }
+            );
+            return created;
+        } catch (err) {
+            // Another write took this sequence number - read the new tail and retry
+            if (err.code === 11000) continue;
+            console.error('Audit log failed:', err.message);
+            return null;
+        }
+    }
+    console.error(`Audit log failed: could not append ${action} after ${MAX_APPEND_ATTEMPTS} attempts`);
+    return null;
+}
+
+/**
+ * Walk a hospital's chain and report gaps, edits and broken links
+ */
+async function verifyChain(hospitalId) {
+    const problems = [];
+    let expectedSeq = 1;
+    let prevHash = null;
+    let count = 0;
+
+    const cursor = AuditLog.find({ hospitalId }).sort({ seq: 1 }).lean().cursor();
+    for await (const log of cursor) {
+        count++;
+        if (log.seq !== expectedSeq) {
+            problems.push({ seq: log.seq, problem: `Missing entries ${expectedSeq}-${log.seq - 1}` });
+        }
+        if ((log.prevHash || null) !== prevHash) {
+            problems.push({ seq: log.seq, problem: 'Previous hash does not match' });
+        }
+        if (computeHash(log) !== log.hash) {
+            problems.push({ seq: log.seq, problem: 'Entry content was modified' });
+        }
+        expectedSeq = log.seq + 1;
+        prevHash = log.hash;
+    }
+
+    // Entries removed from the end of the chain leave no gap, so compare against the recorded head
+    const hospital = await Hospital.findById(hospitalId).select('auditHeadSeq auditHeadHash');
+    if (hospital && hospital.auditHeadSeq && (hospital.auditHeadSeq !== expectedSeq - 1 || hospital.auditHeadHash !== prevHash)) {
+        problems.push({ seq: hospital.auditHeadSeq, problem: `Chain should end at entry ${hospital.auditHeadSeq}` });
+    }
+
+    return { valid: problems.length === 0, entries: count, problems };
+}
+
+module.exports = {
+    record,
+    diff,
+    verifyChain,
+    computeHash
+};
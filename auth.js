@@ -53,6 +53,20 @@ function comparePassword(password, hash) {
     return bcrypt.compareSync(password, hash);
 }
 
+/**
+ * Generate a temporary password for a staff account (e.g. "Kx7m-Qp2r")
+ */
+function generateTemporaryPassword() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+    const bytes = crypto.randomBytes(8);
+    let password = '';
+    for (let i = 0; i < bytes.length; i++) {
+        password += chars[bytes[i] % chars.length];
+        if (i === 3) password += '-';
+    }
+    return password;
+}
+
 /**
  * Get password expiry date (last day of current month)
  */
@@ -95,6 +109,7 @@ module.exports = {
     verifyHospitalPassword,
     hashPassword,
     comparePassword, // Export as comparePassword to match server usage
+    generateTemporaryPassword,
     verifyUserPassword: comparePassword, // Alias for backward compatibility
     getPasswordExpiry,
     getCurrentPeriod,
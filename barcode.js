@@ -0,0 +1,64 @@
+// Code 128 (code set B) encoding for sample labels, drawn as plain bars by pdfkit
+
+// Bar/space module widths for each symbol value; 104 is Start B, 106 is Stop
+const PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+
+// Quiet zone either side of the bars, in modules
+const QUIET_ZONE = 10;
+
+/**
+ * Module widths for a Code 128 barcode, alternating bar and space and starting with a bar.
+ * Only printable ASCII (code set B) is supported, which covers accession numbers.
+ */
+function code128(value) {
+    const text = String(value);
+    if (!/^[\x20-\x7E]+$/.test(text)) {
+        throw new Error('Barcode text must be printable ASCII');
+    }
+
+    const codes = [START_B, ...[...text].map(ch => ch.charCodeAt(0) - 32)];
+    const checksum = codes.reduce((sum, code, i) => sum + code * (i || 1), 0) % 103;
+    codes.push(checksum, STOP);
+
+    return codes.flatMap(code => [...PATTERNS[code]].map(Number));
+}
+
+/**
+ * Draw a Code 128 barcode into a pdfkit document, scaled to fit the given box.
+ *
+ * @param {PDFDocument} doc
+ * @param {string} value - text to encode
+ * @param {Object} box - { x, y, width, height }
+ */
+function drawCode128(doc, value, { x, y, width, height }) {
+    const widths = code128(value);
+    const modules = widths.reduce((a, b) => a + b, 0) + QUIET_ZONE * 2;
+    const unit = width / modules;
+
+    let cursor = x + QUIET_ZONE * unit;
+    widths.forEach((w, i) => {
+        if (i % 2 === 0) doc.rect(cursor, y, w * unit, height);
+        cursor += w * unit;
+    });
+    doc.fillColor('#000000').fill();
+}
+
+module.exports = {
+    code128,
+    drawCode128
+};
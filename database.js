@@ -20,25 +20,133 @@ const HospitalSchema = new mongoose.Schema({
   subscriptionStatus: { type: String, default: 'active' },
   subscriptionExpiry: String,
   createdAt: { type: Date, default: Date.now },
-  lastLogin: Date
+  lastLogin: Date,
+  mrnSeq: { type: Number, default: 0 }, // Last MRN issued
+  accessionSeq: { type: Number, default: 0 }, // Last lab sample accession number issued
+  dispenseSeq: { type: Number, default: 0 }, // Last pharmacy bill number issued
+  purchaseOrderSeq: { type: Number, default: 0 }, // Last purchase order number issued
+  goodsReceiptSeq: { type: Number, default: 0 }, // Last goods receipt (GRN) number issued
+  supplierReturnSeq: { type: Number, default: 0 }, // Last supplier return number issued
+  // How queue tokens are numbered; see TokenCounter
+  tokenSettings: {
+    reset: { type: String, enum: ['daily', 'monthly', 'never'], default: 'daily' },
+    timezone: { type: String, default: 'Asia/Kolkata' }, // Decides when "today" rolls over
+    digits: { type: Number, default: 3 } // Zero padding, e.g. ORT-014
+  },
+  // Head of the audit chain, so truncating the newest entries is also detectable
+  auditHeadSeq: { type: Number, default: 0 },
+  auditHeadHash: String
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
 const UserSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
   username: { type: String, required: true },
+  fullName: String,
   email: String,
   role: { type: String, required: true },
   password: { type: String, required: true },
+  isActive: { type: Boolean, default: true },
+  mustChangePassword: { type: Boolean, default: false }, // Set after an admin issues a temporary password
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  createdBy: String,
   createdAt: { type: Date, default: Date.now },
-  lastLogin: Date
-}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+  updatedAt: Date,
+  lastLogin: Date,
+  // Who changed this account and how
+  history: [{
+    action: String,
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    performedByName: String,
+    details: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => { delete ret.password; return ret; }
+  },
+  toObject: { virtuals: true }
+});
 // Compound index for unique username per hospital
 UserSchema.index({ hospitalId: 1, username: 1 }, { unique: true });
 
+// Append-only audit trail. Each hospital's entries form a hash chain
+// (seq + prevHash) so removed or edited entries can be detected.
+const AuditLogSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  seq: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+  actorId: String,
+  actorName: String,
+  role: String,
+  action: { type: String, required: true }, // e.g. 'prescription.update'
+  entityType: String,
+  entityId: String,
+  changes: [{ field: String, before: mongoose.Schema.Types.Mixed, after: mongoose.Schema.Types.Mixed, _id: false }],
+  ip: String,
+  prevHash: String,
+  hash: { type: String, required: true }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+AuditLogSchema.index({ hospitalId: 1, seq: 1 }, { unique: true });
+AuditLogSchema.index({ hospitalId: 1, action: 1, at: -1 });
+AuditLogSchema.index({ hospitalId: 1, entityType: 1, entityId: 1 });
+// Entries are append-only; editing or deleting through the app is refused outright
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+  throw new Error('Audit log entries cannot be modified');
+});
+
+// Per-hospital overrides of the default role permission matrix
+const RolePermissionSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, unique: true },
+  roles: { type: Map, of: [String], default: {} }, // role -> permission keys
+  updatedBy: String,
+  updatedAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+const DepartmentSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  name: { type: String, required: true },
+  defaultConsultationFee: { type: Number, default: 0 },
+  tokenPrefix: String, // e.g. 'ORT' for tokens like ORT-014
+  isArchived: { type: Boolean, default: false }, // Archived departments stay resolvable for old visits
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+DepartmentSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+
+// One counter per department per token period, incremented atomically at registration
+const TokenCounterSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  period: { type: String, required: true }, // '2024-05-01' (daily), '2024-05' (monthly) or 'all'
+  seq: { type: Number, default: 0 },
+  updatedAt: Date
+});
+TokenCounterSchema.index({ hospitalId: 1, departmentId: 1, period: 1 }, { unique: true });
+
+const DoctorSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Login account, if the doctor has one
+  name: { type: String, required: true },
+  department: String,
+  qualifications: String,
+  registrationNumber: String, // Medical council registration
+  consultationFee: { type: Number, default: 0 },
+  status: { type: String, enum: ['available', 'busy', 'on-leave', 'off-duty'], default: 'available' },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+// A user account can back at most one doctor profile per hospital
+DoctorSchema.index({ hospitalId: 1, userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+DoctorSchema.index({ hospitalId: 1, department: 1, status: 1 });
+
+// Patient master record - one per person, shared by all of their visits
 const PatientSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
-  token: Number, // Keeping as Number for token display logic if needed, or could be String
-  publicToken: String,
+  mrn: String, // Hospital-unique medical record number, e.g. 'MRN-000042'
   name: String,
   age: Number,
   gender: String,
@@ -51,22 +159,78 @@ const PatientSchema = new mongoose.Schema({
   medicalHistory: String,
   allergies: String,
   chronicConditions: String,
-  patientType: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+  lastVisitAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+PatientSchema.index({ hospitalId: 1, mrn: 1 }, { unique: true, partialFilterExpression: { mrn: { $type: 'string' } } });
+PatientSchema.index({ hospitalId: 1, phone: 1 });
+
+// One medication line of a structured prescription (vocabularies live in prescriptions.js)
+const MedicationLineSchema = new mongoose.Schema({
+  drug: { type: String, required: true },
+  drugId: { type: mongoose.Schema.Types.ObjectId, ref: 'PharmacyItem' }, // Drug master entry when picked from it
+  strength: String, // e.g. '500mg'
+  form: String, // tablet, syrup, injection...
+  dose: String, // e.g. '1 tab', '5 ml'
+  frequency: String, // e.g. 'BD', '1-0-1'
+  route: { type: String, default: 'oral' },
+  durationDays: Number,
+  quantity: Number, // Units to dispense
+  instructions: String,
+  foodTiming: { type: String, default: 'any' } // before / after / with / empty-stomach / any
+}, { _id: false });
+
+// A safety warning raised when the prescription was saved (see drug-safety.js)
+const PrescriptionWarningSchema = new mongoose.Schema({
+  key: String, // Identifies the warning for the same lines, so it can be matched again at dispensing
+  type: String, // allergy / interaction / condition
+  severity: String, // minor / moderate / severe
+  drugs: [String],
+  message: String,
+  advice: String,
+  overrideReason: String, // Why a severe warning was accepted
+  overriddenBy: String
+}, { _id: false });
+
+// A single visit (encounter) of a patient: queue token, doctor, clinical notes and billing
+const EncounterSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  token: Number, // Sequence within the department's token period
+  tokenLabel: String, // Display form with department prefix, e.g. 'ORT-014'
+  tokenPeriod: String, // TokenCounter period the token was drawn from
+  publicToken: String,
+  patientType: String, // 'New' for a patient's first visit, otherwise as chosen at reception
   opdIpd: String,
-  department: String,
-  doctorId: Number, // Keeping as Number to match static doctors array in server.js
+  department: String, // Department name at registration (kept in sync on rename)
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
   reason: String,
   status: String,
   registeredAt: { type: Date, default: Date.now },
   appointmentDate: String,
-  vitals: String, // JSON string in SQLite, can be Object here but keeping String for minimal refactor
-  prescription: String, // JSON string
+  vitals: String, // JSON string
+  prescription: String, // Legacy free-text prescription, shown read-only
+  medications: [MedicationLineSchema],
+  prescriptionWarnings: [PrescriptionWarningSchema],
+  advice: String, // Free-text advice printed under the medication table
+  prescribedAt: Date,
   diagnosis: String,
   pharmacyState: String,
+  dispensingSince: Date, // Set while a dispense is in progress, so two counters cannot dispense the same visit at once
   history: String, // JSON string
   cost: { type: Number, default: 0 },
-  reports: String // JSON string
+  reports: String, // JSON string
+  updatedAt: Date
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+// Backstop for the counter: a token can only be issued once per department per period
+EncounterSchema.index(
+  { hospitalId: 1, departmentId: 1, tokenPeriod: 1, token: 1 },
+  { unique: true, partialFilterExpression: { tokenPeriod: { $type: 'string' } } }
+);
+EncounterSchema.index({ hospitalId: 1, patientId: 1, registeredAt: -1 });
+EncounterSchema.index({ publicToken: 1 }, { sparse: true });
 
 const VitalSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
@@ -84,54 +248,227 @@ const VitalSchema = new mongoose.Schema({
 const LabTestSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
   patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  encounterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter' }, // Visit the test was ordered in
+  testTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTestType' }, // Catalog entry that was ordered
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' }, // Ordering doctor, who receives critical alerts
+  orderId: String, // Shared by every test placed in the same order
+  accessionNumber: String, // Sample number printed on the barcode label, e.g. 'L0000042'
   testName: String,
   testType: String,
   orderedBy: String,
   orderedAt: { type: Date, default: Date.now },
-  status: { type: String, default: 'pending' },
+  notes: String, // Clinical notes from the ordering doctor
+  status: { type: String, default: 'ordered' }, // see lab-workflow.js for the lifecycle
   result: String, // Summary result
   resultDate: Date,
-  priority: { type: String, default: 'normal' },
+  resultedBy: String,
+  resultedById: String, // Last person to enter or edit results
+  resultEnteredBy: [String], // Everyone who has entered or edited results; none of them may verify
+  priority: { type: String, default: 'normal' }, // normal | urgent
   sampleStatus: { type: String, default: 'pending' },
-  technicianId: Number,
+  technicianId: String, // Staff user processing the test
+  technicianName: String,
   machineId: String,
   sampleCollectedAt: Date,
   sampleCollectedBy: String,
+  receivedAt: Date,
+  receivedBy: String,
   rejectionReason: String,
+  rejectedAt: Date,
+  rejectedBy: String,
   startedAt: Date,
-  completedAt: Date
+  startedBy: String,
+  verifiedAt: Date,
+  verifiedBy: String,
+  completedAt: Date, // Reported to the doctor
+  reportedBy: String,
+  interpretation: String, // Pathologist's comments, printed on the report
+  reagentsDeductedAt: Date, // Set once the run's reagents have been taken from stock
+  amendedAt: Date, // Last correction after verification
+  amendedBy: String,
+  cancelledAt: Date,
+  cancelledBy: String,
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    at: { type: Date, default: Date.now },
+    byId: String,
+    byName: String,
+    reason: String
+  }],
+  // One entry per time critical values were found; the doctor acknowledges each
+  criticalAlerts: [{
+    _id: false,
+    raisedAt: { type: Date, default: Date.now },
+    raisedBy: String,
+    parameters: [{ _id: false, name: String, value: String, unit: String, flag: String }],
+    acknowledgedAt: Date,
+    acknowledgedBy: String,
+    acknowledgedById: String,
+    note: String
+  }]
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
+LabTestSchema.index({ hospitalId: 1, status: 1, orderedAt: -1 });
+LabTestSchema.index({ hospitalId: 1, accessionNumber: 1 }, { unique: true, partialFilterExpression: { accessionNumber: { $type: 'string' } } });
+
 const LabResultSchema = new mongoose.Schema({
   testId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest', required: true },
+  section: String, // Member test name when the result belongs to a panel
   parameterName: { type: String, required: true },
   value: String,
   unit: String,
-  referenceRange: String,
+  referenceRange: String, // Range applied for this patient, as printed
+  rangeLow: Number,
+  rangeHigh: Number,
+  flag: { type: String, default: '' }, // '' | L | H | LL | HH (critical) | A (abnormal text result)
   isAbnormal: { type: Boolean, default: false },
-  notes: String
+  isCritical: { type: Boolean, default: false },
+  notes: String,
+  enteredBy: String,
+  enteredById: String,
+  enteredAt: Date,
+  // Delta check against the patient's previous result for this parameter, see lab-trends.js
+  delta: {
+    previousValue: String,
+    previousAt: Date,
+    previousTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest' },
+    percent: Number,
+    limit: Number,
+    exceeded: Boolean
+  },
+  // Corrections made after verification; the current value is always the latest
+  amended: { type: Boolean, default: false },
+  amendments: [{
+    _id: false,
+    oldValue: String,
+    newValue: String,
+    oldFlag: String,
+    newFlag: String,
+    reason: String,
+    at: { type: Date, default: Date.now },
+    by: String,
+    byId: String
+  }]
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
+LabResultSchema.index({ testId: 1, section: 1, parameterName: 1 });
+
+// A medicine the pharmacy stocks, with its reorder level; the stock itself is in Inventory batches
+const PharmacyItemSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  name: { type: String, required: true }, // Brand name
+  nameKey: String, // Lower-cased name|strength|form, unique per hospital (see drug-master.js drugKey)
+  genericName: String, // Generic / salt composition
+  form: String, // tablet, syrup... (prescriptions.js FORMS)
+  strength: String,
+  schedule: { type: String, enum: ['H', 'H1', 'X'] }, // Prescription-only schedule; unset for OTC
+  hsnCode: String,
+  gstRate: Number, // Percent
+  defaultDosing: {
+    dose: String,
+    frequency: String,
+    route: String,
+    durationDays: Number,
+    instructions: String
+  },
+  formulary: { type: Boolean, default: true }, // On the hospital formulary; offered first to prescribers
+  unit: { type: String, default: 'units' }, // What quantities are counted in: tablets, bottles...
+  category: String,
+  manufacturer: String,
+  reorderLevel: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+PharmacyItemSchema.index({ hospitalId: 1, nameKey: 1 }, { unique: true });
+
+// One batch of a pharmacy item
 const InventorySchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'PharmacyItem' },
   medicationName: String,
   batchNumber: String,
-  quantity: Number,
+  quantity: { type: Number, default: 0 },
   unitPrice: Number,
-  expiryDate: String,
+  expiryDate: Date,
   manufacturer: String,
   category: String,
+  reference: String, // Invoice or receipt number the batch arrived on
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
   addedAt: { type: Date, default: Date.now },
   lastUpdated: Date
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
+InventorySchema.index({ hospitalId: 1, itemId: 1, batchNumber: 1 });
+
+// Ledger of every change to pharmacy stock
+const PharmacyStockMovementSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'PharmacyItem', required: true },
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' },
+  medicationName: String,
+  batchNumber: String,
+  change: Number, // Positive for stock in, negative for stock out
+  balance: Number, // Batch quantity after the change
+  reason: String, // see pharmacy-stock.js REASONS
+  note: String,
+  reference: String, // Invoice / receipt number
+  encounterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter' }, // Visit it was dispensed for
+  at: { type: Date, default: Date.now },
+  by: String,
+  byId: String
+});
+
+PharmacyStockMovementSchema.index({ hospitalId: 1, at: -1 });
+PharmacyStockMovementSchema.index({ hospitalId: 1, itemId: 1, at: -1 });
+
+// Medicines handed over for a visit, printed as the pharmacy bill. A visit can have several
+// when a prescription is dispensed in parts.
+const DispenseSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  encounterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Encounter', required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  billNumber: String, // e.g. 'PH000042'
+  lines: [{
+    _id: false,
+    prescriptionIndex: Number, // Line of the visit's medications; empty for additions to a free-text prescription
+    prescribed: String, // As written by the doctor, e.g. 'Paracetamol 500mg tablet'
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'PharmacyItem' },
+    medicationName: String, // What was given
+    substituted: { type: Boolean, default: false },
+    substitutionReason: String,
+    requested: Number, // Still to dispense when this bill was made
+    quantity: { type: Number, default: 0 }, // Given
+    status: String, // see pharmacy-stock.js DISPENSE_STATUSES
+    reason: String, // Why a line was not (fully) dispensed
+    batches: [{
+      _id: false,
+      batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' },
+      batchNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+      unitPrice: Number
+    }],
+    amount: { type: Number, default: 0 }
+  }],
+  total: { type: Number, default: 0 },
+  note: String,
+  dispensedAt: { type: Date, default: Date.now },
+  dispensedBy: String,
+  dispensedById: String
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+DispenseSchema.index({ hospitalId: 1, encounterId: 1 });
+
 const AppointmentSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
   patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
   patientName: String,
   phone: String,
   department: String,
-  doctorId: Number,
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
   appointmentDate: String,
   appointmentTime: String,
   status: { type: String, default: 'scheduled' },
@@ -139,28 +476,286 @@ const AppointmentSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
+// A hospital's own drug-drug or drug-condition interaction, imported alongside the built-in
+// table in drug-safety.js; replaces a built-in row for the same pair
+const DrugInteractionSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  drugA: { type: String, required: true }, // Lower-cased drug, generic or class name
+  drugB: { type: String, required: true }, // Another drug, or a chronic condition
+  pairKey: String, // drugA|drugB sorted, unique per hospital
+  severity: { type: String, enum: ['minor', 'moderate', 'severe'], required: true },
+  effect: String,
+  advice: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+DrugInteractionSchema.index({ hospitalId: 1, pairKey: 1 }, { unique: true });
+
+// Someone the pharmacy or lab buys stock from
+const SupplierSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  name: { type: String, required: true },
+  nameKey: String, // Lower-cased name, unique per hospital
+  contactPerson: String,
+  phone: String,
+  email: String,
+  address: String,
+  taxNumber: String, // GSTIN or similar
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+SupplierSchema.index({ hospitalId: 1, nameKey: 1 }, { unique: true });
+
+// An order to a supplier for pharmacy items or lab inventory items (see `store`)
+const PurchaseOrderSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  poNumber: String, // e.g. 'PO000042'
+  store: { type: String, enum: ['pharmacy', 'lab'], required: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: String,
+  status: { type: String, default: 'ordered' }, // see purchasing.js PO_STATUSES
+  lines: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // PharmacyItem or LabInventory
+    itemName: String,
+    unit: String,
+    quantity: Number, // Ordered
+    received: { type: Number, default: 0 },
+    unitPrice: Number // Agreed price, the default when receiving
+  }],
+  expectedDate: Date,
+  note: String,
+  closeReason: String,
+  createdAt: { type: Date, default: Date.now },
+  createdBy: String,
+  createdById: String,
+  closedAt: Date,
+  closedBy: String
+}, { optimisticConcurrency: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+PurchaseOrderSchema.index({ hospitalId: 1, store: 1, createdAt: -1 });
+
+// Goods received note: the batches that arrived in one delivery, against a purchase order
+const GoodsReceiptSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  grnNumber: String, // e.g. 'GRN000042'
+  store: { type: String, enum: ['pharmacy', 'lab'], required: true },
+  purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' },
+  poNumber: String,
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+  supplierName: String,
+  invoiceNumber: String, // Supplier's invoice
+  invoiceDate: Date,
+  lines: [{
+    _id: false,
+    itemId: mongoose.Schema.Types.ObjectId,
+    itemName: String,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    unitPrice: Number
+  }],
+  total: { type: Number, default: 0 },
+  note: String,
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: String,
+  receivedById: String
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+GoodsReceiptSchema.index({ hospitalId: 1, receivedAt: -1 });
+GoodsReceiptSchema.index({ purchaseOrderId: 1 });
+
+// Stock sent back to a supplier, e.g. expired batches
+const SupplierReturnSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  returnNumber: String, // e.g. 'RTN000042'
+  store: { type: String, enum: ['pharmacy', 'lab'], required: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: String,
+  reason: String, // see purchasing.js RETURN_REASONS
+  lines: [{
+    _id: false,
+    itemId: mongoose.Schema.Types.ObjectId,
+    itemName: String,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    unitPrice: Number
+  }],
+  total: { type: Number, default: 0 },
+  note: String,
+  returnedAt: { type: Date, default: Date.now },
+  returnedBy: String,
+  returnedById: String
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+SupplierReturnSchema.index({ hospitalId: 1, returnedAt: -1 });
+
 const LabInventorySchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
   itemName: { type: String, required: true },
-  batchNumber: String,
-  quantity: { type: Number, default: 0 },
+  batchNumber: String, // Legacy single batch, moved into batches on load
+  quantity: { type: Number, default: 0 }, // Total across batches
   unit: String,
-  expiryDate: String,
+  expiryDate: String, // Legacy single batch, moved into batches on load
+  batches: [{
+    _id: false,
+    batchNumber: String,
+    quantity: Number,
+    expiryDate: Date,
+    unitPrice: Number,
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+    receivedAt: Date
+  }],
   minLevel: { type: Number, default: 10 },
-  status: { type: String, default: 'ok' },
+  status: { type: String, default: 'ok' }, // ok | low | out, see lab-stock.js
+  active: { type: Boolean, default: true },
   addedAt: { type: Date, default: Date.now },
   updatedAt: Date
-}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+}, { optimisticConcurrency: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Items created before batch tracking kept one quantity, batch number and expiry string
+LabInventorySchema.pre('init', function (doc) {
+  if ((doc.batches && doc.batches.length) || !(doc.quantity > 0)) return;
+  const expiry = doc.expiryDate ? new Date(doc.expiryDate) : null;
+  doc.batches = [{
+    batchNumber: doc.batchNumber || 'OPENING',
+    quantity: doc.quantity,
+    expiryDate: expiry && !Number.isNaN(expiry.getTime()) ? expiry : undefined
+  }];
+});
+
+// Ledger of every change to lab stock
+const LabStockMovementSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabInventory', required: true },
+  itemName: String,
+  batchNumber: String,
+  change: Number, // Positive for stock in, negative for stock out
+  balance: Number, // Item total after the change
+  reason: String, // see lab-stock.js REASONS
+  note: String,
+  testId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest' }, // Test that consumed it
+  at: { type: Date, default: Date.now },
+  by: String,
+  byId: String
+});
+
+LabStockMovementSchema.index({ hospitalId: 1, itemId: 1, at: -1 });
+
+// Normal limits for one age band / gender (ages in years; blank means open-ended)
+const ReferenceRangeSchema = new mongoose.Schema({
+  gender: { type: String, enum: ['any', 'male', 'female'], default: 'any' },
+  ageMin: Number,
+  ageMax: Number,
+  low: Number,
+  high: Number,
+  text: String // For non-numeric results, e.g. "Negative"
+}, { _id: false });
+
+const LabParameterSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  code: String,
+  unit: String,
+  dataType: { type: String, enum: ['numeric', 'text', 'option'], default: 'numeric' },
+  options: [String], // Choices for option lists
+  decimals: Number,
+  ranges: [ReferenceRangeSchema],
+  criticalLow: Number,
+  criticalHigh: Number,
+  deltaPercent: Number // Warn when a result differs from the patient's previous one by more than this
+}, { _id: false });
 
 const LabTestTypeSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
   name: { type: String, required: true },
+  code: String,
   category: String,
-  parameters: String, // JSON
+  sampleType: String, // Blood, Urine, Serum...
+  container: String, // EDTA (purple), Plain (red)...
+  parameters: [LabParameterSchema], // Shown in this order on the result form
+  isPanel: { type: Boolean, default: false },
+  panelTests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LabTestType' }], // Member tests of a panel
+  // Reagents and consumables used by one run, deducted from lab stock when results are entered
+  consumables: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabInventory' },
+    quantity: Number
+  }],
   price: { type: Number, default: 0 },
-  turnaroundTime: Number
+  turnaroundTime: Number, // Hours
+  active: { type: Boolean, default: true },
+  updatedAt: Date
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
 
+// Older entries stored parameters as a JSON string of names/units
+LabTestTypeSchema.pre('init', function (doc) {
+  if (typeof doc.parameters !== 'string') return;
+  let legacy = [];
+  try {
+    legacy = JSON.parse(doc.parameters) || [];
+  } catch (err) {
+    legacy = [];
+  }
+  doc.parameters = (Array.isArray(legacy) ? legacy : [])
+    .map(p => (typeof p === 'string' ? { name: p } : { name: p.name, unit: p.unit }))
+    .filter(p => p.name);
+});
+
+// A lab analyzer that sends results over TCP (ASTM or HL7) or drops files in a folder
+const LabInstrumentSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  name: { type: String, required: true },
+  code: { type: String, required: true }, // Recorded on tests as LabTest.machineId
+  protocol: { type: String, default: 'astm' }, // astm | hl7
+  connection: { type: String, default: 'tcp' }, // tcp | folder
+  port: Number, // Listening port for tcp instruments, unique across the server
+  folder: String, // Watched folder for folder instruments
+  // Instrument test codes that differ from the catalog parameter codes
+  codeMap: [{
+    _id: false,
+    code: String,
+    parameterName: String
+  }],
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+LabInstrumentSchema.index({ hospitalId: 1, code: 1 }, { unique: true });
+
+// Results received from an instrument, held until a technician reviews them
+const AnalyzerResultSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  instrumentId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabInstrument', required: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest' }, // Missing when the accession number did not match
+  accessionNumber: String,
+  protocol: String,
+  results: [{
+    _id: false,
+    code: String, // Instrument test code
+    name: String,
+    section: String, // Catalog row the code was mapped to
+    parameterName: String,
+    matched: Boolean,
+    value: String,
+    unit: String,
+    referenceRange: String, // As sent by the instrument
+    flag: String, // Instrument's own flag
+    resultAt: Date
+  }],
+  status: { type: String, default: 'pending' }, // pending | accepted | discarded
+  error: String, // Why the message could not be matched to a test
+  raw: String,
+  receivedAt: { type: Date, default: Date.now },
+  reviewedAt: Date,
+  reviewedBy: String
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+AnalyzerResultSchema.index({ hospitalId: 1, status: 1, receivedAt: -1 });
+
 const PrescriptionTemplateSchema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, unique: true },
   templateName: { type: String, default: 'Default Template' },
@@ -197,27 +792,61 @@ const PrescriptionTemplateSchema = new mongoose.Schema({
 // --- Models ---
 const Hospital = mongoose.model('Hospital', HospitalSchema);
 const User = mongoose.model('User', UserSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const RolePermission = mongoose.model('RolePermission', RolePermissionSchema);
+const Department = mongoose.model('Department', DepartmentSchema);
+const TokenCounter = mongoose.model('TokenCounter', TokenCounterSchema);
+const Doctor = mongoose.model('Doctor', DoctorSchema);
 const Patient = mongoose.model('Patient', PatientSchema);
+const Encounter = mongoose.model('Encounter', EncounterSchema);
 const Vital = mongoose.model('Vital', VitalSchema);
 const LabTest = mongoose.model('LabTest', LabTestSchema);
 const LabResult = mongoose.model('LabResult', LabResultSchema);
+const PharmacyItem = mongoose.model('PharmacyItem', PharmacyItemSchema);
 const Inventory = mongoose.model('Inventory', InventorySchema);
+const PharmacyStockMovement = mongoose.model('PharmacyStockMovement', PharmacyStockMovementSchema);
+const Dispense = mongoose.model('Dispense', DispenseSchema);
+const DrugInteraction = mongoose.model('DrugInteraction', DrugInteractionSchema);
 const Appointment = mongoose.model('Appointment', AppointmentSchema);
+const Supplier = mongoose.model('Supplier', SupplierSchema);
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+const GoodsReceipt = mongoose.model('GoodsReceipt', GoodsReceiptSchema);
+const SupplierReturn = mongoose.model('SupplierReturn', SupplierReturnSchema);
 const LabInventory = mongoose.model('LabInventory', LabInventorySchema);
+const LabStockMovement = mongoose.model('LabStockMovement', LabStockMovementSchema);
 const LabTestType = mongoose.model('LabTestType', LabTestTypeSchema);
+const LabInstrument = mongoose.model('LabInstrument', LabInstrumentSchema);
+const AnalyzerResult = mongoose.model('AnalyzerResult', AnalyzerResultSchema);
 const PrescriptionTemplate = mongoose.model('PrescriptionTemplate', PrescriptionTemplateSchema);
 
 module.exports = {
   connectDB,
   Hospital,
   User,
+  AuditLog,
+  RolePermission,
+  Department,
+  TokenCounter,
+  Doctor,
   Patient,
+  Encounter,
   Vital,
   LabTest,
   LabResult,
+  PharmacyItem,
   Inventory,
+  PharmacyStockMovement,
+  Dispense,
+  DrugInteraction,
   Appointment,
+  Supplier,
+  PurchaseOrder,
+  GoodsReceipt,
+  SupplierReturn,
   LabInventory,
+  LabStockMovement,
   LabTestType,
+  LabInstrument,
+  AnalyzerResult,
   PrescriptionTemplate
 };
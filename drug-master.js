@@ -0,0 +1,193 @@
+// Drug master: the medicines a hospital stocks and prescribes, checked the same way whether
+// entered on the stock screen or imported from a spreadsheet
+const { FORMS, ROUTES } = require('./prescriptions');
+
+// Drugs and Cosmetics Rules schedules that restrict sale; blank for over-the-counter
+const SCHEDULES = {
+    H: 'Schedule H',
+    H1: 'Schedule H1',
+    X: 'Schedule X'
+};
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Spreadsheet headings accepted for each field, lower-cased
+const IMPORT_COLUMNS = {
+    name: ['brand', 'brand name', 'name', 'medicine', 'drug'],
+    genericName: ['generic', 'generic name', 'salt', 'composition'],
+    strength: ['strength'],
+    form: ['form', 'dosage form'],
+    schedule: ['schedule'],
+    hsnCode: ['hsn', 'hsn code'],
+    gstRate: ['gst', 'gst %', 'gst rate'],
+    manufacturer: ['manufacturer', 'company'],
+    category: ['category'],
+    unit: ['unit', 'counted in'],
+    reorderLevel: ['reorder level', 'reorder'],
+    dose: ['dose', 'default dose'],
+    frequency: ['frequency', 'default frequency'],
+    route: ['route'],
+    durationDays: ['duration', 'duration (days)', 'days'],
+    instructions: ['instructions'],
+    formulary: ['formulary', 'on formulary']
+};
+
+// Import columns kept under defaultDosing
+const DOSING_FIELDS = ['dose', 'frequency', 'route', 'durationDays', 'instructions'];
+
+// Most rows read from one import file
+const MAX_IMPORT_ROWS = 5000;
+
+function text(value, max = 100) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().replace(/\s+/g, ' ').slice(0, max);
+}
+
+function optionalNumber(value) {
+    return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+// One key per medicine and strength and form, so 'Dolo 500mg tablet' and 'Dolo 650mg tablet' are separate entries
+function drugKey({ name, strength, form }) {
+    return [name, strength, form].map(v => text(v).toLowerCase().replace(/\s+/g, '')).join('|');
+}
+
+function yes(value) {
+    return ['yes', 'y', 'true', '1'].includes(text(value).toLowerCase());
+}
+
+/**
+ * Check and clean one drug. `body` uses the PharmacyItem field names, with the default
+ * dosing either nested in `defaultDosing` or flat (dose, frequency...) as on an import row.
+ * Returns { drug } or { error }.
+ */
+function checkDrug(body) {
+    const dosing = body.defaultDosing || body;
+    const schedule = text(body.schedule, 20).toUpperCase().replace(/^SCHEDULE\s*/, '');
+    const drug = {
+        name: text(body.name),
+        genericName: text(body.genericName, 200),
+        strength: text(body.strength, 30),
+        form: text(body.form, 20).toLowerCase(),
+        schedule: schedule || undefined,
+        hsnCode: text(body.hsnCode, 10),
+        gstRate: optionalNumber(body.gstRate),
+        unit: text(body.unit, 20) || 'units',
+        category: text(body.category, 50),
+        manufacturer: text(body.manufacturer),
+        reorderLevel: optionalNumber(body.reorderLevel) || 0,
+        formulary: typeof body.formulary === 'boolean' ? body.formulary : (body.formulary === undefined || body.formulary === '' ? true : yes(body.formulary)),
+        defaultDosing: {
+            dose: text(dosing.dose, 50),
+            frequency: text(dosing.frequency, 30),
+            route: text(dosing.route, 20).toLowerCase(),
+            durationDays: optionalNumber(dosing.durationDays),
+            instructions: text(dosing.instructions, 300)
+        }
+    };
+
+    if (!drug.name) return { error: 'Medicine name is required' };
+    if (drug.form && !FORMS.includes(drug.form)) return { error: `Unknown form "${drug.form}" (use ${FORMS.join(', ')})` };
+    if (drug.schedule && !SCHEDULES[drug.schedule]) return { error: `Unknown schedule "${drug.schedule}" (use H, H1, X or leave blank)` };
+    if (drug.hsnCode && !/^\d{4,8}$/.test(drug.hsnCode)) return { error: 'HSN code must be 4 to 8 digits' };
+    if (drug.gstRate !== undefined && !GST_RATES.includes(drug.gstRate)) return { error: `GST rate must be one of ${GST_RATES.join(', ')}` };
+    if (!Number.isFinite(drug.reorderLevel) || drug.reorderLevel < 0) return { error: 'Reorder level must be zero or more' };
+    if (drug.defaultDosing.route && !ROUTES.includes(drug.defaultDosing.route)) return { error: `Unknown route "${drug.defaultDosing.route}"` };
+    const days = drug.defaultDosing.durationDays;
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 365)) return { error: 'Default duration must be 1-365 days' };
+
+    drug.nameKey = drugKey(drug);
+    return { drug };
+}
+
+// The plain value of an ExcelJS cell (rich text, hyperlinks and formulas give their text or result)
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+        if (value.text !== undefined) return cellValue(value.text);
+        if (value.result !== undefined) return cellValue(value.result);
+        return '';
+    }
+    return value;
+}
+
+/**
+ * Read drug rows from a worksheet's values (arrays of cells, first row the headings).
+ * Returns { drugs: [{ row, drug }], errors: [{ row, error }], fields } with spreadsheet row numbers
+ * and the fields the sheet has columns for; a drug listed twice keeps its last row.
+ */
+function readImportRows(rows) {
+    const [header = [], ...body] = rows;
+    const headings = header.map(h => text(cellValue(h)).toLowerCase());
+    const columns = {};
+    Object.entries(IMPORT_COLUMNS).forEach(([field, names]) => {
+        const index = headings.findIndex(h => names.includes(h));
+        if (index >= 0) columns[field] = index;
+    });
+    if (columns.name === undefined) {
+        return { drugs: [], errors: [{ row: 1, error: `No medicine name column (expected one of: ${IMPORT_COLUMNS.name.join(', ')})` }], fields: [] };
+    }
+    if (body.length > MAX_IMPORT_ROWS) {
+        return { drugs: [], errors: [{ row: 1, error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` }], fields: [] };
+    }
+
+    const byKey = new Map();
+    const errors = [];
+    body.forEach((cells, i) => {
+        const row = i + 2;
+        const raw = {};
+        Object.entries(columns).forEach(([field, index]) => { raw[field] = cellValue(cells[index]); });
+        if (Object.values(raw).every(v => text(v) === '')) return;
+        const { drug, error } = checkDrug(raw);
+        if (error) errors.push({ row, error });
+        else byKey.set(drug.nameKey, { row, drug });
+    });
+    return { drugs: [...byKey.values()], errors, fields: Object.keys(columns) };
+}
+
+// Update of an existing medicine from an import row, touching only the columns the sheet has;
+// blank schedules, GST rates and durations are cleared
+function importUpdate(drug, fields) {
+    const $set = { nameKey: drug.nameKey };
+    const $unset = {};
+    fields.forEach(field => {
+        const path = DOSING_FIELDS.includes(field) ? `defaultDosing.${field}` : field;
+        const value = DOSING_FIELDS.includes(field) ? drug.defaultDosing[field] : drug[field];
+        if (value === undefined) $unset[path] = '';
+        else $set[path] = value;
+    });
+    return Object.keys($unset).length ? { $set, $unset } : { $set };
+}
+
+// A drug as offered to the doctor's prescription editor
+function suggestion(item) {
+    const dosing = item.defaultDosing || {};
+    return {
+        drugId: item._id,
+        drug: item.name,
+        genericName: item.genericName || undefined,
+        strength: item.strength,
+        form: item.form,
+        dose: dosing.dose,
+        frequency: dosing.frequency,
+        route: dosing.route || undefined,
+        durationDays: dosing.durationDays,
+        instructions: dosing.instructions,
+        schedule: item.schedule || undefined,
+        formulary: item.formulary !== false
+    };
+}
+
+module.exports = {
+    SCHEDULES,
+    GST_RATES,
+    IMPORT_COLUMNS,
+    drugKey,
+    checkDrug,
+    cellValue,
+    readImportRows,
+    importUpdate,
+    suggestion
+};
@@ -0,0 +1,268 @@
+// Prescribing safety checks: prescribed drugs against the patient's allergies and chronic
+// conditions, and against each other using the interaction table
+
+const SEVERITIES = {
+    minor: 'Minor',
+    moderate: 'Moderate',
+    severe: 'Severe'
+};
+
+const SEVERITY_RANK = { minor: 1, moderate: 2, severe: 3 };
+
+// Drug classes that allergies and interaction rows may name instead of single drugs
+const DRUG_CLASSES = {
+    penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'dicloxacillin', 'flucloxacillin', 'piperacillin'],
+    cephalosporin: ['cephalexin', 'cefalexin', 'cefadroxil', 'cefuroxime', 'cefixime', 'cefpodoxime', 'cefotaxime', 'ceftriaxone', 'ceftazidime', 'cefoperazone', 'cefepime'],
+    sulfa: ['sulfamethoxazole', 'cotrimoxazole', 'co-trimoxazole', 'sulfasalazine', 'sulfadiazine'],
+    nsaid: ['ibuprofen', 'diclofenac', 'aceclofenac', 'aspirin', 'naproxen', 'ketorolac', 'mefenamic acid', 'piroxicam', 'indomethacin', 'etoricoxib', 'nimesulide'],
+    macrolide: ['erythromycin', 'azithromycin', 'clarithromycin'],
+    fluoroquinolone: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'norfloxacin', 'moxifloxacin'],
+    statin: ['atorvastatin', 'simvastatin', 'rosuvastatin', 'lovastatin'],
+    ssri: ['fluoxetine', 'sertraline', 'escitalopram', 'citalopram', 'paroxetine'],
+    'ace inhibitor': ['enalapril', 'ramipril', 'lisinopril', 'perindopril', 'captopril'],
+    'beta blocker': ['propranolol', 'atenolol', 'metoprolol', 'bisoprolol', 'carvedilol'],
+    nitrate: ['nitroglycerin', 'glyceryl trinitrate', 'isosorbide'],
+    'pde5 inhibitor': ['sildenafil', 'tadalafil']
+};
+
+// Allergy to one class that warns, less strongly, on a related class
+const CROSS_REACTIONS = [
+    { allergy: 'penicillin', related: 'cephalosporin', severity: 'moderate', advice: 'Cross-reactivity is uncommon; avoid if the reaction was anaphylaxis' }
+];
+
+// Allergy entries that mean there are none
+const NO_ALLERGY = ['nil', 'none', 'no', 'nkda', 'nka', 'no known allergies', 'no known drug allergies', 'na', 'n/a', '-'];
+
+// Interactions checked for every hospital. The second term may be a drug or a chronic condition;
+// a row imported by the hospital for the same pair replaces the built-in one.
+const BASE_INTERACTIONS = [
+    { drugA: 'warfarin', drugB: 'nsaid', severity: 'severe', effect: 'Raised risk of bleeding', advice: 'Avoid; use paracetamol for pain' },
+    { drugA: 'warfarin', drugB: 'metronidazole', severity: 'severe', effect: 'INR rises sharply', advice: 'Avoid, or reduce the warfarin dose and check INR' },
+    { drugA: 'warfarin', drugB: 'fluconazole', severity: 'severe', effect: 'INR rises sharply', advice: 'Avoid, or reduce the warfarin dose and check INR' },
+    { drugA: 'clarithromycin', drugB: 'statin', severity: 'severe', effect: 'Myopathy and rhabdomyolysis', advice: 'Withhold the statin during the course' },
+    { drugA: 'methotrexate', drugB: 'cotrimoxazole', severity: 'severe', effect: 'Bone marrow suppression', advice: 'Avoid the combination' },
+    { drugA: 'pde5 inhibitor', drugB: 'nitrate', severity: 'severe', effect: 'Profound hypotension', advice: 'Contraindicated' },
+    { drugA: 'clopidogrel', drugB: 'omeprazole', severity: 'moderate', effect: 'Reduced antiplatelet effect', advice: 'Prefer pantoprazole' },
+    { drugA: 'ace inhibitor', drugB: 'spironolactone', severity: 'moderate', effect: 'Hyperkalaemia', advice: 'Monitor potassium' },
+    { drugA: 'ssri', drugB: 'tramadol', severity: 'moderate', effect: 'Serotonin syndrome and seizures', advice: 'Use a lower dose or another analgesic' },
+    { drugA: 'ciprofloxacin', drugB: 'theophylline', severity: 'moderate', effect: 'Theophylline toxicity', advice: 'Reduce the theophylline dose or choose another antibiotic' },
+    { drugA: 'nsaid', drugB: 'nsaid', severity: 'moderate', effect: 'Two NSAIDs together raise the risk of GI bleeding', advice: 'Prescribe only one' },
+    { drugA: 'nsaid', drugB: 'peptic ulcer', severity: 'severe', effect: 'Ulcer bleeding or perforation', advice: 'Avoid; use paracetamol' },
+    { drugA: 'nsaid', drugB: 'kidney disease', severity: 'moderate', effect: 'Worsening renal function', advice: 'Avoid or use the lowest dose for the shortest time' },
+    { drugA: 'beta blocker', drugB: 'asthma', severity: 'severe', effect: 'Bronchospasm', advice: 'Avoid non-selective beta blockers' },
+    { drugA: 'metformin', drugB: 'kidney disease', severity: 'moderate', effect: 'Lactic acidosis', advice: 'Check eGFR and adjust the dose' }
+];
+
+// Spreadsheet headings accepted for an interaction table import, lower-cased
+const IMPORT_COLUMNS = {
+    drugA: ['drug a', 'drug 1', 'drug'],
+    drugB: ['drug b', 'drug 2', 'interacts with', 'drug b / condition'],
+    severity: ['severity'],
+    effect: ['effect', 'interaction', 'description'],
+    advice: ['advice', 'management', 'recommendation']
+};
+
+function text(value, max = 100) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().replace(/\s+/g, ' ').slice(0, max);
+}
+
+function term(value) {
+    return text(value).toLowerCase();
+}
+
+// One key per pair, whichever way round it is written
+function pairKey(drugA, drugB) {
+    return [term(drugA), term(drugB)].sort().join('|');
+}
+
+/**
+ * Check and clean one interaction row: { drugA, drugB, severity, effect, advice }.
+ * Returns { interaction } or { error }.
+ */
+function checkInteraction(body) {
+    const interaction = {
+        drugA: term(body.drugA),
+        drugB: term(body.drugB),
+        severity: term(body.severity),
+        effect: text(body.effect, 300),
+        advice: text(body.advice, 300)
+    };
+    if (!interaction.drugA || !interaction.drugB) return { error: 'Both drugs (or a drug and a condition) are required' };
+    if (!SEVERITIES[interaction.severity]) return { error: `Severity must be one of ${Object.keys(SEVERITIES).join(', ')}` };
+    interaction.pairKey = pairKey(interaction.drugA, interaction.drugB);
+    return { interaction };
+}
+
+/**
+ * Read interaction rows from a worksheet's plain cell values (first row the headings).
+ * Returns { interactions: [{ row, interaction }], errors: [{ row, error }] }; a pair listed twice keeps its last row.
+ */
+function readImportRows(rows) {
+    const [header = [], ...body] = rows;
+    const headings = header.map(term);
+    const columns = {};
+    Object.entries(IMPORT_COLUMNS).forEach(([field, names]) => {
+        const index = headings.findIndex(h => names.includes(h));
+        if (index >= 0) columns[field] = index;
+    });
+    const missing = ['drugA', 'drugB', 'severity'].filter(f => columns[f] === undefined);
+    if (missing.length) {
+        return { interactions: [], errors: [{ row: 1, error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.map(f => IMPORT_COLUMNS[f][0]).join(', ')}` }] };
+    }
+
+    const byKey = new Map();
+    const errors = [];
+    body.forEach((cells, i) => {
+        const row = i + 2;
+        const raw = {};
+        Object.entries(columns).forEach(([field, index]) => { raw[field] = cells[index]; });
+        if (Object.values(raw).every(v => text(v) === '')) return;
+        const { interaction, error } = checkInteraction(raw);
+        if (error) errors.push({ row, error });
+        else byKey.set(interaction.pairKey, { row, interaction });
+    });
+    return { interactions: [...byKey.values()], errors };
+}
+
+// Shortest entry taken as a real allergy or condition; shorter fragments are noise
+const MIN_TERM_LENGTH = 3;
+
+// Entries of a free-text allergy or condition list: "Penicillin, sulfa drugs; asthma".
+// A list that as a whole says there are none ("N/A", "nil") has no entries.
+function listTerms(value) {
+    if (NO_ALLERGY.includes(term(value))) return [];
+    return String(value || '')
+        .split(/[,;\n]|\band\b/i)
+        .map(t => term(t).replace(/^allerg(y|ic) to\s+/, '').replace(/\s+(drugs?|allergy)$/, ''))
+        .filter(t => t.length >= MIN_TERM_LENGTH && !NO_ALLERGY.includes(t));
+}
+
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentions(haystack, word) {
+    return new RegExp(`(^|[^a-z])${escapeRegExp(word)}([^a-z]|$)`, 'i').test(haystack);
+}
+
+// The drug class a term names or belongs to, if any
+function classOf(name) {
+    if (DRUG_CLASSES[name]) return name;
+    return Object.keys(DRUG_CLASSES).find(c => DRUG_CLASSES[c].includes(name)) || null;
+}
+
+// Whether a prescribed drug (its brand and generic names) is the drug or in the class a term names
+function drugMatches(names, name) {
+    const members = DRUG_CLASSES[name] || [name];
+    return names.some(n => members.some(m => mentions(n, m)));
+}
+
+/**
+ * Warnings for one prescription, most severe first.
+ *
+ * @param {Array} medications - prescription lines ({ drug, strength, form, drugId })
+ * @param {Object} patient - { allergies, chronicConditions } as recorded at reception
+ * @param {Object} options
+ * @param {Map} options.generics - drug master generic names by drugId
+ * @param {Array} options.interactions - the hospital's imported rows, used alongside BASE_INTERACTIONS
+ * @returns {Array} [{ key, type: allergy|interaction|condition, severity, lines, drugs, message, advice }]
+ */
+function checkPrescription(medications, patient = {}, { generics = new Map(), interactions = [] } = {}) {
+    const lines = medications.map((med, index) => {
+        const generic = med.drugId ? generics.get(String(med.drugId)) : '';
+        return {
+            index,
+            label: [med.drug, med.strength, med.form].filter(Boolean).join(' '),
+            names: [med.drug, generic].filter(Boolean).map(n => String(n).toLowerCase())
+        };
+    });
+    const warnings = [];
+    const add = warning => {
+        if (!warnings.some(w => w.key === warning.key)) warnings.push(warning);
+    };
+
+    // Allergies: the drug itself, its class, and related classes
+    listTerms(patient.allergies).forEach(allergy => {
+        const allergyClass = classOf(allergy);
+        lines.forEach(line => {
+            if (drugMatches(line.names, allergy) || (allergyClass && drugMatches(line.names, allergyClass))) {
+                add({
+                    key: `allergy:${line.index}:${allergy}`,
+                    type: 'allergy',
+                    severity: 'severe',
+                    lines: [line.index],
+                    drugs: [line.label],
+                    message: `${line.label}: patient is allergic to ${allergy}`,
+                    advice: 'Choose a drug from another class'
+                });
+                return;
+            }
+            CROSS_REACTIONS.filter(c => c.allergy === allergyClass && drugMatches(line.names, c.related)).forEach(c => add({
+                key: `allergy:${line.index}:${allergy}`,
+                type: 'allergy',
+                severity: c.severity,
+                lines: [line.index],
+                drugs: [line.label],
+                message: `${line.label}: patient is allergic to ${allergy} (${c.related} cross-reactivity)`,
+                advice: c.advice
+            }));
+        });
+    });
+
+    // Interactions: the hospital's rows replace built-in rows for the same pair
+    const table = new Map(BASE_INTERACTIONS.map(i => [pairKey(i.drugA, i.drugB), i]));
+    interactions.forEach(i => table.set(pairKey(i.drugA, i.drugB), i));
+    const conditions = listTerms(patient.chronicConditions);
+
+    table.forEach((row, key) => {
+        [[row.drugA, row.drugB], [row.drugB, row.drugA]].forEach(([first, second]) => {
+            lines.filter(a => drugMatches(a.names, first)).forEach(a => {
+                lines.filter(b => b.index !== a.index && drugMatches(b.names, second)).forEach(b => {
+                    const pair = [a.index, b.index].sort((x, y) => x - y);
+                    add({
+                        key: `interaction:${pair.join(',')}:${key}`,
+                        type: 'interaction',
+                        severity: row.severity,
+                        lines: pair,
+                        drugs: pair.map(i => lines[i].label),
+                        message: `${a.label} + ${b.label}${row.effect ? `: ${row.effect}` : ''}`,
+                        advice: row.advice || ''
+                    });
+                });
+                const condition = conditions.find(c => mentions(c, second));
+                if (condition) {
+                    add({
+                        key: `condition:${a.index}:${key}`,
+                        type: 'condition',
+                        severity: row.severity,
+                        lines: [a.index],
+                        drugs: [a.label],
+                        message: `${a.label} with ${condition}${row.effect ? `: ${row.effect}` : ''}`,
+                        advice: row.advice || ''
+                    });
+                }
+            });
+        });
+    });
+
+    return warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || a.lines[0] - b.lines[0]);
+}
+
+// Warnings that may only be accepted with a reason
+function needsOverride(warnings) {
+    return warnings.filter(w => w.severity === 'severe');
+}
+
+module.exports = {
+    SEVERITIES,
+    DRUG_CLASSES,
+    BASE_INTERACTIONS,
+    IMPORT_COLUMNS,
+    pairKey,
+    checkInteraction,
+    readImportRows,
+    listTerms,
+    checkPrescription,
+    needsOverride
+};
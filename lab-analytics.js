@@ -0,0 +1,154 @@
+// Lab turnaround-time and workload figures, computed from the step timestamps on LabTest
+
+const MINUTE = 60 * 1000;
+
+// Linear-interpolated percentile of a list of numbers (null for an empty list)
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value);
+}
+
+// Minutes between two timestamps, or null when either step has not happened
+function minutesBetween(start, end) {
+    if (!start || !end) return null;
+    const minutes = (new Date(end) - new Date(start)) / MINUTE;
+    return minutes >= 0 ? minutes : null;
+}
+
+function summarize(values) {
+    const list = values.filter(v => v !== null);
+    return { count: list.length, median: round(percentile(list, 50)), p90: round(percentile(list, 90)) };
+}
+
+// Grouping helper: key -> bucket, created on first use
+function groupBy(items, keyOf, create) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (key === null || key === undefined) return;
+        if (!groups.has(key)) groups.set(key, create(item));
+        groups.get(key).items.push(item);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Turnaround times per test type. Total TAT runs from order to report; the stages are
+ * order → collection, collection → start of processing and start → report.
+ * A breach is a report later than the catalog TAT (hours); open tests already past it are overdue.
+ *
+ * @param {Array} tests - lean LabTest documents
+ * @param {Array} testTypes - lean LabTestType documents (for names and TAT targets)
+ * @param {Date} now
+ */
+function turnaroundByTest(tests, testTypes, now = new Date()) {
+    const typeById = new Map(testTypes.map(t => [String(t._id), t]));
+
+    return groupBy(
+        tests,
+        t => (t.testTypeId ? String(t.testTypeId) : t.testName),
+        t => {
+            const type = t.testTypeId ? typeById.get(String(t.testTypeId)) : null;
+            return { testName: type ? type.name : t.testName, targetHours: type ? type.turnaroundTime : undefined, items: [] };
+        }
+    ).map(group => {
+        const target = group.targetHours ? group.targetHours * 60 : null;
+        const reported = group.items.filter(t => t.completedAt);
+        const total = reported.map(t => minutesBetween(t.orderedAt, t.completedAt));
+        const open = group.items.filter(t => !t.completedAt && !['cancelled', 'reported', 'completed'].includes(t.status));
+        return {
+            testName: group.testName,
+            targetHours: group.targetHours || null,
+            ordered: group.items.length,
+            reported: reported.length,
+            tat: summarize(total),
+            toCollection: summarize(group.items.map(t => minutesBetween(t.orderedAt, t.sampleCollectedAt))),
+            toStart: summarize(group.items.map(t => minutesBetween(t.sampleCollectedAt, t.startedAt))),
+            processing: summarize(reported.map(t => minutesBetween(t.startedAt, t.completedAt))),
+            breaches: target ? total.filter(m => m !== null && m > target).length : 0,
+            overdue: target ? open.filter(t => minutesBetween(t.orderedAt, now) > target).length : 0
+        };
+    }).sort((a, b) => b.ordered - a.ordered);
+}
+
+/**
+ * Sample rejections by reason. Every rejection in a test's history counts, so a sample
+ * rejected twice before a good recollection shows up twice.
+ */
+function rejectionsByReason(tests) {
+    const reasons = new Map();
+    let rejections = 0;
+    tests.forEach(t => {
+        const history = (t.statusHistory || []).filter(h => h.to === 'rejected');
+        const entries = history.length ? history.map(h => h.reason) : (t.rejectedAt ? [t.rejectionReason] : []);
+        entries.forEach(reason => {
+            const key = (reason || 'Not given').trim();
+            reasons.set(key, (reasons.get(key) || 0) + 1);
+            rejections++;
+        });
+    });
+    const collected = tests.filter(t => t.sampleCollectedAt).length;
+    return {
+        samples: collected,
+        rejections,
+        rate: collected ? Math.round((rejections / collected) * 1000) / 10 : 0,
+        reasons: [...reasons.entries()]
+            .map(([reason, count]) => ({ reason, count, share: Math.round((count / rejections) * 1000) / 10 }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+// Tests handled and processing time (start to results) for each technician or each machine
+function workloadBy(tests, keyOf, labelOf) {
+    return groupBy(tests, keyOf, t => ({ name: labelOf(t), items: [] }))
+        .map(group => ({
+            name: group.name,
+            tests: group.items.length,
+            resulted: group.items.filter(t => t.resultDate).length,
+            urgent: group.items.filter(t => t.priority === 'urgent').length,
+            processing: summarize(group.items.map(t => minutesBetween(t.startedAt, t.resultDate)))
+        }))
+        .sort((a, b) => b.tests - a.tests);
+}
+
+/**
+ * All lab analytics for a set of tests ordered in the reporting period.
+ */
+function labAnalytics(tests, testTypes, now = new Date()) {
+    const reported = tests.filter(t => t.completedAt);
+    const byTest = turnaroundByTest(tests, testTypes, now);
+    return {
+        summary: {
+            ordered: tests.length,
+            reported: reported.length,
+            cancelled: tests.filter(t => t.status === 'cancelled').length,
+            urgent: tests.filter(t => t.priority === 'urgent').length,
+            tat: summarize(reported.map(t => minutesBetween(t.orderedAt, t.completedAt))),
+            urgentTat: summarize(reported.filter(t => t.priority === 'urgent').map(t => minutesBetween(t.orderedAt, t.completedAt))),
+            breaches: byTest.reduce((sum, t) => sum + t.breaches, 0),
+            overdue: byTest.reduce((sum, t) => sum + t.overdue, 0)
+        },
+        byTest,
+        rejections: rejectionsByReason(tests),
+        // Assigned technician, otherwise whoever entered the results
+        byTechnician: workloadBy(
+            tests,
+            t => t.technicianId || t.resultedById || null,
+            t => (t.technicianId ? t.technicianName : t.resultedBy) || 'Unknown'
+        ),
+        byMachine: workloadBy(tests, t => t.machineId || null, t => t.machineId)
+    };
+}
+
+module.exports = {
+    percentile,
+    labAnalytics
+};
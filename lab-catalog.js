@@ -0,0 +1,280 @@
+// Lab test catalog: validation of test definitions and reference range lookup
+
+const DATA_TYPES = ['numeric', 'text', 'option'];
+const GENDERS = ['any', 'male', 'female'];
+
+// Most parameters a single test may define
+const MAX_PARAMETERS = 60;
+
+function text(value, max = 100) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, max);
+}
+
+// Blank stays undefined, anything else must be a number
+function optionalNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return Number(value);
+}
+
+function normalizeRange(range, label, errors) {
+    const r = {
+        gender: text(range && range.gender, 10).toLowerCase() || 'any',
+        ageMin: optionalNumber(range && range.ageMin),
+        ageMax: optionalNumber(range && range.ageMax),
+        low: optionalNumber(range && range.low),
+        high: optionalNumber(range && range.high),
+        text: text(range && range.text, 100)
+    };
+
+    if (!GENDERS.includes(r.gender)) errors.push(`${label}: unknown gender "${r.gender}"`);
+    ['ageMin', 'ageMax', 'low', 'high'].forEach(f => {
+        if (r[f] !== undefined && !Number.isFinite(r[f])) errors.push(`${label}: ${f} must be a number`);
+    });
+    if (r.ageMin !== undefined && r.ageMax !== undefined && r.ageMin > r.ageMax) {
+        errors.push(`${label}: age band is reversed`);
+    }
+    if (r.low !== undefined && r.high !== undefined && r.low > r.high) {
+        errors.push(`${label}: low limit is above the high limit`);
+    }
+    if (r.low === undefined && r.high === undefined && !r.text) {
+        errors.push(`${label}: give limits or a text range`);
+    }
+    return r;
+}
+
+function normalizeParameter(param, n, errors) {
+    const label = `Parameter ${n}`;
+    const p = {
+        name: text(param && param.name),
+        code: text(param && param.code, 20),
+        unit: text(param && param.unit, 30),
+        dataType: text(param && param.dataType, 10).toLowerCase() || 'numeric',
+        options: Array.isArray(param && param.options)
+            ? param.options.map(o => text(o, 50)).filter(Boolean)
+            : text(param && param.options, 500).split(',').map(o => o.trim()).filter(Boolean),
+        decimals: optionalNumber(param && param.decimals),
+        criticalLow: optionalNumber(param && param.criticalLow),
+        criticalHigh: optionalNumber(param && param.criticalHigh),
+        deltaPercent: optionalNumber(param && param.deltaPercent),
+        ranges: []
+    };
+
+    if (!p.name) errors.push(`${label}: name is required`);
+    if (!DATA_TYPES.includes(p.dataType)) errors.push(`${label}: unknown data type "${p.dataType}"`);
+    if (p.dataType === 'option' && p.options.length === 0) errors.push(`${label}: an option list needs at least one option`);
+    if (p.dataType !== 'option') p.options = [];
+    if (p.decimals !== undefined && (!Number.isInteger(p.decimals) || p.decimals < 0 || p.decimals > 6)) {
+        errors.push(`${label}: decimals must be 0-6`);
+    }
+    ['criticalLow', 'criticalHigh'].forEach(f => {
+        if (p[f] !== undefined && !Number.isFinite(p[f])) errors.push(`${label}: ${f} must be a number`);
+    });
+    if (p.dataType !== 'numeric' && (p.criticalLow !== undefined || p.criticalHigh !== undefined)) {
+        errors.push(`${label}: critical limits only apply to numeric parameters`);
+    }
+    if (p.deltaPercent !== undefined && !(p.deltaPercent > 0)) errors.push(`${label}: delta check must be a percentage above zero`);
+    if (p.dataType !== 'numeric' && p.deltaPercent !== undefined) {
+        errors.push(`${label}: delta checks only apply to numeric parameters`);
+    }
+
+    const ranges = Array.isArray(param && param.ranges) ? param.ranges : [];
+    p.ranges = ranges.map((r, i) => normalizeRange(r, `${label} range ${i + 1}`, errors));
+    return p;
+}
+
+/**
+ * Validate and clean a catalog entry sent by the lab settings editor.
+ * Returns { testType, errors }.
+ */
+function normalizeTestType(body) {
+    const errors = [];
+    const testType = {
+        name: text(body.name),
+        code: text(body.code, 20).toUpperCase(),
+        category: text(body.category, 50),
+        sampleType: text(body.sampleType, 50),
+        container: text(body.container, 50),
+        turnaroundTime: optionalNumber(body.turnaroundTime),
+        price: optionalNumber(body.price) || 0,
+        isPanel: Boolean(body.isPanel),
+        panelTests: [],
+        parameters: [],
+        consumables: []
+    };
+
+    if (!testType.name) errors.push('Name is required');
+    if (testType.turnaroundTime !== undefined && (!Number.isFinite(testType.turnaroundTime) || testType.turnaroundTime <= 0)) {
+        errors.push('Turnaround time must be a positive number of hours');
+    }
+    if (!Number.isFinite(testType.price) || testType.price < 0) errors.push('Price must be zero or more');
+
+    if (testType.isPanel) {
+        testType.panelTests = Array.isArray(body.panelTests) ? [...new Set(body.panelTests.map(String))] : [];
+        if (testType.panelTests.length < 2) errors.push('A panel needs at least two tests');
+    } else {
+        const params = Array.isArray(body.parameters) ? body.parameters : [];
+        if (params.length === 0) errors.push('Add at least one parameter');
+        if (params.length > MAX_PARAMETERS) errors.push(`A test can have at most ${MAX_PARAMETERS} parameters`);
+        testType.parameters = params.slice(0, MAX_PARAMETERS).map((p, i) => normalizeParameter(p, i + 1, errors));
+    }
+
+    // Reagent usage per run: one line per inventory item
+    const consumables = Array.isArray(body.consumables) ? body.consumables : [];
+    consumables.forEach((c, i) => {
+        const itemId = text(c && c.itemId, 30);
+        const quantity = optionalNumber(c && c.quantity);
+        if (!itemId && quantity === undefined) return;
+        if (!itemId) errors.push(`Reagent ${i + 1}: choose an inventory item`);
+        if (!Number.isFinite(quantity) || quantity <= 0) errors.push(`Reagent ${i + 1}: quantity must be more than zero`);
+        testType.consumables.push({ itemId, quantity });
+    });
+    if (new Set(testType.consumables.map(c => c.itemId)).size !== testType.consumables.length) {
+        errors.push('Each reagent can only be listed once');
+    }
+
+    return { testType, errors };
+}
+
+/**
+ * Pick the reference range for a patient: gender-specific bands win over "any",
+ * and a matching age band wins over one without ages.
+ */
+function referenceRangeFor(parameter, { age, gender } = {}) {
+    const patientGender = (gender || '').toLowerCase();
+    const patientAge = Number(age);
+    const candidates = (parameter.ranges || []).filter(r => {
+        if (r.gender && r.gender !== 'any' && r.gender !== patientGender) return false;
+        const hasAge = r.ageMin !== undefined && r.ageMin !== null || r.ageMax !== undefined && r.ageMax !== null;
+        if (hasAge && !Number.isFinite(patientAge)) return false;
+        if (r.ageMin !== undefined && r.ageMin !== null && patientAge < r.ageMin) return false;
+        if (r.ageMax !== undefined && r.ageMax !== null && patientAge > r.ageMax) return false;
+        return true;
+    });
+
+    const score = r => (r.gender && r.gender !== 'any' ? 2 : 0) +
+        (r.ageMin !== undefined && r.ageMin !== null || r.ageMax !== undefined && r.ageMax !== null ? 1 : 0);
+    return candidates.sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+// "4.0 - 11.0", "< 200", "> 40" or the range's own text
+function formatRange(range) {
+    if (!range) return '';
+    const hasLow = range.low !== undefined && range.low !== null;
+    const hasHigh = range.high !== undefined && range.high !== null;
+    if (hasLow && hasHigh) return `${range.low} - ${range.high}`;
+    if (hasHigh) return `< ${range.high}`;
+    if (hasLow) return `> ${range.low}`;
+    return range.text || '';
+}
+
+/**
+ * Result entry rows for a test type (panels expand to their members' parameters),
+ * with the reference range that applies to this patient.
+ *
+ * @param {Array} sections - [{ section, parameters }] in display order
+ * @param {Object} patient - { age, gender }
+ */
+function buildResultForm(sections, patient) {
+    const rows = [];
+    sections.forEach(({ section, parameters }) => {
+        (parameters || []).forEach(param => {
+            const range = referenceRangeFor(param, patient);
+            rows.push({
+                section: section || undefined,
+                parameterName: param.name,
+                code: param.code,
+                unit: param.unit,
+                dataType: param.dataType || 'numeric',
+                options: param.options || [],
+                decimals: param.decimals,
+                low: range ? range.low : undefined,
+                high: range ? range.high : undefined,
+                rangeText: range ? range.text : undefined,
+                referenceRange: formatRange(range),
+                criticalLow: param.criticalLow,
+                criticalHigh: param.criticalHigh,
+                deltaPercent: param.deltaPercent
+            });
+        });
+    });
+    return rows;
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Flag a value against its form row: LL/HH at or beyond the critical limits,
+ * L/H outside the reference range, A for a text result that differs from the expected text.
+ */
+function flagFor(row, value) {
+    if (row.dataType === 'numeric') {
+        const number = Number(value);
+        if (isSet(row.criticalLow) && number <= row.criticalLow) return 'LL';
+        if (isSet(row.criticalHigh) && number >= row.criticalHigh) return 'HH';
+        if (isSet(row.low) && number < row.low) return 'L';
+        if (isSet(row.high) && number > row.high) return 'H';
+        return '';
+    }
+    if (row.rangeText && value.toLowerCase() !== row.rangeText.toLowerCase()) return 'A';
+    return '';
+}
+
+/**
+ * Check submitted values against the result form. Blank values are skipped;
+ * unit, reference range and flags always come from the catalog, never the client.
+ * Returns { results, errors }.
+ */
+function checkResults(form, submitted) {
+    const errors = [];
+    const key = r => `${r.section || ''}|${r.parameterName}`;
+    const values = new Map((submitted || []).map(r => [key(r), r]));
+    const results = [];
+
+    form.forEach(row => {
+        const entry = values.get(key(row));
+        const value = text(entry && entry.value, 200);
+        if (!value) return;
+        const label = row.section ? `${row.section} - ${row.parameterName}` : row.parameterName;
+
+        if (row.dataType === 'numeric' && !Number.isFinite(Number(value))) {
+            errors.push(`${label}: "${value}" is not a number`);
+            return;
+        }
+        if (row.dataType === 'option' && !row.options.includes(value)) {
+            errors.push(`${label}: choose one of ${row.options.join(', ')}`);
+            return;
+        }
+
+        const flag = flagFor(row, value);
+        results.push({
+            section: row.section,
+            parameterName: row.parameterName,
+            value,
+            unit: row.unit,
+            referenceRange: row.referenceRange,
+            rangeLow: row.low,
+            rangeHigh: row.high,
+            flag,
+            isAbnormal: flag !== '',
+            isCritical: flag === 'LL' || flag === 'HH',
+            notes: text(entry.notes, 300) || undefined
+        });
+    });
+
+    if (errors.length === 0 && results.length === 0) errors.push('Enter at least one result');
+    return { results, errors };
+}
+
+module.exports = {
+    DATA_TYPES,
+    GENDERS,
+    normalizeTestType,
+    referenceRangeFor,
+    formatRange,
+    buildResultForm,
+    flagFor,
+    checkResults
+};
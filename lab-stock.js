@@ -0,0 +1,139 @@
+// Lab reagent stock: batches with expiry, first-expiry-first-out deduction and stock status
+
+// Why stock changed; the first two are recorded automatically
+const REASONS = {
+    consumption: 'Used in tests',
+    received: 'Received',
+    count_correction: 'Stock count correction',
+    wastage: 'Wastage / spillage',
+    expired: 'Expired',
+    damaged: 'Damaged',
+    returned: 'Returned to supplier'
+};
+
+// Reasons a user may pick for a manual adjustment
+const ADJUSTMENT_REASONS = ['count_correction', 'wastage', 'expired', 'damaged', 'returned'];
+
+// Batches expiring within this many days are flagged on the lab overview
+const EXPIRY_WARNING_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function isExpired(batch, now = new Date()) {
+    return Boolean(batch.expiryDate) && new Date(batch.expiryDate) < now;
+}
+
+// Usable batches, soonest expiry first (batches without an expiry go last)
+function fefoOrder(batches, now = new Date()) {
+    return batches
+        .filter(b => b.quantity > 0 && !isExpired(b, now))
+        .sort((a, b) => (a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity) -
+            (b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity));
+}
+
+// ok, low (at or below the minimum level, the same rule as the pharmacy's reorder level) or out
+function stockStatus(item) {
+    if (item.quantity <= 0) return 'out';
+    if (item.quantity <= (item.minLevel || 0)) return 'low';
+    return 'ok';
+}
+
+/**
+ * Recompute the item total from its batches and its status against minLevel.
+ * Empty batches are dropped.
+ */
+function refresh(item) {
+    item.batches = item.batches.filter(b => b.quantity > 0);
+    item.quantity = item.batches.reduce((sum, b) => sum + b.quantity, 0);
+    item.status = stockStatus(item);
+    item.updatedAt = new Date();
+    return item;
+}
+
+/**
+ * Add received stock to a batch (a new batch unless the number already exists).
+ * Returns the ledger lines.
+ */
+function addStock(item, { batchNumber, quantity, expiryDate, unitPrice, supplierId }) {
+    const existing = item.batches.find(b => b.batchNumber === batchNumber);
+    if (existing) {
+        existing.quantity += quantity;
+        if (expiryDate) existing.expiryDate = expiryDate;
+        if (unitPrice !== undefined) existing.unitPrice = unitPrice;
+        if (supplierId) existing.supplierId = supplierId;
+    } else {
+        item.batches.push({ batchNumber, quantity, expiryDate, unitPrice, supplierId, receivedAt: new Date() });
+    }
+    return [{ batchNumber, change: quantity }];
+}
+
+/**
+ * Take stock out, from one batch or first-expiry-first-out across usable batches.
+ * Returns { lines, shortfall } - whatever could not be taken is the shortfall.
+ */
+function takeStock(item, quantity, { batchNumber, now = new Date() } = {}) {
+    const batches = batchNumber
+        ? item.batches.filter(b => b.batchNumber === batchNumber)
+        : fefoOrder(item.batches, now);
+    const lines = [];
+    let remaining = quantity;
+    for (const batch of batches) {
+        if (remaining <= 0) break;
+        const taken = Math.min(batch.quantity, remaining);
+        if (taken <= 0) continue;
+        batch.quantity -= taken;
+        remaining -= taken;
+        lines.push({ batchNumber: batch.batchNumber, change: -taken });
+    }
+    return { lines, shortfall: remaining };
+}
+
+/**
+ * Low / out of stock items and batches that have expired or expire soon.
+ */
+function stockAlerts(items, now = new Date()) {
+    const soon = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY);
+    const lowStock = items
+        .filter(i => i.active !== false && stockStatus(i) !== 'ok')
+        .map(i => ({ id: i._id, itemName: i.itemName, quantity: i.quantity, unit: i.unit, minLevel: i.minLevel, status: stockStatus(i) }));
+    const expiring = [];
+    items.filter(i => i.active !== false).forEach(i => (i.batches || []).forEach(b => {
+        if (!b.expiryDate || b.quantity <= 0 || new Date(b.expiryDate) > soon) return;
+        expiring.push({
+            id: i._id,
+            itemName: i.itemName,
+            batchNumber: b.batchNumber,
+            quantity: b.quantity,
+            unit: i.unit,
+            expiryDate: b.expiryDate,
+            expired: isExpired(b, now)
+        });
+    }));
+    expiring.sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+    return { lowStock, expiring };
+}
+
+/**
+ * Add up the reagents used by one run of each test type, by inventory item.
+ * Returns [{ itemId, quantity }].
+ */
+function totalUsage(consumableLists) {
+    const totals = new Map();
+    consumableLists.flat().forEach(c => {
+        const key = String(c.itemId);
+        totals.set(key, (totals.get(key) || 0) + c.quantity);
+    });
+    return [...totals.entries()].map(([itemId, quantity]) => ({ itemId, quantity }));
+}
+
+module.exports = {
+    REASONS,
+    ADJUSTMENT_REASONS,
+    EXPIRY_WARNING_DAYS,
+    stockStatus,
+    refresh,
+    addStock,
+    takeStock,
+    stockAlerts,
+    totalUsage
+};
@@ -0,0 +1,143 @@
+// Cumulative lab results for a patient: one series per parameter across their tests, and delta checks
+
+// Parameters are matched across tests and panels by name, ignoring case and spacing
+function parameterKey(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// When a result was taken: sample collection, falling back to when the test was ordered
+function resultTime(test) {
+    return new Date(test.sampleCollectedAt || test.orderedAt);
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return value !== '' && value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Group a patient's results into one series per parameter, oldest point first.
+ *
+ * @param {Array} tests - LabTest documents whose results may be shown
+ * @param {Array} results - LabResult documents of those tests
+ * @returns {Array} [{ parameterName, unit, referenceRange, rangeLow, rangeHigh, numeric, points }]
+ */
+function buildTrends(tests, results) {
+    const testById = new Map(tests.map(t => [String(t._id), t]));
+    const series = new Map();
+
+    results.forEach(r => {
+        const test = testById.get(String(r.testId));
+        if (!test || r.value === undefined || r.value === null || r.value === '') return;
+        const key = parameterKey(r.parameterName);
+        if (!series.has(key)) series.set(key, { parameterName: r.parameterName, points: [] });
+        series.get(key).points.push({
+            testId: test._id,
+            orderId: test.orderId,
+            testName: test.testName,
+            section: r.section || undefined,
+            at: resultTime(test),
+            value: r.value,
+            number: toNumber(r.value),
+            unit: r.unit,
+            referenceRange: r.referenceRange,
+            rangeLow: r.rangeLow,
+            rangeHigh: r.rangeHigh,
+            flag: r.flag || '',
+            amended: Boolean(r.amended),
+            delta: r.delta && r.delta.previousValue !== undefined ? r.delta : undefined
+        });
+    });
+
+    return [...series.values()].map(s => {
+        s.points.sort((a, b) => a.at - b.at);
+        const latest = s.points[s.points.length - 1];
+        return {
+            parameterName: s.parameterName,
+            unit: latest.unit,
+            referenceRange: latest.referenceRange,
+            rangeLow: latest.rangeLow,
+            rangeHigh: latest.rangeHigh,
+            numeric: s.points.every(p => p.number !== null),
+            points: s.points
+        };
+    }).sort((a, b) => a.parameterName.localeCompare(b.parameterName));
+}
+
+function findSeries(trends, parameterName) {
+    const key = parameterKey(parameterName);
+    return trends.find(s => parameterKey(s.parameterName) === key) || null;
+}
+
+/**
+ * Compare a new value with the patient's previous one for the same parameter.
+ * Returns null when either value is not a number; otherwise the change in percent
+ * (null when the previous value was zero) and whether it is beyond the limit.
+ *
+ * @param {string} value - the new result
+ * @param {Object} previous - { value, at, testId }
+ * @param {number} limit - allowed change in percent
+ */
+function deltaCheck(value, previous, limit) {
+    const current = toNumber(value);
+    const before = toNumber(previous && previous.value);
+    if (current === null || before === null) return null;
+
+    const percent = before === 0
+        ? (current === 0 ? 0 : null)
+        : Math.round(((current - before) / Math.abs(before)) * 1000) / 10;
+    return {
+        previousValue: String(previous.value),
+        previousAt: previous.at,
+        previousTestId: previous.testId,
+        percent,
+        limit,
+        exceeded: percent === null || Math.abs(percent) > limit
+    };
+}
+
+/**
+ * The last few results of each numeric parameter as a table for the printed report:
+ * one column per order (or test, for older single orders), oldest first.
+ * Parameters with a single result are left out.
+ *
+ * @param {Array} trends - from buildTrends
+ * @param {Array} parameterNames - parameters printed on the report
+ * @param {number} columns - how many results to show
+ * @returns {{ dates: Array, rows: Array }} rows are { parameterName, unit, values } with '' for gaps
+ */
+function trendTable(trends, parameterNames, columns = 5) {
+    const wanted = [...new Set(parameterNames.map(parameterKey))];
+    const series = trends.filter(s => wanted.includes(parameterKey(s.parameterName)) && s.numeric && s.points.length > 1);
+
+    // Columns are the latest orders across all printed parameters
+    const column = p => String(p.orderId || p.testId);
+    const orders = new Map();
+    series.forEach(s => s.points.forEach(p => {
+        if (!orders.has(column(p)) || p.at < orders.get(column(p))) orders.set(column(p), p.at);
+    }));
+    const dates = [...orders.entries()]
+        .map(([key, at]) => ({ key, at }))
+        .sort((a, b) => a.at - b.at)
+        .slice(-columns);
+
+    const rows = series.map(s => ({
+        parameterName: s.parameterName,
+        unit: s.unit,
+        values: dates.map(d => {
+            const point = [...s.points].reverse().find(p => column(p) === d.key);
+            return point ? `${point.value}${point.flag ? ` ${point.flag}` : ''}` : '';
+        })
+    })).filter(row => row.values.filter(Boolean).length > 1);
+
+    return { dates, rows };
+}
+
+module.exports = {
+    parameterKey,
+    resultTime,
+    buildTrends,
+    findSeries,
+    deltaCheck,
+    trendTable
+};
@@ -0,0 +1,165 @@
+// Lab test lifecycle: statuses, allowed transitions and what each step records
+
+const STATUSES = [
+    'ordered', 'collected', 'received', 'in_progress', 'resulted', 'verified', 'reported',
+    'rejected', 'recollect', 'cancelled'
+];
+
+// Where a test may go next from each status
+const TRANSITIONS = {
+    ordered: ['collected', 'cancelled'],
+    collected: ['received', 'rejected', 'cancelled'],
+    received: ['in_progress', 'rejected', 'cancelled'],
+    in_progress: ['resulted', 'rejected', 'cancelled'],
+    resulted: ['verified', 'in_progress'],
+    verified: ['reported'],
+    reported: [],
+    rejected: ['recollect', 'cancelled'],
+    recollect: ['collected', 'cancelled'],
+    cancelled: []
+};
+
+// Permission needed to move a test into each status
+const STATUS_PERMISSIONS = {
+    collected: 'lab:collect',
+    received: 'lab:process',
+    in_progress: 'lab:process',
+    resulted: 'lab:results',
+    verified: 'lab:verify',
+    reported: 'lab:results',
+    rejected: 'lab:collect',
+    recollect: 'lab:collect',
+    cancelled: 'lab:process'
+};
+
+// Timestamp (and actor name) fields stamped when a test enters each status
+const STEP_FIELDS = {
+    collected: { at: 'sampleCollectedAt', by: 'sampleCollectedBy' },
+    received: { at: 'receivedAt', by: 'receivedBy' },
+    in_progress: { at: 'startedAt', by: 'startedBy' },
+    resulted: { at: 'resultDate', by: 'resultedBy' },
+    verified: { at: 'verifiedAt', by: 'verifiedBy' },
+    reported: { at: 'completedAt', by: 'reportedBy' },
+    rejected: { at: 'rejectedAt', by: 'rejectedBy' },
+    cancelled: { at: 'cancelledAt', by: 'cancelledBy' }
+};
+
+// Statuses that need a reason in the history entry
+const REASON_REQUIRED = ['rejected', 'cancelled'];
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUSES = {
+    pending: 'ordered',
+    completed: 'reported'
+};
+
+// Sample status shown to collectors, kept in step with the test status
+const SAMPLE_STATUSES = {
+    ordered: 'pending',
+    recollect: 'pending',
+    collected: 'collected',
+    rejected: 'rejected'
+};
+
+function currentStatus(test) {
+    const status = test.status || 'ordered';
+    return LEGACY_STATUSES[status] || status;
+}
+
+// Everyone who entered or changed results (whose entries need a second check), as user ids and
+// usernames taken from the test, its status history and its result rows
+function resultEnterers(test, results = []) {
+    const ids = new Set((test.resultEnteredBy || []).map(String));
+    const names = new Set();
+    const add = (id, name) => {
+        if (id) ids.add(String(id));
+        if (name) names.add(name);
+    };
+    add(test.resultedById, test.resultedBy);
+    (test.statusHistory || []).filter(h => h.to === 'resulted').forEach(h => add(h.byId, h.byName));
+    results.forEach(r => add(r.enteredById, r.enteredBy));
+    return { ids, names };
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Status names to query for, including legacy names that mean the same thing
+ */
+function expandStatuses(statuses) {
+    const list = [...statuses];
+    Object.entries(LEGACY_STATUSES).forEach(([legacy, status]) => {
+        if (list.includes(status)) list.push(legacy);
+    });
+    return list;
+}
+
+/**
+ * Check a move and build the update for it.
+ * Returns { error } when the move is not allowed, otherwise { from, update }.
+ *
+ * @param {Object} test - current LabTest document
+ * @param {string} to - status to move into
+ * @param {Object} actor - { userId, name, reason }
+ * @param {Array} results - the test's LabResult rows, checked when verifying
+ */
+function planTransition(test, to, actor = {}, results = []) {
+    const from = currentStatus(test);
+    if (!STATUSES.includes(to)) {
+        return { error: `Unknown status "${to}"` };
+    }
+    if (!canTransition(from, to)) {
+        const allowed = TRANSITIONS[from] || [];
+        return {
+            error: `Cannot move a test from ${from} to ${to}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (no further changes allowed)')
+        };
+    }
+    const reason = actor.reason ? String(actor.reason).trim().slice(0, 500) : '';
+    if (REASON_REQUIRED.includes(to) && !reason) {
+        return { error: `A reason is required to mark a test ${to}` };
+    }
+    if (to === 'verified') {
+        const enterers = resultEnterers(test, results);
+        if ((actor.userId && enterers.ids.has(String(actor.userId))) || (actor.name && enterers.names.has(actor.name))) {
+            return { error: 'Results must be verified by someone other than the people who entered them' };
+        }
+    }
+
+    const now = new Date();
+    const set = { status: to };
+    const step = STEP_FIELDS[to];
+    if (step) {
+        set[step.at] = now;
+        set[step.by] = actor.name;
+    }
+    if (SAMPLE_STATUSES[to]) set.sampleStatus = SAMPLE_STATUSES[to];
+    if (to === 'rejected') set.rejectionReason = reason;
+
+    const update = {
+        $set: set,
+        $push: {
+            statusHistory: {
+                from,
+                to,
+                at: now,
+                byId: actor.userId ? String(actor.userId) : undefined,
+                byName: actor.name,
+                reason: reason || undefined
+            }
+        }
+    };
+    return { from, update };
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    STATUS_PERMISSIONS,
+    currentStatus,
+    canTransition,
+    expandStatuses,
+    planTransition
+};
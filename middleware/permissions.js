@@ -0,0 +1,215 @@
+const { RolePermission, User } = require('../database');
+
+// Staff roles a hospital user can hold
+const ROLES = ['admin', 'reception', 'doctor', 'lab', 'pharmacy', 'nurse', 'accounts'];
+
+// Every permission checked by the app, with a label for the admin matrix editor
+const PERMISSIONS = {
+    'patients:read': 'View patients and queue',
+    'patients:register': 'Register patients',
+    'patients:move': 'Move patients / assign doctors',
+    'prescriptions:read': 'View and print prescriptions',
+    'prescriptions:write': 'Write prescriptions',
+    'lab:read': 'View lab tests',
+    'lab:order': 'Order lab tests',
+    'lab:collect': 'Collect and reject samples',
+    'lab:process': 'Process lab tests',
+    'lab:results': 'Enter lab results',
+    'lab:verify': 'Verify and amend lab results',
+    'lab:inventory': 'Manage lab inventory',
+    'lab:settings': 'Manage lab test catalog',
+    'pharmacy:dispense': 'Dispense medication',
+    'pharmacy:inventory': 'Manage pharmacy stock',
+    'purchasing:manage': 'Manage suppliers, purchase orders and receipts',
+    'reports:export': 'Export reports',
+    'doctors:manage': 'Manage doctor profiles',
+    'departments:manage': 'Manage departments',
+    'settings:manage': 'Manage prescription template',
+    'staff:manage': 'Manage staff users',
+    'permissions:manage': 'Edit the permission matrix',
+    'audit:read': 'View and export the audit trail'
+};
+
+// Only admins may hold these, so the matrix cannot be used to escalate privileges
+const ADMIN_ONLY = ['staff:manage', 'permissions:manage'];
+
+// Used for any role a hospital has not customised
+const DEFAULT_MATRIX = {
+    reception: ['patients:read', 'patients:register', 'patients:move', 'prescriptions:read', 'reports:export'],
+    doctor: ['patients:read', 'patients:move', 'prescriptions:read', 'prescriptions:write', 'lab:read', 'lab:order'],
+    lab: ['patients:read', 'lab:read', 'lab:collect', 'lab:process', 'lab:results', 'lab:verify', 'lab:inventory', 'lab:settings', 'purchasing:manage'],
+    pharmacy: ['patients:read', 'prescriptions:read', 'pharmacy:dispense', 'pharmacy:inventory', 'purchasing:manage'],
+    nurse: ['patients:read', 'patients:move', 'lab:read', 'lab:collect'],
+    accounts: ['patients:read', 'reports:export']
+};
+
+// Matrices are cached briefly so every request doesn't hit the database
+const CACHE_TTL = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Get the effective role -> permissions matrix for a hospital
+ */
+async function getMatrix(hospitalId) {
+    const key = String(hospitalId);
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) return cached.matrix;
+
+    const stored = await RolePermission.findOne({ hospitalId });
+    const matrix = { admin: Object.keys(PERMISSIONS) };
+    ROLES.filter(r => r !== 'admin').forEach(role => {
+        const custom = stored && stored.roles && stored.roles.get(role);
+        matrix[role] = custom ? [...custom] : [...DEFAULT_MATRIX[role]];
+    });
+
+    cache.set(key, { matrix, loadedAt: Date.now() });
+    return matrix;
+}
+
+/**
+ * Save a hospital's matrix. Unknown roles and permissions are dropped,
+ * admin is never stored (it always has everything) and admin-only
+ * permissions cannot be granted to other roles.
+ */
+async function saveMatrix(hospitalId, roles, updatedBy) {
+    const clean = {};
+    ROLES.filter(r => r !== 'admin').forEach(role => {
+        const list = Array.isArray(roles && roles[role]) ? roles[role] : DEFAULT_MATRIX[role];
+        clean[role] = [...new Set(list)].filter(p => PERMISSIONS[p] && !ADMIN_ONLY.includes(p));
+    });
+
+    await RolePermission.findOneAndUpdate(
+        { hospitalId },
+        { roles: clean, updatedBy, updatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    cache.delete(String(hospitalId));
+    return getMatrix(hospitalId);
+}
+
+/**
+ * Drop a hospital's customisations and go back to the defaults
+ */
+async function resetMatrix(hospitalId) {
+    await RolePermission.deleteOne({ hospitalId });
+    cache.delete(String(hospitalId));
+    return getMatrix(hospitalId);
+}
+
+// Accounts are re-read at most this often, so a deactivated or re-roled user loses access quickly
+const USER_TTL = 15 * 1000;
+const users = new Map();
+
+async function loadUser(userId) {
+    const key = String(userId);
+    const cached = users.get(key);
+    if (cached && Date.now() - cached.loadedAt < USER_TTL) return cached.user;
+
+    const user = await User.findById(userId).select('hospitalId role isActive mustChangePassword').lean();
+    users.set(key, { user, loadedAt: Date.now() });
+    return user;
+}
+
+/**
+ * Forget a cached account after its role or status changes, so the next request sees it
+ */
+function forgetUser(userId) {
+    users.delete(String(userId));
+}
+
+/**
+ * Bring a session up to date with its user account: the role and any pending password change
+ * are taken from the account, not from login time. Returns false when the account is gone or deactivated.
+ */
+async function refreshSession(session) {
+    if (!session || !session.hospitalId || !session.userId) return false;
+    const user = await loadUser(session.userId);
+    if (!user || user.isActive === false || String(user.hospitalId) !== String(session.hospitalId)) return false;
+    session.role = user.role;
+    session.mustChangePassword = Boolean(user.mustChangePassword);
+    return true;
+}
+
+/**
+ * Check a session (Express or Socket.IO) for a permission. A user still on a temporary
+ * password holds none until they change it.
+ */
+async function hasPermission(session, permission) {
+    if (!(await refreshSession(session))) return false;
+    if (session.mustChangePassword) return false;
+    if (session.role === 'admin') return true;
+    const matrix = await getMatrix(session.hospitalId);
+    return (matrix[session.role] || []).includes(permission);
+}
+
+// Sign out a session whose account was deactivated or removed
+function refuseSession(req, res) {
+    req.session.destroy(() => res.status(401).json({ error: 'Not authenticated' }));
+}
+
+// Refuse a session still on a temporary password
+function refusePendingPassword(res) {
+    res.status(403).json({ error: 'Change your temporary password first', mustChangePassword: true });
+}
+
+// Any signed-in hospital user with an active account, even one still on a temporary password;
+// only for changing that password
+const requireSession = async (req, res, next) => {
+    if (!req.session.hospitalId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        if (!(await refreshSession(req.session))) return refuseSession(req, res);
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Any signed-in hospital user with an active account and a password of their own
+const requireAuth = async (req, res, next) => {
+    if (!req.session.hospitalId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        if (!(await refreshSession(req.session))) return refuseSession(req, res);
+        if (req.session.mustChangePassword) return refusePendingPassword(res);
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Signed-in hospital user whose role holds the permission
+const requirePermission = (permission) => async (req, res, next) => {
+    if (!req.session.hospitalId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        if (!(await refreshSession(req.session))) return refuseSession(req, res);
+        if (req.session.mustChangePassword) return refusePendingPassword(res);
+        if (await hasPermission(req.session, permission)) return next();
+        res.status(403).json({ error: 'Permission denied', permission });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ADMIN_ONLY,
+    DEFAULT_MATRIX,
+    getMatrix,
+    saveMatrix,
+    resetMatrix,
+    forgetUser,
+    refreshSession,
+    hasPermission,
+    requireSession,
+    requireAuth,
+    requirePermission
+};
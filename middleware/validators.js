@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { ROLES } = require('./permissions');
 
 // Middleware to handle validation errors
 const validate = (req, res, next) => {
@@ -40,6 +41,19 @@ const patientValidators = [
     validate
 ];
 
+// Patient Correction Validators (only the fields sent are checked)
+const patientUpdateValidators = [
+    body('name').optional().isString().trim().notEmpty().withMessage('Patient name is required'),
+    body('age').optional().isInt({ min: 0, max: 150 }).withMessage('Age must be a valid number').toInt(),
+    body('phone').optional({ values: 'falsy' }).isMobilePhone().withMessage('Invalid phone number'),
+    body('gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Invalid gender'),
+    body('emergencyPhone').optional({ values: 'falsy' }).isMobilePhone().withMessage('Invalid emergency phone number'),
+    body(['address', 'bloodGroup', 'emergencyContact', 'insuranceId', 'medicalHistory', 'allergies', 'chronicConditions'])
+        .optional({ values: 'null' }).isString().withMessage('Must be text').trim()
+        .isLength({ max: 2000 }).withMessage('Must be at most 2000 characters'),
+    validate
+];
+
 // Prescription Template Validators
 const templateValidators = [
     body('templateName').trim().notEmpty().withMessage('Template name is required'),
@@ -49,9 +63,72 @@ const templateValidators = [
     validate
 ];
 
+// Doctor Profile Validators
+const doctorValidators = [
+    body('name').trim().notEmpty().withMessage('Doctor name is required'),
+    body('consultationFee').optional().isFloat({ min: 0 }).withMessage('Consultation fee must be a positive number'),
+    body('status').optional().isIn(['available', 'busy', 'on-leave', 'off-duty']).withMessage('Invalid status'),
+    body('userId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid user account'),
+    validate
+];
+
+// Department Validators
+const departmentValidators = [
+    body('name').trim().notEmpty().withMessage('Department name is required'),
+    body('defaultConsultationFee').optional().isFloat({ min: 0 }).withMessage('Consultation fee must be a positive number'),
+    body('tokenPrefix').optional({ values: 'falsy' }).trim().toUpperCase()
+        .matches(/^[A-Z0-9]{1,5}$/).withMessage('Token prefix must be 1-5 letters or digits'),
+    validate
+];
+
+// Staff User Validators
+const staffValidators = [
+    body('username').trim().notEmpty().withMessage('Username is required')
+        .matches(/^[A-Za-z0-9._-]+$/).withMessage('Username may only contain letters, digits, dots, dashes and underscores'),
+    body('role').isIn(ROLES).withMessage('Invalid role'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email address'),
+    body('password').optional({ values: 'falsy' })
+        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    validate
+];
+
+const staffUpdateValidators = [
+    body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email address'),
+    validate
+];
+
+const passwordChangeValidators = [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    validate
+];
+
+// Queue Token Settings Validators
+const tokenSettingsValidators = [
+    body('reset').isIn(['daily', 'monthly', 'never']).withMessage('Reset must be daily, monthly or never'),
+    body('timezone').optional({ values: 'falsy' }).custom(value => {
+        try {
+            new Intl.DateTimeFormat('en-CA', { timeZone: value });
+            return true;
+        } catch (err) {
+            throw new Error('Unknown timezone');
+        }
+    }),
+    body('digits').optional().isInt({ min: 1, max: 6 }).withMessage('Digits must be between 1 and 6').toInt(),
+    validate
+];
+
 module.exports = {
     registerValidators,
     loginValidators,
     patientValidators,
-    templateValidators
+    patientUpdateValidators,
+    templateValidators,
+    doctorValidators,
+    departmentValidators,
+    staffValidators,
+    staffUpdateValidators,
+    passwordChangeValidators,
+    tokenSettingsValidators
 };
@@ -0,0 +1,123 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, Hospital, Patient, Encounter, LabTest, Doctor, Appointment } = require('./database');
+
+// Visit fields that lived on Patient documents before encounters were split out
+const VISIT_FIELDS = [
+    'token', 'tokenLabel', 'tokenPeriod', 'publicToken', 'patientType', 'opdIpd', 'department', 'departmentId',
+    'doctorId', 'reason', 'status', 'registeredAt', 'appointmentDate', 'vitals', 'prescription', 'diagnosis',
+    'pharmacyState', 'history', 'cost', 'reports'
+];
+
+// With --merge, legacy records sharing a phone number and name become one patient
+const MERGE = process.argv.includes('--merge');
+
+// The fixed doctor list older versions used before each hospital kept its own doctor profiles
+const LEGACY_DOCTORS = {
+    1: 'Dr. Asha Patel',
+    2: 'Dr. Rajesh Singh',
+    3: 'Dr. Nisha Rao',
+    4: 'Dr. Vikram Shah'
+};
+
+async function nextMrn(hospitalId) {
+    const hospital = await Hospital.findByIdAndUpdate(hospitalId, { $inc: { mrnSeq: 1 } }, { new: true });
+    return `MRN-${String(hospital.mrnSeq).padStart(6, '0')}`;
+}
+
+function sameName(a, b) {
+    return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+// The hospital's doctor profile with the same name as a legacy doctor id, or null
+const hospitalDoctors = new Map();
+async function legacyDoctorId(hospitalId, doctorId) {
+    const name = LEGACY_DOCTORS[String(doctorId)];
+    if (!name) return null;
+    const key = String(hospitalId);
+    if (!hospitalDoctors.has(key)) hospitalDoctors.set(key, await Doctor.find({ hospitalId }).select('name').lean());
+    const doctor = hospitalDoctors.get(key).find(d => sameName(d.name, name));
+    return doctor ? doctor._id : null;
+}
+
+// Replace numeric doctor ids in a collection with doctor profile ids, clearing those with no match
+async function migrateDoctorIds(Model) {
+    let mapped = 0;
+    let cleared = 0;
+    const legacy = Model.collection.find({ doctorId: { $type: ['number', 'string'] } });
+    for await (const raw of legacy) {
+        const doctorId = await legacyDoctorId(raw.hospitalId, raw.doctorId);
+        await Model.collection.updateOne({ _id: raw._id }, doctorId ? { $set: { doctorId } } : { $unset: { doctorId: '' } });
+        if (doctorId) mapped++;
+        else cleared++;
+    }
+    return { mapped, cleared };
+}
+
+async function migrate() {
+    if (!process.env.MONGODB_URI) {
+        console.error('ERROR: MONGODB_URI is missing in .env file.');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    // Doctor ids first, so visits split out below copy a doctor profile id
+    for (const Model of [Patient, Encounter, Appointment]) {
+        const { mapped, cleared } = await migrateDoctorIds(Model);
+        if (mapped || cleared) console.log(`${Model.modelName}: ${mapped} legacy doctor id(s) matched, ${cleared} cleared`);
+    }
+
+    console.log(`Migrating legacy patient records${MERGE ? ' (merging by phone + name)' : ''}...`);
+
+    let visits = 0;
+    let merged = 0;
+    const legacy = Patient.collection.find({ mrn: { $exists: false } }).sort({ registeredAt: 1, _id: 1 });
+
+    for await (const raw of legacy) {
+        // The visit keeps the old document's id, so existing prescription links and QR codes still resolve
+        const visit = { hospitalId: raw.hospitalId, patientId: raw._id };
+        VISIT_FIELDS.forEach(f => { if (raw[f] !== undefined) visit[f] = raw[f]; });
+
+        let master = null;
+        if (MERGE && raw.phone) {
+            const candidates = await Patient.find({ hospitalId: raw.hospitalId, phone: raw.phone, mrn: { $exists: true } });
+            master = candidates.find(p => sameName(p.name, raw.name)) || null;
+        }
+        if (master) visit.patientId = master._id;
+
+        await Encounter.updateOne({ _id: raw._id }, { $setOnInsert: visit }, { upsert: true });
+        await LabTest.updateMany({ patientId: raw._id, encounterId: null }, { encounterId: raw._id });
+        visits++;
+
+        const unset = {};
+        VISIT_FIELDS.forEach(f => { unset[f] = ''; });
+
+        if (master) {
+            await LabTest.updateMany({ patientId: raw._id }, { patientId: master._id });
+            await Patient.collection.deleteOne({ _id: raw._id });
+            const visitedAt = raw.registeredAt || new Date();
+            if (!master.lastVisitAt || master.lastVisitAt < visitedAt) {
+                await Patient.updateOne({ _id: master._id }, { lastVisitAt: visitedAt, age: raw.age, address: raw.address });
+            }
+            merged++;
+        } else {
+            await Patient.collection.updateOne({ _id: raw._id }, {
+                $set: {
+                    mrn: await nextMrn(raw.hospitalId),
+                    createdAt: raw.registeredAt || new Date(),
+                    lastVisitAt: raw.registeredAt || new Date()
+                },
+                $unset: unset
+            });
+        }
+    }
+
+    console.log(`✅ Created ${visits} visit(s); ${merged} duplicate record(s) merged`);
+    await mongoose.connection.close();
+}
+
+migrate().catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,186 @@
+// Pharmacy stock: one Inventory row per batch, grouped into stock levels per medicine
+
+// Why stock changed; receipts and dispensing are recorded automatically
+const REASONS = {
+    received: 'Goods received',
+    dispensed: 'Dispensed',
+    count_correction: 'Stock count correction',
+    wastage: 'Wastage / breakage',
+    expired: 'Expired - removed',
+    damaged: 'Damaged',
+    returned: 'Returned to supplier'
+};
+
+// Reasons a user may pick for a manual adjustment
+const ADJUSTMENT_REASONS = ['count_correction', 'wastage', 'expired', 'damaged', 'returned'];
+
+// Outcome of each prescription line on a bill
+const DISPENSE_STATUSES = {
+    dispensed: 'Dispensed',
+    partial: 'Partly dispensed',
+    out_of_stock: 'Out of stock',
+    not_dispensed: 'Not dispensed'
+};
+
+// Batches expiring within this many days are reported as near expiry
+const EXPIRY_WARNING_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function isExpired(batch, now = new Date()) {
+    return Boolean(batch.expiryDate) && new Date(batch.expiryDate) < now;
+}
+
+// ok, low (at or below the reorder level) or out
+function stockStatus(quantity, reorderLevel) {
+    if (quantity <= 0) return 'out';
+    if (quantity <= (reorderLevel || 0)) return 'low';
+    return 'ok';
+}
+
+function money(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Stock level of each medicine across its batches. Expired stock is counted
+ * separately and does not count towards what can be dispensed.
+ *
+ * @param {Array} items - PharmacyItem documents
+ * @param {Array} batches - Inventory rows of those items
+ */
+function stockLevels(items, batches, now = new Date()) {
+    return items.map(item => {
+        const own = batches.filter(b => String(b.itemId) === String(item._id) && b.quantity > 0);
+        const usable = own.filter(b => !isExpired(b, now));
+        const quantity = usable.reduce((sum, b) => sum + b.quantity, 0);
+        const expiries = usable.map(b => b.expiryDate).filter(Boolean).map(d => new Date(d)).sort((a, b) => a - b);
+        return {
+            id: item._id,
+            name: item.name,
+            form: item.form,
+            strength: item.strength,
+            unit: item.unit,
+            category: item.category,
+            manufacturer: item.manufacturer,
+            genericName: item.genericName || '',
+            schedule: item.schedule || '',
+            hsnCode: item.hsnCode || '',
+            gstRate: item.gstRate,
+            defaultDosing: item.defaultDosing || {},
+            formulary: item.formulary !== false,
+            reorderLevel: item.reorderLevel || 0,
+            active: item.active !== false,
+            quantity,
+            expiredQuantity: own.filter(b => isExpired(b, now)).reduce((sum, b) => sum + b.quantity, 0),
+            batches: own.length,
+            nextExpiry: expiries[0] || null,
+            value: money(usable.reduce((sum, b) => sum + b.quantity * (b.unitPrice || 0), 0)),
+            status: stockStatus(quantity, item.reorderLevel)
+        };
+    });
+}
+
+// Batches that can be dispensed, soonest expiry first (batches without an expiry go last)
+function fefoOrder(batches, now = new Date()) {
+    return batches
+        .filter(b => b.quantity > 0 && !isExpired(b, now))
+        .sort((a, b) => (a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity) -
+            (b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity));
+}
+
+/**
+ * Choose batches for `quantity` units, first-expiry-first-out.
+ * Returns { picks: [{ batch, quantity }], shortfall }.
+ */
+function pickBatches(batches, quantity, now = new Date()) {
+    const picks = [];
+    let remaining = quantity;
+    for (const batch of fefoOrder(batches, now)) {
+        if (remaining <= 0) break;
+        const take = Math.min(batch.quantity, remaining);
+        picks.push({ batch, quantity: take });
+        remaining -= take;
+    }
+    return { picks, shortfall: remaining };
+}
+
+function compact(value) {
+    return String(value || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * The stock item a prescription line refers to: the drug master entry it was picked from,
+ * else same name and the same strength when both give one. Returns null when the medicine is not stocked.
+ */
+function matchItem(items, medication) {
+    const picked = medication.drugId && items.find(i => String(i._id || i.id) === String(medication.drugId));
+    if (picked) return picked;
+    const name = String(medication.drug || '').trim().toLowerCase();
+    const named = items.filter(i => String(i.name).trim().toLowerCase() === name);
+    return named.find(i => compact(i.strength) === compact(medication.strength)) ||
+        named.find(i => !i.strength || !medication.strength) ||
+        null;
+}
+
+/**
+ * How much of each prescription line has been given across a visit's bills, in prescription order.
+ * `remaining` is null when the doctor gave no quantity; such a line is complete once anything is given.
+ */
+function dispenseProgress(medications, dispenses) {
+    const lines = dispenses.flatMap(d => d.lines);
+    return medications.map((med, index) => {
+        const given = lines
+            .filter(l => l.prescriptionIndex === index)
+            .reduce((sum, l) => sum + (l.quantity || 0), 0);
+        const remaining = med.quantity ? Math.max(med.quantity - given, 0) : null;
+        return { given, remaining, complete: med.quantity ? remaining === 0 : given > 0 };
+    });
+}
+
+// Status of one bill line from what was asked for, what was given and whether there was stock
+function lineStatus(requested, given, inStock) {
+    if (given > 0) return requested && given < requested ? 'partial' : 'dispensed';
+    return inStock ? 'not_dispensed' : 'out_of_stock';
+}
+
+/**
+ * Batches still in stock that have expired, or expire within `days`, soonest first.
+ */
+function expiryReport(batches, days = EXPIRY_WARNING_DAYS, now = new Date()) {
+    const limit = new Date(now.getTime() + days * DAY);
+    const rows = batches
+        .filter(b => b.quantity > 0 && b.expiryDate && new Date(b.expiryDate) <= limit)
+        .map(b => ({
+            id: b._id,
+            itemId: b.itemId,
+            supplierId: b.supplierId,
+            medicationName: b.medicationName,
+            batchNumber: b.batchNumber,
+            quantity: b.quantity,
+            expiryDate: b.expiryDate,
+            daysLeft: Math.ceil((new Date(b.expiryDate) - now) / DAY),
+            value: money(b.quantity * (b.unitPrice || 0))
+        }))
+        .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+    const expired = rows.filter(r => r.daysLeft <= 0);
+    const expiring = rows.filter(r => r.daysLeft > 0);
+    const total = list => money(list.reduce((sum, r) => sum + r.value, 0));
+    return { days, expired, expiring, expiredValue: total(expired), expiringValue: total(expiring) };
+}
+
+module.exports = {
+    REASONS,
+    ADJUSTMENT_REASONS,
+    DISPENSE_STATUSES,
+    EXPIRY_WARNING_DAYS,
+    isExpired,
+    stockStatus,
+    stockLevels,
+    fefoOrder,
+    pickBatches,
+    matchItem,
+    dispenseProgress,
+    lineStatus,
+    expiryReport
+};
@@ -0,0 +1,142 @@
+// Structured prescription lines: vocabularies, validation and display helpers
+
+const FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'drops', 'ointment', 'cream', 'inhaler', 'sachet', 'other'];
+const ROUTES = ['oral', 'iv', 'im', 'sc', 'topical', 'inhalation', 'sublingual', 'eye', 'ear', 'nasal', 'rectal', 'other'];
+const FOOD_TIMINGS = ['before', 'after', 'with', 'empty-stomach', 'any'];
+
+// Common frequency shorthands and how many doses per day they mean (used to suggest a quantity)
+const FREQUENCIES = {
+    'OD': 1,
+    'BD': 2,
+    'TDS': 3,
+    'QID': 4,
+    'HS': 1,
+    'SOS': 0,
+    'STAT': 0,
+    '1-0-0': 1,
+    '0-0-1': 1,
+    '1-0-1': 2,
+    '1-1-1': 3,
+    '0-1-0': 1
+};
+
+// Most lines a single prescription may carry
+const MAX_LINES = 30;
+
+const ROUTE_LABELS = {
+    'oral': 'Oral',
+    'iv': 'IV',
+    'im': 'IM',
+    'sc': 'SC',
+    'topical': 'Topical',
+    'inhalation': 'Inhaled',
+    'sublingual': 'Sublingual',
+    'eye': 'Eye',
+    'ear': 'Ear',
+    'nasal': 'Nasal',
+    'rectal': 'Rectal',
+    'other': ''
+};
+
+const FOOD_LABELS = {
+    'before': 'Before food',
+    'after': 'After food',
+    'with': 'With food',
+    'empty-stomach': 'Empty stomach',
+    'any': ''
+};
+
+function text(value, max = 200) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, max);
+}
+
+/**
+ * Validate and clean the medication lines sent by the doctor dashboard.
+ * Returns { medications, errors } - errors name the 1-based line they belong to.
+ */
+function normalizeMedications(lines) {
+    const errors = [];
+    if (!Array.isArray(lines)) {
+        return { medications: [], errors: ['Medications must be a list'] };
+    }
+    if (lines.length > MAX_LINES) {
+        errors.push(`A prescription can have at most ${MAX_LINES} medications`);
+    }
+
+    const medications = lines.slice(0, MAX_LINES).map((line, index) => {
+        const n = index + 1;
+        const med = {
+            drug: text(line && line.drug),
+            drugId: line && /^[a-f0-9]{24}$/i.test(String(line.drugId || '')) ? String(line.drugId) : undefined,
+            strength: text(line && line.strength, 50),
+            form: text(line && line.form, 20).toLowerCase() || undefined,
+            dose: text(line && line.dose, 50),
+            frequency: text(line && line.frequency, 30),
+            route: text(line && line.route, 20).toLowerCase() || 'oral',
+            durationDays: line && line.durationDays !== '' && line.durationDays !== undefined && line.durationDays !== null
+                ? Number(line.durationDays) : undefined,
+            quantity: line && line.quantity !== '' && line.quantity !== undefined && line.quantity !== null
+                ? Number(line.quantity) : undefined,
+            instructions: text(line && line.instructions, 300),
+            foodTiming: text(line && line.foodTiming, 20) || 'any'
+        };
+
+        if (!med.drug) errors.push(`Line ${n}: drug is required`);
+        if (!med.frequency) errors.push(`Line ${n}: frequency is required`);
+        if (med.form && !FORMS.includes(med.form)) errors.push(`Line ${n}: unknown form "${med.form}"`);
+        if (!ROUTES.includes(med.route)) errors.push(`Line ${n}: unknown route "${med.route}"`);
+        if (!FOOD_TIMINGS.includes(med.foodTiming)) errors.push(`Line ${n}: unknown food timing "${med.foodTiming}"`);
+        if (med.durationDays !== undefined && (!Number.isInteger(med.durationDays) || med.durationDays < 1 || med.durationDays > 365)) {
+            errors.push(`Line ${n}: duration must be 1-365 days`);
+        }
+        if (med.quantity !== undefined && (!Number.isFinite(med.quantity) || med.quantity <= 0)) {
+            errors.push(`Line ${n}: quantity must be a positive number`);
+        }
+
+        // Fill in a quantity for countable forms when the doctor left it blank
+        const perDay = FREQUENCIES[med.frequency.toUpperCase()];
+        if (med.quantity === undefined && perDay && med.durationDays && ['tablet', 'capsule', 'sachet'].includes(med.form)) {
+            med.quantity = perDay * med.durationDays;
+        }
+
+        return med;
+    });
+
+    return { medications, errors };
+}
+
+// "Paracetamol 500mg tablet"
+function drugLabel(med) {
+    return [med.drug, med.strength, med.form].filter(Boolean).join(' ');
+}
+
+// "1 tab · BD · Oral · 5 days · After food"
+function dosageLabel(med) {
+    return [
+        med.dose,
+        med.frequency,
+        ROUTE_LABELS[med.route] || '',
+        med.durationDays ? `${med.durationDays} day${med.durationDays > 1 ? 's' : ''}` : '',
+        FOOD_LABELS[med.foodTiming] || ''
+    ].filter(Boolean).join(' · ');
+}
+
+// One line of plain text per medication (pharmacy lists, exports, lab heuristics)
+function formatMedication(med) {
+    const parts = [drugLabel(med), dosageLabel(med)];
+    if (med.quantity) parts.push(`Qty ${med.quantity}`);
+    if (med.instructions) parts.push(med.instructions);
+    return parts.filter(Boolean).join(' - ');
+}
+
+module.exports = {
+    FORMS,
+    ROUTES,
+    FOOD_TIMINGS,
+    FREQUENCIES,
+    normalizeMedications,
+    drugLabel,
+    dosageLabel,
+    formatMedication
+};
@@ -8,8 +8,8 @@
             const response = await fetch('/api/auth/status');
             const data = await response.json();
 
-            if (!data.authenticated) {
-                // Not authenticated, redirect to login
+            if (!data.authenticated || data.user.mustChangePassword) {
+                // Not authenticated (or still on a temporary password), redirect to login
                 window.location.href = '/login.html';
             }
         } catch (error) {
@@ -1,8 +1,10 @@
 const API_BASE = ''; // Relative path for production consistency
 const socket = io();
-const hospitalId = sessionStorage.getItem('hospitalId');
-const role = sessionStorage.getItem('role') || 'doctor';
-socket.emit('join', { role, hospitalId });
+// The server takes the hospital and role from the session; rooms must be rejoined after every reconnect
+socket.on('connect', () => socket.emit('join', 'doctor'));
+socket.on('connect_error', (err) => {
+  if (err.message === 'Not authenticated') window.location.href = 'login.html';
+});
 
 // DOM Elements
 const doctorSelect = document.getElementById('doctorSelect');
@@ -17,9 +19,21 @@ const pToken = document.getElementById('p-token');
 const pReason = document.getElementById('p-reason');
 const pReports = document.getElementById('p-reports');
 const diagnosisInput = document.getElementById('diagnosis');
-const prescriptionInput = document.getElementById('prescription');
+const adviceInput = document.getElementById('advice');
+const medicationContainer = document.getElementById('medication-lines');
+const drugSearch = document.getElementById('drug-search');
+
+// Prescription vocabularies (must match prescriptions.js on the server)
+const MED_FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'drops', 'ointment', 'cream', 'inhaler', 'sachet', 'other'];
+const MED_ROUTES = { oral: 'Oral', iv: 'IV', im: 'IM', sc: 'SC', topical: 'Topical', inhalation: 'Inhaled', sublingual: 'Sublingual', eye: 'Eye', ear: 'Ear', nasal: 'Nasal', rectal: 'Rectal', other: 'Other' };
+const FOOD_TIMINGS = { any: 'Any time', before: 'Before food', after: 'After food', with: 'With food', 'empty-stomach': 'Empty stomach' };
 
-let currentDoctorId = localStorage.getItem('doctorId') || '';
+let medicationLines = [];
+let drugSuggestions = [];
+let suggestionTimer = null;
+
+// Doctors signed in with a linked profile default to their own queue
+let currentDoctorId = sessionStorage.getItem('doctorId') || localStorage.getItem('doctorId') || '';
 let selectedPatient = null;
 let allPatients = [];
 
@@ -27,6 +41,7 @@ let allPatients = [];
 function init() {
   loadDoctors();
   loadPatients();
+  loadCriticalAlerts();
   setupEventListeners();
 }
 
@@ -35,13 +50,132 @@ function setupEventListeners() {
     currentDoctorId = doctorSelect.value;
     localStorage.setItem('doctorId', currentDoctorId);
     renderQueue();
+    loadCriticalAlerts();
   });
 
   document.getElementById('btn-download-pdf').addEventListener('click', downloadPrescriptionPDF);
   document.getElementById('btn-save').addEventListener('click', () => updatePatient('save'));
   document.getElementById('btn-pharmacy').addEventListener('click', () => updatePatient('pharmacy'));
   document.getElementById('btn-lab').addEventListener('click', () => sendToLab());
+  document.getElementById('btn-close-lab-order').addEventListener('click', closeLabOrder);
+  document.getElementById('btn-cancel-lab-order').addEventListener('click', closeLabOrder);
+  document.getElementById('btn-submit-lab-order').addEventListener('click', submitLabOrder);
+  document.getElementById('lab-test-filter').addEventListener('input', (e) => renderLabCatalog(e.target.value));
   document.getElementById('btn-complete').addEventListener('click', () => updatePatient('completed'));
+  document.getElementById('trend-parameter').addEventListener('change', renderTrend);
+
+  // Drug picker
+  drugSearch.addEventListener('input', () => {
+    clearTimeout(suggestionTimer);
+    suggestionTimer = setTimeout(() => loadDrugSuggestions(drugSearch.value.trim()), 250);
+  });
+  drugSearch.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addDrugFromSearch();
+    }
+  });
+  document.getElementById('btn-add-drug').addEventListener('click', addDrugFromSearch);
+
+  medicationContainer.addEventListener('input', (e) => {
+    const { index, field } = e.target.dataset;
+    if (index === undefined) return;
+    medicationLines[index][field] = e.target.value;
+    // A renamed medicine is no longer the drug master entry it was picked from
+    if (['drug', 'strength', 'form'].includes(field)) delete medicationLines[index].drugId;
+  });
+  medicationContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-remove]');
+    if (!btn) return;
+    medicationLines.splice(Number(btn.dataset.remove), 1);
+    renderMedicationLines();
+  });
+}
+
+// --- Prescription Editor ---
+function suggestionLabel(s) {
+  return [s.drug, s.strength, s.form].filter(Boolean).join(' ');
+}
+
+// Shown beside a suggestion: generic name, schedule and whether it is off the formulary
+function suggestionDetail(s) {
+  return [
+    s.genericName,
+    s.schedule ? `Sch ${s.schedule}` : '',
+    s.drugId && !s.formulary ? 'Non-formulary' : ''
+  ].filter(Boolean).join(' · ');
+}
+
+function loadDrugSuggestions(q) {
+  fetch(`${API_BASE}/api/medications/suggestions?q=${encodeURIComponent(q)}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(list => {
+      drugSuggestions = Array.isArray(list) ? list : [];
+      document.getElementById('drug-suggestions').innerHTML = drugSuggestions
+        .map(s => `<option value="${suggestionLabel(s)}">${suggestionDetail(s)}</option>`).join('');
+    })
+    .catch(err => console.error('Error loading drug suggestions:', err));
+}
+
+function addDrugFromSearch() {
+  const value = drugSearch.value.trim();
+  if (!value) return;
+  const match = drugSuggestions.find(s => suggestionLabel(s) === value);
+  medicationLines.push({
+    drugId: match && match.drugId ? match.drugId : undefined,
+    drug: match ? match.drug : value,
+    strength: match ? match.strength || '' : '',
+    form: match ? match.form || '' : '',
+    dose: match ? match.dose || '' : '',
+    frequency: match ? match.frequency || '' : '',
+    route: match && match.route ? match.route : 'oral',
+    durationDays: match && match.durationDays ? match.durationDays : '',
+    quantity: '',
+    instructions: match ? match.instructions || '' : '',
+    foodTiming: 'any'
+  });
+  drugSearch.value = '';
+  renderMedicationLines();
+}
+
+function optionList(values, selected) {
+  return Object.entries(values).map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+function renderMedicationLines() {
+  if (medicationLines.length === 0) {
+    medicationContainer.innerHTML = '<span class="text-muted" style="font-size: 0.9rem;">No medications added.</span>';
+    return;
+  }
+
+  const forms = { '': 'Form...' };
+  MED_FORMS.forEach(f => { forms[f] = f; });
+
+  medicationContainer.innerHTML = medicationLines.map((m, i) => `
+    <div style="border: 1px solid var(--border); border-radius: 8px; padding: 10px; margin-bottom: 8px;">
+      <div class="flex justify-between items-center" style="margin-bottom: 6px;">
+        <strong>${i + 1}. <input type="text" value="${m.drug || ''}" data-index="${i}" data-field="drug" style="width: 60%;"></strong>
+        <button type="button" class="btn btn-sm btn-danger" data-remove="${i}">✕</button>
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px;">
+        <input type="text" placeholder="Strength" value="${m.strength || ''}" data-index="${i}" data-field="strength">
+        <select data-index="${i}" data-field="form">${optionList(forms, m.form || '')}</select>
+        <input type="text" placeholder="Dose (1 tab)" value="${m.dose || ''}" data-index="${i}" data-field="dose">
+        <input type="text" placeholder="Frequency" list="frequency-options" value="${m.frequency || ''}" data-index="${i}" data-field="frequency">
+        <select data-index="${i}" data-field="route">${optionList(MED_ROUTES, m.route || 'oral')}</select>
+        <select data-index="${i}" data-field="foodTiming">${optionList(FOOD_TIMINGS, m.foodTiming || 'any')}</select>
+        <input type="number" min="1" placeholder="Days" value="${m.durationDays || ''}" data-index="${i}" data-field="durationDays">
+        <input type="number" min="1" placeholder="Qty" value="${m.quantity || ''}" data-index="${i}" data-field="quantity">
+        <input type="text" placeholder="Instructions" value="${m.instructions || ''}" data-index="${i}" data-field="instructions">
+      </div>
+    </div>
+  `).join('');
+}
+
+// Same required fields the server checks, so a bad line never moves the patient on
+function findMedicationProblem() {
+  const index = medicationLines.findIndex(m => !String(m.drug || '').trim() || !String(m.frequency || '').trim());
+  return index >= 0 ? `Medication ${index + 1} needs a drug name and a frequency` : null;
 }
 
 async function downloadPrescriptionPDF() {
@@ -92,19 +226,147 @@ async function downloadPrescriptionPDF() {
   }
 }
 
+// --- Critical Lab Alerts ---
+let criticalAlerts = [];
+
+const FLAG_LABELS = { LL: 'Critically low', HH: 'Critically high' };
+
+function loadCriticalAlerts() {
+  const query = currentDoctorId ? `?doctorId=${encodeURIComponent(currentDoctorId)}` : '';
+  fetch(`${API_BASE}/api/lab/critical-alerts${query}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(list => {
+      criticalAlerts = Array.isArray(list) ? list : [];
+      renderCriticalAlerts();
+    })
+    .catch(err => console.error('Error loading critical alerts:', err));
+}
+
+function renderCriticalAlerts() {
+  const container = document.getElementById('critical-alerts');
+  container.innerHTML = criticalAlerts.filter(a => a.alert).map(a => `
+    <div class="card" style="border-left: 4px solid var(--danger); background: #fef2f2; margin-bottom: 12px;">
+      <div class="flex justify-between items-center">
+        <div>
+          <strong style="color: var(--danger);">⚠ Critical result</strong>
+          — ${a.patientName || 'Patient'}${a.patientMrn ? ` (${a.patientMrn})` : ''} • ${a.testName}
+          <div style="margin-top: 4px;">
+            ${a.alert.parameters.map(p => `<span style="margin-right: 12px;"><strong>${p.name}:</strong> ${p.value} ${p.unit || ''} <span style="color: var(--danger);">${FLAG_LABELS[p.flag] || p.flag}</span></span>`).join('')}
+          </div>
+          <div class="text-muted" style="font-size: 0.8rem;">Reported by ${a.alert.raisedBy || 'lab'} at ${new Date(a.alert.raisedAt).toLocaleTimeString()}</div>
+        </div>
+        <button class="btn btn-sm btn-danger" data-ack="${a.testId}">Acknowledge</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('button[data-ack]').forEach(btn => {
+    btn.addEventListener('click', () => acknowledgeCritical(btn.dataset.ack));
+  });
+}
+
+function acknowledgeCritical(testId) {
+  const note = prompt('Action taken (optional):', '');
+  if (note === null) return;
+
+  fetch(`${API_BASE}/api/lab/tests/${testId}/critical-ack`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note })
+  })
+    .then(r => r.json().then(data => ({ ok: r.ok, data })))
+    .then(({ ok, data }) => {
+      if (!ok) alert(data.error || 'Could not acknowledge');
+      criticalAlerts = criticalAlerts.filter(a => a.testId !== testId);
+      renderCriticalAlerts();
+    })
+    .catch(err => console.error('Error acknowledging critical result:', err));
+}
+
+// --- Lab Orders ---
+let labCatalog = [];
+const selectedLabTests = new Set();
+
 function sendToLab() {
   if (!selectedPatient) {
     alert('Please select a patient first');
     return;
   }
 
-  // Optional: Prompt for specific test name
-  const testName = prompt("Enter test name (e.g. CBC, X-Ray) or leave empty for general request:", "General Lab Request");
-  if (testName === null) return; // Cancelled
+  selectedLabTests.clear();
+  document.getElementById('lab-test-filter').value = '';
+  document.getElementById('lab-order-priority').value = 'normal';
+  document.getElementById('lab-order-notes').value = diagnosisInput.value;
+  document.getElementById('lab-order-modal').style.display = 'flex';
+
+  fetch(`${API_BASE}/api/lab/settings/test-types`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(types => {
+      labCatalog = Array.isArray(types) ? types : [];
+      renderLabCatalog('');
+    })
+    .catch(err => {
+      console.error('Error loading lab catalog:', err);
+      document.getElementById('lab-test-catalog').innerHTML = '<span class="text-muted">Could not load the lab catalog.</span>';
+    });
+}
+
+function renderLabCatalog(filter) {
+  const container = document.getElementById('lab-test-catalog');
+  const term = filter.trim().toLowerCase();
+  const visible = labCatalog.filter(t => !term || t.name.toLowerCase().includes(term) || (t.category || '').toLowerCase().includes(term));
+
+  if (labCatalog.length === 0) {
+    container.innerHTML = '<span class="text-muted">The lab has not set up any tests yet.</span>';
+    return;
+  }
+  if (visible.length === 0) {
+    container.innerHTML = '<span class="text-muted">No tests match.</span>';
+    return;
+  }
+
+  const groups = {};
+  visible.forEach(t => {
+    const category = t.category || 'Other';
+    (groups[category] = groups[category] || []).push(t);
+  });
+
+  container.innerHTML = Object.keys(groups).sort().map(category => `
+    <div style="margin-bottom: 8px;">
+      <div class="text-muted" style="font-size: 0.8rem; text-transform: uppercase;">${category}</div>
+      ${groups[category].map(t => `
+        <label style="display: flex; gap: 8px; align-items: center; font-weight: normal; padding: 4px 0;">
+          <input type="checkbox" value="${t.id}" ${selectedLabTests.has(t.id) ? 'checked' : ''} style="width: auto;">
+          ${t.name}
+        </label>
+      `).join('')}
+    </div>
+  `).join('');
+
+  container.querySelectorAll('input[type="checkbox"]').forEach(box => {
+    box.addEventListener('change', () => {
+      if (box.checked) selectedLabTests.add(box.value);
+      else selectedLabTests.delete(box.value);
+    });
+  });
+}
 
-  socket.emit('create-lab-request', {
-    patientId: selectedPatient._id || selectedPatient.id,
-    testName: testName || "General Lab Request",
+function closeLabOrder() {
+  document.getElementById('lab-order-modal').style.display = 'none';
+}
+
+function submitLabOrder() {
+  if (selectedLabTests.size === 0) {
+    alert('Select at least one test');
+    return;
+  }
+
+  socket.emit('order-lab-tests', {
+    visitId: selectedPatient.id,
+    testTypeIds: [...selectedLabTests],
+    priority: document.getElementById('lab-order-priority').value,
+    notes: document.getElementById('lab-order-notes').value,
     doctorId: currentDoctorId
   });
 }
@@ -118,7 +380,7 @@ function loadDoctors() {
       list.forEach(d => {
         const o = document.createElement('option');
         o.value = d.id;
-        o.textContent = `${d.name} (${d.dept})`;
+        o.textContent = d.department ? `${d.name} (${d.department})` : d.name;
         doctorSelect.appendChild(o);
       });
       if (currentDoctorId) doctorSelect.value = currentDoctorId;
@@ -127,7 +389,7 @@ function loadDoctors() {
 }
 
 function loadPatients() {
-  fetch(`${API_BASE}/api/patients`, { credentials: 'include' })
+  fetch(`${API_BASE}/api/visits?status=waiting,with-doctor&limit=200`, { credentials: 'include' })
     .then(r => r.json())
     .then(response => {
       // Handle both paginated and non-paginated response
@@ -179,7 +441,7 @@ function renderQueue() {
     div.innerHTML = `
       <div class="flex justify-between">
         <strong>${p.name}</strong>
-        <span class="badge ${p.status === 'with-doctor' ? 'with-doctor' : 'waiting'}">#${p.token}</span>
+        <span class="badge ${p.status === 'with-doctor' ? 'with-doctor' : 'waiting'}">${p.tokenLabel || `#${p.token}`}</span>
       </div>
       <div class="text-muted" style="font-size: 0.85rem;">${p.age} / ${p.gender}</div>
       <div style="font-size: 0.85rem; margin-top: 4px;">${p.reason || 'No reason provided'}</div>
@@ -199,12 +461,23 @@ function selectPatient(p) {
 
   // Update UI
   pName.innerText = p.name;
-  pDetails.innerText = `${p.age} yrs / ${p.gender} / ${p.phone}`;
-  pToken.innerText = `Token #${p.token}`;
+  pDetails.innerText = `${p.mrn ? `${p.mrn} / ` : ''}${p.age} yrs / ${p.gender} / ${p.phone}`;
+  pToken.innerText = `Token ${p.tokenLabel || `#${p.token}`}`;
   pReason.innerText = p.reason || '-';
+  document.getElementById('p-allergies').innerHTML = [
+    `<div><strong>Allergies:</strong> <span style="${p.allergies ? 'color: var(--danger); font-weight: 600;' : ''}">${p.allergies || 'None recorded'}</span></div>`,
+    `<div><strong>Conditions:</strong> ${p.chronicConditions || 'None recorded'}</div>`
+  ].join('');
 
-  diagnosisInput.value = ''; // Reset or load from history if exists
-  prescriptionInput.value = p.prescription || '';
+  diagnosisInput.value = p.diagnosis || '';
+  adviceInput.value = p.advice || '';
+  medicationLines = (p.medications || []).map(m => ({ ...m }));
+  renderMedicationLines();
+  renderPrescriptionWarnings(p.prescriptionWarnings || []);
+
+  // Free-text prescriptions from before structured lines are shown, not edited
+  document.getElementById('legacy-prescription').style.display = p.prescription ? 'block' : 'none';
+  document.getElementById('legacy-prescription-text').innerText = p.prescription || '';
 
   // Render Reports
   pReports.innerHTML = '';
@@ -229,29 +502,222 @@ function selectPatient(p) {
     pReports.innerHTML = '<span class="text-muted" style="font-size: 0.9rem;">No reports attached.</span>';
   }
 
+  loadVisitHistory(p);
+  loadLabTrends(p);
+
   // If status is waiting, auto-move to with-doctor
   if (p.status === 'waiting' && currentDoctorId) {
     socket.emit('move-patient', { id: p.id, status: 'with-doctor', doctorId: currentDoctorId });
   }
 }
 
+// Earlier visits of the selected patient, newest first
+function loadVisitHistory(p) {
+  const container = document.getElementById('p-visits');
+  container.innerHTML = '<span class="text-muted">Loading...</span>';
+  fetch(`${API_BASE}/api/patients/${p.patientId}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(record => {
+      if (!selectedPatient || selectedPatient.id !== p.id) return;
+      const previous = (record.visits || []).filter(v => v.id !== p.id);
+      if (previous.length === 0) {
+        container.innerHTML = '<span class="text-muted">No previous visits.</span>';
+        return;
+      }
+      container.innerHTML = previous.slice(0, 5).map(v => `
+        <div style="padding: 8px 10px; background: #f8fafc; border-radius: 8px; margin-bottom: 6px;">
+          <div class="flex justify-between">
+            <strong>${new Date(v.registeredAt).toLocaleDateString('en-IN')}</strong>
+            <span class="text-muted">${v.department || ''}</span>
+          </div>
+          <div>${v.reason || '-'}</div>
+          ${v.prescription ? `<div class="text-muted" style="white-space: pre-wrap;">${v.prescription}</div>` : ''}
+        </div>
+      `).join('');
+    })
+    .catch(() => {
+      container.innerHTML = '<span class="text-muted">Could not load visit history.</span>';
+    });
+}
+
+// --- Lab Trends ---
+let patientTrends = [];
+
+// Verified lab results of the selected patient, one series per parameter
+function loadLabTrends(p) {
+  const select = document.getElementById('trend-parameter');
+  const container = document.getElementById('p-trends');
+  patientTrends = [];
+  select.style.display = 'none';
+  if (!p.patientId) {
+    container.innerHTML = '<span class="text-muted">No lab results yet.</span>';
+    return;
+  }
+  container.innerHTML = '<span class="text-muted">Loading...</span>';
+  fetch(`${API_BASE}/api/lab/patients/${p.patientId}/trends`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(trends => {
+      if (!selectedPatient || selectedPatient.id !== p.id) return;
+      patientTrends = Array.isArray(trends) ? trends : [];
+      if (patientTrends.length === 0) {
+        container.innerHTML = '<span class="text-muted">No lab results yet.</span>';
+        return;
+      }
+      select.innerHTML = patientTrends.map((s, i) => `<option value="${i}">${s.parameterName} (${s.points.length})</option>`).join('');
+      // Start with the numeric parameter followed over the most tests
+      select.value = patientTrends.reduce((best, s, i) =>
+        (s.numeric && (!patientTrends[best].numeric || s.points.length > patientTrends[best].points.length) ? i : best), 0);
+      select.style.display = 'block';
+      renderTrend();
+    })
+    .catch(() => {
+      container.innerHTML = '<span class="text-muted">Could not load lab results.</span>';
+    });
+}
+
+function renderTrend() {
+  const series = patientTrends[document.getElementById('trend-parameter').value];
+  if (!series) return;
+  const rows = [...series.points].reverse().map(pt => `
+    <tr>
+      <td>${new Date(pt.at).toLocaleDateString('en-IN')}</td>
+      <td style="${pt.flag ? 'color: var(--danger); font-weight: 600;' : ''}">${pt.value} ${pt.unit || ''} ${pt.flag}${pt.amended ? ' (amended)' : ''}</td>
+      <td>${pt.delta && pt.delta.exceeded
+        ? `<span style="color: var(--status-waiting);" title="Previous ${pt.delta.previousValue}, limit ${pt.delta.limit}%">⚠ ${pt.delta.percent === null ? 'from 0' : `${pt.delta.percent > 0 ? '+' : ''}${pt.delta.percent}%`}</span>`
+        : ''}</td>
+      <td class="text-muted">${pt.testName || ''}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('p-trends').innerHTML = `
+    ${series.numeric && series.points.length > 1 ? trendChart(series) : ''}
+    <table style="width: 100%;">${rows}</table>
+    ${series.referenceRange ? `<div class="text-muted" style="font-size: 0.8rem;">Reference: ${series.referenceRange}</div>` : ''}
+  `;
+}
+
+// Line chart of a numeric series over time, with the reference range shaded
+function trendChart(series) {
+  const width = 320;
+  const height = 140;
+  const pad = { left: 36, right: 10, top: 10, bottom: 20 };
+  const points = series.points;
+  const isNumber = v => typeof v === 'number';
+
+  const bounds = [...points.map(pt => pt.number), series.rangeLow, series.rangeHigh].filter(isNumber);
+  let min = Math.min(...bounds);
+  let max = Math.max(...bounds);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const times = points.map(pt => new Date(pt.at).getTime());
+  const span = times[times.length - 1] - times[0];
+  const x = i => pad.left + (span ? (times[i] - times[0]) / span : i / (points.length - 1)) * (width - pad.left - pad.right);
+  const y = v => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom);
+  const label = v => Number(v.toFixed(2));
+  const date = pt => new Date(pt.at).toLocaleDateString('en-IN');
+  const color = pt => {
+    if (pt.flag) return 'var(--danger)';
+    if (pt.delta && pt.delta.exceeded) return 'var(--status-waiting)';
+    return 'var(--primary)';
+  };
+
+  const band = isNumber(series.rangeLow) && isNumber(series.rangeHigh)
+    ? `<rect x="${pad.left}" y="${y(series.rangeHigh)}" width="${width - pad.left - pad.right}" height="${y(series.rangeLow) - y(series.rangeHigh)}" style="fill: #dcfce7;"></rect>`
+    : '';
+  return `
+    <svg viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto; margin-bottom: 8px;">
+      ${band}
+      <polyline points="${points.map((pt, i) => `${x(i)},${y(pt.number)}`).join(' ')}" style="fill: none; stroke: var(--primary); stroke-width: 2;"></polyline>
+      ${points.map((pt, i) => `
+        <circle cx="${x(i)}" cy="${y(pt.number)}" r="4" style="fill: ${color(pt)};"><title>${date(pt)}: ${pt.value} ${pt.unit || ''}</title></circle>
+      `).join('')}
+      <text x="${pad.left - 4}" y="${y(max) + 4}" text-anchor="end" style="font-size: 10px; fill: #64748b;">${label(max)}</text>
+      <text x="${pad.left - 4}" y="${y(min)}" text-anchor="end" style="font-size: 10px; fill: #64748b;">${label(min)}</text>
+      <text x="${pad.left}" y="${height - 4}" style="font-size: 10px; fill: #64748b;">${date(points[0])}</text>
+      <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" style="font-size: 10px; fill: #64748b;">${date(points[points.length - 1])}</text>
+    </svg>
+  `;
+}
+
+// --- Prescription Safety ---
+const SEVERITY_LABELS = { minor: 'Minor', moderate: 'Moderate', severe: 'Severe' };
+
+function renderPrescriptionWarnings(warnings) {
+  document.getElementById('prescription-warnings').innerHTML = warnings.map(w => `
+    <div style="padding: 8px 10px; margin-top: 6px; border-radius: 8px; font-size: 0.9rem; background: ${w.severity === 'severe' ? '#fee2e2' : '#fffbeb'};">
+      <strong>${SEVERITY_LABELS[w.severity]}:</strong> ${w.message}
+      ${w.advice ? `<div class="text-muted">${w.advice}</div>` : ''}
+      ${w.overrideReason ? `<div>Overridden${w.overriddenBy ? ` by ${w.overriddenBy}` : ''}: ${w.overrideReason}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+// Check the prescription against the patient's allergies, conditions and the interaction table.
+// Resolves with what to save ({ overrideReason } for severe warnings), or null to go back and change it.
+function checkPrescription() {
+  if (medicationLines.length === 0) {
+    renderPrescriptionWarnings([]);
+    return Promise.resolve({});
+  }
+  return fetch(`${API_BASE}/api/prescriptions/check`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ visitId: selectedPatient.id, medications: medicationLines })
+  })
+    .then(r => r.json().then(data => {
+      if (!r.ok) throw new Error(data.error || 'Could not check the prescription');
+      return data.warnings;
+    }))
+    .then(warnings => {
+      renderPrescriptionWarnings(warnings);
+      const list = warnings.map(w => `[${SEVERITY_LABELS[w.severity]}] ${w.message}`).join('\n');
+      if (warnings.some(w => w.severity === 'severe')) {
+        const reason = prompt(`${list}\n\nSevere warnings can only be overridden with a reason. Reason:`);
+        return reason && reason.trim() ? { overrideReason: reason.trim() } : null;
+      }
+      if (warnings.some(w => w.severity === 'moderate')) {
+        return confirm(`${list}\n\nSave the prescription anyway?`) ? {} : null;
+      }
+      return {};
+    })
+    .catch(err => {
+      alert(`Prescription not saved: ${err.message}`);
+      return null;
+    });
+}
+
 function updatePatient(action) {
   if (!selectedPatient) return;
 
-  const prescription = prescriptionInput.value;
-  // In a real app, diagnosis would be saved too
+  const problem = findMedicationProblem();
+  if (problem) {
+    alert(problem);
+    return;
+  }
 
-  socket.emit('update-prescription', { id: selectedPatient._id || selectedPatient.id, prescription });
+  checkPrescription().then(checked => {
+    if (!checked) return;
+    socket.emit('update-prescription', {
+      id: selectedPatient.id,
+      medications: medicationLines,
+      advice: adviceInput.value,
+      diagnosis: diagnosisInput.value,
+      overrideReason: checked.overrideReason
+    });
 
-  if (action === 'pharmacy') {
-    socket.emit('move-patient', { id: selectedPatient.id, status: 'pharmacy' });
-    resetSelection();
-  } else if (action === 'completed') {
-    socket.emit('move-patient', { id: selectedPatient.id, status: 'completed' });
-    resetSelection();
-  } else {
-    alert('Notes saved!');
-  }
+    if (action === 'pharmacy') {
+      socket.emit('move-patient', { id: selectedPatient.id, status: 'pharmacy' });
+      resetSelection();
+    } else if (action === 'completed') {
+      socket.emit('move-patient', { id: selectedPatient.id, status: 'completed' });
+      resetSelection();
+    } else {
+      alert('Notes saved!');
+    }
+  });
 }
 
 function resetSelection() {
@@ -287,15 +753,41 @@ socket.on('queue-updated', ({ patient }) => {
 socket.on('prescription-updated', (p) => {
   const idx = allPatients.findIndex(x => x.id === p.id);
   if (idx >= 0) allPatients[idx] = p;
+  if (selectedPatient && selectedPatient.id === p.id) renderPrescriptionWarnings(p.prescriptionWarnings || []);
+});
+
+socket.on('prescription-error', ({ message, warnings }) => {
+  if (warnings && selectedPatient) renderPrescriptionWarnings(warnings);
+  alert(`Prescription not saved: ${message}`);
 });
 
-socket.on('lab-request-created', (res) => {
+socket.on('critical-result', (alertInfo) => {
+  criticalAlerts = criticalAlerts.filter(a => a.testId !== alertInfo.testId);
+  criticalAlerts.unshift(alertInfo);
+  renderCriticalAlerts();
+});
+
+socket.on('critical-acknowledged', ({ testId }) => {
+  criticalAlerts = criticalAlerts.filter(a => a.testId !== testId);
+  renderCriticalAlerts();
+});
+
+socket.on('lab-order-created', (res) => {
   if (res.success) {
-    alert('Lab request sent successfully!');
+    closeLabOrder();
+    alert(`Lab order sent: ${res.tests.map(t => t.testName).join(', ')}`);
   } else {
-    alert('Failed to send lab request: ' + res.message);
+    alert('Failed to send lab order: ' + res.message);
   }
 });
 
+socket.on('permission-denied', ({ event }) => {
+  alert(`You don't have permission to do that (${event}).`);
+});
+
+socket.on('move-patient-error', ({ message }) => {
+  alert(`Patient not moved: ${message}`);
+});
+
 // Start
 init();
@@ -0,0 +1,476 @@
+const API_BASE = ''; // Relative path for production consistency
+
+// --- Tabs ---
+// Tab buttons and contents live in separate containers, so pair them by index here
+function setupTabs() {
+  const buttons = document.querySelectorAll('#admin-tabs .tab-button');
+  const contents = document.querySelectorAll('#admin-tab-contents > .tab-content');
+  buttons.forEach((button, index) => {
+    button.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('active'));
+      contents.forEach(c => c.classList.remove('active'));
+      button.classList.add('active');
+      contents[index].classList.add('active');
+    });
+  });
+}
+
+// --- Staff ---
+const STAFF_ROLES = ['admin', 'reception', 'doctor', 'lab', 'pharmacy', 'nurse', 'accounts'];
+let staffList = [];
+
+function loadStaff() {
+  fetch(`${API_BASE}/api/staff`, { credentials: 'include' })
+    .then(r => {
+      if (r.status === 403) throw new Error('Only hospital admins can manage staff');
+      return r.json();
+    })
+    .then(list => {
+      staffList = list;
+      renderStaffTable();
+    })
+    .catch(err => {
+      document.getElementById('staff-table-body').innerHTML = `<tr><td colspan="6" class="text-danger">${err.message}</td></tr>`;
+    });
+}
+
+function renderStaffTable() {
+  const tbody = document.getElementById('staff-table-body');
+  if (staffList.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-muted">No staff users.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = staffList.map(u => {
+    let badge = '<span class="badge completed">Active</span>';
+    if (u.isActive === false) badge = '<span class="badge pending">Deactivated</span>';
+    else if (u.isLocked) badge = '<span class="badge waiting">Locked</span>';
+
+    return `
+      <tr>
+        <td><strong>${u.username}</strong>${u.mustChangePassword ? '<div class="text-muted" style="font-size: 0.8rem;">Password change pending</div>' : ''}</td>
+        <td>${u.fullName || '-'}<div class="text-muted" style="font-size: 0.8rem;">${u.email || ''}</div></td>
+        <td style="text-transform: capitalize;">${u.role}</td>
+        <td>${badge}</td>
+        <td>${u.lastLogin ? formatDate(u.lastLogin) : 'Never'}</td>
+        <td>
+          <div class="flex gap-2" style="flex-wrap: wrap;">
+            <button class="btn btn-sm btn-secondary" data-id="${u.id}" data-action="edit">Edit</button>
+            <button class="btn btn-sm btn-secondary" data-id="${u.id}" data-action="reset">Reset Password</button>
+            ${u.isLocked ? `<button class="btn btn-sm btn-accent" data-id="${u.id}" data-action="unlock">Unlock</button>` : ''}
+            ${u.isActive === false
+        ? `<button class="btn btn-sm btn-accent" data-id="${u.id}" data-action="activate">Reactivate</button>`
+        : `<button class="btn btn-sm btn-danger" data-id="${u.id}" data-action="deactivate">Deactivate</button>`}
+            <button class="btn btn-sm btn-secondary" data-id="${u.id}" data-action="history">History</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function staffRequest(url, method, body) {
+  const response = await fetch(`${API_BASE}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || (data.errors && data.errors[0].msg) || data.message || 'Request failed');
+  }
+  return data;
+}
+
+function roleOptions(selected) {
+  return STAFF_ROLES.map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${r}</option>`).join('');
+}
+
+function showAddStaff() {
+  showModal('Add Staff User', `
+    <div class="form-group"><label>Username</label><input type="text" id="staff-username"></div>
+    <div class="form-group"><label>Full Name</label><input type="text" id="staff-fullname"></div>
+    <div class="form-group"><label>Email</label><input type="email" id="staff-email"></div>
+    <div class="form-group"><label>Role</label><select id="staff-role">${roleOptions('reception')}</select></div>
+    <div class="form-group">
+      <label>Password</label>
+      <input type="text" id="staff-password" placeholder="Leave blank to generate a temporary password">
+    </div>
+    <div class="form-group">
+      <label><input type="checkbox" id="staff-doctor-profile" checked> Create doctor profile (doctor role only)</label>
+    </div>
+  `, () => {
+    const body = {
+      username: document.getElementById('staff-username').value.trim(),
+      fullName: document.getElementById('staff-fullname').value.trim(),
+      email: document.getElementById('staff-email').value.trim(),
+      role: document.getElementById('staff-role').value,
+      password: document.getElementById('staff-password').value,
+      createDoctorProfile: document.getElementById('staff-doctor-profile').checked
+    };
+    staffRequest('/api/staff', 'POST', body)
+      .then(data => {
+        if (data.temporaryPassword) {
+          showModal('User Created', `<p>Share this temporary password with <strong>${data.user.username}</strong>. It will not be shown again.</p>
+            <div class="password-badge" style="font-size: 1.4rem; margin-top: 12px;">${data.temporaryPassword}</div>`);
+        } else {
+          showToast('Created', `User ${data.user.username} created`, 'success');
+        }
+        loadStaff();
+      })
+      .catch(err => showToast('Error', err.message, 'error'));
+  });
+}
+
+function showEditStaff(user) {
+  showModal(`Edit ${user.username}`, `
+    <div class="form-group"><label>Full Name</label><input type="text" id="edit-fullname" value="${user.fullName || ''}"></div>
+    <div class="form-group"><label>Email</label><input type="email" id="edit-email" value="${user.email || ''}"></div>
+    <div class="form-group"><label>Role</label><select id="edit-role">${roleOptions(user.role)}</select></div>
+  `, () => {
+    staffRequest(`/api/staff/${user.id}`, 'PUT', {
+      fullName: document.getElementById('edit-fullname').value.trim(),
+      email: document.getElementById('edit-email').value.trim(),
+      role: document.getElementById('edit-role').value
+    })
+      .then(() => {
+        showToast('Saved', `${user.username} updated`, 'success');
+        loadStaff();
+      })
+      .catch(err => showToast('Error', err.message, 'error'));
+  });
+}
+
+async function showStaffHistory(user) {
+  try {
+    const full = await staffRequest(`/api/staff/${user.id}`, 'GET');
+    const items = (full.history || []).slice().reverse();
+    showModal(`History - ${user.username}`, items.length ? `
+      <div class="timeline">
+        ${items.map(h => `
+          <div class="timeline-item">
+            <div class="timeline-date">${formatDate(h.at)} • ${h.performedByName || 'System'}</div>
+            <div class="timeline-content"><strong>${h.action}</strong>${h.details ? ` - ${h.details}` : ''}</div>
+          </div>
+        `).join('')}
+      </div>
+    ` : '<p class="text-muted">No changes recorded.</p>');
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+function handleStaffAction(e) {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  const user = staffList.find(u => u.id === btn.dataset.id);
+  if (!user) return;
+
+  switch (btn.dataset.action) {
+    case 'edit':
+      showEditStaff(user);
+      break;
+    case 'history':
+      showStaffHistory(user);
+      break;
+    case 'reset':
+      if (!confirm(`Issue a new temporary password for ${user.username}?`)) return;
+      staffRequest(`/api/staff/${user.id}/reset-password`, 'POST')
+        .then(data => {
+          showModal('Password Reset', `<p>New temporary password for <strong>${user.username}</strong>:</p>
+            <div class="password-badge" style="font-size: 1.4rem; margin-top: 12px;">${data.temporaryPassword}</div>`);
+          loadStaff();
+        })
+        .catch(err => showToast('Error', err.message, 'error'));
+      break;
+    case 'unlock':
+      staffRequest(`/api/staff/${user.id}/unlock`, 'POST')
+        .then(() => { showToast('Unlocked', `${user.username} can sign in again`, 'success'); loadStaff(); })
+        .catch(err => showToast('Error', err.message, 'error'));
+      break;
+    case 'deactivate':
+    case 'activate': {
+      const active = btn.dataset.action === 'activate';
+      if (!active && !confirm(`Deactivate ${user.username}? They will no longer be able to sign in.`)) return;
+      staffRequest(`/api/staff/${user.id}/status`, 'PUT', { active })
+        .then(() => { showToast('Saved', `${user.username} ${active ? 'reactivated' : 'deactivated'}`, 'success'); loadStaff(); })
+        .catch(err => showToast('Error', err.message, 'error'));
+      break;
+    }
+  }
+}
+
+// --- Permissions ---
+let permissionData = null;
+
+function loadPermissions() {
+  fetch(`${API_BASE}/api/permissions`, { credentials: 'include' })
+    .then(r => {
+      if (r.status === 403) throw new Error('Only hospital admins can edit permissions');
+      return r.json();
+    })
+    .then(data => {
+      permissionData = data;
+      renderPermissionMatrix();
+    })
+    .catch(err => {
+      document.getElementById('matrix-body').innerHTML = `<tr><td colspan="8" class="text-danger">${err.message}</td></tr>`;
+    });
+}
+
+function renderPermissionMatrix() {
+  const { roles, permissions, adminOnly, matrix } = permissionData;
+  const editableRoles = roles.filter(r => r !== 'admin');
+
+  document.getElementById('matrix-head').innerHTML = `
+    <tr>
+      <th>Permission</th>
+      ${editableRoles.map(r => `<th style="text-transform: capitalize;">${r}</th>`).join('')}
+    </tr>
+  `;
+
+  document.getElementById('matrix-body').innerHTML = Object.entries(permissions).map(([key, label]) => {
+    const locked = adminOnly.includes(key);
+    return `
+      <tr>
+        <td>
+          <div>${label}</div>
+          <div class="matrix-key">${key}${locked ? ' • admin only' : ''}</div>
+        </td>
+        ${editableRoles.map(role => `
+          <td>
+            <input type="checkbox" data-role="${role}" data-permission="${key}"
+              ${(matrix[role] || []).includes(key) ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+          </td>
+        `).join('')}
+      </tr>
+    `;
+  }).join('');
+}
+
+function collectMatrix() {
+  const matrix = {};
+  permissionData.roles.filter(r => r !== 'admin').forEach(role => { matrix[role] = []; });
+  document.querySelectorAll('#matrix-body input[type="checkbox"]:checked').forEach(cb => {
+    matrix[cb.dataset.role].push(cb.dataset.permission);
+  });
+  return matrix;
+}
+
+async function savePermissions() {
+  try {
+    const response = await fetch(`${API_BASE}/api/permissions`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ matrix: collectMatrix() })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to save');
+
+    permissionData.matrix = data.matrix;
+    renderPermissionMatrix();
+    showToast('Saved', 'Permission matrix updated', 'success');
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+async function resetPermissions() {
+  if (!confirm('Reset every role to the default permissions?')) return;
+  try {
+    const response = await fetch(`${API_BASE}/api/permissions/reset`, { method: 'POST', credentials: 'include' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to reset');
+
+    permissionData.matrix = data.matrix;
+    renderPermissionMatrix();
+    showToast('Reset', 'Default permissions restored', 'success');
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+// --- Queue Tokens ---
+let tokenSettings = { digits: 3 };
+let departmentList = [];
+
+function loadTokenSettings() {
+  fetch(`${API_BASE}/api/hospital/token-settings`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(settings => {
+      tokenSettings = settings;
+      document.getElementById('token-reset').value = settings.reset || 'daily';
+      document.getElementById('token-timezone').value = settings.timezone || '';
+      document.getElementById('token-digits').value = settings.digits || 3;
+      renderPrefixTable();
+    })
+    .catch(err => showToast('Error', err.message, 'error'));
+}
+
+function loadDepartmentPrefixes() {
+  fetch(`${API_BASE}/api/departments`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(list => {
+      departmentList = list;
+      renderPrefixTable();
+    })
+    .catch(err => {
+      document.getElementById('prefix-table-body').innerHTML = `<tr><td colspan="4" class="text-danger">${err.message}</td></tr>`;
+    });
+}
+
+function renderPrefixTable() {
+  const tbody = document.getElementById('prefix-table-body');
+  const number = '1'.padStart(tokenSettings.digits || 3, '0');
+  tbody.innerHTML = departmentList.map(d => `
+    <tr>
+      <td>${d.name}</td>
+      <td><input type="text" value="${d.tokenPrefix || ''}" maxlength="5" style="width: 90px; text-transform: uppercase;" data-id="${d.id}"></td>
+      <td class="text-muted">${d.tokenPrefix ? `${d.tokenPrefix}-${number}` : number}</td>
+      <td><button class="btn btn-sm btn-secondary" data-id="${d.id}">Save</button></td>
+    </tr>
+  `).join('') || '<tr><td colspan="4" class="text-muted">No departments.</td></tr>';
+}
+
+async function saveTokenSettings(e) {
+  e.preventDefault();
+  try {
+    const data = await staffRequest('/api/hospital/token-settings', 'PUT', {
+      reset: document.getElementById('token-reset').value,
+      timezone: document.getElementById('token-timezone').value.trim(),
+      digits: document.getElementById('token-digits').value
+    });
+    tokenSettings = data.tokenSettings;
+    renderPrefixTable();
+    showToast('Saved', 'Token settings updated', 'success');
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+async function saveDepartmentPrefix(e) {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  const department = departmentList.find(d => d.id === btn.dataset.id);
+  const input = document.querySelector(`#prefix-table-body input[data-id="${btn.dataset.id}"]`);
+  try {
+    await staffRequest(`/api/departments/${department.id}`, 'PUT', {
+      name: department.name,
+      tokenPrefix: input.value.trim()
+    });
+    showToast('Saved', `${department.name} prefix updated`, 'success');
+    loadDepartmentPrefixes();
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+// --- Audit Trail ---
+let auditPage = 1;
+let auditTotalPages = 1;
+
+function auditFilters() {
+  const params = new URLSearchParams();
+  new FormData(document.getElementById('audit-filters')).forEach((value, key) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '∅';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  // Values are free text (prescriptions, names), so never render them as markup
+  const div = document.createElement('div');
+  div.textContent = text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  return div.innerHTML;
+}
+
+function loadAudit(page = auditPage) {
+  const params = auditFilters();
+  params.set('page', page);
+
+  fetch(`${API_BASE}/api/audit?${params}`, { credentials: 'include' })
+    .then(r => {
+      if (r.status === 403) throw new Error('You do not have access to the audit trail');
+      return r.json();
+    })
+    .then(({ data, pagination }) => {
+      auditPage = pagination.page;
+      auditTotalPages = Math.max(pagination.totalPages, 1);
+      document.getElementById('audit-page-info').textContent = `Page ${auditPage} of ${auditTotalPages} (${pagination.total} entries)`;
+      renderAuditTable(data);
+    })
+    .catch(err => {
+      document.getElementById('audit-table-body').innerHTML = `<tr><td colspan="7" class="text-danger">${err.message}</td></tr>`;
+    });
+}
+
+function renderAuditTable(entries) {
+  const tbody = document.getElementById('audit-table-body');
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-muted">No matching entries.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(e => `
+    <tr>
+      <td>${e.seq}</td>
+      <td>${formatDate(e.at)}</td>
+      <td>${e.actorName || 'System'}<div class="text-muted" style="font-size: 0.8rem; text-transform: capitalize;">${e.role || ''}</div></td>
+      <td><strong>${e.action}</strong></td>
+      <td>${e.entityType || '-'}<div class="text-muted" style="font-size: 0.8rem;">${e.entityId || ''}</div></td>
+      <td class="audit-changes">${(e.changes || []).map(c => `${c.field}: ${formatAuditValue(c.before)} → ${formatAuditValue(c.after)}`).join('\n') || '-'}</td>
+      <td>${e.ip || '-'}</td>
+    </tr>
+  `).join('');
+}
+
+async function verifyAuditChain() {
+  try {
+    const response = await fetch(`${API_BASE}/api/audit/verify`, { credentials: 'include' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Verification failed');
+
+    if (data.valid) {
+      showToast('Chain Intact', `All ${data.entries} entries verified`, 'success');
+    } else {
+      showModal('Audit Chain Problems', `
+        <p class="text-danger">${data.problems.length} problem(s) found in ${data.entries} entries:</p>
+        <ul>${data.problems.map(p => `<li>Entry ${p.seq}: ${p.problem}</li>`).join('')}</ul>
+      `);
+    }
+  } catch (err) {
+    showToast('Error', err.message, 'error');
+  }
+}
+
+// --- Initialization ---
+function init() {
+  setupTabs();
+  document.getElementById('btn-add-staff').addEventListener('click', showAddStaff);
+  document.getElementById('staff-table-body').addEventListener('click', handleStaffAction);
+  document.getElementById('btn-save-permissions').addEventListener('click', savePermissions);
+  document.getElementById('btn-reset-permissions').addEventListener('click', resetPermissions);
+  document.getElementById('token-settings-form').addEventListener('submit', saveTokenSettings);
+  document.getElementById('prefix-table-body').addEventListener('click', saveDepartmentPrefix);
+  document.getElementById('audit-filters').addEventListener('submit', e => {
+    e.preventDefault();
+    loadAudit(1);
+  });
+  document.getElementById('btn-audit-prev').addEventListener('click', () => { if (auditPage > 1) loadAudit(auditPage - 1); });
+  document.getElementById('btn-audit-next').addEventListener('click', () => { if (auditPage < auditTotalPages) loadAudit(auditPage + 1); });
+  document.getElementById('btn-verify-audit').addEventListener('click', verifyAuditChain);
+  document.getElementById('btn-export-audit').addEventListener('click', () => {
+    window.location.href = `${API_BASE}/api/audit/export?${auditFilters()}`;
+  });
+  loadStaff();
+  loadPermissions();
+  loadTokenSettings();
+  loadDepartmentPrefixes();
+  loadAudit();
+}
+
+init();
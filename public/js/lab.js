@@ -1,8 +1,24 @@
 const socket = io();
 let currentSection = 'overview';
 
-// Join Lab Room
-socket.emit('join', 'lab');
+const STATUS_LABELS = {
+    ordered: 'Ordered',
+    collected: 'Collected',
+    received: 'Received',
+    in_progress: 'In Progress',
+    resulted: 'Resulted',
+    verified: 'Verified',
+    reported: 'Reported',
+    rejected: 'Rejected',
+    recollect: 'Recollect',
+    cancelled: 'Cancelled'
+};
+
+// Join Lab Room (the server takes the hospital from the session; rejoin after every reconnect)
+socket.on('connect', () => socket.emit('join', 'lab'));
+socket.on('connect_error', (err) => {
+    if (err.message === 'Not authenticated') window.location.href = 'login.html';
+});
 
 // Socket Listeners
 socket.on('lab-update', () => {
@@ -10,6 +26,21 @@ socket.on('lab-update', () => {
     showToast('New lab update received', 'info');
 });
 
+socket.on('stock-alert', ({ itemName, quantity, unit, status }) => {
+    showToast(`${itemName} is ${status === 'out' ? 'out of stock' : `low (${quantity} ${unit || ''} left)`}`, 'error');
+});
+
+socket.on('analyzer-result', ({ accessionNumber, instrument, matched }) => {
+    showToast(matched
+        ? `Results for ${accessionNumber} received from ${instrument}`
+        : `${instrument} sent results for unknown sample ${accessionNumber || ''}`, matched ? 'info' : 'error');
+    if (currentSection === 'instruments') loadSection('instruments');
+});
+
+socket.on('permission-denied', ({ event }) => {
+    showToast(`Permission denied (${event})`, 'error');
+});
+
 document.addEventListener('DOMContentLoaded', () => {
     showSection('overview');
 });
@@ -52,9 +83,18 @@ async function loadSection(section) {
             case 'reports':
                 await renderReports(content);
                 break;
+            case 'analytics':
+                await renderAnalytics(content);
+                break;
+            case 'instruments':
+                await renderInstruments(content);
+                break;
             case 'inventory':
                 await renderInventory(content);
                 break;
+            case 'purchasing':
+                await renderPurchasing(content);
+                break;
             case 'settings':
                 await renderSettings(content);
                 break;
@@ -69,8 +109,9 @@ async function loadSection(section) {
 
 async function renderOverview(container) {
     try {
-        const res = await fetch('/api/lab/stats');
+        const [res, alertRes] = await Promise.all([fetch('/api/lab/stats'), fetch('/api/lab/inventory/alerts')]);
         const stats = await res.json();
+        const alerts = alertRes.ok ? await alertRes.json() : { lowStock: [], expiring: [] };
 
         container.innerHTML = `
             <div class="stats-grid">
@@ -86,19 +127,44 @@ async function renderOverview(container) {
                     <div class="stat-value">${stats.processing || 0}</div>
                     <div class="stat-label">In Processing</div>
                 </div>
+                <div class="stat-card">
+                    <div class="stat-value">${stats.toVerify || 0}</div>
+                    <div class="stat-label">Awaiting Verification</div>
+                </div>
                 <div class="stat-card">
                     <div class="stat-value">${stats.completed || 0}</div>
-                    <div class="stat-label">Completed Today</div>
+                    <div class="stat-label">Reported Today</div>
                 </div>
             </div>
+            ${renderStockAlerts(alerts)}
         `;
     } catch (e) {
         container.innerHTML = `<div class="card">Error loading stats</div>`;
     }
 }
 
+function renderStockAlerts({ lowStock, expiring, warningDays }) {
+    if (lowStock.length === 0 && expiring.length === 0) return '';
+    return `
+        <div class="card" style="margin-top: 24px; border-left: 4px solid var(--danger);">
+            <h3 style="margin-bottom: 12px;">Stock Alerts</h3>
+            ${lowStock.map(i => `
+                <div class="text-sm" style="margin-bottom: 4px;">
+                    <strong>${i.itemName}</strong>: ${i.status === 'out' ? '<span style="color: var(--danger);">out of stock</span>' : `low - ${i.quantity} ${i.unit || ''} left (minimum ${i.minLevel})`}
+                </div>`).join('')}
+            ${expiring.map(b => `
+                <div class="text-sm" style="margin-bottom: 4px;">
+                    <strong>${b.itemName}</strong> batch ${b.batchNumber} (${b.quantity} ${b.unit || ''}):
+                    <span style="color: ${b.expired ? 'var(--danger)' : 'var(--warning, #d97706)'};">${b.expired ? 'expired' : 'expires'} ${new Date(b.expiryDate).toLocaleDateString()}</span>
+                </div>`).join('')}
+            ${expiring.length ? `<div class="text-sm text-muted" style="margin-top: 8px;">Batches expiring within ${warningDays} days are listed.</div>` : ''}
+            <button class="btn btn-outline" style="margin-top: 12px;" onclick="showSection('inventory')">Open Inventory</button>
+        </div>
+    `;
+}
+
 async function renderRequests(container) {
-    const res = await fetch('/api/lab/tests?status=pending');
+    const res = await fetch('/api/lab/tests?status=ordered,recollect');
     const tests = await res.json();
 
     let html = `
@@ -119,16 +185,20 @@ async function renderRequests(container) {
                     <div class="test-header">
                         <div>
                             <strong>${test.patientName}</strong> <span class="text-muted">(${test.patientAge}/${test.patientGender})</span>
-                            <div class="text-sm text-muted">Dr. ${test.orderedBy} • ${new Date(test.createdAt).toLocaleDateString()}</div>
+                            <div class="text-sm text-muted">Dr. ${test.orderedBy} • ${new Date(test.orderedAt).toLocaleDateString()}</div>
                         </div>
-                        <div class="status-badge status-pending">Pending</div>
+                        <div class="status-badge status-pending">${STATUS_LABELS[test.status]}</div>
                     </div>
                     <div class="test-body">
-                        <p><strong>Test:</strong> ${test.testName}</p>
+                        <p><strong>Test:</strong> ${test.testName} ${test.priority === 'urgent' ? '<span style="color: var(--danger); font-weight: 600;">URGENT</span>' : ''}</p>
+                        ${test.accessionNumber ? `<p class="text-sm text-muted">Sample: ${test.accessionNumber}</p>` : ''}
                         ${test.notes ? `<p class="text-sm">Note: ${test.notes}</p>` : ''}
                     </div>
                     <div class="test-actions">
-                        <button class="btn btn-primary" onclick="updateTestStatus('${test._id}', 'collection_pending')">Accept & Collect Sample</button>
+                        <button class="btn btn-outline" onclick="printLabel('${test._id}')">🖨️ Label</button>
+                        ${test.orderId ? `<button class="btn btn-outline" onclick="printOrderLabels('${test.orderId}')">Order Labels</button>` : ''}
+                        <button class="btn btn-primary" onclick="updateTestStatus('${test._id}', 'collected')">Sample Collected</button>
+                        <button class="btn btn-danger" onclick="cancelTest('${test._id}')">Cancel</button>
                     </div>
                 </div>
             `;
@@ -138,7 +208,7 @@ async function renderRequests(container) {
 }
 
 async function renderCollection(container) {
-    const res = await fetch('/api/lab/tests?status=collection_pending');
+    const res = await fetch('/api/lab/tests?status=collected,rejected');
     const tests = await res.json();
 
     let html = `
@@ -156,13 +226,19 @@ async function renderCollection(container) {
                     <div class="test-header">
                         <div>
                             <strong>${test.patientName}</strong>
-                            <div class="text-sm text-muted">${test.testName}</div>
+                            <div class="text-sm text-muted">${test.testName}${test.accessionNumber ? ` • ${test.accessionNumber}` : ''}</div>
+                            ${test.status === 'rejected' ? `<div class="text-sm" style="color: var(--danger);">Rejected: ${test.rejectionReason || ''}</div>` : ''}
                         </div>
                         <button class="btn btn-outline" onclick="printLabel('${test._id}')">🖨️ Label</button>
                     </div>
                     <div class="test-actions" style="margin-top: 15px;">
-                        <button class="btn btn-success" onclick="updateTestStatus('${test._id}', 'processing')">Sample Collected</button>
+                        ${test.status === 'rejected' ? `
+                        <button class="btn btn-primary" onclick="updateTestStatus('${test._id}', 'recollect')">Request Recollection</button>
+                        <button class="btn btn-danger" onclick="cancelTest('${test._id}')">Cancel Test</button>
+                        ` : `
+                        <button class="btn btn-success" onclick="updateTestStatus('${test._id}', 'received')">Received in Lab</button>
                         <button class="btn btn-danger" onclick="rejectSample('${test._id}')">Reject Sample</button>
+                        `}
                     </div>
                 </div>
             `;
@@ -172,7 +248,7 @@ async function renderCollection(container) {
 }
 
 async function renderProcessing(container) {
-    const res = await fetch('/api/lab/tests?status=processing');
+    const res = await fetch('/api/lab/tests?status=received,in_progress');
     const tests = await res.json();
 
     let html = `
@@ -189,13 +265,17 @@ async function renderProcessing(container) {
                 <div class="test-card">
                     <div class="test-header">
                         <strong>${test.patientName}</strong>
-                        <span class="status-badge status-processing">Processing</span>
+                        <span class="status-badge status-processing">${STATUS_LABELS[test.status]}</span>
                     </div>
                     <div class="test-body">
                         <p>${test.testName}</p>
+                        ${test.accessionNumber ? `<div class="text-sm text-muted">Sample: ${test.accessionNumber}</div>` : ''}
                     </div>
                     <div class="test-actions">
-                        <button class="btn btn-primary" onclick="enterResults('${test._id}')">Enter Results</button>
+                        ${test.status === 'received'
+                            ? `<button class="btn btn-primary" onclick="updateTestStatus('${test._id}', 'in_progress')">Start Processing</button>`
+                            : `<button class="btn btn-primary" onclick="enterResults('${test._id}')">Enter Results</button>`}
+                        <button class="btn btn-danger" onclick="rejectSample('${test._id}')">Reject Sample</button>
                     </div>
                 </div>
             `;
@@ -205,14 +285,54 @@ async function renderProcessing(container) {
 }
 
 async function renderResultsList(container) {
-    // Reusing processing logic for now, or maybe a separate list of 'results_pending' if that state existed
-    // But usually 'processing' leads to 'completed' after entering results.
-    // Let's assume this is for reviewing results before final signoff, or just redirect to processing.
-    await renderProcessing(container);
+    const res = await fetch('/api/lab/tests?status=resulted');
+    const tests = await res.json();
+
+    let html = `
+        <div class="section-title">
+            <h2>Awaiting Verification</h2>
+        </div>
+    `;
+
+    if (tests.length === 0) {
+        html += `<div class="card" style="text-align: center; color: var(--text-muted);">No results awaiting verification.</div>`;
+    } else {
+        tests.forEach(test => {
+            html += `
+                <div class="test-card">
+                    <div class="test-header">
+                        <strong>${test.patientName}</strong>
+                        <span class="status-badge status-processing">Resulted</span>
+                    </div>
+                    <div class="test-body">
+                        <p>${test.testName}</p>
+                        <div class="text-sm text-muted">Entered by ${test.resultedBy || '-'}</div>
+                        ${criticalStatus(test)}
+                    </div>
+                    <div class="test-actions">
+                        <button class="btn btn-outline" onclick="viewReport('${test._id}')">View Results</button>
+                        <button class="btn btn-outline" onclick="updateTestStatus('${test._id}', 'in_progress')">Send Back</button>
+                        <button class="btn btn-success" onclick="verifyTest('${test._id}')">Verify</button>
+                    </div>
+                </div>
+            `;
+        });
+    }
+    container.innerHTML = html;
+}
+
+// Whether the doctor has seen this test's latest critical values
+function criticalStatus(test) {
+    const alerts = test.criticalAlerts || [];
+    if (alerts.length === 0) return '';
+    const last = alerts[alerts.length - 1];
+    return last.acknowledgedAt
+        ? `<div class="text-sm" style="color: var(--danger);">⚠ Critical values - acknowledged by ${last.acknowledgedBy} at ${new Date(last.acknowledgedAt).toLocaleTimeString()}</div>`
+        : `<div class="text-sm" style="color: var(--danger); font-weight: 600;">⚠ Critical values - awaiting doctor acknowledgement</div>`;
 }
 
 async function renderReports(container) {
-    const res = await fetch('/api/lab/tests?status=completed');
+    const res = await fetch('/api/lab/tests?status=verified,reported');
     const tests = await res.json();
 
     let html = `
@@ -229,15 +349,22 @@ async function renderReports(container) {
                 <div class="test-card">
                     <div class="test-header">
                         <strong>${test.patientName}</strong>
-                        <span class="status-badge status-completed">Completed</span>
+                        <span class="status-badge status-completed">${STATUS_LABELS[test.status]}</span>
                     </div>
                     <div class="test-body">
                         <p>${test.testName}</p>
-                        <div class="text-sm text-muted">Completed: ${new Date(test.updatedAt).toLocaleDateString()}</div>
+                        <div class="text-sm text-muted">${test.status === 'reported'
+                            ? `Reported: ${new Date(test.completedAt).toLocaleString()}`
+                            : `Verified by ${test.verifiedBy || '-'}`}</div>
+                        ${test.amendedAt ? `<div class="text-sm text-muted">Amended by ${test.amendedBy} on ${new Date(test.amendedAt).toLocaleString()}</div>` : ''}
+                        ${criticalStatus(test)}
                     </div>
                     <div class="test-actions">
+                        ${test.status === 'verified' ? `<button class="btn btn-success" onclick="updateTestStatus('${test._id}', 'reported')">Release Report</button>` : ''}
+                        <button class="btn btn-outline" onclick="enterResults('${test._id}', 'amend')">Amend</button>
                         <button class="btn btn-outline" onclick="viewReport('${test._id}')">View Report</button>
                         <button class="btn btn-primary" onclick="printReport('${test._id}')">Print</button>
+                        ${test.orderId ? `<button class="btn btn-outline" onclick="printOrderReport('${test.orderId}')">Order Report</button>` : ''}
                     </div>
                 </div>
             `;
@@ -246,9 +373,19 @@ async function renderReports(container) {
     container.innerHTML = html;
 }
 
+let inventoryItems = [];
+
+const STOCK_REASONS = {
+    count_correction: 'Stock count correction',
+    wastage: 'Wastage / spillage',
+    expired: 'Expired',
+    damaged: 'Damaged',
+    returned: 'Returned to supplier'
+};
+
 async function renderInventory(container) {
     const res = await fetch('/api/lab/inventory');
-    const items = await res.json();
+    inventoryItems = await res.json();
 
     let html = `
         <div class="section-title" style="display: flex; justify-content: space-between; align-items: center;">
@@ -260,7 +397,8 @@ async function renderInventory(container) {
                 <tr>
                     <th>Item Name</th>
                     <th>Quantity</th>
-                    <th>Unit</th>
+                    <th>Min Level</th>
+                    <th>Batches (soonest expiry first)</th>
                     <th>Status</th>
                     <th>Actions</th>
                 </tr>
@@ -268,19 +406,34 @@ async function renderInventory(container) {
             <tbody>
     `;
 
-    if (items.length === 0) {
-        html += `<tr><td colspan="5" style="text-align:center;">No inventory items.</td></tr>`;
+    if (inventoryItems.length === 0) {
+        html += `<tr><td colspan="6" style="text-align:center;">No inventory items.</td></tr>`;
     } else {
-        items.forEach(item => {
+        const now = new Date();
+        inventoryItems.forEach(item => {
+            const batches = item.batches.map(b => {
+                const expired = b.expiryDate && new Date(b.expiryDate) < now;
+                return `<div class="text-sm" style="${expired ? 'color: var(--danger);' : ''}">
+                    ${b.batchNumber}: ${b.quantity}${b.expiryDate ? ` • exp ${new Date(b.expiryDate).toLocaleDateString()}${expired ? ' (expired)' : ''}` : ''}
+                </div>`;
+            }).join('');
+            const status = {
+                ok: '<span style="color: var(--success)">OK</span>',
+                low: '<span style="color: var(--danger)">Low Stock</span>',
+                out: '<span style="color: var(--danger); font-weight: 600;">Out of Stock</span>'
+            }[item.status];
             html += `
                 <tr>
                     <td>${item.itemName}</td>
-                    <td>${item.quantity}</td>
-                    <td>${item.unit}</td>
-                    <td>${item.quantity < item.minLevel ? '<span style="color: var(--danger)">Low Stock</span>' : '<span style="color: var(--success)">OK</span>'}</td>
+                    <td>${item.quantity} ${item.unit || ''}</td>
+                    <td>${item.minLevel}</td>
+                    <td>${batches || '<span class="text-muted">-</span>'}</td>
+                    <td>${status}</td>
                     <td>
-                        <button class="btn-icon" onclick="updateStock('${item._id}', 1)">+</button>
-                        <button class="btn-icon" onclick="updateStock('${item._id}', -1)">-</button>
+                        <button class="btn btn-outline" onclick="receiveStock('${item.id}')">Receive</button>
+                        <button class="btn btn-outline" onclick="adjustStock('${item.id}')">Adjust</button>
+                        <button class="btn btn-outline" onclick="stockHistory('${item.id}')">History</button>
+                        <button class="btn btn-outline" onclick="editInventoryItem('${item.id}')">Edit</button>
                     </td>
                 </tr>
             `;
@@ -290,111 +443,1331 @@ async function renderInventory(container) {
     container.innerHTML = html;
 }
 
+let testCatalog = [];
+let editingType = null;
+
 async function renderSettings(container) {
+    const [res, invRes] = await Promise.all([
+        fetch('/api/lab/settings/test-types?all=true'),
+        fetch('/api/lab/inventory')
+    ]);
+    testCatalog = await res.json();
+    inventoryItems = invRes.ok ? await invRes.json() : [];
+
+    let html = `
+        <div class="section-title">
+            <h2>Test Catalog</h2>
+            <div style="display: flex; gap: 8px;">
+                <button class="btn btn-outline" onclick="editTestType(null, true)">+ New Panel</button>
+                <button class="btn btn-primary" onclick="editTestType(null, false)">+ New Test</button>
+            </div>
+        </div>
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>Test</th>
+                    <th>Category</th>
+                    <th>Sample</th>
+                    <th>TAT</th>
+                    <th>Parameters</th>
+                    <th>Price</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    if (testCatalog.length === 0) {
+        html += `<tr><td colspan="7" style="text-align:center;">No tests in the catalog yet.</td></tr>`;
+    } else {
+        testCatalog.forEach(t => {
+            const members = t.isPanel
+                ? t.panelTests.map(id => (testCatalog.find(m => m.id === id) || {}).name).filter(Boolean).join(', ')
+                : t.parameters.map(p => p.name).join(', ');
+            html += `
+                <tr style="${t.active === false ? 'opacity: 0.5;' : ''}">
+                    <td><strong>${t.name}</strong>${t.code ? ` <span class="text-muted">(${t.code})</span>` : ''}${t.isPanel ? ' <span class="text-muted">Panel</span>' : ''}</td>
+                    <td>${t.category || '-'}</td>
+                    <td>${[t.sampleType, t.container].filter(Boolean).join(' / ') || '-'}</td>
+                    <td>${t.turnaroundTime ? `${t.turnaroundTime}h` : '-'}</td>
+                    <td class="text-sm">${members || '-'}</td>
+                    <td>${t.price || 0}</td>
+                    <td>
+                        <button class="btn btn-outline" onclick="editTestType('${t.id}')">Edit</button>
+                        <button class="btn btn-outline" onclick="setTestTypeActive('${t.id}', ${t.active === false})">${t.active === false ? 'Restore' : 'Retire'}</button>
+                    </td>
+                </tr>
+            `;
+        });
+    }
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+}
+
+// --- Catalog Editor ---
+
+function blankParameter() {
+    return { name: '', code: '', unit: '', dataType: 'numeric', options: '', decimals: '', criticalLow: '', criticalHigh: '', deltaPercent: '', ranges: [] };
+}
+
+function editTestType(id, isPanel) {
+    const existing = testCatalog.find(t => t.id === id);
+    editingType = existing
+        ? JSON.parse(JSON.stringify(existing))
+        : { name: '', code: '', category: '', sampleType: '', container: '', turnaroundTime: '', price: 0, isPanel, panelTests: [], parameters: [blankParameter()], consumables: [] };
+    editingType.consumables = editingType.consumables || [];
+    editingType.parameters.forEach(p => {
+        if (Array.isArray(p.options)) p.options = p.options.join(', ');
+    });
+
+    openModal(existing ? `Edit ${existing.name}` : (isPanel ? 'New Panel' : 'New Test'), '', saveTestType, { wide: true });
+    renderTestTypeEditor();
+}
+
+function fieldValue(value) {
+    return value === undefined || value === null ? '' : String(value).replace(/"/g, '&quot;');
+}
+
+function renderTestTypeEditor() {
+    const t = editingType;
+    const input = (field, label, type = 'text') => `
+        <div class="form-group">
+            <label>${label}</label>
+            <input type="${type}" data-field="${field}" value="${fieldValue(t[field])}">
+        </div>`;
+
+    let html = `
+        <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px;">
+            ${input('name', 'Name')}
+            ${input('code', 'Code')}
+            ${input('category', 'Category')}
+            ${input('price', 'Price', 'number')}
+            ${t.isPanel ? '' : input('sampleType', 'Sample Type')}
+            ${t.isPanel ? '' : input('container', 'Container')}
+            ${input('turnaroundTime', 'TAT (hours)', 'number')}
+        </div>
+    `;
+
+    if (t.isPanel) {
+        const singles = testCatalog.filter(m => !m.isPanel && m.id !== t.id && m.active !== false);
+        html += `
+            <h4 style="margin: 16px 0 8px;">Tests in this panel</h4>
+            ${singles.length === 0 ? '<p class="text-muted">Add single tests to the catalog first.</p>' : ''}
+            ${singles.map(m => `
+                <label style="display: flex; gap: 8px; align-items: center; font-weight: normal;">
+                    <input type="checkbox" data-panel-test="${m.id}" ${t.panelTests.includes(m.id) ? 'checked' : ''} style="width: auto;">
+                    ${m.name} <span class="text-muted">${m.category || ''}</span>
+                </label>
+            `).join('')}
+        `;
+    } else {
+        html += `<h4 style="margin: 16px 0 8px;">Parameters</h4>`;
+        t.parameters.forEach((p, i) => {
+            const pInput = (field, placeholder, type = 'text') =>
+                `<input type="${type}" placeholder="${placeholder}" data-param="${i}" data-field="${field}" value="${fieldValue(p[field])}">`;
+            html += `
+                <div style="border: 1px solid var(--border); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                    <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr auto; gap: 6px; align-items: center;">
+                        ${pInput('name', 'Parameter name')}
+                        ${pInput('code', 'Code')}
+                        ${pInput('unit', 'Unit')}
+                        <select data-param="${i}" data-field="dataType">
+                            ${['numeric', 'text', 'option'].map(d => `<option value="${d}" ${p.dataType === d ? 'selected' : ''}>${d}</option>`).join('')}
+                        </select>
+                        <div style="display: flex; gap: 4px;">
+                            <button type="button" class="btn-icon" title="Move up" onclick="moveParameter(${i}, -1)">↑</button>
+                            <button type="button" class="btn-icon" title="Move down" onclick="moveParameter(${i}, 1)">↓</button>
+                            <button type="button" class="btn-icon" title="Remove" onclick="removeParameter(${i})">✕</button>
+                        </div>
+                    </div>
+                    <div style="display: grid; grid-template-columns: repeat(5, 1fr); gap: 6px; margin-top: 6px;">
+                        ${p.dataType === 'option' ? pInput('options', 'Options, comma separated') : pInput('decimals', 'Decimals', 'number')}
+                        ${p.dataType === 'numeric' ? pInput('criticalLow', 'Critical low', 'number') : '<span></span>'}
+                        ${p.dataType === 'numeric' ? pInput('criticalHigh', 'Critical high', 'number') : '<span></span>'}
+                        ${p.dataType === 'numeric' ? pInput('deltaPercent', 'Delta check %', 'number') : '<span></span>'}
+                        <button type="button" class="btn btn-outline" onclick="addRange(${i})">+ Range</button>
+                    </div>
+                    ${p.ranges.map((r, j) => `
+                        <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr 1fr 2fr auto; gap: 6px; margin-top: 6px; align-items: center;">
+                            <select data-param="${i}" data-range="${j}" data-field="gender">
+                                ${['any', 'male', 'female'].map(g => `<option value="${g}" ${r.gender === g ? 'selected' : ''}>${g}</option>`).join('')}
+                            </select>
+                            <input type="number" placeholder="Age from" data-param="${i}" data-range="${j}" data-field="ageMin" value="${fieldValue(r.ageMin)}">
+                            <input type="number" placeholder="Age to" data-param="${i}" data-range="${j}" data-field="ageMax" value="${fieldValue(r.ageMax)}">
+                            <input type="number" step="any" placeholder="Low" data-param="${i}" data-range="${j}" data-field="low" value="${fieldValue(r.low)}">
+                            <input type="number" step="any" placeholder="High" data-param="${i}" data-range="${j}" data-field="high" value="${fieldValue(r.high)}">
+                            <input type="text" placeholder="or text, e.g. Negative" data-param="${i}" data-range="${j}" data-field="text" value="${fieldValue(r.text)}">
+                            <button type="button" class="btn-icon" title="Remove range" onclick="removeRange(${i}, ${j})">✕</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        });
+        html += `<button type="button" class="btn btn-outline" onclick="addParameter()">+ Parameter</button>`;
+    }
+
+    html += `
+        <h4 style="margin: 16px 0 8px;">Reagents per run</h4>
+        ${t.isPanel ? '<p class="text-muted text-sm">Leave empty to use the reagents of each test in the panel.</p>' : ''}
+        ${t.consumables.map((c, i) => `
+            <div style="display: grid; grid-template-columns: 3fr 1fr auto; gap: 6px; margin-bottom: 6px; align-items: center;">
+                <select data-consumable="${i}" data-consumable-field="itemId">
+                    <option value="">Choose an inventory item</option>
+                    ${inventoryItems.map(item => `<option value="${item.id}" ${String(c.itemId) === item.id ? 'selected' : ''}>${item.itemName}${item.unit ? ` (${item.unit})` : ''}</option>`).join('')}
+                </select>
+                <input type="number" step="any" placeholder="Quantity" data-consumable="${i}" data-consumable-field="quantity" value="${fieldValue(c.quantity)}">
+                <button type="button" class="btn-icon" title="Remove reagent" onclick="removeConsumable(${i})">✕</button>
+            </div>
+        `).join('')}
+        <button type="button" class="btn btn-outline" onclick="addConsumable()">+ Reagent</button>
+    `;
+
+    document.getElementById('modalContent').innerHTML = html;
+    document.querySelectorAll('#modalContent [data-param][data-field="dataType"]').forEach(select => {
+        select.addEventListener('change', () => {
+            readTestTypeEditor();
+            renderTestTypeEditor();
+        });
+    });
+}
+
+// Copy what is on screen back into editingType before re-rendering or saving
+function readTestTypeEditor() {
+    document.querySelectorAll('#modalContent [data-field]').forEach(el => {
+        const { param, range, field } = el.dataset;
+        if (param === undefined) {
+            editingType[field] = el.value;
+        } else if (range === undefined) {
+            editingType.parameters[param][field] = el.value;
+        } else {
+            editingType.parameters[param].ranges[range][field] = el.value;
+        }
+    });
+    if (editingType.isPanel) {
+        editingType.panelTests = [...document.querySelectorAll('#modalContent [data-panel-test]')]
+            .filter(box => box.checked)
+            .map(box => box.dataset.panelTest);
+    }
+    document.querySelectorAll('#modalContent [data-consumable]').forEach(el => {
+        editingType.consumables[el.dataset.consumable][el.dataset.consumableField] = el.value;
+    });
+}
+
+function addConsumable() {
+    readTestTypeEditor();
+    editingType.consumables.push({ itemId: '', quantity: '' });
+    renderTestTypeEditor();
+}
+
+function removeConsumable(index) {
+    readTestTypeEditor();
+    editingType.consumables.splice(index, 1);
+    renderTestTypeEditor();
+}
+
+function addParameter() {
+    readTestTypeEditor();
+    editingType.parameters.push(blankParameter());
+    renderTestTypeEditor();
+}
+
+function removeParameter(index) {
+    readTestTypeEditor();
+    editingType.parameters.splice(index, 1);
+    renderTestTypeEditor();
+}
+
+function moveParameter(index, step) {
+    readTestTypeEditor();
+    const target = index + step;
+    if (target < 0 || target >= editingType.parameters.length) return;
+    const [param] = editingType.parameters.splice(index, 1);
+    editingType.parameters.splice(target, 0, param);
+    renderTestTypeEditor();
+}
+
+function addRange(index) {
+    readTestTypeEditor();
+    editingType.parameters[index].ranges.push({ gender: 'any', ageMin: '', ageMax: '', low: '', high: '', text: '' });
+    renderTestTypeEditor();
+}
+
+function removeRange(index, rangeIndex) {
+    readTestTypeEditor();
+    editingType.parameters[index].ranges.splice(rangeIndex, 1);
+    renderTestTypeEditor();
+}
+
+async function saveTestType() {
+    readTestTypeEditor();
+    const id = editingType.id;
+    const res = await fetch(id ? `/api/lab/settings/test-types/${id}` : '/api/lab/settings/test-types', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editingType)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not save test', 'error');
+        return;
+    }
+    closeModal();
+    showToast('Test saved', 'success');
+    loadSection('settings');
+}
+
+async function setTestTypeActive(id, active) {
+    const res = await fetch(`/api/lab/settings/test-types/${id}/active`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active })
+    });
+    if (!res.ok) {
+        showToast('Could not update test', 'error');
+        return;
+    }
+    showToast(active ? 'Test restored' : 'Test retired', 'success');
+    loadSection('settings');
+}
+
+// --- Analytics ---
+
+let analyticsRange = { from: '', to: '' };
+
+// 95 -> "1h 35m"
+function formatMinutes(minutes) {
+    if (minutes === null || minutes === undefined) return '-';
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function analyticsQuery() {
+    return new URLSearchParams(Object.entries(analyticsRange).filter(([, v]) => v)).toString();
+}
+
+async function renderAnalytics(container) {
+    const res = await fetch(`/api/lab/analytics?${analyticsQuery()}`);
+    const data = await res.json();
+    if (!res.ok) {
+        container.innerHTML = `<div class="card" style="color: var(--danger);">${data.error || 'Could not load analytics'}</div>`;
+        return;
+    }
+    const day = value => {
+        const d = new Date(value);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    const s = data.summary;
+    const stat = (label, value) => `<div class="stat-card"><div class="stat-value">${value}</div><div class="stat-label">${label}</div></div>`;
+    const table = (headers, rows) => `
+        <table class="table">
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.length ? rows.join('') : `<tr><td colspan="${headers.length}" style="text-align:center;">No data for this period.</td></tr>`}</tbody>
+        </table>`;
+    const workloadRows = list => list.map(w => `
+        <tr><td>${w.name}</td><td>${w.tests}</td><td>${w.resulted}</td><td>${w.urgent}</td>
+        <td>${formatMinutes(w.processing.median)}</td><td>${formatMinutes(w.processing.p90)}</td></tr>`);
+
     container.innerHTML = `
-        <div class="card">
-            <h3>Lab Settings</h3>
-            <p>Configure lab test types, normal ranges, and units.</p>
-            <button class="btn btn-outline">Manage Test Types</button>
+        <div class="section-title">
+            <h2>Turnaround & Workload</h2>
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <input type="date" id="analytics-from" value="${day(data.from)}">
+                <input type="date" id="analytics-to" value="${day(data.to)}">
+                <button class="btn btn-outline" onclick="applyAnalyticsRange()">Apply</button>
+                <button class="btn btn-primary" onclick="exportAnalytics()">Export Excel</button>
+            </div>
+        </div>
+        <div class="stats-grid">
+            ${stat('Tests Ordered', s.ordered)}
+            ${stat('Reported', s.reported)}
+            ${stat('Median TAT', formatMinutes(s.tat.median))}
+            ${stat('90th Percentile TAT', formatMinutes(s.tat.p90))}
+            ${stat('Median Urgent TAT', formatMinutes(s.urgentTat.median))}
+            ${stat('TAT Breaches', s.breaches)}
+            ${stat('Open & Overdue', s.overdue)}
+            ${stat('Rejection Rate', `${data.rejections.rate}%`)}
+        </div>
+
+        <h3 style="margin: 24px 0 12px;">Turnaround by Test</h3>
+        ${table(['Test', 'Target', 'Ordered', 'Reported', 'Median TAT', '90th pct', 'To Collection', 'To Start', 'Processing', 'Breaches', 'Overdue'],
+            data.byTest.map(t => `
+                <tr><td>${t.testName}</td><td>${t.targetHours ? `${t.targetHours}h` : '-'}</td><td>${t.ordered}</td><td>${t.reported}</td>
+                <td>${formatMinutes(t.tat.median)}</td><td>${formatMinutes(t.tat.p90)}</td>
+                <td>${formatMinutes(t.toCollection.median)}</td><td>${formatMinutes(t.toStart.median)}</td><td>${formatMinutes(t.processing.median)}</td>
+                <td style="${t.breaches ? 'color: var(--danger); font-weight: 600;' : ''}">${t.breaches}</td>
+                <td style="${t.overdue ? 'color: var(--danger); font-weight: 600;' : ''}">${t.overdue}</td></tr>`))}
+
+        <h3 style="margin: 24px 0 12px;">Sample Rejections (${data.rejections.rejections} of ${data.rejections.samples} samples)</h3>
+        ${table(['Reason', 'Rejections', 'Share'],
+            data.rejections.reasons.map(r => `<tr><td>${r.reason}</td><td>${r.count}</td><td>${r.share}%</td></tr>`))}
+
+        <h3 style="margin: 24px 0 12px;">Workload by Technician</h3>
+        ${table(['Technician', 'Tests', 'Resulted', 'Urgent', 'Median Processing', '90th pct'], workloadRows(data.byTechnician))}
+
+        <h3 style="margin: 24px 0 12px;">Workload by Machine</h3>
+        ${table(['Machine', 'Tests', 'Resulted', 'Urgent', 'Median Processing', '90th pct'], workloadRows(data.byMachine))}
+    `;
+}
+
+function applyAnalyticsRange() {
+    analyticsRange = {
+        from: document.getElementById('analytics-from').value,
+        to: document.getElementById('analytics-to').value
+    };
+    loadSection('analytics');
+}
+
+function exportAnalytics() {
+    applyAnalyticsRange();
+    window.location.href = `/api/lab/analytics/export?${analyticsQuery()}`;
+}
+
+// --- Instruments ---
+
+let instruments = [];
+let stagedResults = [];
+
+async function renderInstruments(container) {
+    const [stagedRes, instrumentRes] = await Promise.all([
+        fetch('/api/lab/analyzer-results'),
+        fetch('/api/lab/instruments')
+    ]);
+    stagedResults = await stagedRes.json();
+    instruments = await instrumentRes.json();
+
+    let html = `
+        <div class="section-title">
+            <h2>Instrument Results</h2>
+        </div>
+    `;
+
+    if (stagedResults.length === 0) {
+        html += `<div class="card" style="text-align: center; color: var(--text-muted);">No instrument results waiting for review.</div>`;
+    } else {
+        stagedResults.forEach(s => {
+            const values = s.results.map(r => `
+                <div class="text-sm" style="${r.matched ? '' : 'color: var(--danger);'}">
+                    ${r.code}${r.matched ? ` → ${r.section ? `${r.section} - ` : ''}${r.parameterName}` : ' (not mapped)'}:
+                    <strong>${r.value}</strong> ${r.unit || ''} ${r.flag ? `[${r.flag}]` : ''}
+                </div>`).join('');
+            html += `
+                <div class="test-card">
+                    <div class="test-header">
+                        <div>
+                            <strong>${s.test ? s.test.patientName : 'Unmatched sample'}</strong>
+                            <div class="text-sm text-muted">${s.accessionNumber || '-'} • ${s.test ? `${s.test.testName} (${STATUS_LABELS[s.test.status]})` : s.error}</div>
+                        </div>
+                        <div class="text-sm text-muted">${s.instrument ? s.instrument.name : '-'} • ${new Date(s.receivedAt).toLocaleString()}</div>
+                    </div>
+                    <div class="test-body">${values}</div>
+                    <div class="test-actions">
+                        ${s.test ? `<button class="btn btn-primary" onclick="reviewAnalyzerResult('${s.id}')">Review & Save</button>` : ''}
+                        <button class="btn btn-danger" onclick="discardAnalyzerResult('${s.id}')">Discard</button>
+                    </div>
+                </div>
+            `;
+        });
+    }
+
+    html += `
+        <div class="section-title" style="margin-top: 32px;">
+            <h2>Instruments</h2>
+            <button class="btn btn-primary" onclick="editInstrument(null)">+ Add Instrument</button>
+        </div>
+        <table class="table">
+            <thead>
+                <tr><th>Instrument</th><th>Protocol</th><th>Connection</th><th>Mapped Codes</th><th>Status</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+    `;
+    if (instruments.length === 0) {
+        html += `<tr><td colspan="6" style="text-align:center;">No instruments connected yet.</td></tr>`;
+    } else {
+        instruments.forEach(i => {
+            html += `
+                <tr style="${i.active === false ? 'opacity: 0.5;' : ''}">
+                    <td><strong>${i.name}</strong> <span class="text-muted">(${i.code})</span></td>
+                    <td>${i.protocol.toUpperCase()}</td>
+                    <td>${i.connection === 'folder' ? `Folder: ${i.folder}` : `TCP port ${i.port}`}</td>
+                    <td>${i.codeMap.length}</td>
+                    <td>${i.active === false ? 'Disabled' : (i.running ? 'Connected' : 'Not running')}</td>
+                    <td>
+                        <button class="btn btn-outline" onclick="editInstrument('${i.id}')">Edit</button>
+                        <button class="btn btn-outline" onclick="setInstrumentActive('${i.id}', ${i.active === false})">${i.active === false ? 'Enable' : 'Disable'}</button>
+                    </td>
+                </tr>
+            `;
+        });
+    }
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+}
+
+function editInstrument(id) {
+    const i = instruments.find(x => x.id === id) || { name: '', code: '', protocol: 'astm', connection: 'tcp', port: '', folder: '', codeMap: [] };
+    const option = (value, current, label) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    const html = `
+        <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px;">
+            <div class="form-group"><label>Name</label><input type="text" id="inst-name" value="${fieldValue(i.name)}"></div>
+            <div class="form-group"><label>Code</label><input type="text" id="inst-code" value="${fieldValue(i.code)}" placeholder="e.g. XL200"></div>
+            <div class="form-group"><label>Protocol</label>
+                <select id="inst-protocol">${option('astm', i.protocol, 'ASTM E1394')}${option('hl7', i.protocol, 'HL7 ORU')}</select>
+            </div>
+            <div class="form-group"><label>Connection</label>
+                <select id="inst-connection">${option('tcp', i.connection, 'TCP listener')}${option('folder', i.connection, 'Watched folder')}</select>
+            </div>
+            <div class="form-group"><label>Port (TCP)</label><input type="number" id="inst-port" value="${fieldValue(i.port)}" placeholder="e.g. 5100"></div>
+            <div class="form-group"><label>Folder (inside the analyzer drop folder)</label><input type="text" id="inst-folder" value="${fieldValue(i.folder)}" placeholder="e.g. xl200"></div>
+        </div>
+        <div class="form-group">
+            <label>Code map - one "INSTRUMENT CODE = Parameter name" per line (codes matching the catalog parameter codes need no line)</label>
+            <textarea id="inst-codemap" rows="6">${i.codeMap.map(m => `${m.code} = ${m.parameterName}`).join('\n')}</textarea>
         </div>
     `;
+    openModal(id ? `Edit ${i.name}` : 'Add Instrument', html, () => saveInstrument(id), { wide: true });
+}
+
+async function saveInstrument(id) {
+    const body = {
+        name: document.getElementById('inst-name').value,
+        code: document.getElementById('inst-code').value,
+        protocol: document.getElementById('inst-protocol').value,
+        connection: document.getElementById('inst-connection').value,
+        port: document.getElementById('inst-port').value,
+        folder: document.getElementById('inst-folder').value,
+        codeMap: document.getElementById('inst-codemap').value
+    };
+    const res = await fetch(id ? `/api/lab/instruments/${id}` : '/api/lab/instruments', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not save instrument', 'error');
+        return;
+    }
+    closeModal();
+    showToast('Instrument saved', 'success');
+    loadSection('instruments');
+}
+
+async function setInstrumentActive(id, active) {
+    const res = await fetch(`/api/lab/instruments/${id}/active`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not update instrument', 'error');
+        return;
+    }
+    showToast(active ? 'Instrument enabled' : 'Instrument disabled', 'success');
+    loadSection('instruments');
+}
+
+// Open result entry pre-filled with the instrument's values; saving accepts them
+function reviewAnalyzerResult(id) {
+    const staged = stagedResults.find(s => s.id === id);
+    if (staged) enterResults(staged.testId, 'enter', staged);
+}
+
+async function discardAnalyzerResult(id) {
+    if (!confirm('Discard these instrument results?')) return;
+    const res = await fetch(`/api/lab/analyzer-results/${id}/discard`, { method: 'PUT' });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not discard results', 'error');
+        return;
+    }
+    showToast('Instrument results discarded', 'success');
+    loadSection('instruments');
+}
+
+// --- Modal ---
+
+function openModal(title, content, onConfirm, { wide = false, confirmText = 'Save', secondary = null } = {}) {
+    const modal = document.getElementById('actionModal');
+    modal.querySelector('.modal').style.maxWidth = wide ? '960px' : '';
+    document.getElementById('modalTitle').textContent = title;
+    document.getElementById('modalContent').innerHTML = content;
+    const confirmBtn = document.getElementById('modalConfirmBtn');
+    confirmBtn.textContent = confirmText;
+    confirmBtn.style.display = onConfirm ? '' : 'none';
+    confirmBtn.onclick = onConfirm;
+    const secondaryBtn = document.getElementById('modalSecondaryBtn');
+    secondaryBtn.style.display = secondary ? '' : 'none';
+    secondaryBtn.textContent = secondary ? secondary.text : '';
+    secondaryBtn.onclick = secondary ? secondary.onClick : null;
+    modal.style.display = 'flex';
+}
+
+function closeModal() {
+    document.getElementById('actionModal').style.display = 'none';
+    document.getElementById('modalContent').innerHTML = '';
 }
 
 // --- Action Functions ---
 
-async function updateTestStatus(testId, status) {
+async function updateTestStatus(testId, status, reason, extra = {}) {
     try {
-        await fetch(`/api/lab/tests/${testId}/status`, {
+        const res = await fetch(`/api/lab/tests/${testId}/status`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ status })
+            body: JSON.stringify({ status, reason, ...extra })
         });
-        showToast('Status updated', 'success');
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(data.error || 'Error updating status', 'error');
+        } else {
+            showToast(`Marked ${STATUS_LABELS[status].toLowerCase()}`, 'success');
+        }
         loadSection(currentSection);
+        return res.ok;
     } catch (e) {
         console.error(e);
         showToast('Error updating status', 'error');
+        return false;
     }
 }
 
 function rejectSample(testId) {
     const reason = prompt("Enter rejection reason:");
-    if (reason) {
-        fetch(`/api/lab/tests/${testId}/status`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ status: 'rejected', rejectionReason: reason })
-        }).then(() => {
-            showToast('Sample rejected', 'warning');
-            loadSection(currentSection);
-        });
-    }
+    if (reason) updateTestStatus(testId, 'rejected', reason);
+}
+
+function cancelTest(testId) {
+    const reason = prompt("Reason for cancelling this test:");
+    if (reason) updateTestStatus(testId, 'cancelled', reason);
+}
+
+// Interpretation is optional and printed on the report under the results
+function verifyTest(testId) {
+    const interpretation = prompt("Interpretation / comments for the report (optional):");
+    if (interpretation === null) return;
+    updateTestStatus(testId, 'verified', undefined, { interpretation });
+}
+
+function printReport(testId) {
+    window.open(`/api/lab/tests/${testId}/report.pdf`, '_blank');
+}
+
+// One cumulative report for every verified test in the order
+function printOrderReport(orderId) {
+    window.open(`/api/lab/orders/${encodeURIComponent(orderId)}/report.pdf`, '_blank');
 }
 
+// 50 x 25 mm label PDF with the sample's accession barcode
 function printLabel(testId) {
-    const win = window.open('', 'Print Label', 'width=400,height=200');
-    win.document.write(`
-        <div style="text-align: center; font-family: monospace; padding: 20px;">
-            <h3>LAB SAMPLE</h3>
-            <p>ID: ${testId}</p>
-            <p>Date: ${new Date().toLocaleDateString()}</p>
-        </div>
-    `);
-    win.print();
-    // win.close(); // Keep open for debug
+    window.open(`/api/lab/tests/${testId}/label.pdf`, '_blank');
 }
 
-async function enterResults(testId) {
-    // Simple prompt for now, ideally a modal
-    const result = prompt("Enter Result Value:");
-    if (result) {
-        await fetch(`/api/lab/tests/${testId}/results`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                results: [{
-                    parameterName: 'Result',
-                    value: result,
-                    unit: 'units',
-                    referenceRange: 'N/A',
-                    isAbnormal: false
-                }]
-            })
+function printOrderLabels(orderId) {
+    window.open(`/api/lab/orders/${encodeURIComponent(orderId)}/labels.pdf`, '_blank');
+}
+
+// --- Barcode Scanning ---
+
+// Scanners type the accession number and press Enter
+function handleScanKey(event) {
+    if (event.key !== 'Enter') return;
+    const input = event.target;
+    const code = input.value.trim();
+    input.value = '';
+    if (code) scanSample(code);
+}
+
+// Jump to the next step for a scanned sample: collection, receipt, result entry or the report
+async function scanSample(code) {
+    const res = await fetch(`/api/lab/scan/${encodeURIComponent(code)}`);
+    const test = await res.json();
+    if (!res.ok) {
+        showToast(test.error || 'Sample not found', 'error');
+        return;
+    }
+
+    const summary = `
+        <p><strong>${test.accessionNumber || test._id}</strong> ${test.priority === 'urgent' ? '<span style="color: var(--danger); font-weight: 600;">URGENT</span>' : ''}</p>
+        <p>${test.patientName} (${test.patientAge}/${test.patientGender}) ${test.patientMrn ? `• ${test.patientMrn}` : ''}</p>
+        <p>${test.testName} • <span class="text-muted">${STATUS_LABELS[test.status]}</span></p>
+    `;
+    const step = (status, confirmText, then) => openModal('Scanned Sample', summary, async () => {
+        closeModal();
+        if (await updateTestStatus(test._id, status) && then) then();
+    }, { confirmText });
+
+    switch (test.status) {
+        case 'ordered':
+        case 'recollect':
+            step('collected', 'Mark Collected');
+            break;
+        case 'collected':
+            step('received', 'Receive in Lab');
+            break;
+        case 'received':
+            step('in_progress', 'Start & Enter Results', () => enterResults(test._id));
+            break;
+        case 'in_progress':
+            enterResults(test._id);
+            break;
+        case 'resulted':
+        case 'verified':
+        case 'reported':
+            viewReport(test._id);
+            break;
+        case 'rejected':
+            showToast(`Sample rejected: ${test.rejectionReason || ''}`, 'error');
+            break;
+        default:
+            showToast(`This test is ${STATUS_LABELS[test.status].toLowerCase()}`, 'info');
+    }
+}
+
+// mode 'enter' edits unverified results; 'amend' corrects verified ones with a reason.
+// `staged` pre-fills the form with results received from an instrument.
+async function enterResults(testId, mode = 'enter', staged = null) {
+    const res = await fetch(`/api/lab/tests/${testId}`);
+    const test = await res.json();
+
+    // Tests ordered without a catalog entry get a single free-form row
+    const form = test.form && test.form.length
+        ? test.form
+        : [{ parameterName: 'Result', dataType: 'text', options: [], unit: '', referenceRange: '' }];
+    const previous = test.results || [];
+
+    let html = `
+        <p class="text-muted">${test.patientName} (${test.patientAge}/${test.patientGender}) • ${test.testName}</p>
+        ${staged ? `<p class="text-sm" style="color: var(--primary);">Values from ${staged.instrument ? staged.instrument.name : 'instrument'}, received ${new Date(staged.receivedAt).toLocaleString()} - check them before saving.</p>` : ''}
+        <div class="result-row" style="font-weight: 600;">
+            <div>Parameter</div><div>Value</div><div>Unit</div><div>Reference</div><div>Notes</div>
+        </div>
+    `;
+    let section = null;
+    form.forEach((row, i) => {
+        if (row.section && row.section !== section) {
+            section = row.section;
+            html += `<h4 style="margin: 12px 0 4px;">${section}</h4>`;
+        }
+        const sameRow = r => r.parameterName === row.parameterName && (r.section || null) === (row.section || null);
+        const old = previous.find(sameRow) || {};
+        const received = staged ? staged.results.find(r => r.matched && sameRow(r)) : null;
+        const current = received ? received.value : old.value;
+        const value = fieldValue(current);
+        const input = row.dataType === 'option'
+            ? `<select data-result="${i}"><option value=""></option>${row.options.map(o => `<option ${current === o ? 'selected' : ''}>${o}</option>`).join('')}</select>`
+            : `<input type="${row.dataType === 'numeric' ? 'number' : 'text'}" step="any" data-result="${i}" value="${value}">`;
+        html += `
+            <div class="result-row">
+                <div>${row.parameterName}</div>
+                <div>${input}</div>
+                <div>${row.unit || ''}</div>
+                <div class="text-sm text-muted">${row.referenceRange || ''}</div>
+                <div><input type="text" data-result-notes="${i}" value="${fieldValue(old.notes)}"></div>
+            </div>
+        `;
+    });
+
+    if (mode === 'amend') {
+        html += `
+            <div class="form-group" style="margin-top: 12px;">
+                <label>Reason for amendment</label>
+                <textarea id="amend-reason" rows="2" placeholder="e.g. Sample re-run, transcription error"></textarea>
+            </div>
+        `;
+        openModal('Amend Verified Results', html, () => saveAmendments(testId, form, previous), { wide: true, confirmText: 'Save Amendment' });
+    } else {
+        const stagedId = staged ? staged.id : undefined;
+        openModal('Enter Results', html, () => saveResults(testId, form, false, stagedId), {
+            wide: true,
+            confirmText: 'Submit for Verification',
+            secondary: test.status === 'in_progress' ? { text: 'Save Draft', onClick: () => saveResults(testId, form, true, stagedId) } : null
         });
-        showToast('Results saved', 'success');
-        loadSection(currentSection);
     }
+
+    // Highlight numeric values outside the patient's range while typing
+    document.querySelectorAll('#modalContent input[data-result]').forEach(el => {
+        const row = form[el.dataset.result];
+        if (row.dataType !== 'numeric') return;
+        const check = () => {
+            const v = parseFloat(el.value);
+            const out = !isNaN(v) && ((row.low !== undefined && row.low !== null && v < row.low) || (row.high !== undefined && row.high !== null && v > row.high));
+            el.classList.toggle('abnormal-input', out);
+        };
+        el.addEventListener('input', check);
+        check();
+    });
+}
+
+function readResultForm(form) {
+    return form.map((row, i) => ({
+        section: row.section,
+        parameterName: row.parameterName,
+        value: document.querySelector(`#modalContent [data-result="${i}"]`).value,
+        unit: row.unit,
+        referenceRange: row.referenceRange,
+        notes: document.querySelector(`#modalContent [data-result-notes="${i}"]`).value
+    })).filter(r => r.value !== '');
+}
+
+async function saveResults(testId, form, draft = false, analyzerResultId) {
+    const res = await fetch(`/api/lab/tests/${testId}/results`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ results: readResultForm(form), draft, analyzerResultId })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not save results', 'error');
+        return;
+    }
+    closeModal();
+    showToast(draft ? 'Draft saved' : 'Results submitted for verification', 'success');
+    (data.deltaWarnings || []).forEach(w => {
+        showToast(`Delta check: ${w.parameterName} ${w.value} vs previous ${w.previousValue}${w.percent === null ? '' : ` (${w.percent > 0 ? '+' : ''}${w.percent}%)`}`, 'warning');
+    });
+    loadSection(currentSection);
+}
+
+// "Previous 5.1 on 12/03/2026, +45% (limit 20%)" for a result that failed its delta check
+function deltaNote(r) {
+    if (!r.delta || !r.delta.exceeded) return '';
+    const change = r.delta.percent === null ? '' : `, ${r.delta.percent > 0 ? '+' : ''}${r.delta.percent}%`;
+    return `<div class="text-sm" style="padding-left: 16px; color: var(--status-waiting);">
+        Delta check: previous ${r.delta.previousValue} on ${new Date(r.delta.previousAt).toLocaleDateString()}${change} (limit ${r.delta.limit}%)
+    </div>`;
+}
+
+async function saveAmendments(testId, form, previous) {
+    const reason = document.getElementById('amend-reason').value.trim();
+    if (!reason) {
+        showToast('Enter a reason for the amendment', 'error');
+        return;
+    }
+
+    // Only send values that differ from what was verified
+    const amendments = readResultForm(form).filter(r => {
+        const old = previous.find(p => p.parameterName === r.parameterName && (p.section || null) === (r.section || null));
+        return !old || old.value !== r.value;
+    });
+    if (amendments.length === 0) {
+        showToast('No values were changed', 'info');
+        return;
+    }
+
+    const res = await fetch(`/api/lab/tests/${testId}/amendments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amendments, reason })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not save amendment', 'error');
+        return;
+    }
+    closeModal();
+    showToast('Amendment recorded', 'success');
+    loadSection(currentSection);
 }
 
 async function viewReport(testId) {
     const res = await fetch(`/api/lab/tests/${testId}`);
     const test = await res.json();
 
-    // Simple alert for now
-    alert(JSON.stringify(test.results, null, 2));
+    let html = `
+        <p class="text-muted">${test.patientName} (${test.patientAge}/${test.patientGender}) • ${STATUS_LABELS[test.status]}</p>
+        <div class="result-row" style="font-weight: 600;">
+            <div>Parameter</div><div>Value</div><div>Unit</div><div>Reference</div><div>Flag</div>
+        </div>
+    `;
+    let section = null;
+    (test.results || []).forEach(r => {
+        if (r.section && r.section !== section) {
+            section = r.section;
+            html += `<h4 style="margin: 12px 0 4px;">${section}</h4>`;
+        }
+        html += `
+            <div class="result-row">
+                <div>${r.parameterName}</div>
+                <div style="${r.isAbnormal ? 'color: var(--danger); font-weight: 600;' : ''}">${r.value}${r.amended ? ' <span class="text-sm">(amended)</span>' : ''}</div>
+                <div>${r.unit || ''}</div>
+                <div class="text-sm text-muted">${r.referenceRange || ''}</div>
+                <div style="color: var(--danger);">${r.flag || ''}</div>
+            </div>
+            ${deltaNote(r)}
+            ${(r.amendments || []).map(a => `
+                <div class="text-sm text-muted" style="padding-left: 16px;">
+                    Amended ${new Date(a.at).toLocaleString()} by ${a.by}: ${a.oldValue} → ${a.newValue} (${a.reason})
+                </div>
+            `).join('')}
+        `;
+    });
+    if (test.verifiedBy) {
+        html += `<p class="text-sm text-muted" style="margin-top: 12px;">Entered by ${test.resultedBy || '-'} • Verified by ${test.verifiedBy}</p>`;
+    }
+
+    openModal(test.testName, html, null, { wide: true });
 }
 
-async function addInventoryItem() {
-    const name = prompt("Item Name:");
-    const qty = prompt("Quantity:");
-    const unit = prompt("Unit:");
+function addInventoryItem() {
+    const html = `
+        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 8px;">
+            <div class="form-group"><label>Item Name</label><input type="text" id="inv-name"></div>
+            <div class="form-group"><label>Unit</label><input type="text" id="inv-unit" placeholder="e.g. ml, tests, strips"></div>
+            <div class="form-group"><label>Min Level</label><input type="number" id="inv-min" value="10"></div>
+        </div>
+        <h4 style="margin: 12px 0 8px;">Opening stock (optional)</h4>
+        ${batchFields()}
+    `;
+    openModal('Add Inventory Item', html, async () => {
+        await saveStock('/api/lab/inventory', {
+            itemName: document.getElementById('inv-name').value,
+            unit: document.getElementById('inv-unit').value,
+            minLevel: document.getElementById('inv-min').value,
+            ...readBatchFields()
+        }, 'Item added');
+    });
+}
 
-    if (name && qty) {
-        await fetch('/api/lab/inventory', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ itemName: name, quantity: qty, unit: unit || 'units', minLevel: 10 })
-        });
-        showToast('Item added', 'success');
-        loadSection('inventory');
+function editInventoryItem(itemId) {
+    const item = inventoryItems.find(i => i.id === itemId);
+    const html = `
+        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 8px;">
+            <div class="form-group"><label>Item Name</label><input type="text" id="inv-name" value="${fieldValue(item.itemName)}"></div>
+            <div class="form-group"><label>Unit</label><input type="text" id="inv-unit" value="${fieldValue(item.unit)}"></div>
+            <div class="form-group"><label>Min Level</label><input type="number" id="inv-min" value="${fieldValue(item.minLevel)}"></div>
+        </div>
+    `;
+    openModal(`Edit ${item.itemName}`, html, async () => {
+        await saveStock(`/api/lab/inventory/${itemId}`, {
+            itemName: document.getElementById('inv-name').value,
+            unit: document.getElementById('inv-unit').value,
+            minLevel: document.getElementById('inv-min').value
+        }, 'Item updated', 'PUT');
+    });
+}
+
+function batchFields() {
+    return `
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+            <div class="form-group"><label>Batch Number</label><input type="text" id="batch-number"></div>
+            <div class="form-group"><label>Quantity</label><input type="number" step="any" id="batch-quantity"></div>
+            <div class="form-group"><label>Expiry Date</label><input type="date" id="batch-expiry"></div>
+        </div>
+    `;
+}
+
+function readBatchFields() {
+    return {
+        batchNumber: document.getElementById('batch-number').value,
+        quantity: document.getElementById('batch-quantity').value,
+        expiryDate: document.getElementById('batch-expiry').value
+    };
+}
+
+async function saveStock(url, body, message, method = 'POST') {
+    const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+        showToast(data.error || 'Could not update stock', 'error');
+        return false;
     }
+    closeModal();
+    showToast(message, 'success');
+    loadSection(currentSection);
+    return true;
 }
 
-async function updateStock(itemId, change) {
-    // This endpoint might need to be created or adjusted
-    // For now assuming we can update quantity
-    // Implementation skipped for brevity, but UI is there
-    showToast('Stock update not implemented yet', 'info');
+function receiveStock(itemId) {
+    const item = inventoryItems.find(i => i.id === itemId);
+    openModal(`Receive ${item.itemName}`, batchFields(), () => {
+        saveStock(`/api/lab/inventory/${itemId}/receive`, readBatchFields(), 'Stock received');
+    }, { confirmText: 'Receive' });
+}
+
+function adjustStock(itemId) {
+    const item = inventoryItems.find(i => i.id === itemId);
+    const html = `
+        <p class="text-muted">In stock: ${item.quantity} ${item.unit || ''}. Use a negative quantity to remove stock.</p>
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+            <div class="form-group"><label>Change</label><input type="number" step="any" id="adjust-change" placeholder="e.g. -5"></div>
+            <div class="form-group"><label>Batch</label>
+                <select id="adjust-batch">
+                    <option value="">Soonest expiry first</option>
+                    ${item.batches.map(b => `<option value="${fieldValue(b.batchNumber)}">${b.batchNumber} (${b.quantity})</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group"><label>Reason</label>
+                <select id="adjust-reason">
+                    ${Object.entries(STOCK_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </div>
+        </div>
+        <div class="form-group"><label>Note</label><input type="text" id="adjust-note"></div>
+    `;
+    openModal(`Adjust ${item.itemName}`, html, () => {
+        saveStock(`/api/lab/inventory/${itemId}/adjust`, {
+            change: document.getElementById('adjust-change').value,
+            batchNumber: document.getElementById('adjust-batch').value || undefined,
+            reason: document.getElementById('adjust-reason').value,
+            note: document.getElementById('adjust-note').value
+        }, 'Stock adjusted');
+    }, { confirmText: 'Adjust' });
+}
+
+async function stockHistory(itemId) {
+    const item = inventoryItems.find(i => i.id === itemId);
+    const res = await fetch(`/api/lab/inventory/${itemId}/movements`);
+    const movements = await res.json();
+    const labels = { ...STOCK_REASONS, consumption: 'Used in tests', received: 'Received' };
+    const rows = movements.map(m => `
+        <tr>
+            <td>${new Date(m.at).toLocaleString()}</td>
+            <td>${labels[m.reason] || m.reason}</td>
+            <td>${m.batchNumber || '-'}</td>
+            <td style="color: ${m.change < 0 ? 'var(--danger)' : 'var(--success)'};">${m.change > 0 ? '+' : ''}${m.change}</td>
+            <td>${m.balance}</td>
+            <td class="text-sm">${m.note || ''}</td>
+            <td>${m.by || ''}</td>
+        </tr>`).join('');
+    openModal(`${item.itemName} - Stock History`, `
+        <table class="table">
+            <thead><tr><th>Time</th><th>Reason</th><th>Batch</th><th>Change</th><th>Balance</th><th>Note</th><th>By</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="7" style="text-align:center;">No stock movements yet.</td></tr>'}</tbody>
+        </table>
+    `, null, { wide: true });
+}
+
+// --- Purchasing ---
+
+const PO_STATUSES = {
+    ordered: 'Ordered',
+    partial: 'Partly received',
+    received: 'Received',
+    closed: 'Closed short',
+    cancelled: 'Cancelled'
+};
+
+const RETURN_REASONS = {
+    expired: 'Expired',
+    near_expiry: 'Near expiry',
+    damaged: 'Damaged',
+    wrong_item: 'Wrong item supplied',
+    other: 'Other'
+};
+
+let purchaseOrders = [];
+let showClosedOrders = false;
+let supplierList = [];
+let orderItems = [];
+let returnBatches = [];
+let receivingOrderId = null;
+
+async function renderPurchasing(container) {
+    const res = await fetch(`/api/purchase-orders?store=lab${showClosedOrders ? '&status=all' : ''}`);
+    const orders = await res.json();
+    if (!res.ok) {
+        container.innerHTML = `<div class="card" style="color: var(--danger);">${orders.error || 'Could not load purchase orders'}</div>`;
+        return;
+    }
+    purchaseOrders = orders;
+
+    const rows = orders.map(o => {
+        const open = ['ordered', 'partial'].includes(o.status);
+        return `
+            <tr>
+                <td><strong>${o.poNumber}</strong></td>
+                <td>${new Date(o.createdAt).toLocaleDateString()}${o.expectedDate ? `<div class="text-sm text-muted">due ${new Date(o.expectedDate).toLocaleDateString()}</div>` : ''}</td>
+                <td>${o.supplierName}</td>
+                <td class="text-sm">${o.lines.map(l => `${l.itemName}: ${l.received} / ${l.quantity}`).join('<br>')}</td>
+                <td>${PO_STATUSES[o.status]}</td>
+                <td>
+                    ${open ? `<button class="btn btn-outline" onclick="receiveOrder('${o.id}')">Receive</button>` : ''}
+                    <button class="btn btn-outline" onclick="viewOrder('${o.id}')">View</button>
+                    ${open ? `<button class="btn btn-outline" onclick="closeOrder('${o.id}')">Close</button>` : ''}
+                </td>
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="section-title">
+            <h2>Purchasing</h2>
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <button class="btn btn-outline" onclick="manageSuppliers()">Suppliers</button>
+                <button class="btn btn-outline" onclick="supplierReturn()">Return to Supplier</button>
+                <button class="btn btn-primary" onclick="newPurchaseOrder()">New Purchase Order</button>
+            </div>
+        </div>
+        <div class="filter-bar">
+            <label style="display: flex; gap: 6px; align-items: center;">
+                <input type="checkbox" ${showClosedOrders ? 'checked' : ''} onchange="showClosedOrders = this.checked; loadSection('purchasing')"> Include closed orders
+            </label>
+            <div style="margin-left: auto; display: flex; gap: 8px; align-items: center;">
+                Purchase register
+                <input type="date" id="register-from">
+                <input type="date" id="register-to">
+                <button class="btn btn-outline" onclick="exportRegister()">Export Excel</button>
+            </div>
+        </div>
+        <table class="table">
+            <thead><tr><th>PO</th><th>Date</th><th>Supplier</th><th>Items (received / ordered)</th><th>Status</th><th>Actions</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="6" style="text-align:center;">No open purchase orders.</td></tr>'}</tbody>
+        </table>
+    `;
+}
+
+async function manageSuppliers() {
+    const res = await fetch('/api/suppliers?all=true');
+    const suppliers = await res.json();
+    if (!res.ok) return showToast(suppliers.error || 'Could not load suppliers', 'error');
+    supplierList = suppliers;
+    const rows = suppliers.map(s => `
+        <tr>
+            <td>${s.name}${s.active ? '' : ' <span class="text-muted">(inactive)</span>'}</td>
+            <td>${[s.contactPerson, s.phone, s.email].filter(Boolean).join(' · ') || '-'}</td>
+            <td>${s.taxNumber || '-'}</td>
+            <td><button class="btn btn-outline" onclick="editSupplier('${s.id}')">Edit</button></td>
+        </tr>`).join('');
+    openModal('Suppliers', `
+        <table class="table">
+            <thead><tr><th>Name</th><th>Contact</th><th>Tax No.</th><th></th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="4" style="text-align:center;">No suppliers yet.</td></tr>'}</tbody>
+        </table>
+    `, () => editSupplier(null), { wide: true, confirmText: '+ Supplier' });
+}
+
+function editSupplier(supplierId) {
+    const supplier = supplierId ? supplierList.find(s => s.id === supplierId) : null;
+    const s = supplier || { active: true };
+    const field = (id, label, value) => `<div class="form-group"><label>${label}</label><input type="text" id="${id}" value="${fieldValue(value || '')}"></div>`;
+    const html = `
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+            ${field('supplier-name', 'Name', s.name)}
+            ${field('supplier-contact', 'Contact Person', s.contactPerson)}
+            ${field('supplier-phone', 'Phone', s.phone)}
+            ${field('supplier-email', 'Email', s.email)}
+            ${field('supplier-tax', 'GSTIN / Tax No.', s.taxNumber)}
+        </div>
+        ${field('supplier-address', 'Address', s.address)}
+        ${supplier ? `<label style="display: flex; gap: 6px; align-items: center;"><input type="checkbox" id="supplier-active" ${s.active ? 'checked' : ''}> Active</label>` : ''}
+    `;
+    openModal(supplier ? `Edit ${supplier.name}` : 'Add Supplier', html, async () => {
+        const body = {
+            name: document.getElementById('supplier-name').value,
+            contactPerson: document.getElementById('supplier-contact').value,
+            phone: document.getElementById('supplier-phone').value,
+            email: document.getElementById('supplier-email').value,
+            taxNumber: document.getElementById('supplier-tax').value,
+            address: document.getElementById('supplier-address').value
+        };
+        if (supplier) body.active = document.getElementById('supplier-active').checked;
+        if (await saveStock(supplier ? `/api/suppliers/${supplier.id}` : '/api/suppliers', body, 'Supplier saved', supplier ? 'PUT' : 'POST')) {
+            manageSuppliers();
+        }
+    });
+}
+
+function orderLineHtml(items, line = {}) {
+    const options = items.map(i => `<option value="${i.itemId}" ${i.itemId === line.itemId ? 'selected' : ''}>${i.itemName} (${i.quantity} ${i.unit || ''} in stock)</option>`).join('');
+    return `
+        <div data-line style="display: grid; grid-template-columns: 3fr 1fr 1fr auto; gap: 6px; margin-bottom: 6px;">
+            <select data-line-field="itemId"><option value="">Item...</option>${options}</select>
+            <input type="number" placeholder="Quantity" min="0" step="any" value="${line.suggested || ''}" data-line-field="quantity">
+            <input type="number" placeholder="Unit price" min="0" step="any" value="${line.unitPrice !== undefined && line.unitPrice !== null ? line.unitPrice : ''}" data-line-field="unitPrice">
+            <button class="btn btn-outline" onclick="this.closest('[data-line]').remove()" title="Remove line">✕</button>
+        </div>`;
+}
+
+function readLines(containerId, extra = () => ({})) {
+    return [...document.querySelectorAll(`#${containerId} [data-line]`)].map(row => {
+        const line = extra(row);
+        row.querySelectorAll('[data-line-field]').forEach(el => { line[el.dataset.lineField] = el.value; });
+        return line;
+    });
+}
+
+// New order, filled in with the items below their minimum level
+async function newPurchaseOrder() {
+    const [supRes, itemRes] = await Promise.all([fetch('/api/suppliers'), fetch('/api/purchasing/items?store=lab')]);
+    const suppliers = await supRes.json();
+    const { items, suggestions, error } = await itemRes.json();
+    if (!supRes.ok || error) return showToast(suppliers.error || error || 'Could not load items', 'error');
+    if (suppliers.length === 0) return showToast('Add a supplier first', 'error');
+    orderItems = items;
+
+    const html = `
+        <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 8px;">
+            <div class="form-group"><label>Supplier</label>
+                <select id="po-supplier">${suppliers.map(s => `<option value="${s.id}">${s.name}</option>`).join('')}</select>
+            </div>
+            <div class="form-group"><label>Expected Delivery</label><input type="date" id="po-expected"></div>
+        </div>
+        <p class="text-sm text-muted">${suggestions.length ? `${suggestions.length} item(s) at or below their minimum level, less what is already on order.` : 'Nothing is at or below its minimum level.'}</p>
+        <div id="po-lines">${suggestions.length ? suggestions.map(s => orderLineHtml(items, s)).join('') : orderLineHtml(items)}</div>
+        <button class="btn btn-outline" onclick="document.getElementById('po-lines').insertAdjacentHTML('beforeend', orderLineHtml(orderItems))">+ Line</button>
+        <div class="form-group" style="margin-top: 12px;"><label>Note</label><input type="text" id="po-note"></div>
+    `;
+    openModal('New Purchase Order', html, () => {
+        saveStock('/api/purchase-orders', {
+            store: 'lab',
+            supplierId: document.getElementById('po-supplier').value,
+            expectedDate: document.getElementById('po-expected').value,
+            note: document.getElementById('po-note').value,
+            lines: readLines('po-lines').filter(l => l.itemId || l.quantity)
+        }, 'Purchase order placed');
+    }, { wide: true, confirmText: 'Place Order' });
+}
+
+function receiptRowHtml(line, quantity) {
+    return `
+        <div data-line data-item="${line.itemId}" style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr auto; gap: 6px; margin-bottom: 6px; align-items: center;">
+            <div class="text-sm"><strong>${line.itemName}</strong><div class="text-muted">${line.quantity - line.received} to come</div></div>
+            <input type="text" placeholder="Batch" data-line-field="batchNumber">
+            <input type="number" placeholder="Quantity" min="0" step="any" value="${quantity}" data-line-field="quantity">
+            <input type="number" placeholder="Unit price" min="0" step="any" value="${line.unitPrice !== undefined && line.unitPrice !== null ? line.unitPrice : ''}" data-line-field="unitPrice">
+            <input type="date" title="Expiry date" data-line-field="expiryDate">
+            <button class="btn btn-outline" onclick="splitReceiptRow(this)" title="Another batch of this item">+</button>
+        </div>`;
+}
+
+function splitReceiptRow(button) {
+    const row = button.closest('[data-line]');
+    const order = purchaseOrders.find(o => o.id === receivingOrderId);
+    row.insertAdjacentHTML('afterend', receiptRowHtml(order.lines.find(l => l.itemId === row.dataset.item), ''));
+}
+
+// Goods receipt against an order; items not in this delivery are left empty
+function receiveOrder(orderId) {
+    const order = purchaseOrders.find(o => o.id === orderId);
+    receivingOrderId = orderId;
+    const html = `
+        <div style="display: grid; grid-template-columns: 1fr 1fr 2fr; gap: 8px;">
+            <div class="form-group"><label>Supplier Invoice</label><input type="text" id="grn-invoice"></div>
+            <div class="form-group"><label>Invoice Date</label><input type="date" id="grn-invoice-date"></div>
+            <div class="form-group"><label>Note</label><input type="text" id="grn-note"></div>
+        </div>
+        <div id="grn-lines">${order.lines.filter(l => l.quantity > l.received).map(l => receiptRowHtml(l, l.quantity - l.received)).join('')}</div>
+    `;
+    openModal(`Receive ${order.poNumber} from ${order.supplierName}`, html, () => {
+        saveStock(`/api/purchase-orders/${orderId}/receipts`, {
+            invoiceNumber: document.getElementById('grn-invoice').value,
+            invoiceDate: document.getElementById('grn-invoice-date').value,
+            note: document.getElementById('grn-note').value,
+            lines: readLines('grn-lines', row => ({ itemId: row.dataset.item })).filter(l => Number(l.quantity) > 0)
+        }, 'Goods received');
+    }, { wide: true, confirmText: 'Receive' });
+}
+
+async function viewOrder(orderId) {
+    const res = await fetch(`/api/purchase-orders/${orderId}`);
+    const data = await res.json();
+    if (!res.ok) return showToast(data.error || 'Could not load the order', 'error');
+    const { order, receipts } = data;
+    const date = value => (value ? new Date(value).toLocaleDateString() : '-');
+    openModal(`Purchase Order ${order.poNumber}`, `
+        <p class="text-muted">${order.supplierName} • ordered ${date(order.createdAt)} by ${order.createdBy || '-'} • ${PO_STATUSES[order.status]}</p>
+        <table class="table">
+            <thead><tr><th>Item</th><th>Ordered</th><th>Received</th><th>Unit Price</th></tr></thead>
+            <tbody>${order.lines.map(l => `<tr><td>${l.itemName}</td><td>${l.quantity} ${l.unit || ''}</td><td>${l.received}</td><td>${l.unitPrice !== undefined && l.unitPrice !== null ? l.unitPrice : '-'}</td></tr>`).join('')}</tbody>
+        </table>
+        ${order.note ? `<p>Note: ${order.note}</p>` : ''}
+        ${order.closeReason ? `<p>Closed: ${order.closeReason}</p>` : ''}
+        <h4>Deliveries</h4>
+        <table class="table">
+            <thead><tr><th>GRN</th><th>Date</th><th>Invoice</th><th>Batches</th><th>Amount</th></tr></thead>
+            <tbody>${receipts.map(r => `
+                <tr>
+                    <td>${r.grnNumber}</td>
+                    <td>${date(r.receivedAt)}</td>
+                    <td>${r.invoiceNumber || '-'}</td>
+                    <td class="text-sm">${r.lines.map(l => `${l.itemName} ${l.batchNumber} x ${l.quantity} (exp ${date(l.expiryDate)})`).join('<br>')}</td>
+                    <td>${r.total.toFixed(2)}</td>
+                </tr>`).join('') || '<tr><td colspan="5" style="text-align:center;">Nothing received yet.</td></tr>'}
+            </tbody>
+        </table>
+    `, null, { wide: true });
+}
+
+function closeOrder(orderId) {
+    const order = purchaseOrders.find(o => o.id === orderId);
+    const received = order.lines.some(l => l.received > 0);
+    openModal(`${received ? 'Close' : 'Cancel'} ${order.poNumber}`, `
+        <p class="text-muted">The rest of this order will no longer be expected.</p>
+        <div class="form-group"><label>Reason</label><input type="text" id="close-reason"></div>
+    `, () => {
+        saveStock(`/api/purchase-orders/${orderId}/close`, { reason: document.getElementById('close-reason').value }, `${order.poNumber} closed`);
+    }, { confirmText: received ? 'Close Order' : 'Cancel Order' });
+}
+
+// Return batches to a supplier; expired batches are ticked to start with
+async function supplierReturn() {
+    const [supRes, invRes] = await Promise.all([fetch('/api/suppliers?all=true'), fetch('/api/lab/inventory')]);
+    const suppliers = await supRes.json();
+    const items = await invRes.json();
+    if (!supRes.ok || !invRes.ok) return showToast(suppliers.error || items.error || 'Could not load stock', 'error');
+
+    const now = new Date();
+    const batches = items.flatMap(item => item.batches.filter(b => b.quantity > 0).map(b => ({ ...b, itemId: item.id, itemName: item.itemName })));
+    if (batches.length === 0) return showToast('No stock to return', 'error');
+    returnBatches = batches;
+    const expired = b => b.expiryDate && new Date(b.expiryDate) < now;
+    const firstSupplier = (batches.find(b => expired(b) && b.supplierId) || {}).supplierId;
+
+    openModal('Return to Supplier', `
+        <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 8px;">
+            <div class="form-group"><label>Supplier</label>
+                <select id="return-supplier">${suppliers.map(s => `<option value="${s.id}" ${s.id === firstSupplier ? 'selected' : ''}>${s.name}</option>`).join('')}</select>
+            </div>
+            <div class="form-group"><label>Reason</label>
+                <select id="return-reason">${Object.entries(RETURN_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+            </div>
+        </div>
+        <div style="max-height: 320px; overflow-y: auto;">
+            <table class="table">
+                <thead><tr><th></th><th>Item</th><th>Batch</th><th>Expiry</th><th>In Stock</th><th>Return</th></tr></thead>
+                <tbody>${batches.map((b, i) => `
+                    <tr data-return="${i}">
+                        <td><input type="checkbox" data-pick ${expired(b) ? 'checked' : ''}></td>
+                        <td>${b.itemName}</td>
+                        <td>${b.batchNumber}</td>
+                        <td style="${expired(b) ? 'color: var(--danger);' : ''}">${b.expiryDate ? new Date(b.expiryDate).toLocaleDateString() : '-'}</td>
+                        <td>${b.quantity}</td>
+                        <td><input type="number" min="0" step="any" value="${b.quantity}" data-quantity style="width: 90px;"></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="form-group"><label>Note</label><input type="text" id="return-note"></div>
+    `, () => {
+        const lines = [...document.querySelectorAll('[data-return]')]
+            .filter(row => row.querySelector('[data-pick]').checked)
+            .map(row => {
+                const batch = returnBatches[Number(row.dataset.return)];
+                return { itemId: batch.itemId, batchNumber: batch.batchNumber, quantity: row.querySelector('[data-quantity]').value };
+            });
+        saveStock('/api/supplier-returns', {
+            store: 'lab',
+            supplierId: document.getElementById('return-supplier').value,
+            reason: document.getElementById('return-reason').value,
+            note: document.getElementById('return-note').value,
+            lines
+        }, 'Returned to supplier');
+    }, { wide: true, confirmText: 'Return' });
+}
+
+function exportRegister() {
+    const params = new URLSearchParams({ store: 'lab' });
+    ['from', 'to'].forEach(key => {
+        const value = document.getElementById(`register-${key}`).value;
+        if (value) params.set(key, value);
+    });
+    window.location.href = `/api/purchasing/register/export?${params}`;
 }
 
 function showToast(message, type = 'info') {
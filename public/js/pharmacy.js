@@ -1,8 +1,10 @@
 const API_BASE = ''; // Use relative paths for production/dev consistency
 const socket = io();
-const hospitalId = sessionStorage.getItem('hospitalId');
-const role = sessionStorage.getItem('role') || 'pharmacy';
-socket.emit('join', { role, hospitalId });
+// The server takes the hospital and role from the session; rooms must be rejoined after every reconnect
+socket.on('connect', () => socket.emit('join', 'pharmacy'));
+socket.on('connect_error', (err) => {
+  if (err.message === 'Not authenticated') window.location.href = 'login.html';
+});
 
 // DOM Elements
 const tableBody = document.getElementById('pharmacy-table-body');
@@ -19,11 +21,58 @@ let prescriptionsList = [];
 // --- Initialization ---
 function init() {
   loadPrescriptions();
+  setupTabs();
   setupEventListeners();
 }
 
+// The stock tabs load when first opened and refresh each time they are shown
+function setupTabs() {
+  const buttons = document.querySelectorAll('#pharmacy-tabs .tab-button');
+  const contents = document.querySelectorAll('#pharmacy-tab-contents > .tab-content');
+  const loaders = [loadPrescriptions, loadStock, loadExpiry, loadLedger, loadPurchaseOrders];
+  buttons.forEach((button, index) => {
+    button.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('active'));
+      contents.forEach(c => c.classList.remove('active'));
+      button.classList.add('active');
+      contents[index].classList.add('active');
+      loaders[index]();
+    });
+  });
+}
+
 function setupEventListeners() {
   searchInput.addEventListener('input', () => renderTable());
+  stockSearch.addEventListener('input', () => renderStock());
+  document.getElementById('stock-reorder-only').addEventListener('change', loadStock);
+  document.getElementById('btn-add-medicine').addEventListener('click', () => editMedicine(null));
+  document.getElementById('btn-import-drugs').addEventListener('click', importDrugs);
+  document.getElementById('btn-interactions').addEventListener('click', showInteractions);
+  document.getElementById('btn-receive-stock').addEventListener('click', receiveGoods);
+  document.getElementById('expiry-days').addEventListener('change', loadExpiry);
+  document.getElementById('btn-ledger-filter').addEventListener('click', loadLedger);
+  document.getElementById('po-show-all').addEventListener('change', loadPurchaseOrders);
+  document.getElementById('btn-suppliers').addEventListener('click', manageSuppliers);
+  document.getElementById('btn-new-po').addEventListener('click', newPurchaseOrder);
+  document.getElementById('btn-supplier-return').addEventListener('click', supplierReturn);
+  document.getElementById('btn-register-export').addEventListener('click', exportRegister);
+
+  document.getElementById('po-table-body').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-po-action]');
+    if (!btn) return;
+    const order = purchaseOrders.find(o => o.id === btn.dataset.id);
+    if (btn.dataset.poAction === 'receive') receiveOrder(order);
+    else if (btn.dataset.poAction === 'view') viewOrder(order);
+    else if (btn.dataset.poAction === 'close') closeOrder(order);
+  });
+
+  document.getElementById('stock-table-body').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-stock-action]');
+    if (!btn) return;
+    const item = stockItems.find(i => i.id === btn.dataset.id);
+    if (btn.dataset.stockAction === 'batches') showBatches(item);
+    else if (btn.dataset.stockAction === 'edit') editMedicine(item);
+  });
 
   // Table Actions (Delegation)
   tableBody.addEventListener('click', (e) => {
@@ -42,14 +91,7 @@ function setupEventListeners() {
         updateStats();
       }
     } else if (action === 'deliver') {
-      socket.emit('move-patient', { id, pharmacyState: 'delivered', status: 'completed' });
-      const idx = prescriptionsList.findIndex(x => x.id === id);
-      if (idx >= 0) {
-        prescriptionsList[idx].pharmacyState = 'delivered';
-        prescriptionsList[idx].status = 'completed';
-        renderTable();
-        updateStats();
-      }
+      openDispense(id);
     } else if (action === 'show-qr') {
       showQRCode(id);
     } else if (action === 'download-pdf') {
@@ -82,7 +124,7 @@ async function showQRCode(patientId) {
       await new Promise(resolve => setTimeout(resolve, 500));
 
       // Fetch updated patient data
-      const patientResponse = await fetch(`${API_BASE}/api/patients/${patientId}`, {
+      const patientResponse = await fetch(`${API_BASE}/api/visits/${patientId}`, {
         credentials: 'include'
       });
 
@@ -119,7 +161,7 @@ async function showQRCode(patientId) {
       </div>
       <div style="padding: 20px;">
         <p style="margin-bottom: 20px; color: var(--text-muted);">
-          <strong>${patient.name}</strong> - Token #${patient.token}
+          <strong>${patient.name}</strong> - Token ${patient.tokenLabel || `#${patient.token}`}
         </p>
         <div id="qr-code-container" style="display: flex; justify-content: center; margin: 20px 0;">
           <div style="padding: 20px; background: white; border-radius: 12px; box-shadow: var(--shadow-md);">
@@ -211,7 +253,7 @@ async function downloadPDF(patientId) {
 
     // Refresh patient data to get the newly generated token
     setTimeout(() => {
-      fetch(`${API_BASE}/api/patients/${patientId}`, { credentials: 'include' })
+      fetch(`${API_BASE}/api/visits/${patientId}`, { credentials: 'include' })
         .then(r => r.json())
         .then(patient => {
           const idx = prescriptionsList.findIndex(p => p.id === patientId);
@@ -270,6 +312,7 @@ function renderTable() {
     let status = p.pharmacyState || 'pending';
     let badgeClass = 'pending';
     if (status === 'prepared') badgeClass = 'prepared';
+    if (status === 'partial') badgeClass = 'partial';
     if (status === 'delivered') badgeClass = 'delivered';
 
     // Actions
@@ -277,19 +320,21 @@ function renderTable() {
     if (status === 'pending' || !status) {
       actionsHtml = `<button class="btn btn-sm btn-primary" data-id="${p.id}" data-action="prepare">Mark Prepared</button>`;
     } else if (status === 'prepared') {
-      actionsHtml = `<button class="btn btn-sm btn-accent" data-id="${p.id}" data-action="deliver">Mark Delivered</button>`;
+      actionsHtml = `<button class="btn btn-sm btn-accent" data-id="${p.id}" data-action="deliver">Dispense</button>`;
+    } else if (status === 'partial') {
+      actionsHtml = `<button class="btn btn-sm btn-accent" data-id="${p.id}" data-action="deliver">Dispense Remaining</button>`;
     } else {
       actionsHtml = '<span class="text-muted">Completed</span>';
     }
 
     tr.innerHTML = `
-      <td><strong>#${p.token}</strong></td>
+      <td><strong>${p.tokenLabel || `#${p.token}`}</strong></td>
       <td>
         <div style="font-weight:600;">${p.name}</div>
         <div class="text-muted" style="font-size:0.85rem;">${p.age} / ${p.gender}</div>
       </td>
       <td>
-        <div style="white-space: pre-wrap; font-size: 0.9rem;">${p.prescription || '-'}</div>
+        ${renderMedications(p)}
       </td>
       <td><span class="badge ${badgeClass}">${status.toUpperCase()}</span></td>
       <td>
@@ -304,16 +349,958 @@ function renderTable() {
   });
 }
 
+function renderMedications(p) {
+  if (!p.medications || p.medications.length === 0) {
+    return `<div style="white-space: pre-wrap; font-size: 0.9rem;">${p.prescription || '-'}</div>`;
+  }
+
+  return p.medications.map(m => `
+    <div style="font-size: 0.9rem; margin-bottom: 4px;">
+      <strong>${[m.drug, m.strength, m.form].filter(Boolean).join(' ')}</strong>
+      <span class="text-muted">${[m.dose, m.frequency, m.durationDays ? `${m.durationDays}d` : ''].filter(Boolean).join(' · ')}</span>
+      ${m.quantity ? `<span class="badge pending" style="margin-left: 4px;">Qty ${m.quantity}</span>` : ''}
+    </div>
+  `).join('');
+}
+
 function updateStats() {
   statPending.innerText = prescriptionsList.filter(p => !p.pharmacyState || p.pharmacyState === 'pending').length;
-  statPrepared.innerText = prescriptionsList.filter(p => p.pharmacyState === 'prepared').length;
+  statPrepared.innerText = prescriptionsList.filter(p => ['prepared', 'partial'].includes(p.pharmacyState)).length;
   statDelivered.innerText = prescriptionsList.filter(p => p.pharmacyState === 'delivered').length;
 }
 
+// --- Stock ---
+const STOCK_REASONS = {
+  received: 'Goods received',
+  dispensed: 'Dispensed',
+  count_correction: 'Stock count correction',
+  wastage: 'Wastage / breakage',
+  expired: 'Expired - removed',
+  damaged: 'Damaged',
+  returned: 'Returned to supplier'
+};
+const ADJUSTMENT_REASONS = ['count_correction', 'wastage', 'expired', 'damaged', 'returned'];
+const MED_FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'drops', 'ointment', 'cream', 'inhaler', 'sachet', 'other'];
+const MED_ROUTES = ['oral', 'iv', 'im', 'sc', 'topical', 'inhalation', 'sublingual', 'eye', 'ear', 'nasal', 'rectal', 'other'];
+const SCHEDULES = { H: 'Schedule H', H1: 'Schedule H1', X: 'Schedule X' };
+const GST_RATES = [0, 5, 12, 18, 28];
+const SEVERITY_LABELS = { minor: 'Minor', moderate: 'Moderate', severe: 'Severe' };
+const STOCK_STATUS = {
+  ok: '<span style="color: var(--status-completed);">OK</span>',
+  low: '<span style="color: var(--status-waiting); font-weight: 600;">Reorder</span>',
+  out: '<span style="color: var(--danger); font-weight: 600;">Out of stock</span>'
+};
+
+const stockSearch = document.getElementById('stock-search');
+let stockItems = [];
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-IN') : '-';
+}
+
+function medicineLabel(item) {
+  return [item.name, item.strength, item.form].filter(Boolean).join(' ');
+}
+
+// Send a stock change and resolve with the JSON reply, rejecting with the server's message
+function sendStock(url, method, body) {
+  return fetch(`${API_BASE}${url}`, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(r => r.json().then(data => {
+    if (!r.ok) throw new Error(data.error || 'Could not update stock');
+    return data;
+  }));
+}
+
+// Form dialog in the same style as the QR code modal; onSave gets the overlay to read fields from
+function openDialog(title, bodyHtml, onSave, saveLabel = 'Save') {
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal" style="max-width: 760px;">
+      <div class="modal-header">
+        <h2 class="modal-title">${title}</h2>
+        <button class="modal-close" data-close>×</button>
+      </div>
+      ${bodyHtml}
+      <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;">
+        <button class="btn btn-secondary" data-close>${onSave ? 'Cancel' : 'Close'}</button>
+        ${onSave ? `<button class="btn btn-primary" data-save>${saveLabel}</button>` : ''}
+      </div>
+    </div>
+  `;
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('[data-close]')) modal.remove();
+  });
+  if (onSave) {
+    modal.querySelector('[data-save]').addEventListener('click', () => {
+      onSave(modal)
+        .then(() => modal.remove())
+        .catch(err => alert(err.message));
+    });
+  }
+  document.body.appendChild(modal);
+  return modal;
+}
+
+function loadStock() {
+  const reorderOnly = document.getElementById('stock-reorder-only').checked;
+  fetch(`${API_BASE}/api/pharmacy/items${reorderOnly ? '?status=low,out' : ''}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(list => {
+      stockItems = Array.isArray(list) ? list : [];
+      renderStock();
+    })
+    .catch(err => console.error('Error loading stock:', err));
+}
+
+function renderStock() {
+  const tbody = document.getElementById('stock-table-body');
+  const term = stockSearch.value.toLowerCase();
+  const filtered = stockItems.filter(i => `${medicineLabel(i)} ${i.genericName}`.toLowerCase().includes(term));
+
+  if (filtered.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-muted" style="text-align: center;">No medicines in stock list.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = filtered.map(i => `
+    <tr>
+      <td>
+        <div style="font-weight: 600;">
+          ${medicineLabel(i)}
+          ${i.schedule ? `<span style="color: var(--danger); font-size: 0.8rem;">Sch ${i.schedule}</span>` : ''}
+          ${i.formulary ? '' : '<span class="text-muted" style="font-size: 0.8rem;">Non-formulary</span>'}
+        </div>
+        <div class="text-muted" style="font-size: 0.85rem;">${[i.genericName, i.category, i.manufacturer].filter(Boolean).join(' · ')}</div>
+      </td>
+      <td>
+        ${i.quantity} ${i.unit}
+        ${i.expiredQuantity ? `<div style="color: var(--danger); font-size: 0.85rem;">+ ${i.expiredQuantity} expired</div>` : ''}
+      </td>
+      <td>${i.reorderLevel}</td>
+      <td>${i.batches}</td>
+      <td>${formatDate(i.nextExpiry)}</td>
+      <td>${i.value.toFixed(2)}</td>
+      <td>${STOCK_STATUS[i.status]}</td>
+      <td>
+        <div style="display: flex; gap: 8px;">
+          <button class="btn btn-sm btn-secondary" data-stock-action="batches" data-id="${i.id}">Batches</button>
+          <button class="btn btn-sm btn-secondary" data-stock-action="edit" data-id="${i.id}">Edit</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Drug master entry: what the pharmacy stocks and doctors are offered when prescribing
+function editMedicine(item) {
+  const dosing = (item && item.defaultDosing) || {};
+  const escape = v => (v !== undefined && v !== null ? String(v).replace(/"/g, '&quot;') : '');
+  const value = field => escape(item ? item[field] : '');
+  const input = (field, label, type = 'text') => `
+    <div class="form-group">
+      <label>${label}</label>
+      <input type="${type}" data-field="${field}" value="${value(field)}">
+    </div>`;
+  const select = (field, label, options, selected) => `
+    <div class="form-group">
+      <label>${label}</label>
+      <select data-field="${field}">
+        <option value="">-</option>
+        ${Object.entries(options).map(([v, text]) => `<option value="${v}" ${String(selected) === v ? 'selected' : ''}>${text}</option>`).join('')}
+      </select>
+    </div>`;
+  const asOptions = list => Object.fromEntries(list.map(v => [v, v]));
+  const dosingInput = (field, label, type = 'text') => `
+    <div class="form-group">
+      <label>${label}</label>
+      <input type="${type}" data-dosing="${field}" value="${escape(dosing[field])}">
+    </div>`;
+  const html = `
+    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 0 12px;">
+      ${input('name', 'Brand Name')}
+      ${input('genericName', 'Generic / Salt')}
+      ${input('strength', 'Strength')}
+      ${select('form', 'Form', asOptions(MED_FORMS), item ? item.form : '')}
+      ${select('schedule', 'Schedule', SCHEDULES, item ? item.schedule : '')}
+      ${input('unit', 'Counted In (tablets, bottles...)')}
+      ${input('hsnCode', 'HSN Code')}
+      ${select('gstRate', 'GST %', asOptions(GST_RATES.map(String)), item && item.gstRate !== undefined ? item.gstRate : '')}
+      ${input('reorderLevel', 'Reorder Level', 'number')}
+      ${input('category', 'Category')}
+      ${input('manufacturer', 'Manufacturer')}
+    </div>
+    <h4 style="margin: 8px 0;">Default Dosing</h4>
+    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 0 12px;">
+      ${dosingInput('dose', 'Dose')}
+      ${dosingInput('frequency', 'Frequency')}
+      <div class="form-group">
+        <label>Route</label>
+        <select data-dosing="route">
+          <option value="">-</option>
+          ${MED_ROUTES.map(r => `<option value="${r}" ${dosing.route === r ? 'selected' : ''}>${r}</option>`).join('')}
+        </select>
+      </div>
+      ${dosingInput('durationDays', 'Days', 'number')}
+    </div>
+    ${dosingInput('instructions', 'Instructions')}
+    <label class="flex items-center" style="gap: 6px; font-weight: normal;">
+      <input type="checkbox" data-field="formulary" style="width: auto;" ${!item || item.formulary ? 'checked' : ''}> On the hospital formulary (offered first when prescribing)
+    </label>
+    ${item ? `<label class="flex items-center" style="gap: 6px; font-weight: normal;">
+      <input type="checkbox" data-field="active" style="width: auto;" ${item.active ? 'checked' : ''}> Active (untick to hide a medicine no longer stocked)
+    </label>` : ''}
+  `;
+  openDialog(item ? `Edit ${item.name}` : 'Add Medicine', html, (modal) => {
+    const body = { defaultDosing: {} };
+    modal.querySelectorAll('[data-field]').forEach(el => {
+      body[el.dataset.field] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    modal.querySelectorAll('[data-dosing]').forEach(el => {
+      body.defaultDosing[el.dataset.dosing] = el.value;
+    });
+    return sendStock(item ? `/api/pharmacy/items/${item.id}` : '/api/pharmacy/items', item ? 'PUT' : 'POST', body)
+      .then(loadStock);
+  });
+}
+
+// Upload an import spreadsheet; with preview the server only counts what would change
+function uploadSheet(url, file, preview) {
+  const form = new FormData();
+  form.append('file', file);
+  return fetch(`${API_BASE}${url}${preview ? '?preview=true' : ''}`, {
+    method: 'POST',
+    credentials: 'include',
+    body: form
+  }).then(r => r.json().then(data => {
+    if (!r.ok) throw new Error(data.error || 'Could not import the file');
+    return data;
+  }));
+}
+
+// Bulk import: choose a file, check the preview, then import.
+// `options` are { title, url, template, help, noun, onDone }.
+function importSheet(options) {
+  const html = `
+    <p class="text-muted">${options.help}
+      <a href="${API_BASE}${options.template}">Download the template</a>.</p>
+    <div class="form-group"><label>File</label><input type="file" id="import-file" accept=".xlsx,.csv"></div>
+  `;
+  openDialog(options.title, html, (modal) => {
+    const file = modal.querySelector('#import-file').files[0];
+    if (!file) return Promise.reject(new Error('Choose a file to import'));
+    return uploadSheet(options.url, file, true).then(result => confirmImport(options, file, result));
+  }, 'Preview');
+}
+
+function confirmImport(options, file, result) {
+  const errors = result.errors.length ? `
+    <p style="color: var(--danger); font-weight: 600;">${result.errors.length} row${result.errors.length > 1 ? 's' : ''} will be skipped:</p>
+    <div class="table-container" style="max-height: 240px; overflow-y: auto;">
+      <table>
+        <thead><tr><th>Row</th><th>Problem</th></tr></thead>
+        <tbody>${result.errors.map(e => `<tr><td>${e.row}</td><td>${e.error}</td></tr>`).join('')}</tbody>
+      </table>
+    </div>` : '';
+  const html = `
+    <p>${file.name}: <strong>${result.created}</strong> new and <strong>${result.updated}</strong> updated ${options.noun}.</p>
+    ${errors}
+  `;
+  const ready = result.created + result.updated > 0;
+  openDialog(options.title, html, ready ? () => uploadSheet(options.url, file, false).then(done => {
+    alert(`Imported ${done.created} new and ${done.updated} updated ${options.noun}.`);
+    options.onDone();
+  }) : null, 'Import');
+}
+
+function importDrugs() {
+  importSheet({
+    title: 'Import Drug Master',
+    url: '/api/pharmacy/items/import',
+    template: '/api/pharmacy/items/import-template',
+    help: `Excel (.xlsx) or CSV with one medicine per row. Rows matching a medicine already listed
+      (same brand name, strength and form) update it; the rest are added.`,
+    noun: 'medicines',
+    onDone: loadStock
+  });
+}
+
+// Interaction table used for the doctor's prescribing checks: built-in rows and the hospital's own
+function showInteractions() {
+  getJson('/api/drug-interactions').then(data => {
+    const row = (i, action) => `
+      <tr>
+        <td>${i.drugA}</td>
+        <td>${i.drugB}</td>
+        <td>${SEVERITY_LABELS[i.severity]}</td>
+        <td style="font-size: 0.9rem;">${[i.effect, i.advice].filter(Boolean).join('. ')}</td>
+        <td>${action}</td>
+      </tr>`;
+    const html = `
+      <div class="flex justify-between items-center" style="margin-bottom: 8px;">
+        <p class="text-muted">Imported rows replace a built-in row for the same pair. Drug B may be a chronic condition.</p>
+        <button class="btn btn-sm btn-primary" id="btn-import-interactions">Import</button>
+      </div>
+      <div class="table-container" style="max-height: 420px; overflow-y: auto;">
+        <table>
+          <thead><tr><th>Drug A</th><th>Drug B / Condition</th><th>Severity</th><th>Effect</th><th></th></tr></thead>
+          <tbody>
+            ${data.rows.map(i => row(i, `<button class="btn btn-sm btn-secondary" data-remove-interaction="${i.id}">Remove</button>`)).join('')}
+            ${data.builtIn.filter(i => !i.replaced).map(i => row(i, '<span class="text-muted">Built-in</span>')).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+    const modal = openDialog('Drug Interactions', html, null);
+    modal.querySelector('#btn-import-interactions').addEventListener('click', () => {
+      modal.remove();
+      importSheet({
+        title: 'Import Drug Interactions',
+        url: '/api/drug-interactions/import',
+        template: '/api/drug-interactions/import-template',
+        help: 'Excel (.xlsx) or CSV with Drug A, Drug B / Condition, Severity (minor, moderate, severe), Effect and Advice columns.',
+        noun: 'interactions',
+        onDone: showInteractions
+      });
+    });
+    modal.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-interaction]');
+      if (!btn || !confirm('Remove this interaction?')) return;
+      sendStock(`/api/drug-interactions/${btn.dataset.removeInteraction}`, 'DELETE', {})
+        .then(() => {
+          modal.remove();
+          showInteractions();
+        })
+        .catch(err => alert(err.message));
+    });
+  }).catch(err => alert(err.message));
+}
+
+// Goods receipt: one line per batch received
+function receiveGoods() {
+  fetch(`${API_BASE}/api/pharmacy/items`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(items => {
+      if (!Array.isArray(items) || items.length === 0) {
+        alert('Add medicines to the stock list first.');
+        return;
+      }
+      const options = items.map(i => `<option value="${i.id}">${medicineLabel(i)}</option>`).join('');
+      const lineHtml = () => `
+        <div data-line style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr auto; gap: 6px; margin-bottom: 6px;">
+          <select data-line-field="itemId"><option value="">Medicine...</option>${options}</select>
+          <input type="text" placeholder="Batch" data-line-field="batchNumber">
+          <input type="number" placeholder="Quantity" min="0" step="any" data-line-field="quantity">
+          <input type="number" placeholder="Unit price" min="0" step="any" data-line-field="unitPrice">
+          <input type="date" title="Expiry date" data-line-field="expiryDate">
+          <button class="btn btn-sm btn-secondary" data-remove-line title="Remove line">✕</button>
+        </div>`;
+      const html = `
+        <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 0 12px;">
+          <div class="form-group"><label>Invoice / Reference</label><input type="text" id="receipt-reference"></div>
+          <div class="form-group"><label>Note</label><input type="text" id="receipt-note"></div>
+        </div>
+        <div id="receipt-lines">${lineHtml()}</div>
+        <button class="btn btn-sm btn-secondary" id="btn-add-line">+ Line</button>
+      `;
+      const modal = openDialog('Receive Goods', html, (dialog) => {
+        const lines = [...dialog.querySelectorAll('[data-line]')].map(row => {
+          const line = {};
+          row.querySelectorAll('[data-line-field]').forEach(el => { line[el.dataset.lineField] = el.value; });
+          return line;
+        }).filter(line => line.itemId || line.batchNumber || line.quantity);
+        return sendStock('/api/pharmacy/receipts', 'POST', {
+          reference: dialog.querySelector('#receipt-reference').value,
+          note: dialog.querySelector('#receipt-note').value,
+          lines
+        }).then(loadStock);
+      }, 'Receive');
+
+      modal.querySelector('#btn-add-line').addEventListener('click', () => {
+        modal.querySelector('#receipt-lines').insertAdjacentHTML('beforeend', lineHtml());
+      });
+      modal.querySelector('#receipt-lines').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-line]');
+        if (btn && modal.querySelectorAll('[data-line]').length > 1) btn.closest('[data-line]').remove();
+      });
+    })
+    .catch(err => console.error('Error loading medicines:', err));
+}
+
+function showBatches(item) {
+  fetch(`${API_BASE}/api/pharmacy/items/${item.id}/batches`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(batches => {
+      const rows = batches.map(b => `
+        <tr>
+          <td>${b.batchNumber}</td>
+          <td>${b.quantity}</td>
+          <td>${b.unitPrice !== undefined && b.unitPrice !== null ? b.unitPrice : '-'}</td>
+          <td style="${b.expired ? 'color: var(--danger); font-weight: 600;' : ''}">${formatDate(b.expiryDate)}${b.expired ? ' (expired)' : ''}</td>
+          <td>${b.reference || '-'}</td>
+          <td><button class="btn btn-sm btn-secondary" data-adjust="${b.id}">Adjust</button></td>
+        </tr>
+      `).join('');
+      const modal = openDialog(`${medicineLabel(item)} - Batches`, `
+        <table>
+          <thead><tr><th>Batch</th><th>Quantity</th><th>Unit Price</th><th>Expiry</th><th>Reference</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6" class="text-muted" style="text-align: center;">No stock.</td></tr>'}</tbody>
+        </table>
+      `);
+      modal.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-adjust]');
+        if (!btn) return;
+        modal.remove();
+        adjustBatch(item, batches.find(b => b.id === btn.dataset.adjust));
+      });
+    })
+    .catch(err => console.error('Error loading batches:', err));
+}
+
+function adjustBatch(item, batch) {
+  const html = `
+    <p class="text-muted">Batch ${batch.batchNumber}: ${batch.quantity} ${item.unit} in stock. Use a negative quantity to remove stock.</p>
+    <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 0 12px;">
+      <div class="form-group"><label>Change</label><input type="number" step="any" id="adjust-change" placeholder="e.g. -10"></div>
+      <div class="form-group"><label>Reason</label>
+        <select id="adjust-reason">
+          ${ADJUSTMENT_REASONS.map(r => `<option value="${r}">${STOCK_REASONS[r]}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-group"><label>Note</label><input type="text" id="adjust-note"></div>
+  `;
+  openDialog(`Adjust ${medicineLabel(item)}`, html, (modal) => sendStock(`/api/pharmacy/batches/${batch.id}/adjust`, 'POST', {
+    change: modal.querySelector('#adjust-change').value,
+    reason: modal.querySelector('#adjust-reason').value,
+    note: modal.querySelector('#adjust-note').value
+  }).then(loadStock), 'Adjust');
+}
+
+function loadExpiry() {
+  const container = document.getElementById('expiry-report');
+  const days = document.getElementById('expiry-days').value;
+  fetch(`${API_BASE}/api/pharmacy/expiry?days=${days}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(report => {
+      const table = (rows, empty) => `
+        <div class="table-container">
+          <table>
+            <thead><tr><th>Medicine</th><th>Batch</th><th>Quantity</th><th>Expiry</th><th>Days Left</th><th>Value</th></tr></thead>
+            <tbody>
+              ${rows.map(r => `
+                <tr>
+                  <td>${r.medicationName}</td>
+                  <td>${r.batchNumber}</td>
+                  <td>${r.quantity}</td>
+                  <td>${formatDate(r.expiryDate)}</td>
+                  <td style="${r.daysLeft <= 0 ? 'color: var(--danger); font-weight: 600;' : ''}">${r.daysLeft <= 0 ? 'Expired' : r.daysLeft}</td>
+                  <td>${r.value.toFixed(2)}</td>
+                </tr>
+              `).join('') || `<tr><td colspan="6" class="text-muted" style="text-align: center;">${empty}</td></tr>`}
+            </tbody>
+          </table>
+        </div>`;
+      container.innerHTML = `
+        <h4 style="color: var(--danger);">Expired - remove from shelves (value ${report.expiredValue.toFixed(2)})</h4>
+        ${table(report.expired, 'No expired stock.')}
+        <h4 style="margin-top: 24px; color: var(--status-waiting);">Expiring within ${report.days} days (value ${report.expiringValue.toFixed(2)})</h4>
+        ${table(report.expiring, 'Nothing expiring soon.')}
+      `;
+    })
+    .catch(err => console.error('Error loading expiry report:', err));
+}
+
+function loadLedger() {
+  const itemSelect = document.getElementById('ledger-item');
+  const reasonSelect = document.getElementById('ledger-reason');
+  if (reasonSelect.options.length === 1) {
+    reasonSelect.insertAdjacentHTML('beforeend', Object.entries(STOCK_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join(''));
+  }
+  // The medicine filter is filled once, from the full stock list
+  if (itemSelect.options.length === 1) {
+    fetch(`${API_BASE}/api/pharmacy/items?all=true`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(items => {
+        itemSelect.insertAdjacentHTML('beforeend', items.map(i => `<option value="${i.id}">${medicineLabel(i)}</option>`).join(''));
+      })
+      .catch(err => console.error('Error loading medicines:', err));
+  }
+
+  const params = new URLSearchParams();
+  if (itemSelect.value) params.set('itemId', itemSelect.value);
+  if (reasonSelect.value) params.set('reason', reasonSelect.value);
+  ['from', 'to'].forEach(key => {
+    const value = document.getElementById(`ledger-${key}`).value;
+    if (value) params.set(key, value);
+  });
+
+  const tbody = document.getElementById('ledger-table-body');
+  fetch(`${API_BASE}/api/pharmacy/ledger?${params}`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(movements => {
+      if (!Array.isArray(movements)) throw new Error(movements.error);
+      tbody.innerHTML = movements.map(m => `
+        <tr>
+          <td>${new Date(m.at).toLocaleString('en-IN')}</td>
+          <td>${m.medicationName || '-'}</td>
+          <td>${m.batchNumber || '-'}</td>
+          <td style="color: ${m.change < 0 ? 'var(--danger)' : 'var(--status-completed)'}; font-weight: 600;">${m.change > 0 ? '+' : ''}${m.change}</td>
+          <td>${m.balance}</td>
+          <td>${STOCK_REASONS[m.reason] || m.reason}</td>
+          <td>${[m.reference, m.note].filter(Boolean).join(' - ') || '-'}</td>
+          <td>${m.by || '-'}</td>
+        </tr>
+      `).join('') || '<tr><td colspan="8" class="text-muted" style="text-align: center;">No stock movements in this period.</td></tr>';
+    })
+    .catch(err => {
+      tbody.innerHTML = `<tr><td colspan="8" class="text-danger">${err.message || 'Could not load the ledger'}</td></tr>`;
+    });
+}
+
+// --- Purchasing ---
+const PO_STATUSES = {
+  ordered: 'Ordered',
+  partial: 'Partly received',
+  received: 'Received',
+  closed: 'Closed short',
+  cancelled: 'Cancelled'
+};
+const RETURN_REASONS = {
+  expired: 'Expired',
+  near_expiry: 'Near expiry',
+  damaged: 'Damaged',
+  wrong_item: 'Wrong item supplied',
+  other: 'Other'
+};
+
+let purchaseOrders = [];
+
+function getJson(url) {
+  return fetch(`${API_BASE}${url}`, { credentials: 'include' }).then(r => r.json().then(data => {
+    if (!r.ok) throw new Error(data.error || 'Could not load');
+    return data;
+  }));
+}
+
+function loadPurchaseOrders() {
+  const showAll = document.getElementById('po-show-all').checked;
+  const tbody = document.getElementById('po-table-body');
+  getJson(`/api/purchase-orders?store=pharmacy${showAll ? '&status=all' : ''}`)
+    .then(orders => {
+      purchaseOrders = orders;
+      tbody.innerHTML = orders.map(o => {
+        const open = ['ordered', 'partial'].includes(o.status);
+        return `
+          <tr>
+            <td><strong>${o.poNumber}</strong></td>
+            <td>${formatDate(o.createdAt)}${o.expectedDate ? `<div class="text-muted" style="font-size: 0.85rem;">due ${formatDate(o.expectedDate)}</div>` : ''}</td>
+            <td>${o.supplierName}</td>
+            <td style="font-size: 0.9rem;">${o.lines.map(l => `${l.itemName}: ${l.received} / ${l.quantity}`).join('<br>')}</td>
+            <td><span class="badge ${o.status === 'received' ? 'delivered' : open ? 'pending' : 'prepared'}">${PO_STATUSES[o.status]}</span></td>
+            <td>
+              <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+                ${open ? `<button class="btn btn-sm btn-primary" data-po-action="receive" data-id="${o.id}">Receive</button>` : ''}
+                <button class="btn btn-sm btn-secondary" data-po-action="view" data-id="${o.id}">View</button>
+                ${open ? `<button class="btn btn-sm btn-secondary" data-po-action="close" data-id="${o.id}">Close</button>` : ''}
+              </div>
+            </td>
+          </tr>
+        `;
+      }).join('') || '<tr><td colspan="6" class="text-muted" style="text-align: center;">No open purchase orders.</td></tr>';
+    })
+    .catch(err => {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-danger">${err.message}</td></tr>`;
+    });
+}
+
+function manageSuppliers() {
+  getJson('/api/suppliers?all=true')
+    .then(suppliers => {
+      const rows = suppliers.map(s => `
+        <tr>
+          <td>${s.name}${s.active ? '' : ' <span class="text-muted">(inactive)</span>'}</td>
+          <td>${[s.contactPerson, s.phone, s.email].filter(Boolean).join(' · ') || '-'}</td>
+          <td>${s.taxNumber || '-'}</td>
+          <td><button class="btn btn-sm btn-secondary" data-supplier="${s.id}">Edit</button></td>
+        </tr>
+      `).join('');
+      const modal = openDialog('Suppliers', `
+        <div style="text-align: right; margin-bottom: 8px;"><button class="btn btn-sm btn-primary" data-supplier="">+ Supplier</button></div>
+        <table>
+          <thead><tr><th>Name</th><th>Contact</th><th>Tax No.</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="text-muted" style="text-align: center;">No suppliers yet.</td></tr>'}</tbody>
+        </table>
+      `);
+      modal.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-supplier]');
+        if (!btn) return;
+        modal.remove();
+        editSupplier(suppliers.find(s => s.id === btn.dataset.supplier) || null);
+      });
+    })
+    .catch(err => alert(err.message));
+}
+
+function editSupplier(supplier) {
+  const s = supplier || { active: true };
+  const field = (id, label, value) => `<div class="form-group"><label>${label}</label><input type="text" id="${id}" value="${value || ''}"></div>`;
+  const html = `
+    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0 12px;">
+      ${field('supplier-name', 'Name', s.name)}
+      ${field('supplier-contact', 'Contact Person', s.contactPerson)}
+      ${field('supplier-phone', 'Phone', s.phone)}
+      ${field('supplier-email', 'Email', s.email)}
+      ${field('supplier-tax', 'GSTIN / Tax No.', s.taxNumber)}
+    </div>
+    ${field('supplier-address', 'Address', s.address)}
+    ${supplier ? `<label class="flex items-center" style="gap: 4px; font-weight: normal;"><input type="checkbox" id="supplier-active" style="width: auto;" ${s.active ? 'checked' : ''}> Active</label>` : ''}
+  `;
+  openDialog(supplier ? `Edit ${supplier.name}` : 'Add Supplier', html, (modal) => {
+    const body = {
+      name: modal.querySelector('#supplier-name').value,
+      contactPerson: modal.querySelector('#supplier-contact').value,
+      phone: modal.querySelector('#supplier-phone').value,
+      email: modal.querySelector('#supplier-email').value,
+      taxNumber: modal.querySelector('#supplier-tax').value,
+      address: modal.querySelector('#supplier-address').value
+    };
+    if (supplier) body.active = modal.querySelector('#supplier-active').checked;
+    return sendStock(supplier ? `/api/suppliers/${supplier.id}` : '/api/suppliers', supplier ? 'PUT' : 'POST', body)
+      .then(manageSuppliers);
+  });
+}
+
+// New order, filled in with the medicines at or below their reorder level
+function newPurchaseOrder() {
+  Promise.all([getJson('/api/suppliers'), getJson('/api/purchasing/items?store=pharmacy')])
+    .then(([suppliers, { items, suggestions }]) => {
+      if (suppliers.length === 0) {
+        alert('Add a supplier first.');
+        return;
+      }
+      const options = selected => items.map(i => `<option value="${i.itemId}" ${i.itemId === selected ? 'selected' : ''}>${i.itemName} (${i.quantity} ${i.unit} in stock)</option>`).join('');
+      const lineHtml = (line = {}) => `
+        <div data-line style="display: grid; grid-template-columns: 3fr 1fr 1fr auto; gap: 6px; margin-bottom: 6px;">
+          <select data-line-field="itemId"><option value="">Medicine...</option>${options(line.itemId)}</select>
+          <input type="number" placeholder="Quantity" min="0" step="any" value="${line.suggested || ''}" data-line-field="quantity">
+          <input type="number" placeholder="Unit price" min="0" step="any" value="${line.unitPrice !== undefined && line.unitPrice !== null ? line.unitPrice : ''}" data-line-field="unitPrice">
+          <button class="btn btn-sm btn-secondary" data-remove-line title="Remove line">✕</button>
+        </div>`;
+      const html = `
+        <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 0 12px;">
+          <div class="form-group"><label>Supplier</label>
+            <select id="po-supplier">${suppliers.map(s => `<option value="${s.id}">${s.name}</option>`).join('')}</select>
+          </div>
+          <div class="form-group"><label>Expected Delivery</label><input type="date" id="po-expected"></div>
+        </div>
+        <p class="text-muted" style="font-size: 0.9rem;">${suggestions.length ? `${suggestions.length} medicine(s) at or below their reorder level, less what is already on order.` : 'Nothing is at or below its reorder level.'}</p>
+        <div id="po-lines">${suggestions.length ? suggestions.map(lineHtml).join('') : lineHtml()}</div>
+        <button class="btn btn-sm btn-secondary" id="btn-add-po-line">+ Line</button>
+        <div class="form-group" style="margin-top: 12px;"><label>Note</label><input type="text" id="po-note"></div>
+      `;
+      const modal = openDialog('New Purchase Order', html, (dialog) => {
+        const lines = [...dialog.querySelectorAll('[data-line]')].map(row => {
+          const line = {};
+          row.querySelectorAll('[data-line-field]').forEach(el => { line[el.dataset.lineField] = el.value; });
+          return line;
+        }).filter(line => line.itemId || line.quantity);
+        return sendStock('/api/purchase-orders', 'POST', {
+          store: 'pharmacy',
+          supplierId: dialog.querySelector('#po-supplier').value,
+          expectedDate: dialog.querySelector('#po-expected').value,
+          note: dialog.querySelector('#po-note').value,
+          lines
+        }).then(loadPurchaseOrders);
+      }, 'Place Order');
+
+      modal.querySelector('#btn-add-po-line').addEventListener('click', () => {
+        modal.querySelector('#po-lines').insertAdjacentHTML('beforeend', lineHtml());
+      });
+      modal.querySelector('#po-lines').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-line]');
+        if (btn && modal.querySelectorAll('[data-line]').length > 1) btn.closest('[data-line]').remove();
+      });
+    })
+    .catch(err => alert(err.message));
+}
+
+// Goods receipt against an order: one row per batch, rows can be split when a medicine arrives in several batches
+function receiveOrder(order) {
+  const rowHtml = line => `
+    <div data-line data-item="${line.itemId}" style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr auto; gap: 6px; margin-bottom: 6px; align-items: center;">
+      <div style="font-size: 0.9rem;"><strong>${line.itemName}</strong><div class="text-muted">${line.quantity - line.received} to come</div></div>
+      <input type="text" placeholder="Batch" data-line-field="batchNumber">
+      <input type="number" placeholder="Quantity" min="0" step="any" value="${line.quantity - line.received}" data-line-field="quantity">
+      <input type="number" placeholder="Unit price" min="0" step="any" value="${line.unitPrice !== undefined && line.unitPrice !== null ? line.unitPrice : ''}" data-line-field="unitPrice">
+      <input type="date" title="Expiry date" data-line-field="expiryDate">
+      <button class="btn btn-sm btn-secondary" data-split title="Another batch of this medicine">+</button>
+    </div>`;
+  const outstanding = order.lines.filter(l => l.quantity > l.received);
+  const html = `
+    <div style="display: grid; grid-template-columns: 1fr 1fr 2fr; gap: 0 12px;">
+      <div class="form-group"><label>Supplier Invoice</label><input type="text" id="grn-invoice"></div>
+      <div class="form-group"><label>Invoice Date</label><input type="date" id="grn-invoice-date"></div>
+      <div class="form-group"><label>Note</label><input type="text" id="grn-note"></div>
+    </div>
+    <p class="text-muted" style="font-size: 0.9rem;">Enter what arrived; leave the quantity empty for medicines not in this delivery.</p>
+    <div id="grn-lines">${outstanding.map(rowHtml).join('')}</div>
+  `;
+  const modal = openDialog(`Receive ${order.poNumber} from ${order.supplierName}`, html, (dialog) => {
+    const lines = [...dialog.querySelectorAll('[data-line]')].map(row => {
+      const line = { itemId: row.dataset.item };
+      row.querySelectorAll('[data-line-field]').forEach(el => { line[el.dataset.lineField] = el.value; });
+      return line;
+    }).filter(line => Number(line.quantity) > 0);
+    return sendStock(`/api/purchase-orders/${order.id}/receipts`, 'POST', {
+      invoiceNumber: dialog.querySelector('#grn-invoice').value,
+      invoiceDate: dialog.querySelector('#grn-invoice-date').value,
+      note: dialog.querySelector('#grn-note').value,
+      lines
+    }).then(result => {
+      alert(`Received as ${result.receipt.grnNumber}`);
+      loadPurchaseOrders();
+    });
+  }, 'Receive');
+
+  modal.querySelector('#grn-lines').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-split]');
+    if (!btn) return;
+    const row = btn.closest('[data-line]');
+    row.insertAdjacentHTML('afterend', rowHtml(order.lines.find(l => l.itemId === row.dataset.item)));
+    row.nextElementSibling.querySelector('[data-line-field="quantity"]').value = '';
+  });
+}
+
+function viewOrder(order) {
+  getJson(`/api/purchase-orders/${order.id}`)
+    .then(({ receipts }) => {
+      const html = `
+        <p class="text-muted">${order.supplierName} · ordered ${formatDate(order.createdAt)} by ${order.createdBy || '-'} · ${PO_STATUSES[order.status]}</p>
+        <table>
+          <thead><tr><th>Item</th><th>Ordered</th><th>Received</th><th>Unit Price</th></tr></thead>
+          <tbody>${order.lines.map(l => `<tr><td>${l.itemName}</td><td>${l.quantity} ${l.unit || ''}</td><td>${l.received}</td><td>${l.unitPrice !== undefined && l.unitPrice !== null ? l.unitPrice : '-'}</td></tr>`).join('')}</tbody>
+        </table>
+        ${order.note ? `<p style="margin-top: 8px;">Note: ${order.note}</p>` : ''}
+        ${order.closeReason ? `<p style="margin-top: 8px;">Closed: ${order.closeReason}</p>` : ''}
+        <h4 style="margin-top: 16px;">Deliveries</h4>
+        <table>
+          <thead><tr><th>GRN</th><th>Date</th><th>Invoice</th><th>Batches</th><th>Amount</th></tr></thead>
+          <tbody>${receipts.map(r => `
+            <tr>
+              <td>${r.grnNumber}</td>
+              <td>${formatDate(r.receivedAt)}</td>
+              <td>${r.invoiceNumber || '-'}</td>
+              <td style="font-size: 0.9rem;">${r.lines.map(l => `${l.itemName} ${l.batchNumber} x ${l.quantity} (exp ${formatDate(l.expiryDate)})`).join('<br>')}</td>
+              <td>${r.total.toFixed(2)}</td>
+            </tr>`).join('') || '<tr><td colspan="5" class="text-muted" style="text-align: center;">Nothing received yet.</td></tr>'}
+          </tbody>
+        </table>
+      `;
+      openDialog(`Purchase Order ${order.poNumber}`, html);
+    })
+    .catch(err => alert(err.message));
+}
+
+function closeOrder(order) {
+  const received = order.lines.some(l => l.received > 0);
+  const reason = prompt(`${received ? 'Close' : 'Cancel'} ${order.poNumber}? The rest of the order will no longer be expected.\nReason:`);
+  if (!reason) return;
+  sendStock(`/api/purchase-orders/${order.id}/close`, 'POST', { reason })
+    .then(loadPurchaseOrders)
+    .catch(err => alert(err.message));
+}
+
+// Return batches to a supplier; expired and near-expiry stock is listed first
+function supplierReturn() {
+  Promise.all([getJson('/api/suppliers?all=true'), getJson('/api/pharmacy/expiry?days=730')])
+    .then(([suppliers, report]) => {
+      const batches = [...report.expired, ...report.expiring];
+      if (batches.length === 0) {
+        alert('No batches with an expiry date in stock.');
+        return;
+      }
+      const firstSupplier = (batches.find(b => b.supplierId) || {}).supplierId;
+      const html = `
+        <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 0 12px;">
+          <div class="form-group"><label>Supplier</label>
+            <select id="return-supplier">${suppliers.map(s => `<option value="${s.id}" ${s.id === firstSupplier ? 'selected' : ''}>${s.name}</option>`).join('')}</select>
+          </div>
+          <div class="form-group"><label>Reason</label>
+            <select id="return-reason">${Object.entries(RETURN_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+          </div>
+        </div>
+        <div style="max-height: 320px; overflow-y: auto;">
+          <table>
+            <thead><tr><th></th><th>Medicine</th><th>Batch</th><th>Expiry</th><th>In Stock</th><th>Return</th></tr></thead>
+            <tbody>${batches.map((b, i) => `
+              <tr data-batch="${i}">
+                <td><input type="checkbox" data-pick style="width: auto;" ${b.daysLeft <= 0 ? 'checked' : ''}></td>
+                <td>${b.medicationName}</td>
+                <td>${b.batchNumber}</td>
+                <td style="${b.daysLeft <= 0 ? 'color: var(--danger); font-weight: 600;' : ''}">${formatDate(b.expiryDate)}</td>
+                <td>${b.quantity}</td>
+                <td><input type="number" min="0" step="any" value="${b.quantity}" data-quantity style="width: 90px;"></td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="form-group" style="margin-top: 12px;"><label>Note</label><input type="text" id="return-note"></div>
+      `;
+      openDialog('Return to Supplier', html, (dialog) => {
+        const lines = [...dialog.querySelectorAll('[data-batch]')]
+          .filter(row => row.querySelector('[data-pick]').checked)
+          .map(row => {
+            const batch = batches[Number(row.dataset.batch)];
+            return { itemId: batch.itemId, batchNumber: batch.batchNumber, quantity: row.querySelector('[data-quantity]').value };
+          });
+        return sendStock('/api/supplier-returns', 'POST', {
+          store: 'pharmacy',
+          supplierId: dialog.querySelector('#return-supplier').value,
+          reason: dialog.querySelector('#return-reason').value,
+          note: dialog.querySelector('#return-note').value,
+          lines
+        }).then(result => {
+          alert(`Returned as ${result.supplierReturn.returnNumber}${result.skipped ? ` (${result.skipped} batch(es) had changed and were left out)` : ''}`);
+          loadExpiry();
+        });
+      }, 'Return');
+    })
+    .catch(err => alert(err.message));
+}
+
+function exportRegister() {
+  const params = new URLSearchParams({ store: 'pharmacy' });
+  ['from', 'to'].forEach(key => {
+    const value = document.getElementById(`register-${key}`).value;
+    if (value) params.set(key, value);
+  });
+  window.location.href = `${API_BASE}/api/purchasing/register/export?${params}`;
+}
+
+// --- Dispensing ---
+function openBill(dispenseId) {
+  window.open(`${API_BASE}/api/pharmacy/dispenses/${dispenseId}/bill.pdf`, '_blank');
+}
+
+/**
+ * Dispense a visit's prescription: each line defaults to the matching stock item and what is
+ * left to give. Picking a different medicine is a substitution and needs a reason.
+ */
+function openDispense(visitId) {
+  fetch(`${API_BASE}/api/pharmacy/visits/${visitId}/dispense`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(data => {
+      if (data.error) throw new Error(data.error);
+      const itemOptions = selected => data.items.filter(i => i.active).map(i => `
+        <option value="${i.id}" ${i.id === selected ? 'selected' : ''}>${medicineLabel(i)} (${i.quantity} ${i.unit} in stock)</option>
+      `).join('');
+      const available = itemId => {
+        const item = data.items.find(i => i.id === itemId);
+        return item ? item.quantity : 0;
+      };
+
+      const lineHtml = (line) => {
+        if (line && line.complete) {
+          return `
+            <div style="padding: 6px 0; border-bottom: 1px solid var(--border); color: var(--text-muted);">
+              <strong>${line.prescribed}</strong> - given in full (${line.given})
+            </div>`;
+        }
+        const wanted = line ? (line.remaining === null ? 1 : line.remaining) : '';
+        const quantity = line && line.itemId ? Math.min(wanted, available(line.itemId)) : wanted;
+        return `
+          <div data-line ${line ? `data-index="${line.index}" data-matched="${line.itemId || ''}"` : ''} style="padding: 8px 0; border-bottom: 1px solid var(--border);">
+            <div style="margin-bottom: 6px;">
+              <strong>${line ? line.prescribed : 'Additional medicine'}</strong>
+              ${line ? `<span class="text-muted">${line.dosage || ''}${line.quantity ? ` · prescribed ${line.quantity}, given ${line.given}` : ''}</span>` : ''}
+              ${line && !line.itemId ? '<span class="badge pending" style="margin-left: 4px;">Not stocked</span>' : ''}
+            </div>
+            <div style="display: grid; grid-template-columns: 3fr 1fr 3fr ${line ? '' : 'auto'}; gap: 6px;">
+              <select data-line-field="itemId"><option value="">Not dispensed</option>${itemOptions(line ? line.itemId : null)}</select>
+              <input type="number" placeholder="Qty" min="0" step="any" value="${quantity}" data-line-field="quantity">
+              <input type="text" placeholder="Reason (if not given in full)" data-line-field="reason">
+              ${line ? '' : '<button class="btn btn-sm btn-secondary" data-remove-line title="Remove line">✕</button>'}
+            </div>
+            <input type="text" placeholder="Reason for substitution" data-line-field="substitutionReason" style="display: none; margin-top: 6px; width: 100%;">
+          </div>`;
+      };
+
+      const bills = data.dispenses.map(d => `
+        <a href="#" data-bill="${d.id}" style="margin-right: 12px;">${d.billNumber}</a>
+      `).join('');
+      // Allergy, interaction and condition warnings raised for the doctor, with any override reason
+      const warnings = data.warnings.map(w => `
+        <div style="padding: 8px 10px; margin-bottom: 6px; border-radius: 8px; font-size: 0.9rem; background: ${w.severity === 'severe' ? '#fee2e2' : '#fffbeb'};">
+          <strong>${SEVERITY_LABELS[w.severity]}:</strong> ${w.message}
+          ${w.advice ? `<div class="text-muted">${w.advice}</div>` : ''}
+          ${w.overrideReason ? `<div>Doctor's override${w.overriddenBy ? ` (${w.overriddenBy})` : ''}: ${w.overrideReason}</div>` : ''}
+          ${w.severity === 'severe' && !w.overrideReason ? '<div style="font-weight: 600;">Not overridden by the doctor - check before dispensing</div>' : ''}
+        </div>
+      `).join('');
+      const html = `
+        <p class="text-muted" style="margin-bottom: 12px;">
+          <strong>${data.visit.name}</strong> - Token ${data.visit.tokenLabel || `#${data.visit.token}`}
+        </p>
+        ${warnings}
+        ${data.visit.prescription && !data.lines.length ? `<div style="white-space: pre-wrap; margin-bottom: 12px;">${data.visit.prescription}</div>` : ''}
+        <div id="dispense-lines">${data.lines.map(lineHtml).join('')}</div>
+        <button class="btn btn-sm btn-secondary" id="btn-add-dispense-line" style="margin-top: 8px;">+ Medicine</button>
+        <div class="form-group" style="margin-top: 12px;"><label>Note</label><input type="text" id="dispense-note"></div>
+        ${bills ? `<div style="font-size: 0.9rem;">Earlier bills: ${bills}</div>` : ''}
+      `;
+
+      const modal = openDialog('Dispense Medicines', html, (dialog) => {
+        const lines = [...dialog.querySelectorAll('[data-line]')].map(row => {
+          const line = { index: row.dataset.index };
+          row.querySelectorAll('[data-line-field]').forEach(el => { line[el.dataset.lineField] = el.value; });
+          if (!line.itemId) line.quantity = 0;
+          return line;
+        }).filter(line => line.index !== undefined || line.itemId);
+        return sendStock(`/api/pharmacy/visits/${visitId}/dispense`, 'POST', {
+          lines,
+          note: dialog.querySelector('#dispense-note').value
+        }).then(result => {
+          openBill(result.dispense.id);
+          loadPrescriptions();
+        });
+      }, 'Dispense & Print Bill');
+
+      // The substitution reason is asked for once a different medicine is picked
+      const linesBox = modal.querySelector('#dispense-lines');
+      linesBox.addEventListener('change', (e) => {
+        if (e.target.dataset.lineField !== 'itemId') return;
+        const row = e.target.closest('[data-line]');
+        const substituted = row.dataset.index !== undefined && e.target.value && e.target.value !== row.dataset.matched;
+        row.querySelector('[data-line-field="substitutionReason"]').style.display = substituted ? 'block' : 'none';
+      });
+      linesBox.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-line]');
+        if (btn) btn.closest('[data-line]').remove();
+      });
+      modal.querySelector('#btn-add-dispense-line').addEventListener('click', () => {
+        linesBox.insertAdjacentHTML('beforeend', lineHtml(null));
+      });
+      modal.querySelectorAll('[data-bill]').forEach(link => link.addEventListener('click', (e) => {
+        e.preventDefault();
+        openBill(link.dataset.bill);
+      }));
+    })
+    .catch(err => alert(err.message || 'Could not load the prescription'));
+}
+
 // --- Socket Events ---
+socket.on('stock-updated', () => {
+  const stockTab = document.querySelectorAll('#pharmacy-tab-contents > .tab-content')[1];
+  if (stockTab.classList.contains('active')) loadStock();
+});
+
 socket.on('queue-updated', ({ patient }) => {
   if (patient) {
-    const isRelevant = (patient.prescription && patient.prescription !== '') || patient.status === 'pharmacy' || patient.pharmacyState;
+    const isRelevant = (patient.prescription && patient.prescription !== '') || (patient.medications && patient.medications.length) || patient.status === 'pharmacy' || patient.pharmacyState;
 
     const idx = prescriptionsList.findIndex(x => x.id === patient.id);
     if (idx >= 0) {
@@ -337,5 +1324,15 @@ socket.on('prescription-updated', (p) => {
   updateStats();
 });
 
+socket.on('permission-denied', ({ event }) => {
+  alert(`You don't have permission to do that (${event}).`);
+  loadPrescriptions(); // Undo the optimistic local update
+});
+
+socket.on('move-patient-error', ({ message }) => {
+  alert(`Prescription not updated: ${message}`);
+  loadPrescriptions(); // Undo the optimistic local update
+});
+
 // Start
 init();
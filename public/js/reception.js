@@ -1,8 +1,10 @@
 const API_BASE = ''; // Relative path for production consistency
 const socket = io();
-const hospitalId = sessionStorage.getItem('hospitalId');
-const role = sessionStorage.getItem('role') || 'reception';
-socket.emit('join', { role, hospitalId });
+// The server takes the hospital and role from the session; rooms must be rejoined after every reconnect
+socket.on('connect', () => socket.emit('join', 'reception'));
+socket.on('connect_error', (err) => {
+  if (err.message === 'Not authenticated') window.location.href = 'login.html';
+});
 
 // DOM Elements
 const form = document.getElementById('regForm');
@@ -22,7 +24,11 @@ const statDoctor = document.getElementById('stat-doctor');
 const statCompleted = document.getElementById('stat-completed');
 
 let allDoctors = [];
+let allDepartments = [];
+let doctorNames = {}; // id -> name for every doctor, including inactive ones
 let patientsList = [];
+let returningPatientId = null; // Set when reception starts a new visit for an existing patient
+let phoneMatches = [];
 
 // Pagination State
 let currentPage = 1;
@@ -32,6 +38,7 @@ const LIMIT = 50;
 // --- Initialization ---
 function init() {
   loadDepartments();
+  loadDoctorDirectory();
   loadPatients(currentPage);
   setupEventListeners();
 }
@@ -53,7 +60,6 @@ function setupEventListeners() {
     e.preventDefault();
 
     const patientData = {
-      hospitalId: sessionStorage.getItem('hospitalId'), // Get from session
       name: document.getElementById('name').value,
       age: document.getElementById('age').value,
       gender: document.getElementById('gender').value,
@@ -64,7 +70,8 @@ function setupEventListeners() {
       department: deptSelect.value,
       doctorId: doctorSelect.value || null,
       reason: document.getElementById('reason').value,
-      cost: parseFloat(document.getElementById('cost').value) || 0
+      cost: document.getElementById('cost').value, // Blank lets the server apply the doctor/department fee
+      patientId: returningPatientId
     };
 
     statusDiv.innerText = 'Registering...';
@@ -79,29 +86,45 @@ function setupEventListeners() {
     fileLabelText.style.color = 'var(--text-muted)';
   });
 
-  // Auto-fetch patient
+  // Clearing the form (including the Clear button) also forgets a selected returning patient
+  form.addEventListener('reset', clearReturningPatient);
+
+  // Look up existing patients by phone and offer to start a new visit for one of them
   phoneInput.addEventListener('blur', () => {
     const val = phoneInput.value.trim();
+    clearReturningPatient();
     if (!val) return;
     fetch(`${API_BASE}/api/patients?phone=` + encodeURIComponent(val), { credentials: 'include' })
       .then(r => r.json())
       .then(response => {
-        // Handle both paginated and non-paginated response for backward compatibility or search
         const list = response.data || response;
-        if (list && list.length) {
-          const p = list[0];
-          document.getElementById('name').value = p.name || '';
-          document.getElementById('age').value = p.age || '';
-          document.getElementById('gender').value = p.gender || '';
-          document.getElementById('address').value = p.address || '';
-          document.getElementById('patientType').value = 'Follow-up';
-        }
+        if (list && list.length) showReturningPatients(list);
       })
       .catch(err => console.error('Error fetching patient details:', err));
   });
 
+  document.getElementById('returning-patient').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.action === 'new-patient') {
+      clearReturningPatient();
+      return;
+    }
+    const p = phoneMatches.find(x => x.id === btn.dataset.id);
+    if (p) startVisitFor(p);
+  });
+
   // Dept change
-  deptSelect.addEventListener('change', () => loadDoctors(deptSelect.value));
+  deptSelect.addEventListener('change', () => {
+    applyDepartmentFee();
+    loadDoctors(deptSelect.value);
+  });
+
+  // Doctor change - prefill the doctor's consultation fee
+  doctorSelect.addEventListener('change', () => {
+    const d = allDoctors.find(doc => doc.id === doctorSelect.value);
+    if (d && d.consultationFee) document.getElementById('cost').value = d.consultationFee;
+  });
 
   // Export Buttons
   document.getElementById('exportMonth')?.addEventListener('click', () => {
@@ -176,20 +199,74 @@ function setupEventListeners() {
   });
 }
 
+// --- Returning Patients ---
+function showReturningPatients(list) {
+  const box = document.getElementById('returning-patient');
+  phoneMatches = list;
+  box.innerHTML = `
+    <div class="text-muted" style="font-size: 0.85rem; margin-bottom: 4px;">Existing patient${list.length > 1 ? 's' : ''} with this number:</div>
+    ${list.map(p => `
+      <div class="flex justify-between items-center" style="padding: 6px 0; border-top: 1px solid var(--border);">
+        <div>
+          <strong>${p.name}</strong> <span class="text-muted" style="font-size: 0.85rem;">${p.mrn || ''} · ${p.age || '-'} / ${p.gender || '-'}</span>
+          <div class="text-muted" style="font-size: 0.8rem;">Last visit: ${p.lastVisitAt ? new Date(p.lastVisitAt).toLocaleDateString('en-IN') : '-'}</div>
+        </div>
+        <button type="button" class="btn btn-sm btn-accent" data-id="${p.id}">Start New Visit</button>
+      </div>
+    `).join('')}
+    <button type="button" class="btn btn-sm btn-secondary" data-action="new-patient" style="margin-top: 6px;">Register as new patient</button>
+  `;
+  box.style.display = 'block';
+}
+
+function startVisitFor(p) {
+  returningPatientId = p.id;
+  document.getElementById('name').value = p.name || '';
+  document.getElementById('age').value = p.age || '';
+  document.getElementById('gender').value = p.gender || '';
+  document.getElementById('address').value = p.address || '';
+  document.getElementById('patientType').value = 'Follow-up';
+
+  const box = document.getElementById('returning-patient');
+  box.innerHTML = `
+    <div class="flex justify-between items-center">
+      <span style="font-size: 0.9rem;">New visit for <strong>${p.name}</strong> (${p.mrn || 'no MRN'})</span>
+      <button type="button" class="btn btn-sm btn-secondary" data-action="new-patient">Change</button>
+    </div>
+  `;
+}
+
+function clearReturningPatient() {
+  returningPatientId = null;
+  const box = document.getElementById('returning-patient');
+  box.style.display = 'none';
+  box.innerHTML = '';
+  phoneMatches = [];
+}
+
 // --- Data Loading ---
 function loadDepartments() {
   fetch(`${API_BASE}/api/departments`, { credentials: 'include' })
     .then(r => r.json())
     .then(list => {
+      allDepartments = list;
       deptSelect.innerHTML = '';
       list.forEach(d => {
-        const o = document.createElement('option'); o.value = d; o.textContent = d; deptSelect.appendChild(o);
+        const o = document.createElement('option'); o.value = d.name; o.textContent = d.name; deptSelect.appendChild(o);
       });
-      loadDoctors(list[0]); // Load doctors for first dept
+      if (list.length) {
+        applyDepartmentFee();
+        loadDoctors(list[0].name); // Load doctors for first dept
+      }
     })
     .catch(err => console.error('Error loading departments:', err));
 }
 
+function applyDepartmentFee() {
+  const d = allDepartments.find(dep => dep.name === deptSelect.value);
+  if (d && d.defaultConsultationFee) document.getElementById('cost').value = d.defaultConsultationFee;
+}
+
 function loadDoctors(dept) {
   let url = `${API_BASE}/api/doctors`;
   if (dept) url += '?dept=' + encodeURIComponent(dept);
@@ -205,8 +282,19 @@ function loadDoctors(dept) {
     .catch(err => console.error('Error loading doctors:', err));
 }
 
+function loadDoctorDirectory() {
+  fetch(`${API_BASE}/api/doctors?includeInactive=true`, { credentials: 'include' })
+    .then(r => r.json())
+    .then(list => {
+      doctorNames = {};
+      list.forEach(d => { doctorNames[d.id] = d.name; });
+      renderTable();
+    })
+    .catch(err => console.error('Error loading doctor directory:', err));
+}
+
 function loadPatients(page = 1) {
-  fetch(`${API_BASE}/api/patients?page=${page}&limit=${LIMIT}`, { credentials: 'include' })
+  fetch(`${API_BASE}/api/visits?page=${page}&limit=${LIMIT}`, { credentials: 'include' })
     .then(r => r.json())
     .then(response => {
       // Support both formats (array or object with data)
@@ -266,8 +354,7 @@ function renderTable() {
     // Doctor Cell
     let doctorHtml = '-';
     if (p.doctorId) {
-      const d = allDoctors.find(doc => doc.id == p.doctorId); // Might need to fetch all doctors globally or store map
-      doctorHtml = d ? d.name : `Dr. ID ${p.doctorId}`;
+      doctorHtml = doctorNames[p.doctorId] || 'Unknown doctor';
     } else {
       // Dropdown to assign
       doctorHtml = `
@@ -288,10 +375,10 @@ function renderTable() {
     }
 
     tr.innerHTML = `
-      <td><strong>#${p.token}</strong></td>
+      <td><strong>${p.tokenLabel || `#${p.token}`}</strong></td>
       <td>
         <div style="font-weight:600;">${p.name}</div>
-        <div class="text-muted" style="font-size:0.85rem;">${p.phone}</div>
+        <div class="text-muted" style="font-size:0.85rem;">${p.mrn ? `${p.mrn} · ` : ''}${p.phone}</div>
       </td>
       <td>${p.age} / ${p.gender}</td>
       <td>${p.department}</td>
@@ -316,7 +403,7 @@ function updateStats() {
 
 // --- Socket Events ---
 socket.on('patient-registered', (p) => {
-  statusDiv.innerText = `✓ Registered ${p.name} (Token ${p.token})`;
+  statusDiv.innerText = `✓ Registered ${p.name} (Token ${p.tokenLabel || p.token})`;
   statusDiv.style.color = 'var(--status-completed)';
   setTimeout(() => statusDiv.innerText = '', 3000);
 
@@ -332,5 +419,16 @@ socket.on('patient-registered', (p) => {
   }
 });
 
+socket.on('permission-denied', ({ event }) => {
+  statusDiv.innerText = `✕ Permission denied (${event})`;
+  statusDiv.style.color = 'var(--danger)';
+});
+
+socket.on('move-patient-error', ({ message }) => {
+  statusDiv.innerText = `✕ Patient not moved: ${message}`;
+  statusDiv.style.color = 'var(--danger)';
+  loadPatients(currentPage); // Undo the optimistic local update
+});
+
 // Start
 init();
@@ -0,0 +1,171 @@
+// Purchasing for the pharmacy and lab stores: purchase orders, receipts against them and the purchase register
+
+// The stock a purchase order is for
+const STORES = ['pharmacy', 'lab'];
+
+const PO_STATUSES = {
+    ordered: 'Ordered',
+    partial: 'Partly received',
+    received: 'Received',
+    closed: 'Closed short',
+    cancelled: 'Cancelled'
+};
+
+// Orders that can still be received against
+const OPEN_STATUSES = ['ordered', 'partial'];
+
+// Why stock goes back to a supplier
+const RETURN_REASONS = {
+    expired: 'Expired',
+    near_expiry: 'Near expiry',
+    damaged: 'Damaged',
+    wrong_item: 'Wrong item supplied',
+    other: 'Other'
+};
+
+function money(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Quantity of an order line still to arrive
+function outstanding(line) {
+    return Math.max(line.quantity - (line.received || 0), 0);
+}
+
+// Status of an open order from what has arrived so far; closed and cancelled orders keep theirs
+function orderStatus(order) {
+    if (!OPEN_STATUSES.includes(order.status)) return order.status;
+    if (order.lines.every(l => outstanding(l) === 0)) return 'received';
+    return order.lines.some(l => l.received > 0) ? 'partial' : 'ordered';
+}
+
+/**
+ * Suggested order lines for items that are low or out of stock: enough to bring stock
+ * back up to twice the reorder level, less what is still to arrive on open orders.
+ *
+ * @param {Array} items - [{ itemId, itemName, unit, quantity, reorderLevel, status, unitPrice }]
+ * @param {Array} openOrders - open purchase orders of the same store
+ */
+function reorderLines(items, openOrders) {
+    const onOrder = new Map();
+    openOrders.forEach(order => order.lines.forEach(line => {
+        const key = String(line.itemId);
+        onOrder.set(key, (onOrder.get(key) || 0) + outstanding(line));
+    }));
+
+    return items
+        .filter(item => item.status !== 'ok')
+        .map(item => {
+            const pending = onOrder.get(String(item.itemId)) || 0;
+            const target = Math.max(item.reorderLevel * 2, 1);
+            return { ...item, onOrder: pending, suggested: Math.ceil(Math.max(target - item.quantity - pending, 0)) };
+        })
+        .filter(item => item.suggested > 0)
+        .sort((a, b) => a.itemName.localeCompare(b.itemName));
+}
+
+/**
+ * Record received lines against an order. Several batches of one item may arrive together,
+ * but not more than is still to arrive. Updates `received` and the status in place.
+ * Returns { error } when a line is not on the order or is more than is outstanding.
+ */
+function applyReceipt(order, lines) {
+    const totals = new Map();
+    lines.forEach(line => totals.set(String(line.itemId), (totals.get(String(line.itemId)) || 0) + line.quantity));
+
+    for (const [itemId, quantity] of totals) {
+        const orderLine = order.lines.find(l => String(l.itemId) === itemId);
+        if (!orderLine) return { error: 'An item on this receipt is not on the purchase order' };
+        if (quantity > outstanding(orderLine)) {
+            return { error: `${orderLine.itemName}: only ${outstanding(orderLine)} still to arrive` };
+        }
+    }
+    totals.forEach((quantity, itemId) => {
+        order.lines.find(l => String(l.itemId) === itemId).received += quantity;
+    });
+    order.status = orderStatus(order);
+    return {};
+}
+
+/**
+ * Take back lines recorded by applyReceipt when their stock could not be put away.
+ * Updates `received` and the status in place.
+ */
+function undoReceipt(order, lines) {
+    lines.forEach(line => {
+        const orderLine = order.lines.find(l => String(l.itemId) === String(line.itemId));
+        if (orderLine) orderLine.received = Math.max((orderLine.received || 0) - line.quantity, 0);
+    });
+    if (order.status === 'received') order.status = 'partial';
+    order.status = orderStatus(order);
+}
+
+/**
+ * Purchase register: one row per batch received or returned (returns as negative amounts),
+ * oldest first, with totals per supplier.
+ *
+ * @param {Array} receipts - GoodsReceipt documents
+ * @param {Array} returns - SupplierReturn documents
+ */
+function purchaseRegister(receipts, returns) {
+    const rows = [];
+    receipts.forEach(r => r.lines.forEach(line => rows.push({
+        date: r.receivedAt,
+        type: 'Receipt',
+        number: r.grnNumber,
+        store: r.store,
+        supplierName: r.supplierName,
+        poNumber: r.poNumber || '',
+        invoiceNumber: r.invoiceNumber || '',
+        reason: '',
+        itemName: line.itemName,
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice || 0,
+        amount: money(line.quantity * (line.unitPrice || 0))
+    })));
+    returns.forEach(r => r.lines.forEach(line => rows.push({
+        date: r.returnedAt,
+        type: 'Return',
+        number: r.returnNumber,
+        store: r.store,
+        supplierName: r.supplierName,
+        poNumber: '',
+        invoiceNumber: '',
+        reason: RETURN_REASONS[r.reason] || r.reason,
+        itemName: line.itemName,
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        quantity: -line.quantity,
+        unitPrice: line.unitPrice || 0,
+        amount: -money(line.quantity * (line.unitPrice || 0))
+    })));
+    rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const suppliers = new Map();
+    rows.forEach(row => {
+        if (!suppliers.has(row.supplierName)) suppliers.set(row.supplierName, { supplierName: row.supplierName, received: 0, returned: 0 });
+        const totals = suppliers.get(row.supplierName);
+        if (row.amount >= 0) totals.received += row.amount;
+        else totals.returned -= row.amount;
+    });
+    const bySupplier = [...suppliers.values()]
+        .map(s => ({ supplierName: s.supplierName, received: money(s.received), returned: money(s.returned), net: money(s.received - s.returned) }))
+        .sort((a, b) => b.net - a.net);
+
+    return { rows, bySupplier, total: money(rows.reduce((sum, r) => sum + r.amount, 0)) };
+}
+
+module.exports = {
+    STORES,
+    PO_STATUSES,
+    OPEN_STATUSES,
+    RETURN_REASONS,
+    outstanding,
+    orderStatus,
+    reorderLines,
+    applyReceipt,
+    undoReceipt,
+    purchaseRegister
+};
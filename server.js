@@ -9,16 +9,38 @@ const MongoStore = require('connect-mongo');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 const {
-  connectDB, Hospital, User, Patient, Vital, LabTest,
-  LabResult, Inventory, Appointment, LabInventory,
-  LabTestType, PrescriptionTemplate
+  connectDB, Hospital, User, Department, TokenCounter, Doctor, Patient, Encounter, Vital, LabTest,
+  LabResult, Inventory, PharmacyItem, PharmacyStockMovement, Dispense, DrugInteraction, Appointment, LabInventory, LabStockMovement,
+  Supplier, PurchaseOrder, GoodsReceipt, SupplierReturn,
+  LabTestType, LabInstrument, AnalyzerResult, PrescriptionTemplate, AuditLog
 } = require('./database');
 const auth = require('./auth');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
 const os = require('os');
-const { registerValidators, loginValidators, templateValidators } = require('./middleware/validators');
+const { Readable } = require('stream');
+const multer = require('multer');
+const {
+  registerValidators, loginValidators, patientUpdateValidators, templateValidators, doctorValidators, departmentValidators,
+  staffValidators, staffUpdateValidators, passwordChangeValidators, tokenSettingsValidators
+} = require('./middleware/validators');
+const permissions = require('./middleware/permissions');
+const audit = require('./audit');
+const prescriptions = require('./prescriptions');
+const labWorkflow = require('./lab-workflow');
+const labCatalog = require('./lab-catalog');
+const barcode = require('./barcode');
+const analyzer = require('./analyzer');
+const labAnalytics = require('./lab-analytics');
+const labStock = require('./lab-stock');
+const labTrends = require('./lab-trends');
+const pharmacyStock = require('./pharmacy-stock');
+const purchasing = require('./purchasing');
+const drugMaster = require('./drug-master');
+const drugSafety = require('./drug-safety');
+const { requireSession, requireAuth, requirePermission, hasPermission } = permissions;
 
 // Connect to MongoDB
 connectDB();
@@ -72,7 +94,7 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Session middleware with persistent MongoDB storage
-app.use(session({
+const sessionMiddleware = session({
   store: MongoStore.create({
     mongoUrl: process.env.MONGODB_URI,
     collectionName: 'sessions',
@@ -87,38 +109,394 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production', // Secure cookies in production (HTTPS)
     sameSite: process.env.NODE_ENV === 'production' ? 'lax' : 'lax' // CSRF protection
   }
-}));
+});
+app.use(sessionMiddleware);
+// Share the session with Socket.IO so socket events are authorised like REST routes
+io.engine.use(sessionMiddleware);
 
-// Sample departments and doctors (Static for now)
-const departments = [
+// Departments seeded for hospitals that have not configured their own
+const DEFAULT_DEPARTMENTS = [
   'General', 'Orthopedics', 'Gynecology', 'Pediatrics', 'ENT', 'Dermatology', 'Cardiology', 'Medicine'
 ];
 
-const doctors = [
-  { id: '1', name: 'Dr. Asha Patel', dept: 'General', status: 'available' },
-  { id: '2', name: 'Dr. Rajesh Singh', dept: 'Orthopedics', status: 'available' },
-  { id: '3', name: 'Dr. Nisha Rao', dept: 'Gynecology', status: 'available' },
-  { id: '4', name: 'Dr. Vikram Shah', dept: 'Cardiology', status: 'available' }
+// Account lockout after repeated failed logins
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Fields a hospital admin may set on a doctor profile
+const DOCTOR_FIELDS = ['name', 'department', 'qualifications', 'registrationNumber', 'consultationFee', 'status', 'userId'];
+
+// Seed list for the drug picker until a hospital has its own prescribing history
+const COMMON_DRUGS = [
+  { drug: 'Paracetamol', strength: '500mg', form: 'tablet', dose: '1 tab', frequency: 'TDS' },
+  { drug: 'Paracetamol', strength: '650mg', form: 'tablet', dose: '1 tab', frequency: 'TDS' },
+  { drug: 'Ibuprofen', strength: '400mg', form: 'tablet', dose: '1 tab', frequency: 'BD' },
+  { drug: 'Amoxicillin', strength: '500mg', form: 'capsule', dose: '1 cap', frequency: 'TDS' },
+  { drug: 'Amoxicillin + Clavulanic Acid', strength: '625mg', form: 'tablet', dose: '1 tab', frequency: 'BD' },
+  { drug: 'Azithromycin', strength: '500mg', form: 'tablet', dose: '1 tab', frequency: 'OD' },
+  { drug: 'Cetirizine', strength: '10mg', form: 'tablet', dose: '1 tab', frequency: 'HS' },
+  { drug: 'Pantoprazole', strength: '40mg', form: 'tablet', dose: '1 tab', frequency: 'OD' },
+  { drug: 'Ondansetron', strength: '4mg', form: 'tablet', dose: '1 tab', frequency: 'SOS' },
+  { drug: 'Metformin', strength: '500mg', form: 'tablet', dose: '1 tab', frequency: 'BD' },
+  { drug: 'Amlodipine', strength: '5mg', form: 'tablet', dose: '1 tab', frequency: 'OD' },
+  { drug: 'Atorvastatin', strength: '10mg', form: 'tablet', dose: '1 tab', frequency: 'HS' },
+  { drug: 'Oral Rehydration Salts', strength: '21g', form: 'sachet', dose: '1 sachet in 1L water', frequency: 'SOS' },
+  { drug: 'Salbutamol', strength: '100mcg', form: 'inhaler', dose: '2 puffs', frequency: 'SOS', route: 'inhalation' },
+  { drug: 'Cough Syrup (Dextromethorphan)', strength: '10mg/5ml', form: 'syrup', dose: '5 ml', frequency: 'TDS' }
 ];
 
+// How result flags are printed on lab reports
+const FLAG_LABELS = { L: 'Low', H: 'High', LL: 'Critical Low', HH: 'Critical High', A: 'Abnormal' };
+
+// Lab order limits
+const LAB_PRIORITIES = ['normal', 'urgent'];
+const MAX_TESTS_PER_ORDER = 20;
+
+// Patient master fields reception may set or correct
+const PATIENT_FIELDS = ['name', 'age', 'gender', 'phone', 'address', 'bloodGroup', 'emergencyContact', 'emergencyPhone',
+  'insuranceId', 'medicalHistory', 'allergies', 'chronicConditions'];
+
+// Escape user input for use inside a RegExp
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // Helper to generate secure public token
 function generatePublicToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+// Seed the default department list the first time a hospital needs one
+async function ensureDepartments(hospitalId) {
+  if (await Department.exists({ hospitalId })) return;
+  const docs = DEFAULT_DEPARTMENTS.map(name => ({
+    hospitalId,
+    name,
+    tokenPrefix: name.substring(0, 3).toUpperCase()
+  }));
+  try {
+    await Department.insertMany(docs, { ordered: false });
+  } catch (err) {
+    // A concurrent request may have seeded the same names already
+    if (err.code !== 11000) throw err;
+  }
+}
+
+// Counter period a token is drawn from, in the hospital's own timezone
+function tokenPeriodKey(settings, date = new Date()) {
+  if (settings.reset === 'never') return 'all';
+  const day = new Intl.DateTimeFormat('en-CA', {
+    timeZone: settings.timezone || 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date); // en-CA formats as YYYY-MM-DD
+  return settings.reset === 'monthly' ? day.slice(0, 7) : day;
+}
+
+// Draw the next queue token for a department. The counter is incremented atomically,
+// so concurrent registrations always get distinct numbers.
+async function allocateToken(hospitalId, department) {
+  const hospital = await Hospital.findById(hospitalId).select('tokenSettings');
+  const settings = (hospital && hospital.tokenSettings) || {};
+  const period = tokenPeriodKey(settings);
+  const filter = { hospitalId, departmentId: department._id, period };
+  const update = { $inc: { seq: 1 }, $set: { updatedAt: new Date() } };
+
+  let counter;
+  try {
+    counter = await TokenCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (err) {
+    // Two first registrations of the period raced on the upsert; the counter exists now
+    if (err.code !== 11000) throw err;
+    counter = await TokenCounter.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  const number = String(counter.seq).padStart(settings.digits || 3, '0');
+  return {
+    token: counter.seq,
+    tokenLabel: department.tokenPrefix ? `${department.tokenPrefix}-${number}` : number,
+    tokenPeriod: period
+  };
+}
+
+// History entry recording which signed-in user changed a staff account
+function staffChange(req, action, details) {
+  return {
+    action,
+    performedBy: req.session.userId,
+    performedByName: req.session.username,
+    details,
+    at: new Date()
+  };
+}
+
+// Append an audit entry for the signed-in user making this request
+function auditRequest(req, entry) {
+  return audit.record({ hospitalId: req.session.hospitalId, session: req.session, ip: req.ip, ...entry });
+}
+
+// Resolve a staff user within a hospital (null for missing or malformed ids)
+async function findStaff(hospitalId, userId) {
+  if (!userId || !mongoose.isValidObjectId(userId)) return null;
+  return User.findOne({ _id: userId, hospitalId });
+}
+
+// Refuse changes that would leave a hospital without an active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || user.isActive === false) return false;
+  const admins = await User.countDocuments({ hospitalId: user.hospitalId, role: 'admin', isActive: { $ne: false } });
+  return admins <= 1;
+}
+
+// Resolve a patient master record within a hospital (null for missing or malformed ids)
+async function findPatient(hospitalId, patientId) {
+  if (!patientId || !mongoose.isValidObjectId(patientId)) return null;
+  return Patient.findOne({ _id: patientId, hospitalId });
+}
+
+// Resolve a visit within a hospital, with its patient populated
+async function findEncounter(hospitalId, encounterId) {
+  if (!encounterId || !mongoose.isValidObjectId(encounterId)) return null;
+  return Encounter.findOne({ _id: encounterId, hospitalId }).populate('patientId');
+}
+
+// Dashboard payload for a visit: the encounter with its patient's details flattened in,
+// so queue screens can keep reading p.name, p.token, p.status from one object
+function visitView(encounter) {
+  const visit = encounter.toJSON();
+  const patient = encounter.populated('patientId') ? encounter.patientId : null;
+  if (patient) {
+    ['mrn', ...PATIENT_FIELDS].forEach(f => { visit[f] = patient[f]; });
+  }
+  visit.patientId = patient ? patient.id : String(encounter.populated('patientId') || encounter.patientId);
+  return visit;
+}
+
+// Issue the next medical record number for a hospital
+async function nextMrn(hospitalId) {
+  const hospital = await Hospital.findByIdAndUpdate(hospitalId, { $inc: { mrnSeq: 1 } }, { new: true });
+  return `MRN-${String(hospital.mrnSeq).padStart(6, '0')}`;
+}
+
+// Reserve `count` consecutive sample accession numbers for a hospital
+async function nextAccessionNumbers(hospitalId, count = 1) {
+  const hospital = await Hospital.findByIdAndUpdate(hospitalId, { $inc: { accessionSeq: count } }, { new: true });
+  const first = hospital.accessionSeq - count + 1;
+  return Array.from({ length: count }, (_, i) => `L${String(first + i).padStart(7, '0')}`);
+}
+
+// Issue the next pharmacy bill number for a hospital
+async function nextBillNumber(hospitalId) {
+  const hospital = await Hospital.findByIdAndUpdate(hospitalId, { $inc: { dispenseSeq: 1 } }, { new: true });
+  return `PH${String(hospital.dispenseSeq).padStart(6, '0')}`;
+}
+
+// Issue the next purchasing document number, e.g. ('goodsReceiptSeq', 'GRN') -> 'GRN000042'
+async function nextPurchasingNumber(hospitalId, counter, prefix) {
+  const hospital = await Hospital.findByIdAndUpdate(hospitalId, { $inc: { [counter]: 1 } }, { new: true });
+  return `${prefix}${String(hospital[counter]).padStart(6, '0')}`;
+}
+
+// Tests ordered before accession numbers existed get one the first time they need a label
+async function ensureAccessionNumber(test) {
+  if (test.accessionNumber) return test;
+  const [accessionNumber] = await nextAccessionNumbers(test.hospitalId);
+  const updated = await LabTest.findOneAndUpdate(
+    { _id: test._id, accessionNumber: { $exists: false } },
+    { $set: { accessionNumber } },
+    { new: true }
+  ).populate('patientId');
+  // Another request numbered it first
+  return updated || LabTest.findById(test._id).populate('patientId');
+}
+
+// Resolve a lab test within a hospital (null for missing or malformed ids)
+async function findLabTest(hospitalId, testId) {
+  if (!testId || !mongoose.isValidObjectId(testId)) return null;
+  return LabTest.findOne({ _id: testId, hospitalId });
+}
+
+// Flatten a lab test (with patientId populated) for the dashboards
+function labTestView(test) {
+  const obj = test.toObject();
+  obj.status = labWorkflow.currentStatus(obj);
+  obj.nextStatuses = labWorkflow.TRANSITIONS[obj.status] || [];
+  if (obj.patientId && obj.patientId.name !== undefined) {
+    obj.patientName = obj.patientId.name;
+    obj.patientAge = obj.patientId.age;
+    obj.patientGender = obj.patientId.gender;
+    obj.patientPhone = obj.patientId.phone;
+    obj.patientMrn = obj.patientId.mrn;
+    obj.patientId = obj.patientId._id;
+  }
+  return obj;
+}
+
+// Result entry rows for a lab test, from its catalog entry (empty for tests ordered without one)
+async function labResultForm(test) {
+  if (!test.testTypeId) return [];
+  const type = await LabTestType.findOne({ _id: test.testTypeId, hospitalId: test.hospitalId });
+  if (!type) return [];
+
+  let sections = [{ parameters: type.parameters }];
+  if (type.isPanel) {
+    const members = await LabTestType.find({ _id: { $in: type.panelTests }, hospitalId: test.hospitalId });
+    sections = type.panelTests
+      .map(id => members.find(m => m._id.equals(id)))
+      .filter(Boolean)
+      .map(m => ({ section: m.name, parameters: m.parameters }));
+  }
+
+  const patient = test.populated('patientId')
+    ? test.patientId
+    : await Patient.findById(test.patientId).select('age gender');
+  return labCatalog.buildResultForm(sections, patient || {});
+}
+
+// A patient's verified results, one series per parameter (see lab-trends.js)
+async function patientLabTrends(hospitalId, patientId, { exclude } = {}) {
+  const tests = (await LabTest.find({ hospitalId, patientId })).filter(t =>
+    ['verified', 'reported'].includes(labWorkflow.currentStatus(t)) && !(exclude && t._id.equals(exclude)));
+  const results = await LabResult.find({ testId: { $in: tests.map(t => t._id) } });
+  return labTrends.buildTrends(tests, results);
+}
+
+// Compare new results with the patient's previous verified value, for parameters with a delta limit
+async function applyDeltaChecks(test, form, resultDocs) {
+  const key = r => `${r.section || ''}|${r.parameterName}`;
+  const limits = new Map(form.filter(row => row.deltaPercent).map(row => [key(row), row.deltaPercent]));
+  resultDocs.forEach(doc => { doc.delta = null; });
+  if (limits.size === 0 || !test.patientId) return;
+
+  const trends = await patientLabTrends(test.hospitalId, test.patientId, { exclude: test._id });
+  const takenAt = labTrends.resultTime(test);
+  resultDocs.forEach(doc => {
+    const limit = limits.get(key(doc));
+    const series = limit && labTrends.findSeries(trends, doc.parameterName);
+    const previous = series && [...series.points].reverse().find(p => p.at <= takenAt);
+    doc.delta = (previous && labTrends.deltaCheck(doc.value, previous, limit)) || null;
+  });
+}
+
+// What a doctor needs to act on a test's latest unacknowledged critical alert
+function criticalAlertView(test) {
+  const alert = [...(test.criticalAlerts || [])].reverse().find(a => !a.acknowledgedAt);
+  const patient = test.populated('patientId') ? test.patientId : null;
+  return {
+    testId: test._id,
+    testName: test.testName,
+    encounterId: test.encounterId,
+    doctorId: test.doctorId,
+    patientName: patient ? patient.name : undefined,
+    patientMrn: patient ? patient.mrn : undefined,
+    alert: alert ? alert.toObject() : null
+  };
+}
+
+/**
+ * Record critical values in a test's alert list and push them to the ordering doctor.
+ * Re-saving the same critical values does not raise a second alert.
+ */
+async function raiseCriticalAlert(req, test, results) {
+  const parameters = results.filter(r => r.isCritical).map(r => ({
+    name: r.section ? `${r.section} - ${r.parameterName}` : r.parameterName,
+    value: r.value,
+    unit: r.unit,
+    flag: r.flag
+  }));
+  if (parameters.length === 0) return null;
+
+  const summary = list => JSON.stringify(list.map(p => [p.name, p.value, p.flag]));
+  const last = test.criticalAlerts[test.criticalAlerts.length - 1];
+  if (last && summary(last.parameters) === summary(parameters)) return null;
+
+  const updated = await LabTest.findByIdAndUpdate(
+    test._id,
+    { $push: { criticalAlerts: { raisedAt: new Date(), raisedBy: req.session.username, parameters } } },
+    { new: true }
+  ).populate('patientId', 'name mrn');
+  await auditRequest(req, {
+    action: 'lab.critical',
+    entityType: 'LabTest',
+    entityId: test._id,
+    changes: parameters.map(p => ({ field: p.name, before: null, after: `${[p.value, p.unit].filter(Boolean).join(' ')} (${p.flag})` }))
+  });
+
+  // Straight to the ordering doctor; tests without one go to every doctor
+  const room = updated.doctorId ? `doctor:${updated.doctorId}` : 'doctors';
+  io.to(hospitalRoom(req.session.hospitalId, room)).emit('critical-result', criticalAlertView(updated));
+  return updated;
+}
+
+// Tell the lab and doctors' dashboards which test changed
+function emitLabUpdate(hospitalId, test) {
+  emitToHospital(hospitalId, ['lab', 'doctors'], 'lab-update', { test: test ? labTestView(test) : null });
+}
+
+/**
+ * Move a lab test to a new status for the signed-in user.
+ * Returns { test } on success, or { code, error } when refused.
+ */
+async function transitionLabTest(req, test, to, { reason, machineId, interpretation } = {}) {
+  const permission = labWorkflow.STATUS_PERMISSIONS[to];
+  if (permission && !(await hasPermission(req.session, permission))) {
+    return { code: 403, error: 'Permission denied' };
+  }
+
+  // Nobody who entered or changed a result may verify it
+  const results = to === 'verified' ? await LabResult.find({ testId: test._id }).select('enteredBy enteredById').lean() : [];
+  const plan = labWorkflow.planTransition(test, to, { userId: req.session.userId, name: req.session.username, reason }, results);
+  if (plan.error) return { code: 400, error: plan.error };
+  if (to === 'in_progress' && machineId) plan.update.$set.machineId = machineId;
+  // Whoever starts an unassigned test becomes its technician
+  if (to === 'in_progress' && !test.technicianId && req.session.userId) {
+    plan.update.$set.technicianId = String(req.session.userId);
+    plan.update.$set.technicianName = req.session.username;
+  }
+  if (to === 'verified' && interpretation) plan.update.$set.interpretation = String(interpretation).trim().slice(0, 2000);
+
+  // Only applies if nobody moved the test since it was read
+  const updated = await LabTest.findOneAndUpdate({ _id: test._id, status: test.status }, plan.update, { new: true });
+  if (!updated) return { code: 409, error: 'The test was changed by someone else - reload and try again' };
+
+  await auditRequest(req, {
+    action: 'lab.status',
+    entityType: 'LabTest',
+    entityId: test._id,
+    changes: [
+      { field: 'status', before: plan.from, after: to },
+      ...(plan.update.$set.rejectionReason ? [{ field: 'rejectionReason', before: test.rejectionReason || null, after: plan.update.$set.rejectionReason }] : [])
+    ]
+  });
+
+  if (to === 'resulted') await deductReagents(req.session, updated);
+
+  await updated.populate('patientId', 'name age gender phone mrn');
+  emitLabUpdate(req.session.hospitalId, updated);
+  return { test: labTestView(updated) };
+}
+
+// Resolve a doctor profile within a hospital (null for missing or malformed ids)
+async function findDoctor(hospitalId, doctorId) {
+  if (!doctorId || !mongoose.isValidObjectId(doctorId)) return null;
+  return Doctor.findOne({ _id: doctorId, hospitalId });
+}
+
 // --- Public Patient Portal API ---
 app.get('/api/public/prescription/:token', async (req, res) => {
   const token = req.params.token;
 
   try {
-    const patient = await Patient.findOne({ publicToken: token });
-    if (!patient) return res.status(404).json({ error: 'Invalid token' });
+    const visit = await Encounter.findOne({ publicToken: token }).populate('patientId');
+    if (!visit) return res.status(404).json({ error: 'Invalid token' });
+    const patient = visitView(visit);
 
     // Fetch hospital details
     const hospital = await Hospital.findById(patient.hospitalId);
 
     // Fetch doctor details (if assigned)
-    const doctor = doctors.find(d => d.id === patient.doctorId);
+    const doctor = await findDoctor(patient.hospitalId, patient.doctorId);
 
     res.json({
       patient: {
@@ -127,10 +505,17 @@ app.get('/api/public/prescription/:token', async (req, res) => {
         gender: patient.gender,
         diagnosis: patient.diagnosis,
         prescription: patient.prescription,
+        medications: patient.medications,
+        advice: patient.advice,
         updatedAt: patient.appointmentDate || patient.registeredAt
       },
       hospital: hospital || { name: 'Medical Center' },
-      doctor: doctor || { name: 'Attending Physician' }
+      doctor: doctor ? {
+        name: doctor.name,
+        department: doctor.department,
+        qualifications: doctor.qualifications,
+        registrationNumber: doctor.registrationNumber
+      } : { name: 'Attending Physician' }
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -169,6 +554,7 @@ app.post('/api/hospitals/register', registerValidators, async (req, res) => {
     });
 
     const hospitalId = newHospital._id;
+    await ensureDepartments(hospitalId);
 
     // Generate monthly password for hospital
     // Note: generateHospitalPassword uses integer ID logic usually, but we can pass string ID
@@ -234,19 +620,45 @@ app.post('/api/login', loginValidators, async (req, res) => {
     // Now verify user credentials for this hospital
     const user = await User.findOne({ hospitalId: matchedHospitalId, username: username });
 
+    if (user && user.lockedUntil && user.lockedUntil > new Date()) {
+      return res.status(423).json({ success: false, message: 'Account locked after too many failed attempts. Try again later or ask your administrator to unlock it.' });
+    }
+
     if (!user || !auth.comparePassword(userPassword, user.password)) {
+      if (user) {
+        const attempts = (user.failedLoginAttempts || 0) + 1;
+        const update = { failedLoginAttempts: attempts };
+        if (attempts >= MAX_FAILED_LOGINS) {
+          update.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+          update.failedLoginAttempts = 0;
+        }
+        await User.findByIdAndUpdate(user._id, update);
+      }
       return res.status(401).json({ success: false, message: 'Invalid username or password' });
     }
 
+    if (user.isActive === false) {
+      return res.status(403).json({ success: false, message: 'Account deactivated. Contact your administrator.' });
+    }
+
     // Update last login
-    await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
+    await User.findByIdAndUpdate(user._id, { lastLogin: new Date(), failedLoginAttempts: 0, $unset: { lockedUntil: 1 } });
     await Hospital.findByIdAndUpdate(matchedHospitalId, { lastLogin: new Date() });
 
+    // Doctor logins are tied to their doctor profile
+    let doctorProfile = null;
+    if (user.role === 'doctor') {
+      doctorProfile = await Doctor.findOne({ hospitalId: matchedHospitalId, userId: user._id, isActive: true });
+    }
+
     // Set session
     req.session.userId = user._id;
     req.session.hospitalId = matchedHospitalId;
     req.session.username = user.username;
     req.session.role = user.role;
+    req.session.doctorId = doctorProfile ? doctorProfile._id : null;
+    // Until a temporary password is replaced, the session may only change it or sign out
+    req.session.mustChangePassword = !!user.mustChangePassword;
 
     res.json({
       success: true,
@@ -255,7 +667,9 @@ app.post('/api/login', loginValidators, async (req, res) => {
         id: user.id,
         username: user.username,
         role: user.role,
-        hospitalId: matchedHospitalId
+        hospitalId: matchedHospitalId,
+        doctorId: req.session.doctorId,
+        mustChangePassword: !!user.mustChangePassword
       }
     });
   } catch (err) {
@@ -264,7 +678,14 @@ app.post('/api/login', loginValidators, async (req, res) => {
 });
 
 // Auth status check
-app.get('/api/auth/status', (req, res) => {
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    if (req.session.userId && !(await permissions.refreshSession(req.session))) {
+      return req.session.destroy(() => res.json({ authenticated: false }));
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
   if (req.session.userId) {
     res.json({
       authenticated: true,
@@ -272,7 +693,9 @@ app.get('/api/auth/status', (req, res) => {
         id: req.session.userId,
         username: req.session.username,
         role: req.session.role,
-        hospitalId: req.session.hospitalId
+        hospitalId: req.session.hospitalId,
+        doctorId: req.session.doctorId || null,
+        mustChangePassword: !!req.session.mustChangePassword
       }
     });
   } else {
@@ -286,12 +709,31 @@ app.post('/api/logout', (req, res) => {
   res.json({ success: true });
 });
 
-// Get current user's hospital info
-app.get('/api/hospital/info', async (req, res) => {
-  if (!req.session.hospitalId) {
-    return res.status(401).json({ error: 'Not authenticated' });
+// Change own password (required after an admin issues a temporary one)
+app.post('/api/account/password', requireSession, passwordChangeValidators, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findOne({ _id: req.session.userId, hospitalId: req.session.hospitalId });
+    if (!user || !auth.comparePassword(currentPassword, user.password)) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    user.password = auth.hashPassword(newPassword);
+    user.mustChangePassword = false;
+    user.updatedAt = new Date();
+    user.history.push(staffChange(req, 'password-changed'));
+    await user.save();
+    permissions.forgetUser(user._id);
+    req.session.mustChangePassword = false;
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
   }
+});
 
+// Get current user's hospital info
+app.get('/api/hospital/info', requireAuth, async (req, res) => {
   try {
     const hospital = await Hospital.findById(req.session.hospitalId);
     res.json(hospital);
@@ -300,483 +742,3556 @@ app.get('/api/hospital/info', async (req, res) => {
   }
 });
 
-// --- Superadmin APIs ---
+// Queue token numbering (reset period, timezone, zero padding)
+app.get('/api/hospital/token-settings', requireAuth, async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.session.hospitalId).select('tokenSettings');
+    res.json(hospital ? hospital.tokenSettings : {});
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Middleware for superadmin
-const requireAdmin = (req, res, next) => {
-  if (req.session.role === 'superadmin') {
-    next();
-  } else {
-    res.status(401).json({ error: 'Unauthorized' });
+app.put('/api/hospital/token-settings', requirePermission('settings:manage'), tokenSettingsValidators, async (req, res) => {
+  const { reset, timezone, digits } = req.body;
+
+  try {
+    const hospital = await Hospital.findById(req.session.hospitalId);
+    if (!hospital) return res.status(404).json({ error: 'Hospital not found' });
+
+    const before = hospital.tokenSettings.toObject();
+    hospital.tokenSettings.reset = reset;
+    if (timezone) hospital.tokenSettings.timezone = timezone;
+    if (digits) hospital.tokenSettings.digits = digits;
+    await hospital.save();
+
+    await auditRequest(req, {
+      action: 'settings.tokens',
+      entityType: 'Hospital',
+      entityId: hospital._id,
+      before,
+      after: hospital.tokenSettings.toObject()
+    });
+    res.json({ success: true, tokenSettings: hospital.tokenSettings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-};
+});
 
-// Superadmin Login
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body;
-  if (auth.verifySuperAdminPassword(password)) {
-    req.session.role = 'superadmin';
-    req.session.username = 'Super Admin';
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid password' });
+// --- Role Permission APIs ---
+
+// Permissions held by the current user (used by dashboards to hide actions)
+app.get('/api/permissions/me', requireAuth, async (req, res) => {
+  try {
+    const matrix = await permissions.getMatrix(req.session.hospitalId);
+    res.json({ role: req.session.role, permissions: matrix[req.session.role] || [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
 
-// List all hospitals
-app.get('/api/admin/hospitals', requireAdmin, async (req, res) => {
+app.get('/api/permissions', requirePermission('permissions:manage'), async (req, res) => {
   try {
-    const hospitals = await Hospital.find({}).sort({ createdAt: -1 });
-    res.json(hospitals);
+    const matrix = await permissions.getMatrix(req.session.hospitalId);
+    res.json({
+      roles: permissions.ROLES,
+      permissions: permissions.PERMISSIONS,
+      adminOnly: permissions.ADMIN_ONLY,
+      matrix
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// List all users
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+app.put('/api/permissions', requirePermission('permissions:manage'), async (req, res) => {
+  const { matrix } = req.body;
+  if (!matrix || typeof matrix !== 'object') return res.status(400).json({ error: 'Permission matrix is required' });
+
   try {
-    const users = await User.find({}).sort({ createdAt: -1 });
-    res.json(users);
+    const before = await permissions.getMatrix(req.session.hospitalId);
+    const saved = await permissions.saveMatrix(req.session.hospitalId, matrix, req.session.username);
+    await auditRequest(req, { action: 'permissions.update', entityType: 'RolePermission', before, after: saved });
+    res.json({ success: true, matrix: saved });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get hospital password
-app.get('/api/admin/hospital-password/:id', requireAdmin, (req, res) => {
-  const hospitalId = req.params.id; // String ID
-  const password = auth.generateHospitalPassword(hospitalId);
-  res.json({ password });
+app.post('/api/permissions/reset', requirePermission('permissions:manage'), async (req, res) => {
+  try {
+    const before = await permissions.getMatrix(req.session.hospitalId);
+    const matrix = await permissions.resetMatrix(req.session.hospitalId);
+    await auditRequest(req, { action: 'permissions.reset', entityType: 'RolePermission', before, after: matrix });
+    res.json({ success: true, matrix });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Update hospital subscription status
-app.put('/api/admin/hospitals/:id/status', requireAdmin, async (req, res) => {
-  const hospitalId = req.params.id;
-  const { status } = req.body;
+// --- Staff User Management APIs ---
 
+app.get('/api/staff', requirePermission('staff:manage'), async (req, res) => {
   try {
-    await Hospital.findByIdAndUpdate(hospitalId, { subscriptionStatus: status });
-    res.json({ success: true });
+    const users = await User.find({ hospitalId: req.session.hospitalId }).select('-history').sort({ createdAt: 1 });
+    const now = new Date();
+    res.json(users.map(u => ({ ...u.toJSON(), isLocked: !!(u.lockedUntil && u.lockedUntil > now) })));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update hospital subscription expiry
-app.put('/api/admin/hospitals/:id/expiry', requireAdmin, async (req, res) => {
-  const hospitalId = req.params.id;
-  const { expiryDate, daysToAdd } = req.body;
+app.get('/api/staff/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const user = await findStaff(req.session.hospitalId, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create (invite) a staff user. Without a password a temporary one is generated and returned once.
+app.post('/api/staff', requirePermission('staff:manage'), staffValidators, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const { username, fullName, email, role, password, department, createDoctorProfile } = req.body;
+  const temporaryPassword = password ? null : auth.generateTemporaryPassword();
 
   try {
-    let newExpiry;
-    if (expiryDate) {
-      newExpiry = new Date(expiryDate).toISOString();
-      await Hospital.findByIdAndUpdate(hospitalId, {
-        subscriptionExpiry: newExpiry,
-        subscriptionStatus: 'active'
-      });
-      res.json({ success: true, expiryDate: newExpiry });
-    } else if (daysToAdd) {
-      const hospital = await Hospital.findById(hospitalId);
-      const baseDate = hospital && hospital.subscriptionExpiry ? new Date(hospital.subscriptionExpiry) : new Date();
-      baseDate.setDate(baseDate.getDate() + parseInt(daysToAdd));
-      newExpiry = baseDate.toISOString();
+    const user = await User.create({
+      hospitalId,
+      username,
+      fullName: fullName || undefined,
+      email: email || undefined,
+      role,
+      password: auth.hashPassword(password || temporaryPassword),
+      mustChangePassword: true,
+      createdBy: req.session.username,
+      createdAt: new Date(),
+      history: [staffChange(req, 'created', `Role: ${role}`)]
+    });
 
-      await Hospital.findByIdAndUpdate(hospitalId, {
-        subscriptionExpiry: newExpiry,
-        subscriptionStatus: 'active'
+    let doctor = null;
+    if (role === 'doctor' && createDoctorProfile) {
+      doctor = await Doctor.create({
+        hospitalId,
+        userId: user._id,
+        name: fullName || username,
+        department: department || undefined,
+        createdAt: new Date()
       });
-      res.json({ success: true, expiryDate: newExpiry });
-    } else {
-      return res.status(400).json({ error: 'Either expiryDate or daysToAdd required' });
     }
+
+    await auditRequest(req, {
+      action: 'staff.create',
+      entityType: 'User',
+      entityId: user._id,
+      after: { username, fullName: user.fullName, email: user.email, role, doctorId: doctor ? doctor._id : null }
+    });
+    res.json({ success: true, user, doctor, temporaryPassword });
   } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'Username already exists in this hospital' });
     res.status(500).json({ error: err.message });
   }
 });
 
-// Public endpoint to get list of hospitals (for login page)
-app.get('/api/hospitals', async (req, res) => {
+app.put('/api/staff/:id', requirePermission('staff:manage'), staffUpdateValidators, async (req, res) => {
+  const { fullName, email, role } = req.body;
+
   try {
-    const hospitals = await Hospital.find({}, 'name email').sort({ name: 1 });
-    res.json(hospitals);
+    const user = await findStaff(req.session.hospitalId, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const before = { role: user.role, fullName: user.fullName, email: user.email };
+    const changes = [];
+    if (role && role !== user.role) {
+      if (String(user._id) === String(req.session.userId)) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+      if (await isLastActiveAdmin(user)) {
+        return res.status(400).json({ error: 'The hospital must keep at least one active admin' });
+      }
+      changes.push(`Role: ${user.role} → ${role}`);
+      user.role = role;
+    }
+    if (fullName !== undefined && fullName !== user.fullName) {
+      changes.push('Name updated');
+      user.fullName = fullName;
+    }
+    if (email !== undefined && email !== user.email) {
+      changes.push('Email updated');
+      user.email = email;
+    }
+
+    if (changes.length) {
+      user.updatedAt = new Date();
+      user.history.push(staffChange(req, 'updated', changes.join('; ')));
+      await user.save();
+      await auditRequest(req, {
+        action: 'staff.update',
+        entityType: 'User',
+        entityId: user._id,
+        before,
+        after: { role: user.role, fullName: user.fullName, email: user.email }
+      });
+      if (before.role !== user.role) signOutSockets(user._id);
+    }
+    res.json({ success: true, user });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get patients with hospital filtering and pagination
-app.get('/api/patients', async (req, res) => {
-  const { phone, page = 1, limit = 50 } = req.query;
-  const hospitalId = req.session.hospitalId;
-  const skip = (page - 1) * limit;
-
-  const query = {};
-  if (hospitalId) query.hospitalId = hospitalId;
-  if (phone) query.phone = phone;
+// Deactivate or reactivate a staff user
+app.put('/api/staff/:id/status', requirePermission('staff:manage'), async (req, res) => {
+  const active = req.body.active === true;
 
   try {
-    const total = await Patient.countDocuments(query);
-    const patients = await Patient.find(query)
-      .sort({ _id: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const user = await findStaff(req.session.hospitalId, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    res.json({
-      data: patients,
-      pagination: {
-        total,
-        page: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        limit: parseInt(limit)
+    if (!active) {
+      if (String(user._id) === String(req.session.userId)) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
       }
+      if (await isLastActiveAdmin(user)) {
+        return res.status(400).json({ error: 'The hospital must keep at least one active admin' });
+      }
+    }
+
+    const wasActive = user.isActive !== false;
+    user.isActive = active;
+    user.updatedAt = new Date();
+    user.history.push(staffChange(req, active ? 'reactivated' : 'deactivated'));
+    await user.save();
+    await auditRequest(req, {
+      action: active ? 'staff.reactivate' : 'staff.deactivate',
+      entityType: 'User',
+      entityId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive: active }
     });
+    signOutSockets(user._id);
+    res.json({ success: true, user });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/patients/:id', async (req, res) => {
-  const hospitalId = req.session.hospitalId;
-  const query = { _id: req.params.id };
-  if (hospitalId) query.hospitalId = hospitalId;
+// Issue a new password (generated unless one is supplied); the user must change it at next login
+app.post('/api/staff/:id/reset-password', requirePermission('staff:manage'), async (req, res) => {
+  const { password } = req.body;
+  if (password && password.length < 6) {
+    return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+  }
+  const temporaryPassword = password ? null : auth.generateTemporaryPassword();
 
   try {
-    const patient = await Patient.findOne(query);
-    if (!patient) return res.status(404).json({ error: 'Not found' });
-    res.json(patient);
+    const user = await findStaff(req.session.hospitalId, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.password = auth.hashPassword(password || temporaryPassword);
+    user.mustChangePassword = true;
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    user.updatedAt = new Date();
+    user.history.push(staffChange(req, 'password-reset'));
+    await user.save();
+    await auditRequest(req, { action: 'staff.password-reset', entityType: 'User', entityId: user._id });
+    signOutSockets(user._id);
+    res.json({ success: true, temporaryPassword });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/doctors', (req, res) => {
-  const { dept } = req.query;
-  if (dept) return res.json(doctors.filter(d => d.dept === dept));
-  res.json(doctors);
+app.post('/api/staff/:id/unlock', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const user = await findStaff(req.session.hospitalId, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    user.updatedAt = new Date();
+    user.history.push(staffChange(req, 'unlocked'));
+    await user.save();
+    await auditRequest(req, { action: 'staff.unlock', entityType: 'User', entityId: user._id });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get('/api/departments', (req, res) => {
-  res.json(departments);
-});
+// --- Audit Trail APIs ---
+
+// Mongo filter for the audit search form (shared by the list and the export)
+function auditQuery(req) {
+  const { action, entityType, entityId, actor, from, to } = req.query;
+  const query = { hospitalId: req.session.hospitalId };
+  if (action) query.action = action;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (actor) query.actorName = new RegExp(escapeRegExp(actor), 'i');
+  if (from || to) {
+    query.at = {};
+    if (from) query.at.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      end.setHours(23, 59, 59, 999);
+      query.at.$lte = end;
+    }
+  }
+  return query;
+}
 
-app.get('/api/prescriptions', async (req, res) => {
-  const hospitalId = req.session.hospitalId;
-  const query = {
-    $or: [
-      { prescription: { $ne: null, $ne: '' } },
-      { status: 'pharmacy' },
-      { pharmacyState: { $ne: null } }
-    ]
-  };
-  if (hospitalId) query.hospitalId = hospitalId;
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const query = auditQuery(req);
 
   try {
-    const patients = await Patient.find(query).sort({ token: 1 });
-    res.json(patients);
+    const total = await AuditLog.countDocuments(query);
+    const entries = await AuditLog.find(query)
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      data: entries,
+      pagination: { total, page, totalPages: Math.ceil(total / limit), limit }
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Excel Export Endpoint
-app.get('/api/export', async (req, res) => {
-  const { type } = req.query; // 'month' or 'year'
-  const now = new Date();
-  let startDate;
-
-  if (type === 'year') {
-    startDate = new Date(now.getFullYear(), 0, 1);
-  } else {
-    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-  }
-
+app.get('/api/audit/export', requirePermission('audit:read'), async (req, res) => {
   try {
-    const patients = await Patient.find({ registeredAt: { $gte: startDate } }).sort({ registeredAt: -1 });
+    const entries = await AuditLog.find(auditQuery(req)).sort({ seq: 1 });
 
     const workbook = new ExcelJS.Workbook();
-    const sheet = workbook.addWorksheet('Patients');
-
+    const sheet = workbook.addWorksheet('Audit Trail');
     sheet.columns = [
-      { header: 'Patient Name', key: 'name', width: 25 },
-      { header: 'Visit Date', key: 'registeredAt', width: 20 },
-      { header: 'Phone', key: 'phone', width: 15 },
-      { header: 'Age', key: 'age', width: 10 },
-      { header: 'Gender', key: 'gender', width: 10 },
-      { header: 'Department', key: 'department', width: 15 },
-      { header: 'Reason', key: 'reason', width: 20 },
-      { header: 'Prescription', key: 'prescription', width: 30 },
-      { header: 'Cost Paid', key: 'cost', width: 12 },
-      { header: 'Status', key: 'status', width: 15 }
+      { header: 'Seq', key: 'seq', width: 8 },
+      { header: 'Time', key: 'at', width: 22 },
+      { header: 'User', key: 'actorName', width: 18 },
+      { header: 'Role', key: 'role', width: 12 },
+      { header: 'Action', key: 'action', width: 24 },
+      { header: 'Entity', key: 'entityType', width: 14 },
+      { header: 'Entity ID', key: 'entityId', width: 26 },
+      { header: 'Changes', key: 'changes', width: 60 },
+      { header: 'IP', key: 'ip', width: 16 },
+      { header: 'Hash', key: 'hash', width: 66 }
     ];
 
-    const formattedRows = patients.map(row => ({
-      ...row.toObject(),
-      registeredAt: new Date(row.registeredAt).toLocaleString('en-IN', {
-        dateStyle: 'medium',
-        timeStyle: 'short'
-      }),
-      cost: row.cost || 0
-    }));
-
-    sheet.addRows(formattedRows);
-
+    sheet.addRows(entries.map(e => ({
+      seq: e.seq,
+      at: e.at.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'medium' }),
+      actorName: e.actorName,
+      role: e.role,
+      action: e.action,
+      entityType: e.entityType,
+      entityId: e.entityId,
+      changes: e.changes.map(c => `${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`).join('\n'),
+      ip: e.ip,
+      hash: e.hash
+    })));
     sheet.getRow(1).font = { bold: true };
-    sheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF0EA5E9' }
-    };
-    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+    await auditRequest(req, { action: 'audit.export', entityType: 'AuditLog', changes: [] });
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=patients_${type}_${Date.now()}.xlsx`);
+    res.setHeader('Content-Disposition', `attachment; filename=audit_trail_${Date.now()}.xlsx`);
 
     await workbook.xlsx.write(res);
     res.end();
   } catch (err) {
-    res.status(500).send('Database error: ' + err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// --- Lab Dashboard APIs ---
+// Re-compute every hash in the hospital's chain
+app.get('/api/audit/verify', requirePermission('audit:read'), async (req, res) => {
+  try {
+    res.json(await audit.verifyChain(req.session.hospitalId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Get Lab Stats
-app.get('/api/lab/stats', async (req, res) => {
-  const hospitalId = req.session.hospitalId;
-  if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
+// --- Superadmin APIs ---
+
+// Middleware for superadmin
+const requireAdmin = (req, res, next) => {
+  if (req.session.role === 'superadmin') {
+    next();
+  } else {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+};
+
+// Superadmin Login
+app.post('/api/admin/login', (req, res) => {
+  const { password } = req.body;
+  if (auth.verifySuperAdminPassword(password)) {
+    req.session.role = 'superadmin';
+    req.session.username = 'Super Admin';
+    res.json({ success: true });
+  } else {
+    res.status(401).json({ success: false, message: 'Invalid password' });
+  }
+});
+
+// List all hospitals
+app.get('/api/admin/hospitals', requireAdmin, async (req, res) => {
+  try {
+    const hospitals = await Hospital.find({}).sort({ createdAt: -1 });
+    res.json(hospitals);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List all users
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: -1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get hospital password
+app.get('/api/admin/hospital-password/:id', requireAdmin, (req, res) => {
+  const hospitalId = req.params.id; // String ID
+  const password = auth.generateHospitalPassword(hospitalId);
+  res.json({ password });
+});
+
+// Update hospital subscription status
+app.put('/api/admin/hospitals/:id/status', requireAdmin, async (req, res) => {
+  const hospitalId = req.params.id;
+  const { status } = req.body;
+
+  try {
+    const hospital = await Hospital.findByIdAndUpdate(hospitalId, { subscriptionStatus: status });
+    if (hospital) {
+      await auditRequest(req, {
+        hospitalId,
+        action: 'subscription.status',
+        entityType: 'Hospital',
+        entityId: hospitalId,
+        before: { subscriptionStatus: hospital.subscriptionStatus },
+        after: { subscriptionStatus: status }
+      });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update hospital subscription expiry
+app.put('/api/admin/hospitals/:id/expiry', requireAdmin, async (req, res) => {
+  const hospitalId = req.params.id;
+  const { expiryDate, daysToAdd } = req.body;
 
   try {
-    const pending = await LabTest.countDocuments({ hospitalId, status: 'pending' });
-    const inProgress = await LabTest.countDocuments({ hospitalId, status: 'in_progress' });
-    const completed = await LabTest.countDocuments({ hospitalId, status: 'completed' });
-    const urgent = await LabTest.countDocuments({ hospitalId, priority: 'urgent', status: { $ne: 'completed' } });
-    const samplesToCollect = await LabTest.countDocuments({ hospitalId, sampleStatus: 'pending' });
+    let newExpiry;
+    const hospital = await Hospital.findById(hospitalId);
+    if (expiryDate) {
+      newExpiry = new Date(expiryDate).toISOString();
+    } else if (daysToAdd) {
+      const baseDate = hospital && hospital.subscriptionExpiry ? new Date(hospital.subscriptionExpiry) : new Date();
+      baseDate.setDate(baseDate.getDate() + parseInt(daysToAdd));
+      newExpiry = baseDate.toISOString();
+    } else {
+      return res.status(400).json({ error: 'Either expiryDate or daysToAdd required' });
+    }
+
+    await Hospital.findByIdAndUpdate(hospitalId, {
+      subscriptionExpiry: newExpiry,
+      subscriptionStatus: 'active'
+    });
+    if (hospital) {
+      await auditRequest(req, {
+        hospitalId,
+        action: 'subscription.expiry',
+        entityType: 'Hospital',
+        entityId: hospitalId,
+        before: { subscriptionExpiry: hospital.subscriptionExpiry, subscriptionStatus: hospital.subscriptionStatus },
+        after: { subscriptionExpiry: newExpiry, subscriptionStatus: 'active' }
+      });
+    }
+    res.json({ success: true, expiryDate: newExpiry });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({ pending, inProgress, completed, urgent, samplesToCollect });
+// Public endpoint to get list of hospitals (for login page)
+app.get('/api/hospitals', async (req, res) => {
+  try {
+    const hospitals = await Hospital.find({}, 'name email').sort({ name: 1 });
+    res.json(hospitals);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get Lab Tests with Filters
-app.get('/api/lab/tests', async (req, res) => {
+// Patient master records, searchable by phone or by name / MRN
+app.get('/api/patients', requirePermission('patients:read'), async (req, res) => {
+  const { phone, q, page = 1, limit = 50 } = req.query;
   const hospitalId = req.session.hospitalId;
-  if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
+  const skip = (page - 1) * limit;
 
-  const { status, date, search } = req.query;
   const query = { hospitalId };
+  if (phone) query.phone = phone;
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    query.$or = [{ name: pattern }, { mrn: pattern }, { phone: pattern }];
+  }
 
-  if (status && status !== 'all') {
-    query.status = status;
+  try {
+    const total = await Patient.countDocuments(query);
+    const patients = await Patient.find(query)
+      .sort({ lastVisitAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      data: patients,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/patients/:id', requirePermission('patients:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Not found' });
+  const query = { _id: req.params.id, hospitalId };
+
+  try {
+    const patient = await Patient.findOne(query);
+    if (!patient) return res.status(404).json({ error: 'Not found' });
+
+    const visits = await Encounter.find({ hospitalId, patientId: patient._id }).sort({ registeredAt: -1 });
+    res.json({ ...patient.toJSON(), visits });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Correct a patient's master details (applies to every visit)
+app.put('/api/patients/:id', requirePermission('patients:register'), patientUpdateValidators, async (req, res) => {
+  try {
+    const patient = await findPatient(req.session.hospitalId, req.params.id);
+    if (!patient) return res.status(404).json({ error: 'Not found' });
+
+    const before = patient.toObject();
+    PATIENT_FIELDS.forEach(f => { if (req.body[f] !== undefined) patient[f] = req.body[f]; });
+    patient.updatedAt = new Date();
+    await patient.save();
+
+    await auditRequest(req, { action: 'patient.update', entityType: 'Patient', entityId: patient._id, before, after: patient });
+    res.json({ success: true, patient });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
+
+// --- Visit (Encounter) APIs ---
 
+// Visits for the queue screens, newest first
+app.get('/api/visits', requirePermission('patients:read'), async (req, res) => {
+  const { status, date, page = 1, limit = 50 } = req.query;
+  const hospitalId = req.session.hospitalId;
+  const skip = (page - 1) * limit;
+
+  const query = { hospitalId };
+  if (status) query.status = { $in: status.split(',') };
   if (date) {
-    // Assuming date is YYYY-MM-DD
-    // Need to handle string date matching or range
-    // Since orderedAt is Date, we need range
     const start = new Date(date);
-    const end = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
     end.setDate(end.getDate() + 1);
-    query.orderedAt = { $gte: start, $lt: end };
+    query.registeredAt = { $gte: start, $lt: end };
   }
 
   try {
-    let tests = await LabTest.find(query)
-      .populate('patientId', 'name age gender phone')
-      .sort({ priority: -1, orderedAt: -1 }); // Urgent first
-
-    // Manual search filter if needed (or use regex in query)
-    if (search) {
-      const searchRegex = new RegExp(search, 'i');
-      // Since we populated, we can filter in memory or use aggregate
-      // For simplicity, filter in memory
-      tests = tests.filter(t =>
-        (t.patientId && (searchRegex.test(t.patientId.name) || searchRegex.test(t.patientId.phone)))
-      );
-    }
+    const total = await Encounter.countDocuments(query);
+    const visits = await Encounter.find(query)
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('patientId');
 
-    // Flatten structure for frontend compatibility
-    const formattedTests = tests.map(t => {
-      const obj = t.toObject();
-      if (obj.patientId) {
-        obj.patientName = obj.patientId.name;
-        obj.patientAge = obj.patientId.age;
-        obj.patientGender = obj.patientId.gender;
-        obj.patientPhone = obj.patientId.phone;
-        delete obj.patientId;
+    res.json({
+      data: visits.map(visitView),
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        limit: parseInt(limit)
       }
-      return obj;
     });
-
-    res.json(formattedTests);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Assign Technician
-app.post('/api/lab/tests/:id/assign', async (req, res) => {
-  const { technicianId } = req.body;
+app.get('/api/visits/:id', requirePermission('patients:read'), async (req, res) => {
   try {
-    await LabTest.findByIdAndUpdate(req.params.id, { technicianId });
-    res.json({ success: true });
+    const visit = await findEncounter(req.session.hospitalId, req.params.id);
+    if (!visit) return res.status(404).json({ error: 'Not found' });
+    res.json(visitView(visit));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update Sample Status
-app.post('/api/lab/tests/:id/sample', async (req, res) => {
-  const { status, rejectionReason } = req.body;
-  const user = req.session.username || 'Unknown';
-  const now = new Date();
+// --- Doctor Management APIs ---
 
-  const update = {
-    sampleStatus: status,
-    sampleCollectedBy: user,
-    sampleCollectedAt: now
-  };
+app.get('/api/doctors', requireAuth, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
 
-  if (status === 'rejected') {
-    update.rejectionReason = rejectionReason;
-  }
+  const { dept, includeInactive } = req.query;
+  const query = { hospitalId };
+  if (dept) query.department = dept;
+  if (includeInactive !== 'true') query.isActive = true;
 
   try {
-    await LabTest.findByIdAndUpdate(req.params.id, update);
-    res.json({ success: true });
+    const list = await Doctor.find(query).sort({ name: 1 });
+    res.json(list);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update Test Processing Status
-app.post('/api/lab/tests/:id/process', async (req, res) => {
-  const { status, machineId } = req.body;
-  const now = new Date();
-  const update = { status };
+app.post('/api/doctors', requirePermission('doctors:manage'), doctorValidators, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const data = {};
+  DOCTOR_FIELDS.forEach(f => { if (req.body[f] !== undefined && req.body[f] !== '') data[f] = req.body[f]; });
+
+  try {
+    if (data.userId && !(await User.exists({ _id: data.userId, hospitalId }))) {
+      return res.status(400).json({ error: 'User account not found in this hospital' });
+    }
 
-  if (status === 'in_progress') {
-    update.startedAt = now;
-    update.machineId = machineId;
-  } else if (status === 'completed') {
-    update.completedAt = now;
+    const doctor = await Doctor.create({ ...data, hospitalId, createdAt: new Date() });
+    await auditRequest(req, { action: 'doctor.create', entityType: 'Doctor', entityId: doctor._id, after: doctor });
+    res.json({ success: true, doctor });
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'User account is already linked to another doctor' });
+    res.status(500).json({ error: err.message });
   }
+});
+
+app.put('/api/doctors/:id', requirePermission('doctors:manage'), doctorValidators, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const update = { $set: { updatedAt: new Date() }, $unset: {} };
+  DOCTOR_FIELDS.forEach(f => {
+    if (req.body[f] === undefined) return;
+    if (req.body[f] === '' || req.body[f] === null) update.$unset[f] = 1;
+    else update.$set[f] = req.body[f];
+  });
+  if (!Object.keys(update.$unset).length) delete update.$unset;
 
   try {
-    await LabTest.findByIdAndUpdate(req.params.id, update);
-    res.json({ success: true });
+    if (update.$set.userId && !(await User.exists({ _id: update.$set.userId, hospitalId }))) {
+      return res.status(400).json({ error: 'User account not found in this hospital' });
+    }
+
+    const doctor = await findDoctor(hospitalId, req.params.id);
+    if (!doctor) return res.status(404).json({ error: 'Doctor not found' });
+
+    const updated = await Doctor.findByIdAndUpdate(doctor._id, update, { new: true, runValidators: true });
+    await auditRequest(req, { action: 'doctor.update', entityType: 'Doctor', entityId: doctor._id, before: doctor, after: updated });
+    res.json({ success: true, doctor: updated });
   } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'User account is already linked to another doctor' });
     res.status(500).json({ error: err.message });
   }
 });
 
-// Save Lab Results
-app.post('/api/lab/tests/:id/results', async (req, res) => {
-  const testId = req.params.id;
-  const { results } = req.body;
+// Availability can be changed by the admin or by the doctor themselves
+app.put('/api/doctors/:id/status', requireAuth, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
 
-  if (!results || !Array.isArray(results)) {
-    return res.status(400).json({ error: 'Invalid results data' });
+  const isSelf = req.session.doctorId && String(req.session.doctorId) === req.params.id;
+  if (!isSelf && !(await hasPermission(req.session, 'doctors:manage'))) {
+    return res.status(403).json({ error: 'Not allowed to change this doctor\'s status' });
   }
 
-  try {
-    // Clear old results
-    await LabResult.deleteMany({ testId });
-
-    // Insert new results
-    const resultDocs = results.map(r => ({
-      testId,
-      parameterName: r.parameterName,
-      value: r.value,
-      unit: r.unit,
-      referenceRange: r.referenceRange,
-      isAbnormal: r.isAbnormal,
-      notes: r.notes
-    }));
+  const { status } = req.body;
+  if (!Doctor.schema.path('status').enumValues.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
 
-    await LabResult.insertMany(resultDocs);
+  try {
+    const doctor = await findDoctor(hospitalId, req.params.id);
+    if (!doctor) return res.status(404).json({ error: 'Doctor not found' });
+
+    const before = { status: doctor.status };
+    doctor.status = status;
+    doctor.updatedAt = new Date();
+    await doctor.save();
+    await auditRequest(req, { action: 'doctor.status', entityType: 'Doctor', entityId: doctor._id, before, after: { status } });
+    res.json({ success: true, doctor });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Mark test as completed
-    await LabTest.findByIdAndUpdate(testId, {
-      status: 'completed',
-      resultDate: new Date()
+// Doctors are deactivated rather than deleted so historical visits still resolve
+app.delete('/api/doctors/:id', requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.session.hospitalId, req.params.id);
+    if (!doctor) return res.status(404).json({ error: 'Doctor not found' });
+
+    const before = { isActive: doctor.isActive, status: doctor.status };
+    doctor.isActive = false;
+    doctor.status = 'off-duty';
+    doctor.updatedAt = new Date();
+    await doctor.save();
+    await auditRequest(req, {
+      action: 'doctor.deactivate',
+      entityType: 'Doctor',
+      entityId: doctor._id,
+      before,
+      after: { isActive: false, status: 'off-duty' }
     });
-
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get Test Details & Results
-app.get('/api/lab/tests/:id', async (req, res) => {
-  try {
-    const test = await LabTest.findById(req.params.id).populate('patientId');
-    if (!test) return res.status(404).json({ error: 'Test not found' });
+// --- Department Management APIs ---
 
-    const results = await LabResult.find({ testId: test._id });
+app.get('/api/departments', requireAuth, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+
+  const query = { hospitalId };
+  if (req.query.includeArchived !== 'true') query.isArchived = false;
+
+  try {
+    await ensureDepartments(hospitalId);
+    const list = await Department.find(query).sort({ name: 1 });
+    res.json(list);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/departments', requirePermission('departments:manage'), departmentValidators, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const { name, defaultConsultationFee, tokenPrefix } = req.body;
+
+  try {
+    const department = await Department.create({
+      hospitalId,
+      name,
+      defaultConsultationFee: defaultConsultationFee || 0,
+      tokenPrefix: tokenPrefix || undefined,
+      createdAt: new Date()
+    });
+    await auditRequest(req, { action: 'department.create', entityType: 'Department', entityId: department._id, after: department });
+    res.json({ success: true, department });
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'A department with this name already exists' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update or rename a department; the name is carried over to doctors and visits
+app.put('/api/departments/:id', requirePermission('departments:manage'), departmentValidators, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const { name, defaultConsultationFee, tokenPrefix } = req.body;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Department not found' });
+
+  try {
+    const department = await Department.findOne({ _id: req.params.id, hospitalId });
+    if (!department) return res.status(404).json({ error: 'Department not found' });
+
+    const before = department.toObject();
+    const oldName = department.name;
+    department.name = name;
+    if (defaultConsultationFee !== undefined) department.defaultConsultationFee = defaultConsultationFee;
+    if (tokenPrefix !== undefined) department.tokenPrefix = tokenPrefix || undefined;
+    department.updatedAt = new Date();
+    await department.save();
+
+    if (oldName !== name) {
+      await Doctor.updateMany({ hospitalId, department: oldName }, { department: name });
+      await Encounter.updateMany(
+        { hospitalId, $or: [{ departmentId: department._id }, { departmentId: null, department: oldName }] },
+        { department: name, departmentId: department._id }
+      );
+    }
+
+    await auditRequest(req, { action: 'department.update', entityType: 'Department', entityId: department._id, before, after: department });
+    res.json({ success: true, department });
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'A department with this name already exists' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Archive (or restore) a department - archived ones are hidden from registration only
+app.put('/api/departments/:id/archive', requirePermission('departments:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const archived = req.body.archived !== false;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Department not found' });
+
+  try {
+    const department = await Department.findOneAndUpdate(
+      { _id: req.params.id, hospitalId },
+      { isArchived: archived, archivedAt: archived ? new Date() : null, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!department) return res.status(404).json({ error: 'Department not found' });
+    await auditRequest(req, {
+      action: archived ? 'department.archive' : 'department.restore',
+      entityType: 'Department',
+      entityId: department._id,
+      after: { isArchived: archived }
+    });
+    res.json({ success: true, department });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Allergy, interaction and condition warnings for prescription lines (see drug-safety.js).
+// `patient` is the Patient with allergies and chronicConditions.
+async function prescriptionWarnings(hospitalId, patient, medications) {
+  const drugIds = medications.filter(m => m.drugId && mongoose.isValidObjectId(m.drugId)).map(m => m.drugId);
+  const drugs = drugIds.length ? await PharmacyItem.find({ hospitalId, _id: { $in: drugIds } }).select('genericName') : [];
+  const interactions = await DrugInteraction.find({ hospitalId });
+  return drugSafety.checkPrescription(medications, patient || {}, {
+    generics: new Map(drugs.map(d => [String(d._id), d.genericName])),
+    interactions
+  });
+}
+
+// Check a prescription before it is saved, so the doctor can change it or give an override reason
+app.post('/api/prescriptions/check', requirePermission('prescriptions:write'), async (req, res) => {
+  const { medications: lines, errors } = prescriptions.normalizeMedications(req.body.medications || []);
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+  try {
+    const visit = await findEncounter(req.session.hospitalId, req.body.visitId);
+    if (!visit) return res.status(404).json({ error: 'Visit not found' });
+    res.json({ warnings: await prescriptionWarnings(req.session.hospitalId, visit.patientId, lines) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drug picker suggestions: the hospital's drug master (formulary first, by brand or generic name),
+// then what this hospital has prescribed before, most used first, topped up from a short list of common OPD drugs
+app.get('/api/medications/suggestions', requirePermission('prescriptions:write'), async (req, res) => {
+  const q = (req.query.q || '').trim();
+  const pattern = new RegExp(`^${escapeRegExp(q)}`, 'i');
+
+  try {
+    const master = await PharmacyItem.find({
+      hospitalId: req.session.hospitalId,
+      active: true,
+      $or: [{ name: pattern }, { genericName: pattern }]
+    }).sort({ formulary: -1, name: 1 }).limit(20);
+
+    const used = await Encounter.aggregate([
+      { $match: { hospitalId: new mongoose.Types.ObjectId(req.session.hospitalId), 'medications.0': { $exists: true } } },
+      { $unwind: '$medications' },
+      { $match: { 'medications.drug': pattern } },
+      {
+        $group: {
+          _id: { drug: '$medications.drug', strength: '$medications.strength', form: '$medications.form' },
+          uses: { $sum: 1 },
+          dose: { $last: '$medications.dose' },
+          frequency: { $last: '$medications.frequency' },
+          route: { $last: '$medications.route' }
+        }
+      },
+      { $sort: { uses: -1 } },
+      { $limit: 20 }
+    ]);
+
+    const suggestions = master.map(drugMaster.suggestion);
+    const listed = s => suggestions.some(m => m.drug.toLowerCase() === s.drug.toLowerCase() && (m.strength || '') === (s.strength || ''));
+    used.map(u => ({ ...u._id, dose: u.dose, frequency: u.frequency, route: u.route })).forEach(u => {
+      if (!listed(u) && suggestions.length < 20) suggestions.push(u);
+    });
+    COMMON_DRUGS.filter(d => pattern.test(d.drug)).forEach(d => {
+      if (!listed(d) && suggestions.length < 20) suggestions.push(d);
+    });
+    res.json(suggestions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/prescriptions', requirePermission('prescriptions:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const query = {
+    hospitalId,
+    $or: [
+      { prescription: { $ne: null, $ne: '' } },
+      { 'medications.0': { $exists: true } },
+      { status: 'pharmacy' },
+      { pharmacyState: { $ne: null } }
+    ]
+  };
+
+  try {
+    const visits = await Encounter.find(query).sort({ registeredAt: 1 }).populate('patientId');
+    res.json(visits.map(visitView));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Pharmacy Stock ---
+
+// Drug master entries of a hospital by key. Entries saved before strength and form were
+// part of the key are matched on their fields, not their stored nameKey.
+async function drugsByKey(hospitalId, query = {}) {
+  const items = await PharmacyItem.find({ hospitalId, ...query });
+  return new Map(items.map(i => [drugMaster.drugKey(i), i]));
+}
+
+// The medicine already in the drug master under the same name, strength and form
+async function findDuplicateDrug(hospitalId, drug, exceptId) {
+  const named = await drugsByKey(hospitalId, { name: new RegExp(`^\\s*${escapeRegExp(drug.name)}\\s*$`, 'i') });
+  const existing = named.get(drug.nameKey);
+  return existing && String(existing._id) !== String(exceptId) ? existing : null;
+}
+
+// Spreadsheet imports (drug master, interaction table): one file in form field "file", kept in memory
+const spreadsheetUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+
+function uploadSpreadsheet(req, res, next) {
+  spreadsheetUpload.single('file')(req, res, err => {
+    if (err) return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5 MB' : err.message });
+    if (!req.file) return res.status(400).json({ error: 'Choose an Excel or CSV file' });
+    next();
+  });
+}
+
+// Plain cell values of the first worksheet of an uploaded .xlsx or .csv, one array per row.
+// Returns { rows } or { error }.
+async function readSpreadsheet(file) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (/\.csv$/i.test(file.originalname)) await workbook.csv.read(Readable.from(file.buffer));
+    else await workbook.xlsx.load(file.buffer);
+  } catch (err) {
+    return { error: 'Could not read the file; upload an .xlsx or .csv spreadsheet' };
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { error: 'The file has no worksheet' };
+
+  // ExcelJS row values are 1-based
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, row => rows.push((row.values || []).slice(1).map(drugMaster.cellValue)));
+  return { rows };
+}
+
+// Check one line of a goods receipt: { itemId, batchNumber, quantity, unitPrice, expiryDate }
+function checkReceiptLine(line, n) {
+  const label = `Line ${n}`;
+  if (!line || !mongoose.isValidObjectId(line.itemId)) return { error: `${label}: choose a medicine` };
+  const batchNumber = String(line.batchNumber || '').trim().slice(0, 50);
+  const quantity = Number(line.quantity);
+  const unitPrice = line.unitPrice === undefined || line.unitPrice === '' ? undefined : Number(line.unitPrice);
+  const expiryDate = line.expiryDate ? new Date(line.expiryDate) : null;
+
+  if (!batchNumber) return { error: `${label}: batch number is required` };
+  if (!Number.isFinite(quantity) || quantity <= 0) return { error: `${label}: quantity must be more than zero` };
+  if (unitPrice !== undefined && (!Number.isFinite(unitPrice) || unitPrice < 0)) return { error: `${label}: unit price must be zero or more` };
+  if (!expiryDate || Number.isNaN(expiryDate.getTime())) return { error: `${label}: expiry date is required` };
+  if (pharmacyStock.isExpired({ expiryDate })) return { error: `${label}: batch ${batchNumber} has already expired` };
+  return { line: { itemId: String(line.itemId), batchNumber, quantity, unitPrice, expiryDate } };
+}
+
+/**
+ * Change one pharmacy batch and write the ledger. Stock only leaves a batch that still
+ * has enough, so two people taking from the same batch cannot drive it below zero.
+ * Returns the updated batch, or null when there was not enough.
+ */
+async function movePharmacyStock(session, batch, change, { reason, note, reference, encounterId }) {
+  const query = { _id: batch._id, hospitalId: batch.hospitalId };
+  if (change < 0) query.quantity = { $gte: -change };
+  const updated = await Inventory.findOneAndUpdate(query, { $inc: { quantity: change }, $set: { lastUpdated: new Date() } }, { new: true });
+  if (!updated) return null;
+
+  await PharmacyStockMovement.create({
+    hospitalId: updated.hospitalId,
+    itemId: updated.itemId,
+    batchId: updated._id,
+    medicationName: updated.medicationName,
+    batchNumber: updated.batchNumber,
+    change,
+    balance: updated.quantity,
+    reason,
+    note,
+    reference,
+    encounterId,
+    by: session.username,
+    byId: session.userId ? String(session.userId) : undefined
+  });
+  return updated;
+}
+
+// Put a received batch into stock: { batchNumber, quantity, unitPrice, expiryDate } of a PharmacyItem
+async function receivePharmacyBatch(session, item, line, { note, reference, supplierId }) {
+  const batch = await Inventory.findOneAndUpdate(
+    { hospitalId: item.hospitalId, itemId: item._id, batchNumber: line.batchNumber },
+    {
+      $set: {
+        medicationName: item.name,
+        expiryDate: line.expiryDate,
+        ...(line.unitPrice !== undefined ? { unitPrice: line.unitPrice } : {}),
+        ...(supplierId ? { supplierId } : {})
+      },
+      $setOnInsert: { category: item.category, manufacturer: item.manufacturer, reference, quantity: 0, addedAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+  return movePharmacyStock(session, batch, line.quantity, { reason: 'received', note, reference });
+}
+
+/**
+ * Take `quantity` of a medicine from its batches, first-expiry-first-out. A batch emptied by
+ * someone else in the meantime is skipped and the rest picked again from fresh stock.
+ * Each batch line is also added to `record` as soon as it is taken, so a caller that fails
+ * later can put it back. Returns { taken: [batch lines], shortfall }.
+ */
+async function takePharmacyStock(session, itemId, quantity, context, record = []) {
+  const taken = [];
+  let remaining = quantity;
+  for (let attempt = 0; attempt < 5 && remaining > 0; attempt++) {
+    const batches = await Inventory.find({ hospitalId: session.hospitalId, itemId, quantity: { $gt: 0 } });
+    const { picks } = pharmacyStock.pickBatches(batches, remaining);
+    if (picks.length === 0) break;
+    for (const pick of picks) {
+      const updated = await movePharmacyStock(session, pick.batch, -pick.quantity, context);
+      if (!updated) continue;
+      const line = {
+        batchId: updated._id,
+        batchNumber: updated.batchNumber,
+        expiryDate: updated.expiryDate,
+        quantity: pick.quantity,
+        unitPrice: updated.unitPrice || 0
+      };
+      taken.push(line);
+      record.push(line);
+      remaining -= pick.quantity;
+    }
+  }
+  return { taken, shortfall: remaining };
+}
+
+// Put back batch lines taken by takePharmacyStock for a dispense that then failed.
+// Problems are logged, since the dispense has already failed.
+async function returnPharmacyStock(session, taken, { reference, encounterId }) {
+  const note = `${reference} - reversed, dispense failed`;
+  for (const line of taken) {
+    try {
+      await movePharmacyStock(session, { _id: line.batchId, hospitalId: session.hospitalId }, line.quantity, { reason: 'dispensed', note, reference, encounterId });
+    } catch (err) {
+      console.error(`Could not put back ${line.quantity} of batch ${line.batchNumber}: ${err.message}`);
+    }
+  }
+}
+
+// Stock level of every medicine; ?status=low,out for the reorder list
+app.get('/api/pharmacy/items', requirePermission('prescriptions:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  try {
+    const query = { hospitalId };
+    if (req.query.all !== 'true') query.active = true;
+    if (req.query.q) query.name = new RegExp(escapeRegExp(String(req.query.q).trim()), 'i');
+    const items = await PharmacyItem.find(query).sort({ name: 1 });
+    const batches = await Inventory.find({ hospitalId, itemId: { $in: items.map(i => i._id) }, quantity: { $gt: 0 } });
+
+    let levels = pharmacyStock.stockLevels(items, batches);
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',');
+      levels = levels.filter(l => statuses.includes(l.status));
+    }
+    res.json(levels);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/pharmacy/items', requirePermission('pharmacy:inventory'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const { drug: item, error } = drugMaster.checkDrug(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (await findDuplicateDrug(hospitalId, item)) {
+      return res.status(409).json({ error: `${prescriptions.drugLabel(item)} is already in the drug master` });
+    }
+    const created = await PharmacyItem.create({ hospitalId, ...item });
+    await auditRequest(req, {
+      action: 'pharmacy.item.create',
+      entityType: 'PharmacyItem',
+      entityId: created._id,
+      after: item
+    });
+    res.json({ success: true, id: created._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/pharmacy/items/:id', requirePermission('pharmacy:inventory'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Medicine not found' });
+  const { drug: item, error } = drugMaster.checkDrug(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const existing = await PharmacyItem.findOne({ _id: req.params.id, hospitalId });
+    if (!existing) return res.status(404).json({ error: 'Medicine not found' });
+    if (await findDuplicateDrug(hospitalId, item, existing._id)) {
+      return res.status(409).json({ error: `${prescriptions.drugLabel(item)} is already in the drug master` });
+    }
+    if (req.body.active !== undefined) item.active = Boolean(req.body.active);
+
+    const before = existing.toObject();
+    existing.set(item);
+    await existing.save();
+    if (before.name !== item.name) {
+      await Inventory.updateMany({ hospitalId, itemId: existing._id }, { medicationName: item.name });
+    }
+    await auditRequest(req, {
+      action: 'pharmacy.item.update',
+      entityType: 'PharmacyItem',
+      entityId: existing._id,
+      before: drugAuditFields(before),
+      after: drugAuditFields(existing.toObject())
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function drugAuditFields(item) {
+  return {
+    name: item.name,
+    genericName: item.genericName,
+    form: item.form,
+    strength: item.strength,
+    schedule: item.schedule,
+    hsnCode: item.hsnCode,
+    gstRate: item.gstRate,
+    defaultDosing: item.defaultDosing,
+    formulary: item.formulary,
+    unit: item.unit,
+    category: item.category,
+    manufacturer: item.manufacturer,
+    reorderLevel: item.reorderLevel,
+    active: item.active
+  };
+}
+
+const DRUG_IMPORT_COLUMNS = [
+  { header: 'Brand Name', key: 'name', width: 24 },
+  { header: 'Generic Name', key: 'genericName', width: 30 },
+  { header: 'Strength', key: 'strength', width: 12 },
+  { header: 'Form', key: 'form', width: 12 },
+  { header: 'Schedule', key: 'schedule', width: 10 },
+  { header: 'HSN Code', key: 'hsnCode', width: 12 },
+  { header: 'GST Rate', key: 'gstRate', width: 10 },
+  { header: 'Manufacturer', key: 'manufacturer', width: 22 },
+  { header: 'Category', key: 'category', width: 16 },
+  { header: 'Unit', key: 'unit', width: 12 },
+  { header: 'Reorder Level', key: 'reorderLevel', width: 14 },
+  { header: 'Dose', key: 'dose', width: 12 },
+  { header: 'Frequency', key: 'frequency', width: 12 },
+  { header: 'Route', key: 'route', width: 10 },
+  { header: 'Duration', key: 'durationDays', width: 10 },
+  { header: 'Instructions', key: 'instructions', width: 30 },
+  { header: 'Formulary', key: 'formulary', width: 10 }
+];
+
+// Blank import sheet with the expected headings, an example row and the allowed values
+app.get('/api/pharmacy/items/import-template', requirePermission('pharmacy:inventory'), async (req, res) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Drugs');
+    sheet.columns = DRUG_IMPORT_COLUMNS;
+    sheet.addRow({
+      name: 'Dolo', genericName: 'Paracetamol', strength: '650mg', form: 'tablet', schedule: '', hsnCode: '30049099',
+      gstRate: 12, manufacturer: 'Micro Labs', category: 'Analgesic', unit: 'tablets', reorderLevel: 100,
+      dose: '1 tab', frequency: 'TDS', route: 'oral', durationDays: 3, instructions: 'After food', formulary: 'Yes'
+    });
+    sheet.getRow(1).font = { bold: true };
+
+    const help = workbook.addWorksheet('Allowed Values');
+    help.columns = [{ header: 'Column', key: 'column', width: 14 }, { header: 'Values', key: 'values', width: 90 }];
+    help.addRows([
+      { column: 'Form', values: prescriptions.FORMS.join(', ') },
+      { column: 'Schedule', values: `${Object.keys(drugMaster.SCHEDULES).join(', ')} or blank` },
+      { column: 'GST Rate', values: drugMaster.GST_RATES.join(', ') },
+      { column: 'Route', values: prescriptions.ROUTES.join(', ') },
+      { column: 'Duration', values: 'Default days, 1-365' },
+      { column: 'Formulary', values: 'Yes or No (blank is Yes)' }
+    ]);
+    help.getRow(1).font = { bold: true };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=drug_master_template.xlsx');
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Bulk import into the drug master from .xlsx or .csv (form field "file"). Rows matching an existing
+ * medicine by name, strength and form update it; others are added. With ?preview=true nothing is
+ * saved and the counts and row errors are returned for the user to confirm.
+ */
+app.post('/api/pharmacy/items/import', requirePermission('pharmacy:inventory'), uploadSpreadsheet, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const sheet = await readSpreadsheet(req.file);
+  if (sheet.error) return res.status(400).json({ error: sheet.error });
+  const { drugs, errors, fields } = drugMaster.readImportRows(sheet.rows);
+
+  try {
+    const existing = await drugsByKey(hospitalId);
+    const created = drugs.filter(d => !existing.has(d.drug.nameKey));
+    const updated = drugs.filter(d => existing.has(d.drug.nameKey));
+    const summary = { created: created.length, updated: updated.length, errors };
+    if (req.query.preview === 'true' || drugs.length === 0) return res.json({ ...summary, preview: true });
+
+    if (created.length) {
+      await PharmacyItem.insertMany(created.map(d => ({ hospitalId, ...d.drug })), { ordered: false });
+    }
+    if (updated.length) {
+      await PharmacyItem.bulkWrite(updated.map(d => {
+        const item = existing.get(d.drug.nameKey);
+        return { updateOne: { filter: { _id: item._id, hospitalId }, update: drugMaster.importUpdate(d.drug, fields) } };
+      }));
+      const renamed = updated.filter(d => existing.get(d.drug.nameKey).name !== d.drug.name);
+      for (const d of renamed) {
+        await Inventory.updateMany({ hospitalId, itemId: existing.get(d.drug.nameKey)._id }, { medicationName: d.drug.name });
+      }
+    }
+    await auditRequest(req, {
+      action: 'pharmacy.item.import',
+      entityType: 'PharmacyItem',
+      after: { file: req.file.originalname, created: created.length, updated: updated.length, skipped: errors.length }
+    });
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Drug Interactions ---
+
+// The interaction table: built-in rows and the hospital's imported ones (which replace built-in rows for the same pair)
+app.get('/api/drug-interactions', requirePermission('prescriptions:read'), async (req, res) => {
+  try {
+    const rows = await DrugInteraction.find({ hospitalId: req.session.hospitalId }).sort({ drugA: 1, drugB: 1 });
+    const replaced = new Set(rows.map(r => r.pairKey));
+    res.json({
+      rows,
+      builtIn: drugSafety.BASE_INTERACTIONS.map(i => ({ ...i, replaced: replaced.has(drugSafety.pairKey(i.drugA, i.drugB)) }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/drug-interactions/import-template', requirePermission('pharmacy:inventory'), async (req, res) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Interactions');
+    sheet.columns = [
+      { header: 'Drug A', key: 'drugA', width: 22 },
+      { header: 'Drug B / Condition', key: 'drugB', width: 22 },
+      { header: 'Severity', key: 'severity', width: 12 },
+      { header: 'Effect', key: 'effect', width: 40 },
+      { header: 'Advice', key: 'advice', width: 40 }
+    ];
+    sheet.addRows(drugSafety.BASE_INTERACTIONS);
+    sheet.getRow(1).font = { bold: true };
+
+    const help = workbook.addWorksheet('Allowed Values');
+    help.columns = [{ header: 'Column', key: 'column', width: 20 }, { header: 'Values', key: 'values', width: 90 }];
+    help.addRows([
+      { column: 'Drug A / Drug B', values: 'A drug or generic name, or one of these classes: ' + Object.keys(drugSafety.DRUG_CLASSES).join(', ') },
+      { column: 'Drug B / Condition', values: 'May also be a chronic condition, matched against the patient record' },
+      { column: 'Severity', values: Object.keys(drugSafety.SEVERITIES).join(', ') + ' (severe needs an override reason)' }
+    ]);
+    help.getRow(1).font = { bold: true };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=drug_interactions_template.xlsx');
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import interaction rows from .xlsx or .csv; a pair already in the table is updated. ?preview=true saves nothing.
+app.post('/api/drug-interactions/import', requirePermission('pharmacy:inventory'), uploadSpreadsheet, async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const sheet = await readSpreadsheet(req.file);
+  if (sheet.error) return res.status(400).json({ error: sheet.error });
+  const { interactions, errors } = drugSafety.readImportRows(sheet.rows);
+
+  try {
+    const existing = new Set((await DrugInteraction.find({ hospitalId }).select('pairKey')).map(r => r.pairKey));
+    const updated = interactions.filter(i => existing.has(i.interaction.pairKey)).length;
+    const summary = { created: interactions.length - updated, updated, errors };
+    if (req.query.preview === 'true' || interactions.length === 0) return res.json({ ...summary, preview: true });
+
+    await DrugInteraction.bulkWrite(interactions.map(({ interaction }) => ({
+      updateOne: {
+        filter: { hospitalId, pairKey: interaction.pairKey },
+        update: { $set: { ...interaction, updatedAt: new Date() }, $setOnInsert: { hospitalId, createdAt: new Date() } },
+        upsert: true
+      }
+    })));
+    await auditRequest(req, {
+      action: 'pharmacy.interaction.import',
+      entityType: 'DrugInteraction',
+      after: { file: req.file.originalname, created: summary.created, updated, skipped: errors.length }
+    });
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/drug-interactions/:id', requirePermission('pharmacy:inventory'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Interaction not found' });
+  try {
+    const row = await DrugInteraction.findOneAndDelete({ _id: req.params.id, hospitalId: req.session.hospitalId });
+    if (!row) return res.status(404).json({ error: 'Interaction not found' });
+    await auditRequest(req, {
+      action: 'pharmacy.interaction.delete',
+      entityType: 'DrugInteraction',
+      entityId: row._id,
+      before: { drugA: row.drugA, drugB: row.drugB, severity: row.severity, effect: row.effect, advice: row.advice }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Batches of one medicine still in stock, soonest expiry first
+app.get('/api/pharmacy/items/:id/batches', requirePermission('prescriptions:read'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Medicine not found' });
+  try {
+    const query = { hospitalId: req.session.hospitalId, itemId: req.params.id };
+    if (req.query.all !== 'true') query.quantity = { $gt: 0 };
+    const batches = await Inventory.find(query).sort({ expiryDate: 1 });
+    res.json(batches.map(b => ({ ...b.toJSON(), expired: pharmacyStock.isExpired(b) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Goods receipt: { reference, lines: [{ itemId, batchNumber, quantity, unitPrice, expiryDate }] }
+app.post('/api/pharmacy/receipts', requirePermission('pharmacy:inventory'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const reference = String(req.body.reference || '').trim().slice(0, 50) || undefined;
+  const note = String(req.body.note || '').trim().slice(0, 200) || undefined;
+  const submitted = Array.isArray(req.body.lines) ? req.body.lines : [];
+  if (submitted.length === 0) return res.status(400).json({ error: 'Add at least one batch to receive' });
+
+  // Check every line before any stock moves
+  const lines = [];
+  for (const [i, raw] of submitted.entries()) {
+    const { line, error } = checkReceiptLine(raw, i + 1);
+    if (error) return res.status(400).json({ error });
+    lines.push(line);
+  }
+
+  try {
+    const items = await PharmacyItem.find({ hospitalId, _id: { $in: lines.map(l => l.itemId) } });
+    const missing = lines.find(l => !items.some(i => String(i._id) === l.itemId));
+    if (missing) return res.status(400).json({ error: 'A medicine on this receipt is not in the stock list' });
+
+    for (const line of lines) {
+      await receivePharmacyBatch(req.session, items.find(i => String(i._id) === line.itemId), line, { note, reference });
+    }
+
+    await auditRequest(req, {
+      action: 'pharmacy.receive',
+      entityType: 'Inventory',
+      entityId: reference || null,
+      after: {
+        reference,
+        lines: lines.map(l => `${items.find(i => String(i._id) === l.itemId).name} ${l.batchNumber} x ${l.quantity}`)
+      }
+    });
+    emitToHospital(hospitalId, ['pharmacy'], 'stock-updated', {});
+    res.json({ success: true, received: lines.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Manual correction of one batch, with a reason: { change, reason, note }
+app.post('/api/pharmacy/batches/:id/adjust', requirePermission('pharmacy:inventory'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Batch not found' });
+  const change = Number(req.body.change);
+  const { reason } = req.body;
+  const note = String(req.body.note || '').trim().slice(0, 200) || undefined;
+
+  if (!Number.isFinite(change) || change === 0) return res.status(400).json({ error: 'Enter the quantity to add or remove' });
+  if (!pharmacyStock.ADJUSTMENT_REASONS.includes(reason)) return res.status(400).json({ error: 'Choose a reason for the adjustment' });
+
+  try {
+    const batch = await Inventory.findOne({ _id: req.params.id, hospitalId: req.session.hospitalId });
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+    const updated = await movePharmacyStock(req.session, batch, change, { reason, note });
+    if (!updated) return res.status(409).json({ error: `Only ${batch.quantity} left in batch ${batch.batchNumber}` });
+
+    await auditRequest(req, {
+      action: 'pharmacy.adjust',
+      entityType: 'Inventory',
+      entityId: batch._id,
+      after: { medicine: batch.medicationName, batchNumber: batch.batchNumber, change, reason, note, balance: updated.quantity }
+    });
+    emitToHospital(req.session.hospitalId, ['pharmacy'], 'stock-updated', { itemId: batch.itemId });
+    res.json({ success: true, batch: updated });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Expired batches still on the shelf, and batches expiring within ?days (default 90)
+app.get('/api/pharmacy/expiry', requirePermission('pharmacy:inventory'), async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || pharmacyStock.EXPIRY_WARNING_DAYS, 1), 730);
+  try {
+    const batches = await Inventory.find({ hospitalId: req.session.hospitalId, quantity: { $gt: 0 }, expiryDate: { $ne: null } });
+    res.json(pharmacyStock.expiryReport(batches, days));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stock ledger, newest first: ?itemId=&reason=&from=&to= (defaults to the last 30 days)
+app.get('/api/pharmacy/ledger', requirePermission('pharmacy:inventory'), async (req, res) => {
+  const query = { hospitalId: req.session.hospitalId };
+  if (req.query.itemId) {
+    if (!mongoose.isValidObjectId(req.query.itemId)) return res.status(400).json({ error: 'Invalid medicine' });
+    query.itemId = req.query.itemId;
+  }
+  if (req.query.reason) query.reason = String(req.query.reason);
+  const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999`) : new Date();
+  const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return res.status(400).json({ error: 'Invalid date range' });
+  query.at = { $gte: from, $lte: to };
+
+  try {
+    const movements = await PharmacyStockMovement.find(query).sort({ at: -1 }).limit(1000);
+    res.json(movements);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Dispensing ---
+
+// What is left to dispense for a visit: each prescription line with the stock item it matches,
+// every active medicine for substitutions, and the bills made so far
+app.get('/api/pharmacy/visits/:id/dispense', requirePermission('pharmacy:dispense'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  try {
+    const visit = await findEncounter(hospitalId, req.params.id);
+    if (!visit) return res.status(404).json({ error: 'Visit not found' });
+
+    const items = await PharmacyItem.find({ hospitalId, active: true }).sort({ name: 1 });
+    const batches = await Inventory.find({ hospitalId, quantity: { $gt: 0 } });
+    const levels = pharmacyStock.stockLevels(items, batches);
+    const dispenses = await Dispense.find({ hospitalId, encounterId: visit._id }).sort({ dispensedAt: 1 });
+    const progress = pharmacyStock.dispenseProgress(visit.medications, dispenses);
+
+    // Checked again against the patient's current allergies, with the doctor's override reasons
+    const saved = new Map((visit.prescriptionWarnings || []).map(w => [w.key, w]));
+    const warnings = (await prescriptionWarnings(hospitalId, visit.patientId, visit.medications)).map(w => {
+      const earlier = saved.get(w.key);
+      return earlier && earlier.overrideReason ? { ...w, overrideReason: earlier.overrideReason, overriddenBy: earlier.overriddenBy } : w;
+    });
+
+    res.json({
+      visit: visitView(visit),
+      warnings,
+      lines: visit.medications.map((med, index) => {
+        const item = pharmacyStock.matchItem(items, med);
+        return {
+          index,
+          prescribed: prescriptions.drugLabel(med),
+          dosage: prescriptions.dosageLabel(med),
+          quantity: med.quantity,
+          ...progress[index],
+          itemId: item ? item._id : null
+        };
+      }),
+      items: levels,
+      dispenses
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// How long one dispense may hold a visit before another counter can take it over
+const DISPENSE_CLAIM_MS = 2 * 60 * 1000;
+
+/**
+ * Dispense against a visit: { lines: [{ index, itemId, quantity, substitutionReason, reason }], note }.
+ * `index` is the prescription line (left out for medicines added to a free-text prescription).
+ * Stock is taken first-expiry-first-out; quantity 0 records a line that could not be given.
+ */
+app.post('/api/pharmacy/visits/:id/dispense', requirePermission('pharmacy:dispense'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const submitted = Array.isArray(req.body.lines) ? req.body.lines : [];
+  const note = String(req.body.note || '').trim().slice(0, 300) || undefined;
+  if (submitted.length === 0) return res.status(400).json({ error: 'Nothing to dispense' });
+
+  let claimedAt = null;
+  try {
+    const visit = await findEncounter(hospitalId, req.params.id);
+    if (!visit) return res.status(404).json({ error: 'Visit not found' });
+
+    // One dispense per visit at a time, so two counters cannot both give what is left.
+    // A claim older than DISPENSE_CLAIM_MS is from a request that died and is taken over.
+    const now = new Date();
+    const claim = await Encounter.updateOne(
+      { _id: visit._id, hospitalId, $or: [{ dispensingSince: null }, { dispensingSince: { $lt: new Date(now.getTime() - DISPENSE_CLAIM_MS) } }] },
+      { $set: { dispensingSince: now } }
+    );
+    if (!claim.modifiedCount) {
+      return res.status(409).json({ error: 'This prescription is being dispensed at another counter; try again in a moment' });
+    }
+    claimedAt = now;
+
+    const items = await PharmacyItem.find({ hospitalId });
+    const batches = await Inventory.find({ hospitalId, quantity: { $gt: 0 } });
+    const levels = pharmacyStock.stockLevels(items, batches);
+    const dispenses = await Dispense.find({ hospitalId, encounterId: visit._id });
+    const progress = pharmacyStock.dispenseProgress(visit.medications, dispenses);
+
+    // Check every line, and that there is stock for all of them, before anything is taken
+    const lines = [];
+    const wanted = new Map();
+    const perIndex = new Map(); // Quantity asked for each prescription line across the submitted lines
+    for (const [n, raw] of submitted.entries()) {
+      const label = `Line ${n + 1}`;
+      const hasIndex = raw.index !== undefined && raw.index !== null && raw.index !== '';
+      const index = hasIndex ? Number(raw.index) : null;
+      const med = hasIndex ? visit.medications[index] : null;
+      if (hasIndex && !med) return res.status(400).json({ error: `${label}: not on this prescription` });
+      const quantity = Number(raw.quantity || 0);
+      if (!Number.isFinite(quantity) || quantity < 0) return res.status(400).json({ error: `${label}: quantity must be zero or more` });
+
+      const item = raw.itemId ? items.find(i => String(i._id) === String(raw.itemId)) : null;
+      if (raw.itemId && !item) return res.status(400).json({ error: `${label}: medicine is not in the stock list` });
+      if (quantity > 0 && !item) return res.status(400).json({ error: `${label}: choose the medicine to give` });
+      if (!med && !item) return res.status(400).json({ error: `${label}: choose the medicine to give` });
+
+      const prescribed = med ? prescriptions.drugLabel(med) : undefined;
+      const requested = med ? (progress[index].remaining === null ? quantity : progress[index].remaining) : quantity;
+      if (med) perIndex.set(index, (perIndex.get(index) || 0) + quantity);
+      if (med && med.quantity && perIndex.get(index) > requested) {
+        return res.status(400).json({ error: `${prescribed}: only ${requested} left to dispense` });
+      }
+
+      const matched = med ? pharmacyStock.matchItem(items, med) : null;
+      const substituted = Boolean(med && item && (!matched || !matched._id.equals(item._id)));
+      const substitutionReason = String(raw.substitutionReason || '').trim().slice(0, 200);
+      if (substituted && quantity > 0 && !substitutionReason) {
+        return res.status(400).json({ error: `${prescribed}: give a reason for substituting ${item.name}` });
+      }
+
+      if (item && quantity > 0) wanted.set(String(item._id), (wanted.get(String(item._id)) || 0) + quantity);
+      lines.push({ med, index, item, quantity, requested, prescribed, substituted, substitutionReason, reason: String(raw.reason || '').trim().slice(0, 200) });
+    }
+    for (const [itemId, quantity] of wanted) {
+      const level = levels.find(l => String(l.id) === itemId);
+      if (!level || level.quantity < quantity) {
+        return res.status(409).json({ error: `Only ${level ? level.quantity : 0} ${level ? level.unit : ''} of ${level ? level.name : 'this medicine'} in stock` });
+      }
+    }
+
+    const billNumber = await nextBillNumber(hospitalId);
+    const context = { reason: 'dispensed', reference: billNumber, encounterId: visit._id };
+    // Every batch taken, so all of it goes back if a later line or the bill fails
+    const takenSoFar = [];
+    const billLines = [];
+    let dispense;
+    try {
+      for (const line of lines) {
+        const { taken } = line.quantity > 0
+          ? await takePharmacyStock(req.session, line.item._id, line.quantity, context, takenSoFar)
+          : { taken: [] };
+        const given = taken.reduce((sum, b) => sum + b.quantity, 0);
+        const level = line.item && levels.find(l => l.id.equals(line.item._id));
+        billLines.push({
+          prescriptionIndex: line.index === null ? undefined : line.index,
+          prescribed: line.prescribed,
+          itemId: line.item ? line.item._id : undefined,
+          medicationName: line.item ? prescriptions.drugLabel({ drug: line.item.name, strength: line.item.strength, form: line.item.form }) : undefined,
+          substituted: line.substituted && given > 0,
+          substitutionReason: line.substituted && given > 0 ? line.substitutionReason : undefined,
+          requested: line.requested,
+          quantity: given,
+          status: pharmacyStock.lineStatus(line.requested, given, Boolean(level && level.quantity > 0)),
+          reason: line.reason || (given < line.quantity ? 'Stock ran out while dispensing' : undefined),
+          batches: taken,
+          amount: Math.round(taken.reduce((sum, b) => sum + b.quantity * b.unitPrice, 0) * 100) / 100
+        });
+      }
+
+      dispense = await Dispense.create({
+        hospitalId,
+        encounterId: visit._id,
+        patientId: visit.patientId._id || visit.patientId,
+        billNumber,
+        lines: billLines,
+        total: Math.round(billLines.reduce((sum, l) => sum + l.amount, 0) * 100) / 100,
+        note,
+        dispensedBy: req.session.username,
+        dispensedById: req.session.userId ? String(req.session.userId) : undefined
+      });
+    } catch (err) {
+      await returnPharmacyStock(req.session, takenSoFar, context);
+      throw err;
+    }
+
+    // The visit is complete once every prescription line has been given in full
+    const before = { status: visit.status, pharmacyState: visit.pharmacyState };
+    const complete = pharmacyStock.dispenseProgress(visit.medications, [...dispenses, dispense]).every(p => p.complete);
+    visit.pharmacyState = complete ? 'delivered' : 'partial';
+    if (complete) visit.status = 'completed';
+    visit.updatedAt = new Date();
+    await visit.save();
+
+    await auditRequest(req, {
+      action: 'pharmacy.dispense',
+      entityType: 'Encounter',
+      entityId: visit._id,
+      before,
+      after: {
+        status: visit.status,
+        pharmacyState: visit.pharmacyState,
+        billNumber,
+        lines: billLines.map(l => `${l.medicationName || l.prescribed}: ${l.quantity} (${l.status})${l.substituted ? ` for ${l.prescribed} - ${l.substitutionReason}` : ''}`)
+      }
+    });
+
+    const patient = visitView(visit);
+    io.to(hospitalRoom(hospitalId)).emit('patient-updated', patient);
+    emitToHospital(hospitalId, ['doctors', 'reception', 'pharmacy'], 'queue-updated', { patient });
+    emitToHospital(hospitalId, ['pharmacy'], 'stock-updated', {});
+    res.json({ success: true, dispense, patient });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (claimedAt) {
+      await Encounter.updateOne({ _id: req.params.id, dispensingSince: claimedAt }, { $unset: { dispensingSince: 1 } }).catch(err => console.error(err));
+    }
+  }
+});
+
+// Excel Export Endpoint
+app.get('/api/export', requirePermission('reports:export'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+
+  const { type, department } = req.query; // type: 'month' or 'year'
+  const now = new Date();
+  let startDate;
+
+  if (type === 'year') {
+    startDate = new Date(now.getFullYear(), 0, 1);
+  } else {
+    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  try {
+    const query = { hospitalId, registeredAt: { $gte: startDate } };
+    if (department) query.department = department;
+    const patients = (await Encounter.find(query).sort({ registeredAt: -1 }).populate('patientId')).map(visitView);
+
+    // Resolve departments by id so renamed and archived departments still export correctly
+    const deptList = await Department.find({ hospitalId });
+    const deptById = new Map(deptList.map(d => [d.id, d]));
+    const deptName = p => {
+      const d = p.departmentId && deptById.get(p.departmentId.toString());
+      return d ? d.name + (d.isArchived ? ' (archived)' : '') : (p.department || '');
+    };
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Patients');
+
+    sheet.columns = [
+      { header: 'Patient Name', key: 'name', width: 25 },
+      { header: 'MRN', key: 'mrn', width: 14 },
+      { header: 'Visit Date', key: 'registeredAt', width: 20 },
+      { header: 'Phone', key: 'phone', width: 15 },
+      { header: 'Age', key: 'age', width: 10 },
+      { header: 'Gender', key: 'gender', width: 10 },
+      { header: 'Department', key: 'department', width: 15 },
+      { header: 'Reason', key: 'reason', width: 20 },
+      { header: 'Prescription', key: 'prescription', width: 30 },
+      { header: 'Cost Paid', key: 'cost', width: 12 },
+      { header: 'Status', key: 'status', width: 15 }
+    ];
+
+    const formattedRows = patients.map(row => ({
+      ...row,
+      registeredAt: new Date(row.registeredAt).toLocaleString('en-IN', {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      }),
+      department: deptName(row),
+      prescription: row.medications && row.medications.length
+        ? row.medications.map(prescriptions.formatMedication).join('\n')
+        : row.prescription,
+      cost: row.cost || 0
+    }));
+
+    sheet.addRows(formattedRows);
+
+    // Per-department summary
+    const summary = new Map();
+    formattedRows.forEach(row => {
+      const entry = summary.get(row.department) || { department: row.department, visits: 0, revenue: 0 };
+      entry.visits++;
+      entry.revenue += Number(row.cost) || 0;
+      summary.set(row.department, entry);
+    });
+
+    const summarySheet = workbook.addWorksheet('Departments');
+    summarySheet.columns = [
+      { header: 'Department', key: 'department', width: 25 },
+      { header: 'Visits', key: 'visits', width: 10 },
+      { header: 'Revenue', key: 'revenue', width: 15 }
+    ];
+    summarySheet.addRows([...summary.values()].sort((a, b) => b.visits - a.visits));
+    summarySheet.getRow(1).font = { bold: true };
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF0EA5E9' }
+    };
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=patients_${type}_${Date.now()}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).send('Database error: ' + err.message);
+  }
+});
+
+// --- Purchasing ---
+
+// Purchase orders for a store also need that store's stock permission
+const STORE_PERMISSIONS = { pharmacy: 'pharmacy:inventory', lab: 'lab:inventory' };
+
+// Answers the request and returns false when the store is unknown or not the user's to manage
+async function checkStore(req, res, store) {
+  if (!purchasing.STORES.includes(store)) {
+    res.status(400).json({ error: 'Choose the pharmacy or lab store' });
+    return false;
+  }
+  if (!(await hasPermission(req.session, STORE_PERMISSIONS[store]))) {
+    res.status(403).json({ error: 'Permission denied', permission: STORE_PERMISSIONS[store] });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * A store's active items in one shape for ordering:
+ * { itemId, itemName, unit, quantity, reorderLevel, status, unitPrice (latest paid) }.
+ */
+async function storeItems(hospitalId, store) {
+  const latestPrice = batches => {
+    const priced = batches.filter(b => b.unitPrice !== undefined && b.unitPrice !== null);
+    priced.sort((a, b) => new Date(b.addedAt || b.receivedAt || 0) - new Date(a.addedAt || a.receivedAt || 0));
+    return priced.length ? priced[0].unitPrice : undefined;
+  };
+
+  if (store === 'pharmacy') {
+    const items = await PharmacyItem.find({ hospitalId, active: true }).sort({ name: 1 });
+    const batches = await Inventory.find({ hospitalId, itemId: { $in: items.map(i => i._id) } });
+    return pharmacyStock.stockLevels(items, batches).map(level => ({
+      itemId: level.id,
+      itemName: prescriptions.drugLabel({ drug: level.name, strength: level.strength, form: level.form }),
+      unit: level.unit,
+      quantity: level.quantity,
+      reorderLevel: level.reorderLevel,
+      status: level.status,
+      unitPrice: latestPrice(batches.filter(b => String(b.itemId) === String(level.id)))
+    }));
+  }
+
+  const items = await LabInventory.find({ hospitalId, active: { $ne: false } }).sort({ itemName: 1 });
+  return items.map(item => ({
+    itemId: item._id,
+    itemName: item.itemName,
+    unit: item.unit,
+    quantity: item.quantity,
+    reorderLevel: item.minLevel || 0,
+    status: labStock.stockStatus(item),
+    unitPrice: latestPrice(item.batches)
+  }));
+}
+
+// Check a supplier sent by the purchasing screens
+function checkSupplier(body) {
+  const field = (name, max = 100) => String(body[name] || '').trim().slice(0, max);
+  const supplier = {
+    name: field('name'),
+    contactPerson: field('contactPerson'),
+    phone: field('phone', 30),
+    email: field('email'),
+    address: field('address', 300),
+    taxNumber: field('taxNumber', 30)
+  };
+  if (!supplier.name) return { error: 'Supplier name is required' };
+  if (supplier.email && !/^[^\s@]+@[^\s@]+$/.test(supplier.email)) return { error: 'Invalid email address' };
+  supplier.nameKey = supplier.name.toLowerCase();
+  return { supplier };
+}
+
+// Active suppliers, or all of them with ?all=true
+app.get('/api/suppliers', requirePermission('purchasing:manage'), async (req, res) => {
+  const query = { hospitalId: req.session.hospitalId };
+  if (req.query.all !== 'true') query.active = true;
+  try {
+    res.json(await Supplier.find(query).sort({ name: 1 }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/suppliers', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const { supplier, error } = checkSupplier(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (await Supplier.exists({ hospitalId, nameKey: supplier.nameKey })) {
+      return res.status(409).json({ error: `${supplier.name} is already a supplier` });
+    }
+    const created = await Supplier.create({ hospitalId, ...supplier });
+    await auditRequest(req, {
+      action: 'supplier.create',
+      entityType: 'Supplier',
+      entityId: created._id,
+      after: supplier
+    });
+    res.json({ success: true, id: created._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/suppliers/:id', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Supplier not found' });
+  const { supplier, error } = checkSupplier(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const existing = await Supplier.findOne({ _id: req.params.id, hospitalId });
+    if (!existing) return res.status(404).json({ error: 'Supplier not found' });
+    if (await Supplier.exists({ hospitalId, nameKey: supplier.nameKey, _id: { $ne: existing._id } })) {
+      return res.status(409).json({ error: `${supplier.name} is already a supplier` });
+    }
+    if (req.body.active !== undefined) supplier.active = Boolean(req.body.active);
+
+    const fields = s => ({ name: s.name, contactPerson: s.contactPerson, phone: s.phone, email: s.email, address: s.address, taxNumber: s.taxNumber, active: s.active });
+    const before = fields(existing);
+    existing.set(supplier);
+    await existing.save();
+    // Open orders show the supplier's current name
+    if (before.name !== existing.name) {
+      await PurchaseOrder.updateMany(
+        { hospitalId, supplierId: existing._id, status: { $in: purchasing.OPEN_STATUSES } },
+        { supplierName: existing.name }
+      );
+    }
+    await auditRequest(req, {
+      action: 'supplier.update',
+      entityType: 'Supplier',
+      entityId: existing._id,
+      before,
+      after: fields(existing)
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Items a store can order, and suggested quantities for those at or below their reorder level
+app.get('/api/purchasing/items', requirePermission('purchasing:manage'), async (req, res) => {
+  const store = String(req.query.store || '');
+  if (!(await checkStore(req, res, store))) return;
+  const hospitalId = req.session.hospitalId;
+
+  try {
+    const items = await storeItems(hospitalId, store);
+    const openOrders = await PurchaseOrder.find({ hospitalId, store, status: { $in: purchasing.OPEN_STATUSES } });
+    res.json({ items, suggestions: purchasing.reorderLines(items, openOrders) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A store's purchase orders, newest first: ?store=&status=open (the default) or all
+app.get('/api/purchase-orders', requirePermission('purchasing:manage'), async (req, res) => {
+  const store = String(req.query.store || '');
+  if (!(await checkStore(req, res, store))) return;
+
+  const query = { hospitalId: req.session.hospitalId, store };
+  if (req.query.status !== 'all') query.status = { $in: purchasing.OPEN_STATUSES };
+  try {
+    res.json(await PurchaseOrder.find(query).sort({ createdAt: -1 }).limit(200));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One order with the deliveries received against it
+app.get('/api/purchase-orders/:id', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Purchase order not found' });
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, hospitalId });
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+    if (!(await checkStore(req, res, order.store))) return;
+    const receipts = await GoodsReceipt.find({ hospitalId, purchaseOrderId: order._id }).sort({ receivedAt: 1 });
+    res.json({ order, receipts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Raise a purchase order:
+ * { store, supplierId, expectedDate, note, lines: [{ itemId, quantity, unitPrice }] }
+ */
+app.post('/api/purchase-orders', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const store = String(req.body.store || '');
+  if (!(await checkStore(req, res, store))) return;
+  const submitted = Array.isArray(req.body.lines) ? req.body.lines : [];
+  const note = String(req.body.note || '').trim().slice(0, 300) || undefined;
+  const expectedDate = req.body.expectedDate ? new Date(req.body.expectedDate) : undefined;
+  if (expectedDate && Number.isNaN(expectedDate.getTime())) return res.status(400).json({ error: 'Invalid expected delivery date' });
+  if (!mongoose.isValidObjectId(req.body.supplierId)) return res.status(400).json({ error: 'Choose a supplier' });
+  if (submitted.length === 0) return res.status(400).json({ error: 'Add at least one item to order' });
+
+  try {
+    const supplier = await Supplier.findOne({ _id: req.body.supplierId, hospitalId, active: true });
+    if (!supplier) return res.status(400).json({ error: 'Choose a supplier' });
+    const items = await storeItems(hospitalId, store);
+
+    const lines = [];
+    for (const [i, raw] of submitted.entries()) {
+      const label = `Line ${i + 1}`;
+      const item = items.find(it => String(it.itemId) === String(raw.itemId));
+      if (!item) return res.status(400).json({ error: `${label}: choose an item` });
+      if (lines.some(l => l.itemId.equals(item.itemId))) return res.status(400).json({ error: `${item.itemName} is on the order twice` });
+      const quantity = Number(raw.quantity);
+      const unitPrice = raw.unitPrice === undefined || raw.unitPrice === '' ? undefined : Number(raw.unitPrice);
+      if (!Number.isFinite(quantity) || quantity <= 0) return res.status(400).json({ error: `${item.itemName}: quantity must be more than zero` });
+      if (unitPrice !== undefined && (!Number.isFinite(unitPrice) || unitPrice < 0)) return res.status(400).json({ error: `${item.itemName}: unit price must be zero or more` });
+      lines.push({ itemId: item.itemId, itemName: item.itemName, unit: item.unit, quantity, unitPrice });
+    }
+
+    const order = await PurchaseOrder.create({
+      hospitalId,
+      poNumber: await nextPurchasingNumber(hospitalId, 'purchaseOrderSeq', 'PO'),
+      store,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      lines,
+      expectedDate,
+      note,
+      createdBy: req.session.username,
+      createdById: req.session.userId ? String(req.session.userId) : undefined
+    });
+    await auditRequest(req, {
+      action: 'purchasing.order',
+      entityType: 'PurchaseOrder',
+      entityId: order._id,
+      after: { poNumber: order.poNumber, store, supplier: supplier.name, lines: lines.map(l => `${l.itemName} x ${l.quantity}`) }
+    });
+    res.json({ success: true, order });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stop expecting the rest of an order: cancelled if nothing arrived, otherwise closed short
+app.post('/api/purchase-orders/:id/close', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Purchase order not found' });
+  const reason = String(req.body.reason || '').trim().slice(0, 200);
+  if (!reason) return res.status(400).json({ error: 'Give a reason for closing the order' });
+
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, hospitalId });
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+    if (!(await checkStore(req, res, order.store))) return;
+    if (!purchasing.OPEN_STATUSES.includes(order.status)) return res.status(409).json({ error: `This order is already ${purchasing.PO_STATUSES[order.status].toLowerCase()}` });
+
+    const before = order.status;
+    order.status = order.lines.some(l => l.received > 0) ? 'closed' : 'cancelled';
+    order.set({ closeReason: reason, closedAt: new Date(), closedBy: req.session.username });
+    await order.save();
+    await auditRequest(req, {
+      action: 'purchasing.close',
+      entityType: 'PurchaseOrder',
+      entityId: order._id,
+      before: { status: before },
+      after: { status: order.status, reason }
+    });
+    res.json({ success: true, order });
+  } catch (err) {
+    if (err.name === 'VersionError') return res.status(409).json({ error: 'The order was changed by someone else - try again' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Undo a goods receipt whose stock could not all be put away: take back the batches already
+ * added and the quantities recorded against the order. Problems are logged, since the
+ * receipt has already failed.
+ */
+async function reverseReceipt(session, order, lines, stocked, reference) {
+  const note = `${reference} - reversed, receipt failed`;
+  for (const { line, batch } of stocked) {
+    try {
+      if (batch) {
+        const moved = await movePharmacyStock(session, batch, -line.quantity, { reason: 'received', note, reference });
+        if (!moved) console.error(`Could not reverse ${line.itemName} ${line.batchNumber}: not enough left in the batch`);
+      } else {
+        const result = await updateLabStock(order.hospitalId, line.itemId, item => {
+          const { lines: taken, shortfall } = labStock.takeStock(item, line.quantity, { batchNumber: line.batchNumber });
+          return shortfall > 0 ? { error: 'Not enough left in the batch' } : { lines: taken };
+        }, { reason: 'received', note, session });
+        if (result.error) console.error(`Could not reverse ${line.itemName} ${line.batchNumber}: ${result.error}`);
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // The order may have been changed again since it was saved, so undo on fresh data
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const fresh = await PurchaseOrder.findOne({ _id: order._id, hospitalId: order.hospitalId });
+      if (!fresh) return;
+      purchasing.undoReceipt(fresh, lines);
+      await fresh.save();
+      return;
+    } catch (err) {
+      if (err.name !== 'VersionError') return console.error(err);
+    }
+  }
+  console.error(`Could not restore purchase order ${order.poNumber} after a failed receipt`);
+}
+
+/**
+ * Goods receipt against an order; part of an order may arrive at a time:
+ * { invoiceNumber, invoiceDate, note, lines: [{ itemId, batchNumber, quantity, unitPrice, expiryDate }] }.
+ * A line without a unit price is charged at the price on the order.
+ */
+app.post('/api/purchase-orders/:id/receipts', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Purchase order not found' });
+  const invoiceNumber = String(req.body.invoiceNumber || '').trim().slice(0, 50) || undefined;
+  const invoiceDate = req.body.invoiceDate ? new Date(req.body.invoiceDate) : undefined;
+  const note = String(req.body.note || '').trim().slice(0, 200) || undefined;
+  const submitted = Array.isArray(req.body.lines) ? req.body.lines : [];
+  if (invoiceDate && Number.isNaN(invoiceDate.getTime())) return res.status(400).json({ error: 'Invalid invoice date' });
+  if (submitted.length === 0) return res.status(400).json({ error: 'Add at least one batch to receive' });
+
+  const lines = [];
+  for (const [i, raw] of submitted.entries()) {
+    const { line, error } = checkReceiptLine(raw, i + 1);
+    if (error) return res.status(400).json({ error });
+    lines.push(line);
+  }
+
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, hospitalId });
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+    if (!(await checkStore(req, res, order.store))) return;
+    if (!purchasing.OPEN_STATUSES.includes(order.status)) return res.status(409).json({ error: `This order is already ${purchasing.PO_STATUSES[order.status].toLowerCase()}` });
+
+    const { error } = purchasing.applyReceipt(order, lines);
+    if (error) return res.status(400).json({ error });
+    lines.forEach(line => {
+      const orderLine = order.lines.find(l => String(l.itemId) === line.itemId);
+      line.itemName = orderLine.itemName;
+      if (line.unitPrice === undefined) line.unitPrice = orderLine.unitPrice;
+    });
+
+    // Check every item still exists before anything is saved
+    const items = await (order.store === 'pharmacy' ? PharmacyItem : LabInventory).find({ hospitalId, _id: { $in: lines.map(l => l.itemId) } });
+    const missing = lines.find(l => !items.some(i => String(i._id) === l.itemId));
+    if (missing) {
+      return res.status(400).json({ error: `${missing.itemName} is no longer in the ${order.store === 'pharmacy' ? 'drug master' : 'lab inventory'}` });
+    }
+
+    // Saving the order first stops two people receiving the same outstanding quantity
+    await order.save();
+
+    const grnNumber = await nextPurchasingNumber(hospitalId, 'goodsReceiptSeq', 'GRN');
+    const stockNote = [invoiceNumber ? `Invoice ${invoiceNumber}` : null, note].filter(Boolean).join(' - ') || undefined;
+    const stocked = [];
+    let failure = null;
+    try {
+      for (const line of lines) {
+        if (order.store === 'pharmacy') {
+          const item = items.find(i => String(i._id) === line.itemId);
+          const batch = await receivePharmacyBatch(req.session, item, line, { note: stockNote, reference: grnNumber, supplierId: order.supplierId });
+          if (!batch) {
+            failure = { code: 500, error: `${line.itemName}: the stock could not be updated` };
+            break;
+          }
+          stocked.push({ line, batch });
+        } else {
+          const batch = { ...line, supplierId: order.supplierId };
+          const result = await updateLabStock(hospitalId, line.itemId, item => ({ lines: labStock.addStock(item, batch) }), {
+            reason: 'received', note: [grnNumber, stockNote].filter(Boolean).join(' - '), session: req.session
+          });
+          if (result.error) {
+            failure = { code: result.code, error: `${line.itemName}: ${result.error}` };
+            break;
+          }
+          stocked.push({ line });
+        }
+      }
+    } catch (err) {
+      failure = { code: 500, error: err.message };
+    }
+    if (failure) {
+      await reverseReceipt(req.session, order, lines, stocked, grnNumber);
+      if (order.store === 'pharmacy' && stocked.length) emitToHospital(hospitalId, ['pharmacy'], 'stock-updated', {});
+      return res.status(failure.code).json({ error: `${failure.error} - nothing was received` });
+    }
+    if (order.store === 'pharmacy') emitToHospital(hospitalId, ['pharmacy'], 'stock-updated', {});
+
+    const receipt = await GoodsReceipt.create({
+      hospitalId,
+      grnNumber,
+      store: order.store,
+      purchaseOrderId: order._id,
+      poNumber: order.poNumber,
+      supplierId: order.supplierId,
+      supplierName: order.supplierName,
+      invoiceNumber,
+      invoiceDate,
+      lines,
+      total: Math.round(lines.reduce((sum, l) => sum + l.quantity * (l.unitPrice || 0), 0) * 100) / 100,
+      note,
+      receivedBy: req.session.username,
+      receivedById: req.session.userId ? String(req.session.userId) : undefined
+    });
+    await auditRequest(req, {
+      action: 'purchasing.receive',
+      entityType: 'PurchaseOrder',
+      entityId: order._id,
+      after: {
+        grnNumber,
+        poNumber: order.poNumber,
+        status: order.status,
+        invoiceNumber,
+        lines: lines.map(l => `${l.itemName} ${l.batchNumber} x ${l.quantity}`)
+      }
+    });
+    res.json({ success: true, receipt, order });
+  } catch (err) {
+    if (err.name === 'VersionError') return res.status(409).json({ error: 'The order was changed by someone else - try again' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Send stock back to a supplier, batch by batch:
+ * { store, supplierId, reason, note, lines: [{ itemId, batchNumber, quantity }] }
+ */
+app.post('/api/supplier-returns', requirePermission('purchasing:manage'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const store = String(req.body.store || '');
+  if (!(await checkStore(req, res, store))) return;
+  const { reason } = req.body;
+  const note = String(req.body.note || '').trim().slice(0, 200) || undefined;
+  const submitted = Array.isArray(req.body.lines) ? req.body.lines : [];
+  if (!purchasing.RETURN_REASONS[reason]) return res.status(400).json({ error: 'Choose a reason for the return' });
+  if (!mongoose.isValidObjectId(req.body.supplierId)) return res.status(400).json({ error: 'Choose the supplier' });
+  if (submitted.length === 0) return res.status(400).json({ error: 'Choose the batches to return' });
+
+  try {
+    const supplier = await Supplier.findOne({ _id: req.body.supplierId, hospitalId });
+    if (!supplier) return res.status(400).json({ error: 'Choose the supplier' });
+
+    // Find every batch and check there is enough of it before any stock moves
+    const lines = [];
+    for (const [i, raw] of submitted.entries()) {
+      const label = `Line ${i + 1}`;
+      const quantity = Number(raw.quantity);
+      const batchNumber = String(raw.batchNumber || '');
+      if (!mongoose.isValidObjectId(raw.itemId) || !batchNumber) return res.status(400).json({ error: `${label}: choose a batch` });
+      if (!Number.isFinite(quantity) || quantity <= 0) return res.status(400).json({ error: `${label}: quantity must be more than zero` });
+
+      let batch;
+      let itemName;
+      if (store === 'pharmacy') {
+        batch = await Inventory.findOne({ hospitalId, itemId: raw.itemId, batchNumber });
+        itemName = batch && batch.medicationName;
+      } else {
+        const item = await LabInventory.findOne({ _id: raw.itemId, hospitalId });
+        batch = item && item.batches.find(b => b.batchNumber === batchNumber);
+        itemName = item && item.itemName;
+      }
+      if (!batch) return res.status(400).json({ error: `${label}: batch ${batchNumber} not found` });
+      // Stock goes back only to the supplier it came from (batches with no supplier recorded may go to any)
+      if (batch.supplierId && String(batch.supplierId) !== String(supplier._id)) {
+        return res.status(400).json({ error: `${itemName}: batch ${batchNumber} was not supplied by ${supplier.name}` });
+      }
+      if (batch.quantity < quantity) return res.status(400).json({ error: `${itemName}: only ${batch.quantity} left in batch ${batchNumber}` });
+      lines.push({ itemId: raw.itemId, itemName, batchNumber, expiryDate: batch.expiryDate, quantity, unitPrice: batch.unitPrice, batch });
+    }
+
+    const returnNumber = await nextPurchasingNumber(hospitalId, 'supplierReturnSeq', 'RTN');
+    const stockNote = [`To ${supplier.name}`, note].filter(Boolean).join(' - ');
+    const returned = [];
+    for (const line of lines) {
+      let moved;
+      if (store === 'pharmacy') {
+        moved = await movePharmacyStock(req.session, line.batch, -line.quantity, { reason: 'returned', note: stockNote, reference: returnNumber });
+      } else {
+        const result = await updateLabStock(hospitalId, line.itemId, item => {
+          const { lines: taken, shortfall } = labStock.takeStock(item, line.quantity, { batchNumber: line.batchNumber });
+          return shortfall > 0 ? { error: 'Not enough left in the batch' } : { lines: taken };
+        }, { reason: 'returned', note: `${returnNumber} - ${stockNote}`, session: req.session });
+        moved = !result.error;
+      }
+      // Stock used by someone else since the check stays out of the return
+      if (moved) returned.push(line);
+    }
+    if (returned.length === 0) return res.status(409).json({ error: 'The stock was changed by someone else - try again' });
+    if (store === 'pharmacy') emitToHospital(hospitalId, ['pharmacy'], 'stock-updated', {});
+
+    const billed = returned.map(({ batch, ...line }) => line);
+    const supplierReturn = await SupplierReturn.create({
+      hospitalId,
+      returnNumber,
+      store,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      reason,
+      lines: billed,
+      total: Math.round(billed.reduce((sum, l) => sum + l.quantity * (l.unitPrice || 0), 0) * 100) / 100,
+      note,
+      returnedBy: req.session.username,
+      returnedById: req.session.userId ? String(req.session.userId) : undefined
+    });
+    await auditRequest(req, {
+      action: 'purchasing.return',
+      entityType: 'SupplierReturn',
+      entityId: supplierReturn._id,
+      after: { returnNumber, store, supplier: supplier.name, reason, lines: billed.map(l => `${l.itemName} ${l.batchNumber} x ${l.quantity}`) }
+    });
+    res.json({ success: true, supplierReturn, skipped: lines.length - returned.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Receipts and returns in ?from=&to= (default this month), optionally for one ?store= and ?supplierId=.
+// Only stores the user manages are included. Returns { code, error } when refused.
+async function purchaseRegisterFor(req) {
+  const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999`) : new Date();
+  const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : new Date(to.getFullYear(), to.getMonth(), 1);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) return { code: 400, error: 'Invalid date range' };
+
+  const store = req.query.store ? String(req.query.store) : null;
+  if (store && !purchasing.STORES.includes(store)) return { code: 400, error: 'Choose the pharmacy or lab store' };
+  const stores = [];
+  for (const s of store ? [store] : purchasing.STORES) {
+    if (await hasPermission(req.session, STORE_PERMISSIONS[s])) stores.push(s);
+  }
+  if (stores.length === 0) return { code: 403, error: 'Permission denied' };
+
+  const query = { hospitalId: req.session.hospitalId, store: { $in: stores } };
+  if (req.query.supplierId) {
+    if (!mongoose.isValidObjectId(req.query.supplierId)) return { code: 400, error: 'Invalid supplier' };
+    query.supplierId = req.query.supplierId;
+  }
+  const receipts = await GoodsReceipt.find({ ...query, receivedAt: { $gte: from, $lte: to } });
+  const returns = await SupplierReturn.find({ ...query, returnedAt: { $gte: from, $lte: to } });
+  return { from, to, ...purchasing.purchaseRegister(receipts, returns) };
+}
+
+app.get('/api/purchasing/register', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const register = await purchaseRegisterFor(req);
+    if (register.error) return res.status(register.code).json({ error: register.error });
+    res.json(register);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/purchasing/register/export', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const register = await purchaseRegisterFor(req);
+    if (register.error) return res.status(register.code).json({ error: register.error });
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Purchase Register');
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Type', key: 'type', width: 10 },
+      { header: 'Number', key: 'number', width: 12 },
+      { header: 'Store', key: 'store', width: 10 },
+      { header: 'Supplier', key: 'supplierName', width: 28 },
+      { header: 'PO', key: 'poNumber', width: 12 },
+      { header: 'Invoice', key: 'invoiceNumber', width: 14 },
+      { header: 'Return Reason', key: 'reason', width: 18 },
+      { header: 'Item', key: 'itemName', width: 32 },
+      { header: 'Batch', key: 'batchNumber', width: 14 },
+      { header: 'Expiry', key: 'expiryDate', width: 12 },
+      { header: 'Quantity', key: 'quantity', width: 10 },
+      { header: 'Unit Price', key: 'unitPrice', width: 12 },
+      { header: 'Amount', key: 'amount', width: 12 }
+    ];
+    sheet.addRows(register.rows.map(row => ({
+      ...row,
+      date: new Date(row.date).toLocaleDateString('en-IN'),
+      expiryDate: row.expiryDate ? new Date(row.expiryDate).toLocaleDateString('en-IN') : ''
+    })));
+    sheet.addRow({ itemName: 'Total', amount: register.total }).font = { bold: true };
+    sheet.getRow(1).font = { bold: true };
+
+    const bySupplier = workbook.addWorksheet('By Supplier');
+    bySupplier.columns = [
+      { header: 'Supplier', key: 'supplierName', width: 32 },
+      { header: 'Received', key: 'received', width: 14 },
+      { header: 'Returned', key: 'returned', width: 14 },
+      { header: 'Net', key: 'net', width: 14 }
+    ];
+    bySupplier.addRows(register.bySupplier);
+    bySupplier.getRow(1).font = { bold: true };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=purchase_register_${Date.now()}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Lab Dashboard APIs ---
+
+// Get Lab Stats
+app.get('/api/lab/stats', requirePermission('lab:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const count = (statuses, extra = {}) => LabTest.countDocuments({ hospitalId, status: { $in: labWorkflow.expandStatuses(statuses) }, ...extra });
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  try {
+    const pending = await count(['ordered', 'recollect']);
+    const collection = await count(['collected', 'rejected']);
+    const processing = await count(['received', 'in_progress']);
+    const toVerify = await count(['resulted']);
+    const completed = await count(['reported'], { completedAt: { $gte: today } });
+    const urgent = await count(['ordered', 'recollect', 'collected', 'received', 'in_progress', 'resulted', 'verified'], { priority: 'urgent' });
+    const samplesToCollect = pending;
+
+    res.json({ pending, collection, processing, toVerify, completed, urgent, samplesToCollect });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get Lab Tests with Filters (status may be a comma-separated list)
+app.get('/api/lab/tests', requirePermission('lab:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+
+  const { status, date, search } = req.query;
+  const query = { hospitalId };
+
+  if (status && status !== 'all') {
+    query.status = { $in: labWorkflow.expandStatuses(String(status).split(',').map(s => s.trim()).filter(Boolean)) };
+  }
+
+  if (date) {
+    // Assuming date is YYYY-MM-DD
+    // Need to handle string date matching or range
+    // Since orderedAt is Date, we need range
+    const start = new Date(date);
+    const end = new Date(date);
+    end.setDate(end.getDate() + 1);
+    query.orderedAt = { $gte: start, $lt: end };
+  }
+
+  try {
+    let tests = await LabTest.find(query)
+      .populate('patientId', 'name age gender phone mrn')
+      .sort({ priority: -1, orderedAt: -1 }); // Urgent first
+
+    // Manual search filter if needed (or use regex in query)
+    if (search) {
+      const searchRegex = new RegExp(escapeRegExp(search), 'i');
+      // Since we populated, we can filter in memory or use aggregate
+      // For simplicity, filter in memory
+      tests = tests.filter(t =>
+        (t.patientId && (searchRegex.test(t.patientId.name) || searchRegex.test(t.patientId.phone)))
+      );
+    }
+
+    res.json(tests.map(labTestView));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tests ordered in the analytics period: ?from=&to= (YYYY-MM-DD, default the last 30 days)
+async function labAnalyticsFor(req) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return { error: 'Invalid date range' };
+  }
+  from.setHours(0, 0, 0, 0);
+  to.setHours(23, 59, 59, 999);
+  if (to - from > 366 * 24 * 60 * 60 * 1000) return { error: 'The date range can be at most a year' };
+
+  const hospitalId = req.session.hospitalId;
+  const tests = await LabTest.find({ hospitalId, orderedAt: { $gte: from, $lte: to } })
+    .select('testTypeId testName status priority orderedAt sampleCollectedAt startedAt resultDate completedAt ' +
+      'rejectedAt rejectionReason statusHistory technicianId technicianName resultedBy resultedById machineId')
+    .lean();
+  const testTypes = await LabTestType.find({ hospitalId }).select('name turnaroundTime').lean();
+  return { from, to, ...labAnalytics.labAnalytics(tests, testTypes) };
+}
+
+app.get('/api/lab/analytics', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const analytics = await labAnalyticsFor(req);
+    if (analytics.error) return res.status(400).json({ error: analytics.error });
+    res.json(analytics);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/lab/analytics/export', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const analytics = await labAnalyticsFor(req);
+    if (analytics.error) return res.status(400).json({ error: analytics.error });
+
+    const workbook = new ExcelJS.Workbook();
+    const addSheet = (name, columns, rows) => {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = columns;
+      sheet.addRows(rows);
+      sheet.getRow(1).font = { bold: true };
+      return sheet;
+    };
+    const period = `${analytics.from.toLocaleDateString('en-IN')} - ${analytics.to.toLocaleDateString('en-IN')}`;
+    const s = analytics.summary;
+
+    addSheet('Summary', [
+      { header: 'Measure', key: 'measure', width: 32 },
+      { header: 'Value', key: 'value', width: 24 }
+    ], [
+      { measure: 'Period', value: period },
+      { measure: 'Tests ordered', value: s.ordered },
+      { measure: 'Tests reported', value: s.reported },
+      { measure: 'Tests cancelled', value: s.cancelled },
+      { measure: 'Urgent tests', value: s.urgent },
+      { measure: 'Median TAT (min)', value: s.tat.median },
+      { measure: '90th percentile TAT (min)', value: s.tat.p90 },
+      { measure: 'Median urgent TAT (min)', value: s.urgentTat.median },
+      { measure: 'TAT breaches', value: s.breaches },
+      { measure: 'Open tests past TAT', value: s.overdue },
+      { measure: 'Sample rejection rate (%)', value: analytics.rejections.rate }
+    ]);
+
+    addSheet('Turnaround by Test', [
+      { header: 'Test', key: 'testName', width: 30 },
+      { header: 'Target TAT (h)', key: 'targetHours', width: 14 },
+      { header: 'Ordered', key: 'ordered', width: 10 },
+      { header: 'Reported', key: 'reported', width: 10 },
+      { header: 'Median TAT (min)', key: 'median', width: 16 },
+      { header: '90th pct TAT (min)', key: 'p90', width: 18 },
+      { header: 'Median to Collection (min)', key: 'toCollection', width: 24 },
+      { header: 'Median to Start (min)', key: 'toStart', width: 20 },
+      { header: 'Median Processing (min)', key: 'processing', width: 22 },
+      { header: 'Breaches', key: 'breaches', width: 10 },
+      { header: 'Overdue', key: 'overdue', width: 10 }
+    ], analytics.byTest.map(t => ({
+      testName: t.testName,
+      targetHours: t.targetHours,
+      ordered: t.ordered,
+      reported: t.reported,
+      median: t.tat.median,
+      p90: t.tat.p90,
+      toCollection: t.toCollection.median,
+      toStart: t.toStart.median,
+      processing: t.processing.median,
+      breaches: t.breaches,
+      overdue: t.overdue
+    })));
+
+    addSheet('Rejections', [
+      { header: 'Reason', key: 'reason', width: 40 },
+      { header: 'Rejections', key: 'count', width: 12 },
+      { header: 'Share (%)', key: 'share', width: 12 }
+    ], analytics.rejections.reasons);
+
+    const workloadColumns = label => [
+      { header: label, key: 'name', width: 28 },
+      { header: 'Tests', key: 'tests', width: 10 },
+      { header: 'Resulted', key: 'resulted', width: 10 },
+      { header: 'Urgent', key: 'urgent', width: 10 },
+      { header: 'Median Processing (min)', key: 'median', width: 22 },
+      { header: '90th pct Processing (min)', key: 'p90', width: 24 }
+    ];
+    const workloadRows = list => list.map(w => ({ ...w, median: w.processing.median, p90: w.processing.p90 }));
+    addSheet('Technicians', workloadColumns('Technician'), workloadRows(analytics.byTechnician));
+    addSheet('Machines', workloadColumns('Machine'), workloadRows(analytics.byMachine));
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=lab_analytics_${Date.now()}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assign Technician
+app.post('/api/lab/tests/:id/assign', requirePermission('lab:process'), async (req, res) => {
+  const { technicianId } = req.body;
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    const technician = await findStaff(req.session.hospitalId, technicianId);
+    if (!technician) return res.status(400).json({ error: 'Technician not found' });
+
+    const technicianName = technician.fullName || technician.username;
+    await LabTest.findByIdAndUpdate(test._id, { technicianId: String(technician._id), technicianName });
+    await auditRequest(req, {
+      action: 'lab.assign',
+      entityType: 'LabTest',
+      entityId: test._id,
+      changes: [{ field: 'technician', before: test.technicianName || null, after: technicianName }]
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a test along its lifecycle
+app.put('/api/lab/tests/:id/status', requireAuth, async (req, res) => {
+  const { status, reason, rejectionReason, interpretation } = req.body;
+
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const result = await transitionLabTest(req, test, status, { reason: reason || rejectionReason, interpretation });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+    res.json({ success: true, test: result.test });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update Sample Status (kept for older clients; collected | rejected)
+app.post('/api/lab/tests/:id/sample', requireAuth, async (req, res) => {
+  const { status, rejectionReason } = req.body;
+
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const result = await transitionLabTest(req, test, status, { reason: rejectionReason });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+    res.json({ success: true, test: result.test });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update Test Processing Status (kept for older clients; in_progress | completed)
+app.post('/api/lab/tests/:id/process', requireAuth, async (req, res) => {
+  const { status, machineId } = req.body;
+
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const result = await transitionLabTest(req, test, status === 'completed' ? 'resulted' : status, { machineId });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+    res.json({ success: true, test: result.test });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save Lab Results. Technicians may save a draft while the test is in progress; submitting moves it to
+// resulted for a second person to verify. Until then rows are edited in place, afterwards only amended.
+app.post('/api/lab/tests/:id/results', requirePermission('lab:results'), async (req, res) => {
+  const { results, draft, analyzerResultId } = req.body;
+
+  if (!results || !Array.isArray(results)) {
+    return res.status(400).json({ error: 'Invalid results data' });
+  }
+
+  try {
+    let test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    // Reviewed instrument results: a received sample starts processing on the instrument that ran it
+    let staged = null;
+    if (analyzerResultId) {
+      staged = mongoose.isValidObjectId(analyzerResultId) && await AnalyzerResult.findOne({
+        _id: analyzerResultId, hospitalId: req.session.hospitalId, testId: test._id, status: 'pending'
+      }).populate('instrumentId', 'code');
+      if (!staged) return res.status(409).json({ error: 'These instrument results were already reviewed' });
+      if (labWorkflow.currentStatus(test) === 'received') {
+        const machineId = staged.instrumentId ? staged.instrumentId.code : undefined;
+        const started = await transitionLabTest(req, test, 'in_progress', { machineId });
+        if (started.error) return res.status(started.code).json({ error: started.error });
+        test = await findLabTest(req.session.hospitalId, test._id);
+      }
+    }
+    const status = labWorkflow.currentStatus(test);
+    if (['verified', 'reported'].includes(status)) {
+      return res.status(409).json({ error: 'Verified results cannot be changed - record an amendment instead' });
+    }
+    if (!['in_progress', 'resulted'].includes(status)) {
+      return res.status(409).json({ error: `Results cannot be entered for a test that is ${status}` });
+    }
+    const testId = test._id;
+
+    // Catalog tests are checked and flagged against their parameters; free-form results on older orders carry no flags
+    let entries = results.map(r => ({ parameterName: r.parameterName, value: r.value, unit: r.unit, referenceRange: r.referenceRange, notes: r.notes }));
+    const form = await labResultForm(test);
+    if (form.length) {
+      const checked = labCatalog.checkResults(form, results);
+      if (checked.errors.length) return res.status(400).json({ error: checked.errors[0], errors: checked.errors });
+      entries = checked.results;
+    } else if (results.length === 0) {
+      return res.status(400).json({ error: 'Enter at least one result' });
+    }
+    const previous = await LabResult.find({ testId });
+    const resultKey = r => `${r.section || ''}|${r.parameterName}`;
+    const now = new Date();
+
+    // Update each parameter in place; values cleared from an unverified entry are dropped
+    const resultDocs = entries.map(r => ({
+      testId,
+      section: r.section,
+      parameterName: r.parameterName,
+      value: r.value,
+      unit: r.unit,
+      referenceRange: r.referenceRange,
+      rangeLow: r.rangeLow,
+      rangeHigh: r.rangeHigh,
+      flag: r.flag || '',
+      isAbnormal: Boolean(r.isAbnormal),
+      isCritical: Boolean(r.isCritical),
+      notes: r.notes,
+      enteredBy: req.session.username,
+      enteredById: req.session.userId ? String(req.session.userId) : undefined,
+      enteredAt: now
+    }));
+    await applyDeltaChecks(test, form, resultDocs);
+    const deltaWarnings = resultDocs.filter(d => d.delta && d.delta.exceeded).map(d => ({
+      section: d.section,
+      parameterName: d.parameterName,
+      value: d.value,
+      previousValue: d.delta.previousValue,
+      percent: d.delta.percent
+    }));
+    for (const doc of resultDocs) {
+      await LabResult.findOneAndUpdate(
+        { testId, section: doc.section || null, parameterName: doc.parameterName },
+        doc,
+        { upsert: true }
+      );
+    }
+    const kept = new Set(resultDocs.map(resultKey));
+    const cleared = previous.filter(r => !kept.has(resultKey(r))).map(r => r._id);
+    if (cleared.length) await LabResult.deleteMany({ _id: { $in: cleared } });
+
+    const enteredBy = { $set: { resultedBy: req.session.username } };
+    if (req.session.userId) {
+      enteredBy.$set.resultedById = String(req.session.userId);
+      enteredBy.$addToSet = { resultEnteredBy: String(req.session.userId) };
+    }
+    if (staged && staged.instrumentId) enteredBy.$set.machineId = staged.instrumentId.code;
+    await LabTest.updateOne({ _id: testId }, enteredBy);
+    if (staged) {
+      await AnalyzerResult.updateOne({ _id: staged._id }, { status: 'accepted', reviewedAt: now, reviewedBy: req.session.username });
+    }
+
+    // Each parameter becomes one field of the diff, so corrected values show old and new side by side
+    const resultValues = list => Object.fromEntries(list.map(r => [
+      r.section ? `${r.section} - ${r.parameterName}` : r.parameterName,
+      [r.value, r.unit].filter(Boolean).join(' ')
+    ]));
+    await auditRequest(req, {
+      action: draft ? 'lab.results.draft' : (previous.length ? 'lab.results.update' : 'lab.results.enter'),
+      entityType: 'LabTest',
+      entityId: testId,
+      before: resultValues(previous),
+      after: resultValues(resultDocs)
+    });
+
+    if (draft) {
+      emitLabUpdate(req.session.hospitalId, await findLabTest(req.session.hospitalId, testId));
+      return res.json({ success: true, draft: true, deltaWarnings });
+    }
+
+    await raiseCriticalAlert(req, test, resultDocs);
+    if (status === 'in_progress') {
+      const result = await transitionLabTest(req, test, 'resulted');
+      if (result.error) return res.status(result.code).json({ error: result.error });
+      return res.json({ success: true, test: result.test, deltaWarnings });
+    }
+    emitLabUpdate(req.session.hospitalId, await findLabTest(req.session.hospitalId, testId));
+    res.json({ success: true, deltaWarnings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Correct verified results. The old value, new value, reason and author are kept on the result row.
+app.post('/api/lab/tests/:id/amendments', requirePermission('lab:verify'), async (req, res) => {
+  const { amendments } = req.body;
+  const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+
+  if (!Array.isArray(amendments) || amendments.length === 0) {
+    return res.status(400).json({ error: 'Nothing to amend' });
+  }
+  if (!reason) return res.status(400).json({ error: 'A reason is required for an amendment' });
+
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    const status = labWorkflow.currentStatus(test);
+    if (!['verified', 'reported'].includes(status)) {
+      return res.status(409).json({ error: 'Only verified results can be amended - edit the results instead' });
+    }
+
+    let entries = amendments
+      .map(a => ({ section: a.section, parameterName: a.parameterName, value: String(a.value || '').trim(), flag: '' }))
+      .filter(a => a.value);
+    const form = await labResultForm(test);
+    if (form.length) {
+      const checked = labCatalog.checkResults(form, amendments);
+      if (checked.errors.length) return res.status(400).json({ error: checked.errors[0], errors: checked.errors });
+      entries = checked.results;
+    }
+
+    // Check every row exists before changing any of them
+    const rows = [];
+    for (const entry of entries) {
+      const row = await LabResult.findOne({ testId: test._id, section: entry.section || null, parameterName: entry.parameterName });
+      if (!row) {
+        return res.status(400).json({ error: `${entry.parameterName} was not part of the verified results` });
+      }
+      rows.push({ row, entry });
+    }
+
+    const now = new Date();
+    const changes = [];
+    for (const { row, entry } of rows) {
+      if (row.value === entry.value) continue;
+
+      row.amendments.push({
+        oldValue: row.value,
+        newValue: entry.value,
+        oldFlag: row.flag,
+        newFlag: entry.flag || '',
+        reason,
+        at: now,
+        by: req.session.username,
+        byId: req.session.userId ? String(req.session.userId) : undefined
+      });
+      changes.push({ field: row.section ? `${row.section} - ${row.parameterName}` : row.parameterName, before: row.value, after: entry.value });
+      row.set({
+        value: entry.value,
+        flag: entry.flag || '',
+        isAbnormal: Boolean(entry.isAbnormal),
+        isCritical: Boolean(entry.isCritical),
+        amended: true
+      });
+      // The corrected value is compared with the same previous result
+      if (row.delta && row.delta.previousValue !== undefined) {
+        const previous = { value: row.delta.previousValue, at: row.delta.previousAt, testId: row.delta.previousTestId };
+        row.delta = labTrends.deltaCheck(entry.value, previous, row.delta.limit);
+      }
+      await row.save();
+    }
+    if (changes.length === 0) return res.status(400).json({ error: 'No values were changed' });
+
+    await LabTest.updateOne({ _id: test._id }, { amendedAt: now, amendedBy: req.session.username });
+    await auditRequest(req, {
+      action: 'lab.results.amend',
+      entityType: 'LabTest',
+      entityId: test._id,
+      changes: [...changes, { field: 'reason', before: null, after: reason }]
+    });
+
+    const current = await LabResult.find({ testId: test._id });
+    await raiseCriticalAlert(req, test, current);
+    emitLabUpdate(req.session.hospitalId, await findLabTest(req.session.hospitalId, test._id));
+    res.json({ success: true, amended: changes.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Critical alerts still waiting for a doctor (a doctor's own, when signed in as one)
+app.get('/api/lab/critical-alerts', requirePermission('lab:read'), async (req, res) => {
+  const query = { hospitalId: req.session.hospitalId, criticalAlerts: { $elemMatch: { acknowledgedAt: null } } };
+  const doctorId = req.session.doctorId || req.query.doctorId;
+  if (doctorId && mongoose.isValidObjectId(doctorId)) query.doctorId = doctorId;
+
+  try {
+    const tests = await LabTest.find(query).populate('patientId', 'name mrn').sort({ resultDate: -1 }).limit(100);
+    res.json(tests.map(criticalAlertView));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Doctor confirms they have seen a test's critical values
+app.post('/api/lab/tests/:id/critical-ack', requirePermission('lab:order'), async (req, res) => {
+  const note = req.body.note ? String(req.body.note).trim().slice(0, 500) : undefined;
+
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    if (!test.criticalAlerts.some(a => !a.acknowledgedAt)) {
+      return res.status(409).json({ error: 'No unacknowledged critical alert on this test' });
+    }
+
+    const acknowledgedAt = new Date();
+    const set = {
+      'criticalAlerts.$[open].acknowledgedAt': acknowledgedAt,
+      'criticalAlerts.$[open].acknowledgedBy': req.session.username
+    };
+    if (req.session.userId) set['criticalAlerts.$[open].acknowledgedById'] = String(req.session.userId);
+    if (note) set['criticalAlerts.$[open].note'] = note;
+    const updated = await LabTest.findByIdAndUpdate(test._id, { $set: set }, { new: true, arrayFilters: [{ 'open.acknowledgedAt': null }] });
+    await auditRequest(req, {
+      action: 'lab.critical.ack',
+      entityType: 'LabTest',
+      entityId: test._id,
+      changes: [{ field: 'criticalAcknowledged', before: null, after: note || 'acknowledged' }]
+    });
+
+    emitLabUpdate(req.session.hospitalId, updated);
+    const room = updated.doctorId ? `doctor:${updated.doctorId}` : 'doctors';
+    io.to(hospitalRoom(req.session.hospitalId, room)).emit('critical-acknowledged', { testId: updated._id });
+    res.json({ success: true, acknowledgedAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get Test Details & Results
+app.get('/api/lab/tests/:id', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    await test.populate('patientId');
+
+    const results = await LabResult.find({ testId: test._id });
+    const form = await labResultForm(test);
+
+    res.json({ ...labTestView(test), results, form });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every verified result of a patient, one series per parameter; ?parameter=HbA1c for a single one
+app.get('/api/lab/patients/:patientId/trends', requirePermission('lab:read'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.patientId)) return res.status(404).json({ error: 'Patient not found' });
+  try {
+    const trends = await patientLabTrends(req.session.hospitalId, req.params.patientId);
+    if (req.query.parameter) {
+      const series = labTrends.findSeries(trends, req.query.parameter);
+      if (!series) return res.status(404).json({ error: 'No results for this parameter' });
+      return res.json(series);
+    }
+    res.json(trends);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Lab Inventory ---
+
+/**
+ * Change an inventory item's stock and write the ledger. `apply(item)` changes the batches
+ * and returns { lines, note } or { error }. A change that races another one is retried on fresh data.
+ */
+async function updateLabStock(hospitalId, itemId, apply, { reason, note, testId, session }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const item = await LabInventory.findOne({ _id: itemId, hospitalId });
+    if (!item) return { code: 404, error: 'Item not found' };
+    const statusBefore = item.status;
+
+    const result = apply(item);
+    if (result.error) return { code: 400, error: result.error };
+    labStock.refresh(item);
+    try {
+      await item.save();
+    } catch (err) {
+      if (err.name === 'VersionError') continue;
+      throw err;
+    }
+
+    const at = new Date();
+    await LabStockMovement.insertMany(result.lines.map(line => ({
+      hospitalId,
+      itemId: item._id,
+      itemName: item.itemName,
+      batchNumber: line.batchNumber,
+      change: line.change,
+      balance: item.quantity,
+      reason,
+      note: [note, result.note].filter(Boolean).join(' - ') || undefined,
+      testId,
+      at,
+      by: session.username,
+      byId: session.userId ? String(session.userId) : undefined
+    })));
+
+    if (item.status !== 'ok' && item.status !== statusBefore) {
+      emitToHospital(hospitalId, ['lab'], 'stock-alert', { itemName: item.itemName, quantity: item.quantity, unit: item.unit, status: item.status });
+    }
+    return { item };
+  }
+  return { code: 409, error: 'The stock was changed by someone else - try again' };
+}
+
+// Take one run's reagents from stock the first time a test's results are entered.
+// Stock problems are logged, never allowed to block the result.
+async function deductReagents(session, test) {
+  try {
+    if (!test.testTypeId || test.reagentsDeductedAt) return;
+    const claimed = await LabTest.findOneAndUpdate(
+      { _id: test._id, reagentsDeductedAt: { $exists: false } },
+      { reagentsDeductedAt: new Date() }
+    );
+    if (!claimed) return;
+
+    const type = await LabTestType.findOne({ _id: test.testTypeId, hospitalId: test.hospitalId });
+    if (!type) return;
+    // A panel without its own reagent list uses those of its member tests
+    let lists = [type.consumables];
+    if (type.isPanel && type.consumables.length === 0) {
+      const members = await LabTestType.find({ _id: { $in: type.panelTests }, hospitalId: test.hospitalId });
+      lists = members.map(m => m.consumables);
+    }
+
+    for (const usage of labStock.totalUsage(lists)) {
+      await updateLabStock(test.hospitalId, usage.itemId, item => {
+        const { lines, shortfall } = labStock.takeStock(item, usage.quantity);
+        // Nothing in stock: keep a zero line so the ledger still shows the test and the shortfall
+        if (lines.length === 0) lines.push({ change: 0 });
+        return { lines, note: shortfall > 0 ? `Short by ${shortfall} ${item.unit || ''}`.trim() : undefined };
+      }, { reason: 'consumption', note: `${test.testName}${test.accessionNumber ? ` (${test.accessionNumber})` : ''}`, testId: test._id, session });
+    }
+  } catch (err) {
+    console.error(`Could not deduct reagents for test ${test._id}: ${err.message}`);
+  }
+}
+
+// Inventory items with their batches, soonest expiry first
+app.get('/api/lab/inventory', requirePermission('lab:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  try {
+    const items = await LabInventory.find({ hospitalId }).sort({ itemName: 1 });
+    res.json(items.map(item => {
+      const obj = item.toJSON();
+      obj.status = labStock.stockStatus(item);
+      obj.batches.sort((a, b) => (a.expiryDate ? new Date(a.expiryDate) : Infinity) - (b.expiryDate ? new Date(b.expiryDate) : Infinity));
+      return obj;
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Low stock and expiring batches for the lab overview
+app.get('/api/lab/inventory/alerts', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const items = await LabInventory.find({ hospitalId: req.session.hospitalId });
+    res.json({ ...labStock.stockAlerts(items), warningDays: labStock.EXPIRY_WARNING_DAYS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check a received batch: { batchNumber, quantity, expiryDate }
+function stockBatch(body) {
+  const batchNumber = String(body.batchNumber || '').trim().slice(0, 50);
+  const quantity = Number(body.quantity);
+  const expiryDate = body.expiryDate ? new Date(body.expiryDate) : undefined;
+  if (!batchNumber) return { error: 'Batch number is required' };
+  if (!Number.isFinite(quantity) || quantity <= 0) return { error: 'Quantity must be more than zero' };
+  if (expiryDate && Number.isNaN(expiryDate.getTime())) return { error: 'Invalid expiry date' };
+  return { batch: { batchNumber, quantity, expiryDate } };
+}
+
+app.post('/api/lab/inventory', requirePermission('lab:inventory'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const itemName = String(req.body.itemName || '').trim().slice(0, 100);
+  const unit = String(req.body.unit || 'units').trim().slice(0, 20);
+  const minLevel = Number(req.body.minLevel === undefined || req.body.minLevel === '' ? 10 : req.body.minLevel);
+
+  if (!itemName) return res.status(400).json({ error: 'Item name is required' });
+  if (!Number.isFinite(minLevel) || minLevel < 0) return res.status(400).json({ error: 'Minimum level must be zero or more' });
+
+  try {
+    const newItem = await LabInventory.create({ hospitalId, itemName, unit, minLevel, quantity: 0, status: 'out', addedAt: new Date() });
+    await auditRequest(req, {
+      action: 'inventory.create',
+      entityType: 'LabInventory',
+      entityId: newItem._id,
+      after: { itemName, unit, minLevel }
+    });
+
+    // Opening stock is optional
+    if (req.body.batchNumber || req.body.quantity) {
+      const { batch, error } = stockBatch(req.body);
+      if (error) return res.status(400).json({ error, id: newItem._id });
+      const result = await updateLabStock(hospitalId, newItem._id, item => ({ lines: labStock.addStock(item, batch) }), {
+        reason: 'received', note: 'Opening stock', session: req.session
+      });
+      if (result.error) return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, id: newItem._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/lab/inventory/:id', requirePermission('lab:inventory'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+  const itemName = String(req.body.itemName || '').trim().slice(0, 100);
+  const minLevel = Number(req.body.minLevel);
+  if (!itemName) return res.status(400).json({ error: 'Item name is required' });
+  if (!Number.isFinite(minLevel) || minLevel < 0) return res.status(400).json({ error: 'Minimum level must be zero or more' });
+
+  try {
+    const item = await LabInventory.findOne({ _id: req.params.id, hospitalId });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    const before = { itemName: item.itemName, unit: item.unit, minLevel: item.minLevel };
+    item.set({ itemName, unit: String(req.body.unit || item.unit || '').trim().slice(0, 20), minLevel });
+    labStock.refresh(item);
+    await item.save();
+    await auditRequest(req, {
+      action: 'inventory.update',
+      entityType: 'LabInventory',
+      entityId: item._id,
+      before,
+      after: { itemName: item.itemName, unit: item.unit, minLevel: item.minLevel }
+    });
+    res.json({ success: true, item });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Receive a batch into stock
+app.post('/api/lab/inventory/:id/receive', requirePermission('lab:inventory'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+  const { batch, error } = stockBatch(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await updateLabStock(req.session.hospitalId, req.params.id, item => ({ lines: labStock.addStock(item, batch) }), {
+      reason: 'received', note: req.body.note ? String(req.body.note).slice(0, 200) : undefined, session: req.session
+    });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+    await auditRequest(req, {
+      action: 'inventory.receive',
+      entityType: 'LabInventory',
+      entityId: result.item._id,
+      after: { batchNumber: batch.batchNumber, quantity: batch.quantity, expiryDate: batch.expiryDate }
+    });
+    res.json({ success: true, item: result.item });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Manual adjustment with a reason: { change (+/-), reason, batchNumber, note }
+app.post('/api/lab/inventory/:id/adjust', requirePermission('lab:inventory'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+  const change = Number(req.body.change);
+  const { reason } = req.body;
+  const batchNumber = req.body.batchNumber ? String(req.body.batchNumber) : undefined;
+  const note = req.body.note ? String(req.body.note).trim().slice(0, 200) : undefined;
+
+  if (!Number.isFinite(change) || change === 0) return res.status(400).json({ error: 'Enter the quantity to add or remove' });
+  if (!labStock.ADJUSTMENT_REASONS.includes(reason)) return res.status(400).json({ error: 'Choose a reason for the adjustment' });
+
+  try {
+    const result = await updateLabStock(req.session.hospitalId, req.params.id, item => {
+      if (change > 0) {
+        const batch = item.batches.find(b => b.batchNumber === batchNumber);
+        if (!batch) return { error: 'Choose the batch to add to (new stock is received as a batch)' };
+        batch.quantity += change;
+        return { lines: [{ batchNumber, change }] };
+      }
+      const { lines, shortfall } = labStock.takeStock(item, -change, { batchNumber });
+      if (shortfall > 0) return { error: `Only ${-change - shortfall} ${item.unit || ''} available${batchNumber ? ` in batch ${batchNumber}` : ''}` };
+      return { lines };
+    }, { reason, note, session: req.session });
+    if (result.error) return res.status(result.code).json({ error: result.error });
+
+    await auditRequest(req, {
+      action: 'inventory.adjust',
+      entityType: 'LabInventory',
+      entityId: result.item._id,
+      after: { change, reason, batchNumber, note, balance: result.item.quantity }
+    });
+    res.json({ success: true, item: result.item });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/lab/inventory/:id/movements', requirePermission('lab:read'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+  try {
+    const movements = await LabStockMovement.find({ hospitalId: req.session.hospitalId, itemId: req.params.id })
+      .sort({ at: -1 })
+      .limit(200);
+    res.json(movements);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Test Types (Catalog) - active entries only unless ?all=true
+app.get('/api/lab/settings/test-types', requirePermission('lab:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const query = { hospitalId };
+  if (req.query.all !== 'true') query.active = { $ne: false };
+
+  try {
+    const types = await LabTestType.find(query).sort({ category: 1, name: 1 });
+    res.json(types);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check a catalog entry from the editor; panel members must be this hospital's own single tests
+async function checkTestType(hospitalId, body, selfId) {
+  const { testType, errors } = labCatalog.normalizeTestType(body);
+  if (errors.length) return { errors };
 
-    const testObj = test.toObject();
-    if (testObj.patientId) {
-      testObj.patientName = testObj.patientId.name;
-      testObj.patientAge = testObj.patientId.age;
-      testObj.patientGender = testObj.patientId.gender;
-      testObj.patientPhone = testObj.patientId.phone;
+  if (testType.isPanel) {
+    if (testType.panelTests.some(id => !mongoose.isValidObjectId(id) || (selfId && String(selfId) === id))) {
+      return { errors: ['Invalid panel member'] };
     }
+    const members = await LabTestType.countDocuments({ _id: { $in: testType.panelTests }, hospitalId, isPanel: { $ne: true } });
+    if (members !== testType.panelTests.length) return { errors: ['Panels can only contain single tests from this catalog'] };
+  }
+
+  if (testType.consumables.length) {
+    const ids = testType.consumables.map(c => c.itemId);
+    if (ids.some(id => !mongoose.isValidObjectId(id))) return { errors: ['Invalid reagent'] };
+    const items = await LabInventory.countDocuments({ _id: { $in: ids }, hospitalId });
+    if (items !== ids.length) return { errors: ['Reagents must be items from this lab\'s inventory'] };
+  }
+
+  const duplicate = await LabTestType.findOne({
+    hospitalId,
+    name: new RegExp(`^${escapeRegExp(testType.name)}$`, 'i'),
+    ...(selfId ? { _id: { $ne: selfId } } : {})
+  });
+  if (duplicate) return { errors: [`A test named "${duplicate.name}" already exists`] };
+
+  return { testType, errors: [] };
+}
+
+app.post('/api/lab/settings/test-types', requirePermission('lab:settings'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+
+  try {
+    const { testType, errors } = await checkTestType(hospitalId, req.body);
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+    const newType = await LabTestType.create({ hospitalId, ...testType, updatedAt: new Date() });
+    await auditRequest(req, {
+      action: 'labtest.create',
+      entityType: 'LabTestType',
+      entityId: newType._id,
+      after: { name: newType.name, category: newType.category, isPanel: newType.isPanel }
+    });
+    res.json({ success: true, id: newType._id, testType: newType });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/lab/settings/test-types/:id', requirePermission('lab:settings'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Test type not found' });
+
+  try {
+    const existing = await LabTestType.findOne({ _id: req.params.id, hospitalId });
+    if (!existing) return res.status(404).json({ error: 'Test type not found' });
+
+    const { testType, errors } = await checkTestType(hospitalId, req.body, existing._id);
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+    // Compare readable forms so the audit shows which settings changed
+    const snapshot = t => ({
+      name: t.name,
+      code: t.code,
+      category: t.category,
+      sampleType: t.sampleType,
+      container: t.container,
+      turnaroundTime: t.turnaroundTime,
+      price: t.price,
+      parameters: (t.parameters || []).map(p => `${p.name} (${p.unit || '-'})`),
+      panelTests: (t.panelTests || []).map(String),
+      consumables: (t.consumables || []).map(c => `${c.itemId} x ${c.quantity}`)
+    });
+    const before = snapshot(existing);
+    existing.set({ ...testType, updatedAt: new Date() });
+    await existing.save();
+    await auditRequest(req, {
+      action: 'labtest.update',
+      entityType: 'LabTestType',
+      entityId: existing._id,
+      before,
+      after: snapshot(existing)
+    });
+    res.json({ success: true, testType: existing });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Retire or restore a test (ordered tests keep their link to it)
+app.put('/api/lab/settings/test-types/:id/active', requirePermission('lab:settings'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  const active = req.body.active !== false;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Test type not found' });
+
+  try {
+    const testType = await LabTestType.findOneAndUpdate(
+      { _id: req.params.id, hospitalId },
+      { active, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!testType) return res.status(404).json({ error: 'Test type not found' });
+    await auditRequest(req, {
+      action: active ? 'labtest.restore' : 'labtest.retire',
+      entityType: 'LabTestType',
+      entityId: testType._id,
+      after: { active }
+    });
+    res.json({ success: true, testType });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Lab Analyzer Interface ---
+
+// Instrument ports and folders are only opened with ANALYZER_INTERFACE=on. Listeners accept anyone
+// who can reach them, so they bind to this machine unless ANALYZER_HOST names the instrument network.
+const ANALYZERS_ENABLED = process.env.ANALYZER_INTERFACE === 'on';
+const ANALYZER_HOST = process.env.ANALYZER_HOST || '127.0.0.1';
+// Folder instruments drop their files in sub-folders of this one
+const ANALYZER_FOLDER_ROOT = process.env.ANALYZER_FOLDER_ROOT || path.join(__dirname, 'data', 'analyzers');
+
+// Running listeners and folder watchers, keyed by instrument id
+const analyzerConnections = new Map();
+
+// Stage an instrument message: each specimen is matched to a test by accession number and
+// its codes mapped to catalog parameters, then held until a technician reviews it
+async function receiveAnalyzerMessage(instrument, raw) {
+  const message = analyzer.parseMessage(instrument.protocol, raw);
+  for (const specimen of message.specimens) {
+    const accessionNumber = specimen.accessionNumber.toUpperCase();
+    const test = accessionNumber
+      ? await LabTest.findOne({ hospitalId: instrument.hospitalId, accessionNumber })
+      : null;
+    const form = test ? await labResultForm(test) : [];
+    const staged = await AnalyzerResult.create({
+      hospitalId: instrument.hospitalId,
+      instrumentId: instrument._id,
+      testId: test ? test._id : undefined,
+      accessionNumber,
+      protocol: message.protocol,
+      results: analyzer.mapResults(specimen.results, form, instrument.codeMap),
+      error: test ? undefined : `No sample with accession number ${accessionNumber || '(none)'}`,
+      raw: raw.slice(0, 20000)
+    });
+    emitToHospital(instrument.hospitalId, ['lab'], 'analyzer-result', {
+      id: staged._id,
+      accessionNumber,
+      instrument: instrument.name,
+      matched: Boolean(test)
+    });
+  }
+  return message;
+}
+
+function stopAnalyzer(instrumentId) {
+  const connection = analyzerConnections.get(String(instrumentId));
+  if (!connection) return;
+  connection.stop();
+  analyzerConnections.delete(String(instrumentId));
+}
+
+// (Re)start the listener or folder watcher for an instrument
+function startAnalyzer(instrument) {
+  stopAnalyzer(instrument._id);
+  if (!ANALYZERS_ENABLED || instrument.active === false) return;
+
+  const label = `Analyzer ${instrument.code}`;
+  const onError = err => console.error(`${label}: ${err.message}`);
+  const onMessage = raw => receiveAnalyzerMessage(instrument, raw);
+
+  if (instrument.connection === 'folder') {
+    const folder = path.join(ANALYZER_FOLDER_ROOT, instrument.folder);
+    analyzerConnections.set(String(instrument._id), { stop: analyzer.watchFolder(folder, onMessage, onError) });
+    console.log(`${label} watching ${folder}`);
+  } else {
+    const listener = analyzer.listen({ port: instrument.port, host: ANALYZER_HOST, protocol: instrument.protocol }, onMessage, onError);
+    listener.on('listening', () => console.log(`${label} listening on ${ANALYZER_HOST}:${instrument.port}`));
+    analyzerConnections.set(String(instrument._id), { stop: () => listener.close() });
+  }
+}
+
+async function startAnalyzers() {
+  const instruments = await LabInstrument.find({ active: { $ne: false } });
+  instruments.forEach(startAnalyzer);
+}
+
+// Check an instrument from the editor; codes are unique per hospital, ports across the whole server
+async function checkInstrument(hospitalId, body, selfId) {
+  const { instrument, errors } = analyzer.normalizeInstrument(body);
+  if (errors.length) return { errors };
+
+  const others = selfId ? { _id: { $ne: selfId } } : {};
+  const duplicate = await LabInstrument.findOne({ hospitalId, code: instrument.code, ...others });
+  if (duplicate) return { errors: [`Instrument code ${instrument.code} is already used by ${duplicate.name}`] };
+  if (instrument.port && await LabInstrument.exists({ port: instrument.port, active: { $ne: false }, ...others })) {
+    return { errors: [`Port ${instrument.port} is already in use`] };
+  }
+  return { instrument, errors: [] };
+}
+
+// Ports and folders open the server itself to instruments, so only admins may set or change them
+function refuseConnectionChange(req, res, existing, instrument) {
+  if (req.session.role === 'admin') return false;
+  const changed = !existing || existing.connection !== instrument.connection ||
+    existing.port !== instrument.port || existing.folder !== instrument.folder;
+  if (changed) res.status(403).json({ error: 'Only an administrator can set an instrument\'s connection, port or folder' });
+  return changed;
+}
+
+function instrumentView(instrument) {
+  return { ...instrument.toJSON(), running: analyzerConnections.has(String(instrument._id)) };
+}
 
-    res.json({ ...testObj, results });
+app.get('/api/lab/instruments', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const instruments = await LabInstrument.find({ hospitalId: req.session.hospitalId }).sort({ name: 1 });
+    res.json(instruments.map(instrumentView));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Inventory Management
-app.get('/api/lab/inventory', async (req, res) => {
+app.post('/api/lab/instruments', requirePermission('lab:settings'), async (req, res) => {
   const hospitalId = req.session.hospitalId;
+
   try {
-    const items = await LabInventory.find({ hospitalId });
-    res.json(items);
+    const { instrument, errors } = await checkInstrument(hospitalId, req.body);
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+    if (refuseConnectionChange(req, res, null, instrument)) return;
+
+    const created = await LabInstrument.create({ hospitalId, ...instrument, updatedAt: new Date() });
+    await auditRequest(req, {
+      action: 'instrument.create',
+      entityType: 'LabInstrument',
+      entityId: created._id,
+      after: { name: created.name, code: created.code, protocol: created.protocol, port: created.port, folder: created.folder }
+    });
+    startAnalyzer(created);
+    res.json({ success: true, instrument: instrumentView(created) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/lab/inventory', async (req, res) => {
+app.put('/api/lab/instruments/:id', requirePermission('lab:settings'), async (req, res) => {
   const hospitalId = req.session.hospitalId;
-  const { itemName, quantity, unit, minLevel } = req.body;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Instrument not found' });
 
   try {
-    const newItem = await LabInventory.create({
-      hospitalId, itemName, quantity, unit, minLevel, addedAt: new Date()
+    const existing = await LabInstrument.findOne({ _id: req.params.id, hospitalId });
+    if (!existing) return res.status(404).json({ error: 'Instrument not found' });
+
+    const { instrument, errors } = await checkInstrument(hospitalId, req.body, existing._id);
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+    if (refuseConnectionChange(req, res, existing, instrument)) return;
+
+    const snapshot = i => ({
+      name: i.name,
+      code: i.code,
+      protocol: i.protocol,
+      connection: i.connection,
+      port: i.port,
+      folder: i.folder,
+      codeMap: (i.codeMap || []).map(m => `${m.code} = ${m.parameterName}`)
     });
-    res.json({ success: true, id: newItem._id });
+    const before = snapshot(existing);
+    existing.set({ ...instrument, updatedAt: new Date() });
+    await existing.save();
+    await auditRequest(req, {
+      action: 'instrument.update',
+      entityType: 'LabInstrument',
+      entityId: existing._id,
+      before,
+      after: snapshot(existing)
+    });
+    startAnalyzer(existing);
+    res.json({ success: true, instrument: instrumentView(existing) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Test Types (Templates)
-app.get('/api/lab/settings/test-types', async (req, res) => {
+// Disconnect or reconnect an instrument
+app.put('/api/lab/instruments/:id/active', requirePermission('lab:settings'), async (req, res) => {
   const hospitalId = req.session.hospitalId;
+  const active = req.body.active !== false;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Instrument not found' });
+
   try {
-    const types = await LabTestType.find({ hospitalId });
-    res.json(types);
+    const instrument = await LabInstrument.findOne({ _id: req.params.id, hospitalId });
+    if (!instrument) return res.status(404).json({ error: 'Instrument not found' });
+    if (active && instrument.port && await LabInstrument.exists({ _id: { $ne: instrument._id }, port: instrument.port, active: { $ne: false } })) {
+      return res.status(409).json({ error: `Port ${instrument.port} is already in use` });
+    }
+    instrument.set({ active, updatedAt: new Date() });
+    await instrument.save();
+    await auditRequest(req, {
+      action: active ? 'instrument.enable' : 'instrument.disable',
+      entityType: 'LabInstrument',
+      entityId: instrument._id,
+      after: { active }
+    });
+    startAnalyzer(instrument);
+    res.json({ success: true, instrument: instrumentView(instrument) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/lab/settings/test-types', async (req, res) => {
-  const hospitalId = req.session.hospitalId;
-  const { name, category, parameters, price } = req.body;
+// Instrument results waiting for review (or ?status=accepted|discarded)
+app.get('/api/lab/analyzer-results', requirePermission('lab:read'), async (req, res) => {
+  const status = ['pending', 'accepted', 'discarded'].includes(req.query.status) ? req.query.status : 'pending';
+
+  try {
+    const staged = await AnalyzerResult.find({ hospitalId: req.session.hospitalId, status })
+      .populate('instrumentId', 'name code')
+      .populate({ path: 'testId', populate: { path: 'patientId', select: 'name age gender phone mrn' } })
+      .sort({ receivedAt: -1 })
+      .limit(200);
+    res.json(staged.map(s => {
+      const obj = s.toJSON();
+      delete obj.raw;
+      obj.instrument = s.instrumentId ? { name: s.instrumentId.name, code: s.instrumentId.code } : null;
+      obj.instrumentId = s.populated('instrumentId') || s.instrumentId;
+      obj.test = s.testId ? labTestView(s.testId) : null;
+      obj.testId = s.testId ? s.testId._id : undefined;
+      return obj;
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/lab/analyzer-results/:id/discard', requirePermission('lab:results'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Result not found' });
 
   try {
-    const newType = await LabTestType.create({
-      hospitalId, name, category, parameters: JSON.stringify(parameters), price
+    const staged = await AnalyzerResult.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.session.hospitalId, status: 'pending' },
+      { status: 'discarded', reviewedAt: new Date(), reviewedBy: req.session.username },
+      { new: true }
+    );
+    if (!staged) return res.status(404).json({ error: 'Result not found or already reviewed' });
+    await auditRequest(req, {
+      action: 'lab.analyzer.discard',
+      entityType: 'AnalyzerResult',
+      entityId: staged._id,
+      after: { accessionNumber: staged.accessionNumber, testId: staged.testId }
     });
-    res.json({ success: true, id: newType._id });
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -784,9 +4299,8 @@ app.post('/api/lab/settings/test-types', async (req, res) => {
 
 // --- Prescription Template APIs ---
 
-app.get('/api/prescription-template', async (req, res) => {
+app.get('/api/prescription-template', requireAuth, async (req, res) => {
   const hospitalId = req.session.hospitalId;
-  if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
 
   try {
     const template = await PrescriptionTemplate.findOne({ hospitalId });
@@ -820,9 +4334,8 @@ app.get('/api/prescription-template', async (req, res) => {
   }
 });
 
-app.post('/api/prescription-template', templateValidators, async (req, res) => {
+app.post('/api/prescription-template', requirePermission('settings:manage'), templateValidators, async (req, res) => {
   const hospitalId = req.session.hospitalId;
-  if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
 
   const data = req.body;
   data.hospitalId = hospitalId;
@@ -840,29 +4353,148 @@ app.post('/api/prescription-template', templateValidators, async (req, res) => {
   }
 });
 
+// Medication lines as a bordered table at the current position, breaking pages as needed
+// A pdfkit document sized, margined and coloured from a hospital's prescription template
+function createTemplatePdf(template) {
+  const PDFDocument = require('pdfkit');
+  const validSizes = ['A4', 'LETTER', 'A5', 'LEGAL'];
+  let paperSize = (template.paperSize || 'A4').toUpperCase();
+  if (!validSizes.includes(paperSize)) paperSize = 'A4';
+
+  const doc = new PDFDocument({
+    size: paperSize,
+    margins: {
+      top: Number(template.marginTop) || 50,
+      bottom: Number(template.marginBottom) || 50,
+      left: Number(template.marginLeft) || 50,
+      right: Number(template.marginRight) || 50
+    }
+  });
+
+  return {
+    doc,
+    primaryColor: template.primaryColor || '#0EA5E9',
+    secondaryColor: template.secondaryColor || '#666666',
+    fontSize: Number(template.fontSize) || 12
+  };
+}
+
+// Watermark and letterhead shared by every branded document
+function drawLetterhead(doc, template, hospital, { primaryColor, secondaryColor }) {
+  if (template.showWatermark && template.watermarkText) {
+    doc.save();
+    doc.fontSize(60).fillColor('#f0f0f0').opacity(0.1)
+      .rotate(45, { origin: [300, 300] })
+      .text(template.watermarkText, 100, 100, { align: 'center', width: 400 });
+    doc.restore();
+  }
+
+  if (template.showLetterhead) {
+    doc.fontSize(20).fillColor(primaryColor)
+      .text(template.hospitalName || hospital.name || 'Medical Center', { align: 'center' });
+    doc.fontSize(10).fillColor(secondaryColor)
+      .text(template.hospitalAddress || hospital.address || '', { align: 'center' })
+      .text((template.hospitalPhone || hospital.phone || '') + (template.hospitalEmail ? ' | ' + template.hospitalEmail : ''), { align: 'center' });
+    doc.moveDown(0.5);
+    doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor(primaryColor).stroke();
+    doc.moveDown(1.5);
+  }
+}
+
+/**
+ * Draw a table across the page width, repeating the header after page breaks.
+ * Rows are arrays of cells, or { cells, bold, color } objects; { section } rows span the table.
+ */
+function drawTable(doc, columns, rows, { fontSize, headerColor }) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const padding = 4;
+  const cols = columns.map(c => ({ header: c.header, width: c.share * width }));
+
+  const drawRow = (cells, { header, bold, color } = {}) => {
+    doc.font(header || bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize - 1);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: cols[i].width - padding * 2 }))) + padding * 2;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!header) drawRow(cols.map(c => c.header), { header: true });
+    }
+
+    const y = doc.y;
+    if (header) doc.rect(left, y, width, height).fill(headerColor);
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.fillColor(header ? '#FFFFFF' : (color || '#000000')).text(cell, x + padding, y + padding, { width: cols[i].width - padding * 2 });
+      x += cols[i].width;
+    });
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#DDDDDD').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(cols.map(c => c.header), { header: true });
+  rows.forEach(row => {
+    if (Array.isArray(row)) return drawRow(row);
+    if (row.section) {
+      doc.font('Helvetica-Bold').fontSize(fontSize - 1);
+      const height = doc.heightOfString(row.section, { width: width - padding * 2 }) + padding * 2;
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      const y = doc.y;
+      doc.fillColor(headerColor).text(row.section, left + padding, y + padding, { width: width - padding * 2 });
+      doc.x = left;
+      doc.y = y + height;
+      return;
+    }
+    drawRow(row.cells, row);
+  });
+  doc.font('Helvetica').fillColor('#000000');
+}
+
+function drawMedicationTable(doc, medications, { fontSize, headerColor }) {
+  const columns = [
+    { header: '#', share: 0.05 },
+    { header: 'Medicine', share: 0.32 },
+    { header: 'Dose / Frequency / Duration', share: 0.33 },
+    { header: 'Qty', share: 0.08 },
+    { header: 'Instructions', share: 0.22 }
+  ];
+  drawTable(doc, columns, medications.map((med, i) => [
+    String(i + 1),
+    prescriptions.drugLabel(med),
+    prescriptions.dosageLabel(med),
+    med.quantity ? String(med.quantity) : '-',
+    med.instructions || ''
+  ]), { fontSize, headerColor });
+}
+
 // Generate Prescription PDF
-app.get('/api/prescription-pdf/:patientId', async (req, res) => {
+app.get('/api/prescription-pdf/:visitId', async (req, res) => {
   let hospitalId = req.session.hospitalId;
-  const patientId = req.params.patientId;
+  const visitId = req.params.visitId;
   const token = req.query.token;
 
   try {
-    let patient;
+    let visit;
     if (token) {
-      patient = await Patient.findOne({ _id: patientId, publicToken: token });
-      if (patient) hospitalId = patient.hospitalId;
+      if (mongoose.isValidObjectId(visitId)) {
+        visit = await Encounter.findOne({ _id: visitId, publicToken: token }).populate('patientId');
+      }
+      if (visit) hospitalId = visit.hospitalId;
     } else {
       if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
-      patient = await Patient.findOne({ _id: patientId, hospitalId });
+      if (!(await hasPermission(req.session, 'prescriptions:read'))) {
+        return res.status(403).json({ error: 'Permission denied', permission: 'prescriptions:read' });
+      }
+      visit = await findEncounter(hospitalId, visitId);
     }
 
-    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    if (!visit) return res.status(404).json({ error: 'Visit not found' });
 
     // Generate public token if missing
-    if (!patient.publicToken) {
-      patient.publicToken = generatePublicToken();
-      await patient.save();
+    if (!visit.publicToken) {
+      visit.publicToken = generatePublicToken();
+      await visit.save();
     }
+    const patient = visitView(visit);
 
     // Generate QR Code
     const baseUrl = process.env.BASE_URL || `http://${getLocalExternalIp()}:${process.env.PORT || 3000}`;
@@ -878,53 +4510,17 @@ app.get('/api/prescription-pdf/:patientId', async (req, res) => {
     // Get hospital info
     const hospital = await Hospital.findById(hospitalId);
 
-    // Get doctor info
-    const doctorName = req.session.username || 'Dr. Unknown';
-
-    const PDFDocument = require('pdfkit');
-    const validSizes = ['A4', 'LETTER', 'A5', 'LEGAL'];
-    let paperSize = (template.paperSize || 'A4').toUpperCase();
-    if (!validSizes.includes(paperSize)) paperSize = 'A4';
-
-    const doc = new PDFDocument({
-      size: paperSize,
-      margins: {
-        top: Number(template.marginTop) || 50,
-        bottom: Number(template.marginBottom) || 50,
-        left: Number(template.marginLeft) || 50,
-        right: Number(template.marginRight) || 50
-      }
-    });
+    // Get doctor info (assigned doctor, falling back to the logged-in user)
+    const doctor = await findDoctor(hospitalId, patient.doctorId);
+    const doctorName = doctor ? doctor.name : (req.session.username || 'Dr. Unknown');
+
+    const { doc, primaryColor, secondaryColor, fontSize } = createTemplatePdf(template);
 
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=prescription_${patient.name.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.pdf`);
+    res.setHeader('Content-Disposition', `attachment; filename=prescription_${(patient.name || 'patient').replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.pdf`);
 
     doc.pipe(res);
-
-    // ... (PDF Generation Logic - mostly same, just using template/hospital objects)
-    // I'll reuse the logic but adapted for object access
-    const primaryColor = template.primaryColor || '#0EA5E9';
-    const secondaryColor = template.secondaryColor || '#666666';
-    const fontSize = Number(template.fontSize) || 12;
-
-    if (template.showWatermark && template.watermarkText) {
-      doc.save();
-      doc.fontSize(60).fillColor('#f0f0f0').opacity(0.1)
-        .rotate(45, { origin: [300, 300] })
-        .text(template.watermarkText, 100, 100, { align: 'center', width: 400 });
-      doc.restore();
-    }
-
-    if (template.showLetterhead) {
-      doc.fontSize(20).fillColor(primaryColor)
-        .text(template.hospitalName || hospital.name || 'Medical Center', { align: 'center' });
-      doc.fontSize(10).fillColor(secondaryColor)
-        .text(template.hospitalAddress || hospital.address || '', { align: 'center' })
-        .text((template.hospitalPhone || hospital.phone || '') + (template.hospitalEmail ? ' | ' + template.hospitalEmail : ''), { align: 'center' });
-      doc.moveDown(0.5);
-      doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor(primaryColor).stroke();
-      doc.moveDown(1.5);
-    }
+    drawLetterhead(doc, template, hospital, { primaryColor, secondaryColor });
 
     doc.fontSize(fontSize).fillColor('#000000')
       .text(`Doctor: ${doctorName}`, { continued: true })
@@ -933,10 +4529,10 @@ app.get('/api/prescription-pdf/:patientId', async (req, res) => {
 
     doc.fontSize(fontSize + 2).fillColor(primaryColor).text('Patient Information', { underline: true });
     doc.fontSize(fontSize).fillColor('#000000').moveDown(0.5)
-      .text(`Name: ${patient.name}`)
+      .text(`Name: ${patient.name}${patient.mrn ? ` (${patient.mrn})` : ''}`)
       .text(`Age: ${patient.age} years | Gender: ${patient.gender}`)
       .text(`Phone: ${patient.phone}`)
-      .text(`Token No: ${patient.token}`)
+      .text(`Token No: ${patient.tokenLabel || patient.token}`)
       .text(`Department: ${patient.department}`);
     doc.moveDown(1.5);
 
@@ -955,7 +4551,10 @@ app.get('/api/prescription-pdf/:patientId', async (req, res) => {
     doc.fontSize(fontSize + 4).fillColor(primaryColor).text('℞ Prescription', { underline: true });
     doc.fontSize(fontSize).fillColor('#000000').moveDown(0.5);
 
-    if (patient.prescription) {
+    if (patient.medications && patient.medications.length) {
+      drawMedicationTable(doc, patient.medications, { fontSize, headerColor: primaryColor });
+    } else if (patient.prescription) {
+      // Visits from before structured prescriptions keep their free text
       const prescriptionLines = patient.prescription.split('\n');
       prescriptionLines.forEach(line => {
         if (line.trim()) doc.text(`• ${line.trim()}`);
@@ -963,6 +4562,12 @@ app.get('/api/prescription-pdf/:patientId', async (req, res) => {
     } else {
       doc.text('No prescription provided');
     }
+
+    if (patient.advice) {
+      doc.moveDown(1);
+      doc.fontSize(fontSize + 2).fillColor(primaryColor).text('Advice', { underline: true });
+      doc.fontSize(fontSize).fillColor('#000000').moveDown(0.5).text(patient.advice);
+    }
     doc.moveDown(2);
 
     if (template.headerText) {
@@ -991,56 +4596,566 @@ app.get('/api/prescription-pdf/:patientId', async (req, res) => {
     doc.fontSize(fontSize - 1).fillColor('#000000')
       .text('_____________________', 50, qrY, { align: 'left' })
       .text(doctorName, 50, qrY + 15, { align: 'left', width: 200 });
+    if (doctor && doctor.qualifications) {
+      doc.fontSize(fontSize - 3).fillColor(secondaryColor).text(doctor.qualifications, { align: 'left', width: 200 });
+    }
+    if (doctor && doctor.registrationNumber) {
+      doc.fontSize(fontSize - 3).fillColor(secondaryColor).text(`Reg. No: ${doctor.registrationNumber}`, { align: 'left', width: 200 });
+    }
+
+    doc.end();
+
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+  }
+});
+
+// Sample labels are sized for 50 x 25 mm label rolls
+const LABEL_SIZE = [141.73, 70.87];
+
+// One label page per sample: patient, test, container, collection time and the accession number
+// as a Code 128 barcode (or a QR code with ?type=qr)
+async function sendSampleLabels(req, res, tests) {
+  const PDFDocument = require('pdfkit');
+  const useQr = req.query.type === 'qr';
+
+  const labelled = [];
+  for (const test of tests) labelled.push(await ensureAccessionNumber(test));
+  const testTypes = await LabTestType.find({ _id: { $in: labelled.map(t => t.testTypeId).filter(Boolean) } });
+
+  const doc = new PDFDocument({ size: LABEL_SIZE, margin: 0, autoFirstPage: false });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=labels_${Date.now()}.pdf`);
+  doc.pipe(res);
+
+  for (const test of labelled) {
+    const patient = test.patientId || {};
+    const type = testTypes.find(t => t._id.equals(test.testTypeId)) || {};
+    const [width, height] = LABEL_SIZE;
+    const pad = 5;
+    doc.addPage();
+
+    // Text goes beside a QR code, or above the full-width barcode
+    const textX = useQr ? 50 : pad;
+    const textWidth = width - textX - pad;
+    const line = (str, y, { bold = false, size = 6 } = {}) => doc
+      .font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor('#000000')
+      .text(str, textX, y, { width: textWidth, height: size + 2, lineBreak: false, ellipsis: true });
+
+    line(patient.name || '-', 4, { bold: true, size: 7 });
+    line(`${patient.age || '-'}/${(patient.gender || '-').charAt(0).toUpperCase()}${patient.mrn ? `  ${patient.mrn}` : ''}`, 13);
+    line(`${test.testName}${type.container ? ` • ${type.container}` : ''}`, 21);
+    const collected = test.sampleCollectedAt
+      ? `Coll: ${new Date(test.sampleCollectedAt).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' })}`
+      : 'Coll: ____________';
+    line(collected, 29);
+
+    if (useQr) {
+      const qr = await QRCode.toBuffer(test.accessionNumber, { errorCorrectionLevel: 'M', type: 'png', width: 120, margin: 0 });
+      doc.image(qr, pad, 6, { width: 40 });
+      line(test.accessionNumber, 40, { bold: true, size: 9 });
+      if (test.priority === 'urgent') line('URGENT', 52, { bold: true, size: 8 });
+    } else {
+      barcode.drawCode128(doc, test.accessionNumber, { x: pad, y: 38, width: width - pad * 2, height: 20 });
+      doc.font('Helvetica-Bold').fontSize(7).fillColor('#000000')
+        .text(`${test.accessionNumber}${test.priority === 'urgent' ? '  URGENT' : ''}`, pad, height - 11, { width: width - pad * 2, align: 'center', lineBreak: false });
+    }
+  }
+
+  doc.end();
+}
+
+app.get('/api/lab/tests/:id/label.pdf', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const test = await findLabTest(req.session.hospitalId, req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    await test.populate('patientId');
+    await sendSampleLabels(req, res, [test]);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+  }
+});
+
+// Labels for every sample still to be collected or processed in an order
+app.get('/api/lab/orders/:orderId/labels.pdf', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const tests = await LabTest.find({
+      hospitalId: req.session.hospitalId,
+      orderId: String(req.params.orderId),
+      status: { $nin: ['cancelled'] }
+    }).populate('patientId').sort({ testName: 1 });
+    if (tests.length === 0) return res.status(404).json({ error: 'Order not found' });
+    await sendSampleLabels(req, res, tests);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+  }
+});
+
+// Look up a sample from a scanned label: the accession number, or the test id old labels carried
+app.get('/api/lab/scan/:code', requirePermission('lab:read'), async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    const query = { hospitalId: req.session.hospitalId };
+    if (mongoose.isValidObjectId(code.toLowerCase()) && code.length === 24) {
+      query._id = code.toLowerCase();
+    } else {
+      query.accessionNumber = code;
+    }
+    const test = await LabTest.findOne(query).populate('patientId');
+    if (!test) return res.status(404).json({ error: `No sample found for ${code}` });
+    res.json(labTestView(test));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Branded lab report for one test, or every verified test in an order (cumulative report).
+// Staff need lab:read; patients can open it from the QR code with their visit's public token.
+async function sendLabReport(req, res, query) {
+  const token = req.query.token;
+  let hospitalId = req.session.hospitalId;
+
+  try {
+    if (!token) {
+      if (!hospitalId) return res.status(401).json({ error: 'Not authenticated' });
+      if (!(await hasPermission(req.session, 'lab:read'))) {
+        return res.status(403).json({ error: 'Permission denied', permission: 'lab:read' });
+      }
+      query.hospitalId = hospitalId;
+    }
+
+    const tests = await LabTest.find(query).populate('patientId').sort({ orderedAt: 1, testName: 1 });
+    if (tests.length === 0) return res.status(404).json({ error: 'Test not found' });
+
+    let visit = tests[0].encounterId ? await Encounter.findById(tests[0].encounterId) : null;
+    if (token) {
+      const sameVisit = visit && visit.publicToken === token &&
+        tests.every(t => String(t.encounterId) === String(visit._id));
+      if (!sameVisit) return res.status(404).json({ error: 'Test not found' });
+      hospitalId = visit.hospitalId;
+    }
+
+    const ready = tests.filter(t => ['verified', 'reported'].includes(labWorkflow.currentStatus(t)));
+    if (ready.length === 0) return res.status(409).json({ error: 'Results have not been verified yet' });
+    const pending = tests.filter(t => !ready.includes(t) && labWorkflow.currentStatus(t) !== 'cancelled');
+
+    const results = await LabResult.find({ testId: { $in: ready.map(t => t._id) } });
+    const testTypes = await LabTestType.find({ _id: { $in: ready.map(t => t.testTypeId).filter(Boolean) } });
+    const template = await PrescriptionTemplate.findOne({ hospitalId }) || {};
+    const hospital = await Hospital.findById(hospitalId);
+    const patient = tests[0].patientId || {};
+
+    // Cumulative reports also show the patient's earlier results of the same parameters
+    const trendTable = query.orderId && patient._id
+      ? labTrends.trendTable(await patientLabTrends(hospitalId, patient._id), results.map(r => r.parameterName))
+      : { rows: [] };
+
+    // Verifying pathologists, with their doctor profile when they have one
+    const verifierIds = [...new Set(ready.map(t => {
+      const step = [...t.statusHistory].reverse().find(h => h.to === 'verified');
+      return step && step.byId;
+    }).filter(id => id && mongoose.isValidObjectId(id)))];
+    const verifierUsers = await User.find({ _id: { $in: verifierIds }, hospitalId });
+    const verifierProfiles = await Doctor.find({ userId: { $in: verifierIds }, hospitalId });
+    const verifiers = verifierIds.length
+      ? verifierUsers.map(u => ({ user: u, profile: verifierProfiles.find(d => String(d.userId) === String(u._id)) }))
+      : [...new Set(ready.map(t => t.verifiedBy).filter(Boolean))].map(name => ({ user: { username: name } }));
+
+    let qrCodeBuffer = null;
+    if (visit && template.showQRCode !== false) {
+      if (!visit.publicToken) {
+        visit.publicToken = generatePublicToken();
+        await visit.save();
+      }
+      const baseUrl = process.env.BASE_URL || `http://${getLocalExternalIp()}:${process.env.PORT || 3000}`;
+      const path = query.orderId ? `orders/${query.orderId}` : `tests/${ready[0]._id}`;
+      qrCodeBuffer = await QRCode.toBuffer(`${baseUrl}/api/lab/${path}/report.pdf?token=${visit.publicToken}`, {
+        errorCorrectionLevel: 'M', type: 'png', width: 150, margin: 1
+      });
+    }
+
+    const { doc, primaryColor, secondaryColor, fontSize } = createTemplatePdf(template);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=lab_report_${(patient.name || 'patient').replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.pdf`);
+    doc.pipe(res);
+    drawLetterhead(doc, template, hospital, { primaryColor, secondaryColor });
+
+    const formatDate = d => (d ? new Date(d).toLocaleString('en-IN') : '-');
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.fontSize(fontSize + 4).fillColor(primaryColor).text('LABORATORY REPORT', { align: 'center' });
+    doc.moveDown(1);
+
+    // Patient and order details in two columns
+    const details = [
+      [`Patient: ${patient.name || '-'}${patient.mrn ? ` (${patient.mrn})` : ''}`, `Report Date: ${formatDate(new Date())}`],
+      [`Age / Gender: ${patient.age || '-'} / ${patient.gender || '-'}`, `Referred By: ${tests[0].orderedBy || '-'}`],
+      [`Phone: ${patient.phone || '-'}`, query.orderId ? `Order: ${query.orderId}` : `Test ID: ${ready[0]._id}`]
+    ];
+    doc.fontSize(fontSize - 1).fillColor('#000000');
+    details.forEach(([a, b]) => {
+      const y = doc.y;
+      doc.text(a, left, y, { width: width / 2 });
+      const leftBottom = doc.y;
+      doc.text(b, left + width / 2, y, { width: width / 2 });
+      doc.x = left;
+      doc.y = Math.max(leftBottom, doc.y);
+    });
+    doc.moveDown(1);
+
+    ready.forEach(test => {
+      const type = testTypes.find(t => t._id.equals(test.testTypeId)) || {};
+      const rows = results.filter(r => r.testId.equals(test._id));
+
+      if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      doc.fontSize(fontSize + 2).fillColor(primaryColor).text(`${test.testName}${test.amendedAt ? ' (Amended)' : ''}`, left);
+      doc.fontSize(fontSize - 2).fillColor(secondaryColor).text([
+        type.sampleType ? `Sample: ${type.sampleType}${type.container ? ` (${type.container})` : ''}` : null,
+        `Collected: ${formatDate(test.sampleCollectedAt)}`,
+        `Received: ${formatDate(test.receivedAt)}`,
+        `Verified: ${formatDate(test.verifiedAt)}`
+      ].filter(Boolean).join('  •  '));
+      doc.moveDown(0.5);
+
+      const tableRows = [];
+      let section = null;
+      rows.forEach(r => {
+        if (r.section && r.section !== section) {
+          section = r.section;
+          tableRows.push({ section });
+        }
+        tableRows.push({
+          cells: [r.parameterName, `${r.value}${r.amended ? ' *' : ''}`, r.unit || '', r.referenceRange || '', FLAG_LABELS[r.flag] || ''],
+          bold: r.isAbnormal,
+          color: r.isCritical ? '#B91C1C' : null
+        });
+      });
+      drawTable(doc, [
+        { header: 'Parameter', share: 0.32 },
+        { header: 'Result', share: 0.16 },
+        { header: 'Unit', share: 0.14 },
+        { header: 'Reference Range', share: 0.22 },
+        { header: 'Flag', share: 0.16 }
+      ], tableRows, { fontSize, headerColor: primaryColor });
+
+      const notes = rows.filter(r => r.notes);
+      const amendments = rows.flatMap(r => r.amendments.map(a => ({ name: r.parameterName, ...a.toObject() })));
+      doc.fontSize(fontSize - 2).fillColor('#000000');
+      if (notes.length) {
+        doc.moveDown(0.5).font('Helvetica-Bold').text('Notes', left).font('Helvetica');
+        notes.forEach(r => doc.text(`${r.parameterName}: ${r.notes}`, left));
+      }
+      if (amendments.length) {
+        doc.moveDown(0.5).fillColor(secondaryColor);
+        amendments.forEach(a => doc.text(`* ${a.name} amended ${formatDate(a.at)} by ${a.by}: ${a.oldValue} → ${a.newValue} (${a.reason})`, left));
+      }
+      if (test.interpretation) {
+        doc.moveDown(0.5).fillColor('#000000').font('Helvetica-Bold').text('Interpretation', left).font('Helvetica');
+        doc.text(test.interpretation, left);
+      }
+      doc.fillColor('#000000').moveDown(1.5);
+    });
+
+    if (trendTable.rows.length) {
+      if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      doc.fontSize(fontSize + 2).fillColor(primaryColor).text('Previous Results', left);
+      doc.moveDown(0.5);
+      const share = 0.7 / trendTable.dates.length;
+      drawTable(doc, [
+        { header: 'Parameter', share: 0.3 },
+        ...trendTable.dates.map(d => ({ header: new Date(d.at).toLocaleDateString('en-IN'), share }))
+      ], trendTable.rows.map(r => [`${r.parameterName}${r.unit ? ` (${r.unit})` : ''}`, ...r.values.map(v => v || '-')]),
+      { fontSize, headerColor: primaryColor });
+      doc.moveDown(1.5);
+    }
+
+    if (pending.length) {
+      doc.fontSize(fontSize - 1).fillColor(secondaryColor)
+        .text(`Results to follow: ${pending.map(t => t.testName).join(', ')}`, left);
+      doc.moveDown(1);
+    }
+
+    if (template.footerText) {
+      doc.fontSize(fontSize - 2).fillColor(secondaryColor).text(template.footerText, left, doc.y, { align: 'center', width });
+    }
+
+    doc.moveDown(2);
+    if (doc.y + 170 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const signY = doc.y;
+    if (qrCodeBuffer) {
+      const qrX = doc.page.width - 170;
+      doc.image(qrCodeBuffer, qrX, signY, { width: 100 });
+      doc.fontSize(8).fillColor(secondaryColor).text('Scan to download report', qrX, signY + 105, { width: 100, align: 'center' });
+    }
+
+    let x = left;
+    verifiers.forEach(({ user, profile }) => {
+      doc.fontSize(fontSize - 1).fillColor('#000000')
+        .text('_____________________', x, signY, { width: 180 })
+        .text(profile ? profile.name : (user.fullName || user.username), x, signY + 15, { width: 180 });
+      doc.fontSize(fontSize - 3).fillColor(secondaryColor);
+      if (profile && profile.qualifications) doc.text(profile.qualifications, x, doc.y, { width: 180 });
+      if (profile && profile.registrationNumber) doc.text(`Reg. No: ${profile.registrationNumber}`, x, doc.y, { width: 180 });
+      doc.text('Verified by', x, doc.y, { width: 180 });
+      x += 190;
+    });
 
     doc.end();
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+  }
+}
+
+app.get('/api/lab/tests/:id/report.pdf', (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Test not found' });
+  sendLabReport(req, res, { _id: req.params.id });
+});
+
+app.get('/api/lab/orders/:orderId/report.pdf', (req, res) => {
+  sendLabReport(req, res, { orderId: String(req.params.orderId) });
+});
+
+// Pharmacy bill for one dispense: what was given from which batch, and what could not be given
+app.get('/api/pharmacy/dispenses/:id/bill.pdf', requirePermission('prescriptions:read'), async (req, res) => {
+  const hospitalId = req.session.hospitalId;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Bill not found' });
+
+  try {
+    const dispense = await Dispense.findOne({ _id: req.params.id, hospitalId }).populate('patientId');
+    if (!dispense) return res.status(404).json({ error: 'Bill not found' });
+    const visit = await Encounter.findById(dispense.encounterId);
+    const doctor = visit && visit.doctorId ? await Doctor.findById(visit.doctorId) : null;
+    const template = await PrescriptionTemplate.findOne({ hospitalId }) || {};
+    const hospital = await Hospital.findById(hospitalId);
+    const patient = dispense.patientId || {};
+
+    const { doc, primaryColor, secondaryColor, fontSize } = createTemplatePdf(template);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=pharmacy_bill_${dispense.billNumber}.pdf`);
+    doc.pipe(res);
+    drawLetterhead(doc, template, hospital, { primaryColor, secondaryColor });
+
+    const formatDate = d => (d ? new Date(d).toLocaleDateString('en-IN') : '-');
+    const money = n => (n || 0).toFixed(2);
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.fontSize(fontSize + 4).fillColor(primaryColor).text('PHARMACY BILL', { align: 'center' });
+    doc.moveDown(1);
+
+    const details = [
+      [`Patient: ${patient.name || '-'}${patient.mrn ? ` (${patient.mrn})` : ''}`, `Bill No: ${dispense.billNumber}`],
+      [`Age / Gender: ${patient.age || '-'} / ${patient.gender || '-'}`, `Date: ${new Date(dispense.dispensedAt).toLocaleString('en-IN')}`],
+      [`Prescribed By: ${doctor ? doctor.name : '-'}`, visit && visit.tokenLabel ? `Token: ${visit.tokenLabel}` : '']
+    ];
+    doc.fontSize(fontSize - 1).fillColor('#000000');
+    details.forEach(([a, b]) => {
+      const y = doc.y;
+      doc.text(a, left, y, { width: width / 2 });
+      const leftBottom = doc.y;
+      doc.text(b, left + width / 2, y, { width: width / 2 });
+      doc.x = left;
+      doc.y = Math.max(leftBottom, doc.y);
+    });
+    doc.moveDown(1);
+
+    // One row per batch given, so each strip can be traced back to its batch
+    const rows = [];
+    dispense.lines.filter(l => l.quantity > 0).forEach(line => {
+      const name = line.substituted ? `${line.medicationName}\n(for ${line.prescribed})` : line.medicationName;
+      line.batches.forEach((batch, i) => rows.push([
+        i === 0 ? name : '',
+        batch.batchNumber || '-',
+        formatDate(batch.expiryDate),
+        String(batch.quantity),
+        money(batch.unitPrice),
+        money(batch.quantity * batch.unitPrice)
+      ]));
+    });
+    rows.push({ cells: ['Total', '', '', '', '', money(dispense.total)], bold: true });
+    drawTable(doc, [
+      { header: 'Medicine', share: 0.36 },
+      { header: 'Batch', share: 0.16 },
+      { header: 'Expiry', share: 0.14 },
+      { header: 'Qty', share: 0.08 },
+      { header: 'Rate', share: 0.12 },
+      { header: 'Amount', share: 0.14 }
+    ], rows, { fontSize, headerColor: primaryColor });
+
+    const notGiven = dispense.lines.filter(l => l.status !== 'dispensed');
+    if (notGiven.length) {
+      doc.moveDown(1);
+      doc.fontSize(fontSize).fillColor(primaryColor).text('Not dispensed in full', left);
+      doc.fontSize(fontSize - 2).fillColor('#000000');
+      notGiven.forEach(line => {
+        const given = line.quantity ? `${line.quantity} of ${line.requested}` : 'none';
+        doc.text(`• ${line.prescribed || line.medicationName}: ${pharmacyStock.DISPENSE_STATUSES[line.status]} (${given} given)${line.reason ? ` - ${line.reason}` : ''}`, left);
+      });
+    }
+
+    if (dispense.note) {
+      doc.moveDown(0.5);
+      doc.fontSize(fontSize - 2).fillColor(secondaryColor).text(`Note: ${dispense.note}`, left);
+    }
 
+    doc.moveDown(2);
+    doc.fontSize(fontSize - 1).fillColor('#000000').text(`Dispensed by: ${dispense.dispensedBy || '-'}`, left);
+    doc.end();
   } catch (err) {
     console.error(err);
     if (!res.headersSent) res.status(500).json({ error: err.message });
   }
 });
 
+// --- Socket.IO ---
+
+// Rooms are namespaced per hospital so events never cross tenants
+function hospitalRoom(hospitalId, name) {
+  return name ? `hospital:${hospitalId}:${name}` : `hospital:${hospitalId}`;
+}
+
+// Emit to some of a hospital's dashboard rooms (a socket in several rooms gets it once)
+function emitToHospital(hospitalId, rooms, event, payload) {
+  io.to(rooms.map(r => hospitalRoom(hospitalId, r))).emit(event, payload);
+}
+
+// Dashboards a socket can join, and the permission each needs
+const DASHBOARD_ROOMS = {
+  doctor: { room: 'doctors', permission: 'patients:read' },
+  reception: { room: 'reception', permission: 'patients:read' },
+  pharmacy: { room: 'pharmacy', permission: 'prescriptions:read' },
+  lab: { room: 'lab', permission: 'lab:read' }
+};
+
+// Only signed-in hospital users with an active account and their own password may connect;
+// their tenant comes from the session, never the client
+io.use(async (socket, next) => {
+  const session = socket.request.session;
+  try {
+    if (!session || !session.hospitalId || !(await permissions.refreshSession(session))) return next(new Error('Not authenticated'));
+    if (session.mustChangePassword) return next(new Error('Not authenticated'));
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// After a user's role or status changes: drop the cached account and close their live connections,
+// so they reconnect (or are refused) with what they may do now
+function signOutSockets(userId) {
+  permissions.forgetUser(userId);
+  for (const socket of io.of('/').sockets.values()) {
+    const session = socket.request.session;
+    if (session && String(session.userId) === String(userId)) socket.disconnect(true);
+  }
+}
+
+// Check the socket's session for every listed permission, telling the client when refused
+async function authorizeSocket(socket, event, required) {
+  const session = socket.request.session;
+  for (const permission of required) {
+    if (!(await hasPermission(session, permission))) {
+      socket.emit('permission-denied', { event, permission });
+      return false;
+    }
+  }
+  return true;
+}
+
 io.on('connection', (socket) => {
-  socket.on('join', (role) => {
-    if (role === 'doctor') socket.join('doctors');
-    if (role === 'reception') socket.join('reception');
-    if (role === 'pharmacy') socket.join('pharmacy');
-    if (role === 'lab') socket.join('lab');
-    socket.role = role;
-    console.log(`Socket ${socket.id} joined as ${role}`);
-  });
+  const session = socket.request.session;
+  const hospitalId = String(session.hospitalId);
+  socket.join(hospitalRoom(hospitalId));
+  if (session.doctorId) socket.join(hospitalRoom(hospitalId, `doctor:${session.doctorId}`));
+
+  // Audit entries for actions taken over this connection
+  const auditSocket = (entry) => audit.record({ hospitalId, session, ip: socket.handshake.address, ...entry });
 
-  socket.on('register-patient', async (data) => {
-    const dept = data.department || 'General';
-    const hospitalId = data.hospitalId || '000000000000000000000000'; // Fallback ID if needed, but should be provided
+  // Payloads come from the client and may be anything, so every handler checks them (and asks
+  // the database for permissions) inside its try: a throw in an async listener would end the process
+  socket.on('join', async (dashboard) => {
+    try {
+      const entry = DASHBOARD_ROOMS[dashboard];
+      if (!entry) return;
+      if (!(await authorizeSocket(socket, 'join', [entry.permission]))) return;
 
-    if (!data.name || !data.name.trim()) {
-      return socket.emit('patient-registration-error', { message: 'Patient name is required' });
+      socket.join(hospitalRoom(hospitalId, entry.room));
+      console.log(`Socket ${socket.id} joined ${hospitalRoom(hospitalId, entry.room)} as ${session.username}`);
+    } catch (err) {
+      console.error(err);
     }
+  });
 
+  socket.on('register-patient', async (data = {}) => {
     try {
-      // Calculate token
-      const count = await Patient.countDocuments({ department: dept, hospitalId });
-      const token = count + 1;
-
-      let assignedDoctor = data.doctorId || null;
-      if (!assignedDoctor) {
-        const avail = doctors.find(d => d.dept === dept && d.status === 'available');
-        if (avail) assignedDoctor = avail.id;
+      if (!(await authorizeSocket(socket, 'register-patient', ['patients:register']))) return;
+
+      if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+        return socket.emit('patient-registration-error', { message: 'Patient name is required' });
+      }
+
+      // Resolve department (defaults to the first active one)
+      await ensureDepartments(hospitalId);
+      const deptQuery = { hospitalId, isArchived: false };
+      if (data.department) deptQuery.name = data.department;
+      const department = await Department.findOne(deptQuery).sort({ name: 1 });
+      if (!department) {
+        return socket.emit('patient-registration-error', { message: 'Department not found or archived' });
+      }
+      const dept = department.name;
+
+      let assignedDoctor = null;
+      if (data.doctorId) {
+        assignedDoctor = await findDoctor(hospitalId, data.doctorId);
+        if (!assignedDoctor || !assignedDoctor.isActive) {
+          return socket.emit('patient-registration-error', { message: 'Selected doctor not found' });
+        }
+      } else {
+        assignedDoctor = await Doctor.findOne({ hospitalId, department: dept, status: 'available', isActive: true });
+      }
+
+      // Fee: explicit amount, else the doctor's fee, else the department default
+      let cost = parseFloat(data.cost);
+      if (isNaN(cost)) {
+        cost = (assignedDoctor && assignedDoctor.consultationFee) || department.defaultConsultationFee || 0;
       }
 
-      const newPatient = await Patient.create({
+      // Returning patients visit against their existing record; anyone else gets a new MRN
+      let patient = null;
+      if (data.patientId) {
+        patient = await findPatient(hospitalId, data.patientId);
+        if (!patient) {
+          return socket.emit('patient-registration-error', { message: 'Patient record not found' });
+        }
+      }
+      const isNewPatient = !patient;
+      if (isNewPatient) {
+        patient = new Patient({ hospitalId, mrn: await nextMrn(hospitalId), createdAt: new Date() });
+      }
+      // Details entered at the desk are the most recent ones (age, address change between visits)
+      ['name', 'age', 'gender', 'phone', 'address'].forEach(f => {
+        if (data[f] !== undefined && data[f] !== '') patient[f] = typeof data[f] === 'string' ? data[f].trim() : data[f];
+      });
+      patient.lastVisitAt = new Date();
+      patient.updatedAt = new Date();
+      await patient.save();
+
+      const { token, tokenLabel, tokenPeriod } = await allocateToken(hospitalId, department);
+
+      const visit = await Encounter.create({
         hospitalId,
+        patientId: patient._id,
         token,
-        name: data.name || 'Unknown',
-        age: data.age,
-        gender: data.gender,
-        phone: data.phone,
-        address: data.address,
-        patientType: data.patientType || 'New',
+        tokenLabel,
+        tokenPeriod,
+        patientType: isNewPatient ? 'New' : (data.patientType && data.patientType !== 'New' ? data.patientType : 'Follow-up'),
         opdIpd: data.opdIpd || 'OPD',
         department: dept,
-        doctorId: assignedDoctor,
+        departmentId: department._id,
+        doctorId: assignedDoctor ? assignedDoctor._id : null,
         reason: data.reason,
         status: 'waiting',
         registeredAt: new Date(),
@@ -1048,15 +5163,20 @@ io.on('connection', (socket) => {
         prescription: data.prescription,
         history: JSON.stringify(data.history || []),
         pharmacyState: null,
-        cost: data.cost || 0
+        cost
       });
 
-      console.log(`Registered patient ${newPatient.id} token ${token}`);
+      console.log(`Registered visit ${visit.id} for ${patient.mrn} token ${tokenLabel}`);
+      if (isNewPatient) {
+        await auditSocket({ action: 'patient.create', entityType: 'Patient', entityId: patient._id, after: patient });
+      }
+      await auditSocket({ action: 'visit.register', entityType: 'Encounter', entityId: visit._id, after: visit });
 
-      io.to('doctors').emit('patient-registered', newPatient);
-      io.to('reception').emit('patient-registered', newPatient);
-      io.emit('queue-updated', { patient: newPatient });
-      socket.emit('patient-registered', newPatient);
+      await visit.populate('patientId');
+      const payload = visitView(visit);
+      socket.to([hospitalRoom(hospitalId, 'doctors'), hospitalRoom(hospitalId, 'reception')]).emit('patient-registered', payload);
+      socket.emit('patient-registered', payload);
+      emitToHospital(hospitalId, ['pharmacy'], 'queue-updated', { patient: payload });
 
     } catch (err) {
       console.error(err);
@@ -1064,104 +5184,191 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('move-patient', async ({ id, status, doctorId, pharmacyState }) => {
+  socket.on('move-patient', async (data = {}) => {
     try {
-      const patient = await Patient.findById(id);
-      if (!patient) return;
-
-      if (status) patient.status = status;
-      if (doctorId) patient.doctorId = doctorId;
-      if (pharmacyState) patient.pharmacyState = pharmacyState;
-
-      await patient.save();
+      const { id, status, doctorId, pharmacyState } = data || {};
+      // Pharmacy may only mark a prescription prepared here; partial and delivered are set by dispensing
+      if (pharmacyState && pharmacyState !== 'prepared') {
+        return socket.emit('permission-denied', { event: 'move-patient', permission: 'pharmacy:dispense' });
+      }
+      const required = [];
+      if (pharmacyState) required.push('pharmacy:dispense');
+      if (doctorId || status) required.push('patients:move');
+      if (!(await authorizeSocket(socket, 'move-patient', required))) return;
+
+      const visit = await findEncounter(hospitalId, id);
+      if (!visit) return;
+
+      const before = { status: visit.status, doctorId: visit.doctorId, pharmacyState: visit.pharmacyState };
+      if (status) visit.status = status;
+      if (doctorId) {
+        const doctor = await findDoctor(hospitalId, doctorId);
+        if (doctor) visit.doctorId = doctor._id;
+      }
+      if (pharmacyState) visit.pharmacyState = pharmacyState;
+
+      visit.updatedAt = new Date();
+      await visit.save();
+      await auditSocket({
+        action: 'patient.move',
+        entityType: 'Encounter',
+        entityId: visit._id,
+        before,
+        after: { status: visit.status, doctorId: visit.doctorId, pharmacyState: visit.pharmacyState }
+      });
 
-      io.emit('patient-updated', patient);
-      io.to('doctors').emit('queue-updated', { patient });
-      io.to('reception').emit('queue-updated', { patient });
-      io.to('pharmacy').emit('queue-updated', { patient });
+      const patient = visitView(visit);
+      io.to(hospitalRoom(hospitalId)).emit('patient-updated', patient);
+      emitToHospital(hospitalId, ['doctors', 'reception', 'pharmacy'], 'queue-updated', { patient });
     } catch (err) {
       console.error(err);
+      socket.emit('move-patient-error', { id: data && data.id, message: err.message });
     }
   });
 
-  socket.on('update-prescription', async ({ id, prescription }) => {
+  socket.on('update-prescription', async (data = {}) => {
+    const id = data && data.id;
     try {
-      const patient = await Patient.findByIdAndUpdate(id, { prescription }, { new: true });
-      if (!patient) return;
-
-      // Check for lab keywords
-      const labKeywords = ['test', 'lab', 'cbc', 'blood', 'urine', 'x-ray', 'scan', 'profile', 'panel'];
-      const lowerPrescription = prescription.toLowerCase();
-      const hasLabRequest = labKeywords.some(keyword => lowerPrescription.includes(keyword));
-
-      if (hasLabRequest) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const existing = await LabTest.findOne({
-          patientId: id,
-          orderedAt: { $gte: today },
-          status: 'pending'
-        });
+      const { medications, advice, diagnosis, overrideReason } = data || {};
+      if (!(await authorizeSocket(socket, 'update-prescription', ['prescriptions:write']))) return;
 
-        if (!existing) {
-          const testName = "Lab Test Request (from Prescription)";
-          let doctorName = 'Doctor';
-          const doc = doctors.find(d => d.id === patient.doctorId);
-          if (doc) doctorName = doc.name;
-
-          await LabTest.create({
-            hospitalId: patient.hospitalId,
-            patientId: id,
-            testName,
-            orderedBy: doctorName,
-            orderedAt: new Date(),
-            status: 'pending',
-            priority: 'normal',
-            sampleStatus: 'pending'
-          });
+      const { medications: lines, errors } = prescriptions.normalizeMedications(medications || []);
+      if (errors.length) {
+        return socket.emit('prescription-error', { id, message: errors[0], errors });
+      }
 
-          io.to('lab').emit('lab-update');
-        }
+      const visit = await findEncounter(hospitalId, id);
+      if (!visit) return socket.emit('prescription-error', { id, message: 'Visit not found' });
+
+      // Audit the readable form of each line rather than raw sub-documents
+      const snapshot = () => ({
+        medications: visit.medications.map(prescriptions.formatMedication),
+        advice: visit.advice,
+        diagnosis: visit.diagnosis
+      });
+      const before = snapshot();
+      // Only keep links to this hospital's drug master
+      const drugIds = lines.filter(l => l.drugId).map(l => l.drugId);
+      if (drugIds.length) {
+        const known = new Set((await PharmacyItem.find({ hospitalId, _id: { $in: drugIds } }).select('_id')).map(i => String(i._id)));
+        lines.forEach(l => { if (l.drugId && !known.has(l.drugId)) delete l.drugId; });
+      }
+
+      // Severe allergy, interaction and condition warnings are only accepted with a reason
+      const warnings = await prescriptionWarnings(hospitalId, visit.patientId, lines);
+      const severe = drugSafety.needsOverride(warnings);
+      const reason = String(overrideReason || '').trim().slice(0, 300);
+      if (severe.length && !reason) {
+        return socket.emit('prescription-error', {
+          id,
+          message: `${severe[0].message}. Give a reason to override severe warnings.`,
+          errors: severe.map(w => w.message),
+          warnings
+        });
+      }
+
+      visit.medications = lines;
+      visit.prescriptionWarnings = warnings.map(w => (w.severity === 'severe' ? { ...w, overrideReason: reason, overriddenBy: session.username } : w));
+      if (advice !== undefined) visit.advice = String(advice).trim();
+      if (diagnosis !== undefined) visit.diagnosis = String(diagnosis).trim();
+      visit.prescribedAt = new Date();
+      visit.updatedAt = new Date();
+      await visit.save();
+      await auditSocket({ action: 'prescription.update', entityType: 'Encounter', entityId: visit._id, before, after: snapshot() });
+      if (severe.length) {
+        await auditSocket({
+          action: 'prescription.override',
+          entityType: 'Encounter',
+          entityId: visit._id,
+          after: { warnings: severe.map(w => w.message), reason }
+        });
       }
 
-      io.to('doctors').emit('prescription-updated', patient);
-      io.to('reception').emit('prescription-updated', patient);
+      const patient = visitView(visit);
+      socket.to([hospitalRoom(hospitalId, 'doctors'), hospitalRoom(hospitalId, 'reception'), hospitalRoom(hospitalId, 'pharmacy')])
+        .emit('prescription-updated', patient);
       socket.emit('prescription-updated', patient);
     } catch (err) {
       console.error(err);
+      socket.emit('prescription-error', { id, message: err.message });
     }
   });
 
-  socket.on('create-lab-request', async ({ patientId, testName, doctorId }) => {
+  // One LabTest per catalog entry, all sharing an order id
+  socket.on('order-lab-tests', async (data = {}) => {
     try {
-      console.log('create-lab-request received:', { patientId, testName, doctorId });
-      const patient = await Patient.findById(patientId);
-      if (!patient) {
-        console.error('Patient not found for ID:', patientId);
-        socket.emit('lab-request-created', { success: false, message: 'Patient not found' });
-        return;
+      const { visitId, testTypeIds, priority, notes, doctorId } = data || {};
+      if (!(await authorizeSocket(socket, 'order-lab-tests', ['lab:order']))) return;
+
+      const ids = Array.isArray(testTypeIds) ? [...new Set(testTypeIds.map(String))] : [];
+      if (ids.length === 0) {
+        return socket.emit('lab-order-created', { success: false, message: 'Select at least one test' });
+      }
+      if (ids.length > MAX_TESTS_PER_ORDER) {
+        return socket.emit('lab-order-created', { success: false, message: `An order can have at most ${MAX_TESTS_PER_ORDER} tests` });
+      }
+      if (ids.some(id => !mongoose.isValidObjectId(id))) {
+        return socket.emit('lab-order-created', { success: false, message: 'Invalid test selection' });
+      }
+      const orderPriority = priority || 'normal';
+      if (!LAB_PRIORITIES.includes(orderPriority)) {
+        return socket.emit('lab-order-created', { success: false, message: 'Invalid priority' });
+      }
+
+      const visit = await findEncounter(hospitalId, visitId);
+      if (!visit) {
+        return socket.emit('lab-order-created', { success: false, message: 'Patient not found' });
+      }
+      const patientId = visit.populated('patientId');
+
+      const testTypes = await LabTestType.find({ _id: { $in: ids }, hospitalId, active: { $ne: false } });
+      if (testTypes.length !== ids.length) {
+        return socket.emit('lab-order-created', { success: false, message: 'Some tests are not in the lab catalog' });
       }
 
       let doctorName = 'Doctor';
-      const doc = doctors.find(d => d.id === doctorId);
+      const doc = await findDoctor(hospitalId, doctorId || visit.doctorId);
       if (doc) doctorName = doc.name;
 
-      const newTest = await LabTest.create({
-        hospitalId: patient.hospitalId,
+      const orderId = new mongoose.Types.ObjectId().toString();
+      const orderedAt = new Date();
+      const accessionNumbers = await nextAccessionNumbers(hospitalId, testTypes.length);
+      const tests = await LabTest.insertMany(testTypes.map((type, i) => ({
+        hospitalId,
         patientId,
-        testName: testName || "Manual Lab Request",
+        encounterId: visit._id,
+        testTypeId: type._id,
+        doctorId: doc ? doc._id : undefined,
+        orderId,
+        accessionNumber: accessionNumbers[i],
+        testName: type.name,
+        testType: type.category,
         orderedBy: doctorName,
-        orderedAt: new Date(),
-        status: 'pending',
-        priority: 'normal',
+        orderedAt,
+        notes: notes ? String(notes).trim().slice(0, 1000) : undefined,
+        status: 'ordered',
+        statusHistory: [{ to: 'ordered', at: orderedAt, byId: session.userId ? String(session.userId) : undefined, byName: doctorName }],
+        priority: orderPriority,
         sampleStatus: 'pending'
-      });
+      })));
+
+      for (const test of tests) {
+        await auditSocket({
+          action: 'lab.order',
+          entityType: 'LabTest',
+          entityId: test._id,
+          after: { testName: test.testName, priority: test.priority, orderId, patientId, encounterId: visit._id }
+        });
+      }
 
-      io.to('lab').emit('lab-update');
-      socket.emit('lab-request-created', { success: true, testId: newTest._id });
+      emitToHospital(hospitalId, ['lab'], 'lab-update', { tests: tests.map(t => labTestView(t)) });
+      socket.emit('lab-order-created', {
+        success: true,
+        orderId,
+        tests: tests.map(t => ({ id: t._id, testName: t.testName }))
+      });
     } catch (err) {
-      socket.emit('lab-request-created', { success: false, message: err.message });
+      socket.emit('lab-order-created', { success: false, message: err.message });
     }
   });
 
@@ -1169,4 +5376,7 @@ io.on('connection', (socket) => {
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`Server listening on port ${PORT}`);
+  startAnalyzers().catch(err => console.error(`Could not start analyzer interfaces: ${err.message}`));
+});